@@ -0,0 +1,101 @@
+# Callback de Conductor para los dry runs (--check --diff): guarda en CONDUCTOR_DIFF_FILE
+# los cambios de cada tarea y host, con el diff de cada archivo ya en formato unificado.
+from __future__ import annotations
+
+import difflib
+import json
+import os
+
+from ansible.plugins.callback import CallbackBase
+
+DOCUMENTATION = '''
+    name: conductor_diff
+    type: aggregate
+    short_description: Cambios por tarea y host en JSON para Conductor
+    description:
+      - Escribe al terminar el playbook la lista de tareas que cambiarían algo, por host.
+    options: {}
+'''
+
+
+def _text(value):
+    if value is None:
+        return ''
+    if isinstance(value, str):
+        return value
+    return json.dumps(value, indent=2, sort_keys=True, default=str) + '\n'
+
+
+def _render(entry):
+    if not isinstance(entry, dict):
+        return None
+
+    before_header = entry.get('before_header') or 'antes'
+    after_header = entry.get('after_header') or 'después'
+    unified = ''.join(difflib.unified_diff(
+        _text(entry.get('before')).splitlines(True),
+        _text(entry.get('after')).splitlines(True),
+        fromfile=str(before_header),
+        tofile=str(after_header),
+    ))
+    prepared = entry.get('prepared')
+    if not unified and not prepared:
+        return None
+    return {
+        'beforeHeader': str(before_header),
+        'afterHeader': str(after_header),
+        'unified': unified,
+        'prepared': _text(prepared) if prepared else None,
+    }
+
+
+def _entries(result):
+    diffs = []
+    for source in [result] + [item for item in result.get('results', []) if isinstance(item, dict)]:
+        diff = source.get('diff')
+        for entry in diff if isinstance(diff, list) else [diff]:
+            rendered = _render(entry)
+            if rendered:
+                diffs.append(rendered)
+    return diffs
+
+
+class CallbackModule(CallbackBase):
+    CALLBACK_VERSION = 2.0
+    CALLBACK_TYPE = 'aggregate'
+    CALLBACK_NAME = 'conductor_diff'
+    CALLBACK_NEEDS_ENABLED = True
+
+    def __init__(self):
+        super().__init__()
+        self.play = None
+        self.changes = []
+
+    def v2_playbook_on_play_start(self, play):
+        self.play = play.get_name()
+
+    def _record(self, result, status):
+        diffs = _entries(result._result)
+        if status == 'ok' and not diffs:
+            return
+        self.changes.append({
+            'host': result._host.get_name(),
+            'play': self.play,
+            'task': result._task.get_name(),
+            'action': result._task.action,
+            'status': status,
+            'diffs': diffs,
+        })
+
+    def v2_runner_on_ok(self, result):
+        self._record(result, 'changed' if result._result.get('changed') else 'ok')
+
+    def v2_runner_on_failed(self, result, ignore_errors=False):
+        self._record(result, 'failed')
+
+    def v2_playbook_on_stats(self, stats):
+        path = os.environ.get('CONDUCTOR_DIFF_FILE')
+        if not path:
+            return
+        with open(path, 'w') as handle:
+            json.dump(self.changes, handle)
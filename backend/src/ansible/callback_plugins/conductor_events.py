@@ -0,0 +1,117 @@
+# Callback de Conductor para todos los jobs de Ansible: escribe en CONDUCTOR_EVENTS_FILE
+# un evento JSON por línea (inicio de play, inicio de tarea, resultado por host y el
+# resumen final), así que un job que falla o se cancela deja los eventos hasta ese punto.
+from __future__ import annotations
+
+import json
+import os
+import time
+
+from ansible.plugins.callback import CallbackBase
+
+DOCUMENTATION = '''
+    name: conductor_events
+    type: aggregate
+    short_description: Eventos estructurados de la ejecución en JSON lines para Conductor
+    description:
+      - Escribe cada play, tarea y resultado por host (con su duración y los datos que devuelve el módulo).
+    options: {}
+'''
+
+# Datos internos de Ansible y los facts (ya se guardan en el registro de hosts)
+OMITTED_KEYS = ('invocation', 'ansible_facts')
+
+
+def _now():
+    return time.time()
+
+
+def _clean(result):
+    return {
+        key: value for key, value in result.items()
+        if key not in OMITTED_KEYS and not key.startswith('_ansible')
+    }
+
+
+class CallbackModule(CallbackBase):
+    CALLBACK_VERSION = 2.0
+    CALLBACK_TYPE = 'aggregate'
+    CALLBACK_NAME = 'conductor_events'
+    CALLBACK_NEEDS_ENABLED = True
+
+    def __init__(self):
+        super().__init__()
+        self.path = os.environ.get('CONDUCTOR_EVENTS_FILE')
+        self.seq = 0
+        self.play = None
+        self.task_started = {}
+        self.host_started = {}
+
+    def _write(self, event, **data):
+        if not self.path:
+            return
+        self.seq += 1
+        data.update({'seq': self.seq, 'event': event, 'timestamp': _now()})
+        with open(self.path, 'a') as handle:
+            handle.write(json.dumps(data, default=str) + '\n')
+
+    def v2_playbook_on_play_start(self, play):
+        self.play = play.get_name()
+        self._write('play_start', play=self.play)
+
+    def _task_start(self, task, handler=False):
+        self.task_started[task._uuid] = _now()
+        self._write('task_start', play=self.play, task=task.get_name(), action=task.action, handler=handler)
+
+    def v2_playbook_on_task_start(self, task, is_conditional):
+        self._task_start(task)
+
+    def v2_playbook_on_handler_task_start(self, task):
+        self._task_start(task, handler=True)
+
+    def v2_runner_on_start(self, host, task):
+        self.host_started[(host.get_name(), task._uuid)] = _now()
+
+    def _result(self, result, status, **extra):
+        host = result._host.get_name()
+        task = result._task
+        started = self.host_started.pop((host, task._uuid), None) or self.task_started.get(task._uuid) or _now()
+        self._write(
+            'runner',
+            play=self.play,
+            task=task.get_name(),
+            action=task.action,
+            host=host,
+            status=status,
+            durationMs=int((_now() - started) * 1000),
+            result=_clean(result._result),
+            **extra
+        )
+
+    def v2_runner_on_ok(self, result):
+        self._result(result, 'changed' if result._result.get('changed') else 'ok')
+
+    def v2_runner_on_failed(self, result, ignore_errors=False):
+        self._result(result, 'failed', ignored=bool(ignore_errors))
+
+    def v2_runner_on_skipped(self, result):
+        self._result(result, 'skipped')
+
+    def v2_runner_on_unreachable(self, result):
+        self._result(result, 'unreachable')
+
+    def v2_playbook_on_stats(self, stats):
+        hosts = {}
+        for host in sorted(stats.processed.keys()):
+            summary = stats.summarize(host)
+            hosts[host] = {
+                'ok': summary.get('ok', 0),
+                'changed': summary.get('changed', 0),
+                'unreachable': summary.get('unreachable', 0),
+                'failed': summary.get('failures', 0),
+                'skipped': summary.get('skipped', 0),
+                'rescued': summary.get('rescued', 0),
+                'ignored': summary.get('ignored', 0),
+            }
+        # Datos de set_stats (los de per_host: false, como AWX): las salidas del job
+        self._write('stats', hosts=hosts, custom=stats.custom.get('_run', {}))
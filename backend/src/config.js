@@ -0,0 +1,81 @@
+// Configuración central de Conductor (leída desde variables de entorno)
+const os = require('os');
+const path = require('path');
+
+const config = {
+  // DEMO_MODE=true simula los jobs en memoria, sin Redis ni PostgreSQL
+  demoMode: process.env.DEMO_MODE === 'true',
+
+  // Autenticación: access token JWT de vida corta + refresh token rotatorio guardado en BD
+  auth: {
+    jwtSecret: process.env.JWT_SECRET,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '7', 10),
+    // Usuario admin que se crea en el primer arranque si no hay ningún usuario
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminEmail: process.env.ADMIN_EMAIL || 'admin@conductor.local',
+    adminPassword: process.env.ADMIN_PASSWORD,
+  },
+
+  // Clave maestra (32 bytes en base64 o hex) con la que se cifran las credenciales en BD
+  masterKey: process.env.CONDUCTOR_MASTER_KEY,
+
+  // Segundos entre la señal de cancelación (SIGINT/SIGTERM) y el SIGKILL
+  killGraceSeconds: parseInt(process.env.KILL_GRACE_SECONDS || '30', 10),
+
+  // Límites por defecto de cada job; se pueden cambiar en /api/settings o por job
+  jobDefaults: {
+    timeoutMinutes: parseFloat(process.env.JOB_TIMEOUT_MINUTES || '30'),
+    cpus: process.env.JOB_CPUS || '1',
+    memory: process.env.JOB_MEMORY || '1g',
+    network: process.env.JOB_NETWORK || 'bridge',
+  },
+
+  // Zona horaria por defecto de las programaciones (editable en /api/settings)
+  timezone: process.env.CONDUCTOR_TIMEZONE || 'UTC',
+
+  // Segundos de retraso con los que todavía se lanza una ejecución programada perdida
+  // (p. ej. con el servidor parado); pasado ese margen queda como 'missed'
+  scheduleMisfireGraceSeconds: parseInt(process.env.SCHEDULE_MISFIRE_GRACE_SECONDS || '300', 10),
+
+  // Horas que un job espera sus aprobaciones antes de caducar, si su política no indica otras
+  approvalExpiryHours: parseFloat(process.env.APPROVAL_EXPIRY_HOURS || '24'),
+
+  // Inventarios dinámicos: los scripts solo pueden estar en scriptsDir y los archivos y states
+  // de Terraform en filesDir (sin ellos, esos orígenes están deshabilitados)
+  inventorySources: {
+    scriptsDir: process.env.INVENTORY_SCRIPTS_DIR || null,
+    filesDir: process.env.INVENTORY_FILES_DIR || null,
+    timeoutSeconds: parseInt(process.env.INVENTORY_SYNC_TIMEOUT_SECONDS || '120', 10),
+  },
+
+  // Terraform: los workingDir de los jobs solo pueden estar dentro de workingDirRoot (sin él,
+  // el código de Terraform solo puede venir de un proyecto git)
+  terraform: {
+    workingDirRoot: process.env.TERRAFORM_WORKING_DIR_ROOT || null,
+  },
+
+  // Proyectos git: un clon --mirror por proyecto en cacheDir, del que se sacan los checkouts de los jobs
+  projects: {
+    cacheDir: process.env.PROJECTS_CACHE_DIR || path.join(os.tmpdir(), 'conductor-projects'),
+    gitTimeoutSeconds: parseInt(process.env.GIT_TIMEOUT_SECONDS || '300', 10),
+  },
+
+  // Workspaces de Ansible: tamaño máximo del .tar.gz subido y caché de los roles y colecciones
+  // de requirements.yml instalados (un directorio por hash de los requirements)
+  ansibleWorkspaces: {
+    maxUploadMb: parseInt(process.env.ANSIBLE_WORKSPACE_MAX_MB || '50', 10),
+    requirementsCacheDir: process.env.ANSIBLE_REQUIREMENTS_CACHE_DIR || path.join(os.tmpdir(), 'conductor-requirements'),
+  },
+
+  // Sandbox de los contenedores de jobs
+  sandbox: {
+    user: process.env.SANDBOX_USER || `${process.getuid()}:${process.getgid()}`,
+    pidsLimit: parseInt(process.env.SANDBOX_PIDS_LIMIT || '512', 10),
+    allowedNetworks: (process.env.SANDBOX_ALLOWED_NETWORKS || 'bridge,none').split(','),
+    // Si es true, un job nunca se ejecuta fuera de Docker
+    requireDocker: process.env.SANDBOX_REQUIRE_DOCKER === 'true',
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,43 @@
+// Autenticación de peticiones HTTP y de conexiones Socket.IO con el access token
+const { verifyAccessToken } = require('../services/auth');
+const { hasCapability } = require('../services/permissions');
+
+const bearerToken = (header) => {
+  const [scheme, token] = (header || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+};
+
+// Exige "Authorization: Bearer <token>" y deja el usuario en req.user
+const authenticate = (req, res, next) => {
+  const token = bearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: 'No autenticado' });
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({ error: error.message });
+  }
+};
+
+// Exige una capacidad del rol del usuario (ver ROLE_CAPABILITIES en services/permissions)
+const requireCapability = (capability) => (req, res, next) => {
+  if (!req.user || !hasCapability(req.user.role, capability)) {
+    return res.status(403).json({ error: 'No tienes permiso para esta operación' });
+  }
+  next();
+};
+
+// Middleware de io.use(): el cliente envía el token en io({ auth: { token } })
+const authenticateSocket = (socket, next) => {
+  try {
+    socket.user = verifyAccessToken(socket.handshake.auth && socket.handshake.auth.token);
+    next();
+  } catch (error) {
+    next(new Error(error.message));
+  }
+};
+
+module.exports = { authenticate, requireCapability, authenticateSocket };
@@ -13,11 +13,52 @@ const initDB = async () => {
         username VARCHAR(50) UNIQUE NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
-        role VARCHAR(20) DEFAULT 'user',
+        role VARCHAR(20) DEFAULT 'viewer',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
 
+    // El antiguo rol 'user' pasa a 'viewer' (mínimo privilegio)
+    await pool.query(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer'`);
+    await pool.query(`UPDATE users SET role = 'viewer' WHERE role = 'user'`);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS permission_grants (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        scope_type VARCHAR(20) NOT NULL,
+        scope VARCHAR(100) NOT NULL,
+        actions TEXT[] NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, scope_type, scope)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS credentials (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        description TEXT,
+        metadata JSONB,
+        secret TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS jobs (
         id SERIAL PRIMARY KEY,
@@ -34,6 +75,40 @@ const initDB = async () => {
       );
     `);
 
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_artifacts (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        content_type VARCHAR(100),
+        size INTEGER,
+        sha256 VARCHAR(64) NOT NULL,
+        content BYTEA NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (job_id, name)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_logs (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        stream VARCHAR(10) NOT NULL,
+        chunk TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (job_id, seq)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS inventories (
         id SERIAL PRIMARY KEY,
@@ -45,12 +120,360 @@ const initDB = async () => {
       );
     `);
 
+    // Inventarios versionados: nombre único y número de la revisión actual
+    await pool.query(`
+      ALTER TABLE inventories
+        ADD COLUMN IF NOT EXISTS credential_ids JSONB DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS current_revision INTEGER NOT NULL DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    `);
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS inventories_name_key ON inventories (name)');
+
+    // Los permisos sobre inventarios se guardaban por nombre: pasan al id, que no cambia al renombrarlo
+    await pool.query(`
+      UPDATE permission_grants g SET scope = i.id::text
+      FROM inventories i
+      WHERE g.scope_type = 'inventory' AND g.scope !~ '^([0-9]+|\\*)$' AND g.scope = i.name
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS inventory_revisions (
+        id SERIAL PRIMARY KEY,
+        inventory_id INTEGER NOT NULL REFERENCES inventories(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        hosts JSONB,
+        variables JSONB,
+        credential_ids JSONB,
+        message TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (inventory_id, revision)
+      );
+    `);
+
+    // Inventarios dinámicos: origen (script, file, tfstate, docker) y resultado de la última sincronización
+    await pool.query(`
+      ALTER TABLE inventories
+        ADD COLUMN IF NOT EXISTS source JSONB,
+        ADD COLUMN IF NOT EXISTS last_sync_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS last_sync_error TEXT,
+        ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP;
+    `);
+    await pool.query('ALTER TABLE inventory_revisions ADD COLUMN IF NOT EXISTS source JSONB');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS inventory_syncs (
+        id SERIAL PRIMARY KEY,
+        inventory_id INTEGER NOT NULL REFERENCES inventories(id) ON DELETE CASCADE,
+        source_type VARCHAR(20) NOT NULL,
+        trigger VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        revision INTEGER,
+        host_count INTEGER,
+        error TEXT,
+        started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+    `);
+
+    // Registro de hosts (por nombre de inventario) y jobs de Ansible que tocaron cada uno
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS hosts (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        inventory_ids INTEGER[] DEFAULT '{}',
+        facts JSONB,
+        facts_updated_at TIMESTAMP,
+        last_status VARCHAR(20),
+        last_job_id INTEGER,
+        last_seen_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS host_jobs (
+        id SERIAL PRIMARY KEY,
+        host_id INTEGER NOT NULL REFERENCES hosts(id) ON DELETE CASCADE,
+        job_id INTEGER NOT NULL,
+        job_name VARCHAR(255),
+        inventory_id INTEGER,
+        inventory_revision INTEGER,
+        status VARCHAR(20) NOT NULL,
+        ok INTEGER DEFAULT 0,
+        changed INTEGER DEFAULT 0,
+        unreachable INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        skipped INTEGER DEFAULT 0,
+        changed_tasks JSONB DEFAULT '[]',
+        failed_tasks JSONB DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (host_id, job_id)
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS host_jobs_host_created_idx ON host_jobs (host_id, created_at DESC)');
+
+    // Eventos estructurados de los jobs de Ansible (callback conductor_events)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_events (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        event VARCHAR(20) NOT NULL,
+        play VARCHAR(500),
+        task VARCHAR(500),
+        action VARCHAR(255),
+        host VARCHAR(255),
+        status VARCHAR(20),
+        duration_ms INTEGER,
+        data JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (job_id, seq)
+      );
+    `);
+
+    // Proyectos: repositorios git con playbooks o código de Terraform (ref = rama, tag o commit)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        url VARCHAR(1000) NOT NULL,
+        ref VARCHAR(255),
+        credential_id INTEGER REFERENCES credentials(id) ON DELETE SET NULL,
+        last_commit VARCHAR(40),
+        last_synced_at TIMESTAMP,
+        last_sync_error TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Workspaces de Ansible subidos como .tar.gz (playbooks con roles, group_vars, requirements...).
+    // No se modifican: una versión nueva se sube con otro nombre.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ansible_workspaces (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        archive BYTEA NOT NULL,
+        size INTEGER NOT NULL,
+        sha256 VARCHAR(64) NOT NULL,
+        strip_components INTEGER DEFAULT 0,
+        files JSONB DEFAULT '[]',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Biblioteca de templates (playbook o directorio de Terraform con sus valores por defecto)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        kind VARCHAR(20) NOT NULL,
+        playbook TEXT,
+        working_dir VARCHAR(500),
+        inventory_id INTEGER REFERENCES inventories(id) ON DELETE SET NULL,
+        workspace VARCHAR(100),
+        variables JSONB DEFAULT '{}',
+        credential_ids INTEGER[] DEFAULT '{}',
+        options JSONB DEFAULT '{}',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // Encuesta de lanzamiento: campos tipados que se convierten en variables del job
+    await pool.query(`ALTER TABLE templates ADD COLUMN IF NOT EXISTS survey JSONB DEFAULT '[]'`);
+    // Playbook o directorio de Terraform tomado de un proyecto en lugar de playbook/working_dir
+    await pool.query(`
+      ALTER TABLE templates
+        ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id),
+        ADD COLUMN IF NOT EXISTS project_path VARCHAR(500),
+        ADD COLUMN IF NOT EXISTS project_ref VARCHAR(255);
+    `);
+
+    // Workflows: grafo de nodos (templates) unidos por aristas success, failure o always
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workflows (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        nodes JSONB NOT NULL DEFAULT '[]',
+        edges JSONB NOT NULL DEFAULT '[]',
+        variables JSONB DEFAULT '{}',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Programaciones cron: instantes con zona horaria porque se comparan con los calculados por cron
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        definition JSONB NOT NULL,
+        cron VARCHAR(120) NOT NULL,
+        timezone VARCHAR(64) NOT NULL,
+        enabled BOOLEAN DEFAULT true,
+        start_at TIMESTAMPTZ,
+        end_at TIMESTAMPTZ,
+        skip_if_running BOOLEAN DEFAULT true,
+        next_run_at TIMESTAMPTZ,
+        last_run_at TIMESTAMPTZ,
+        last_job_id INTEGER,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Una fila por disparo: UNIQUE evita lanzar dos veces la misma ejecución programada
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schedule_runs (
+        id SERIAL PRIMARY KEY,
+        schedule_id INTEGER NOT NULL REFERENCES schedules(id) ON DELETE CASCADE,
+        scheduled_for TIMESTAMPTZ NOT NULL,
+        trigger VARCHAR(20) NOT NULL DEFAULT 'schedule',
+        status VARCHAR(20) NOT NULL,
+        job_id INTEGER,
+        reason TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (schedule_id, scheduled_for)
+      );
+    `);
+
+    // Los inventarios anteriores al versionado reciben su revisión 1
+    await pool.query(`
+      INSERT INTO inventory_revisions (inventory_id, revision, name, description, hosts, variables, credential_ids, message)
+      SELECT id, current_revision, name, description, hosts, variables, credential_ids, 'Creación'
+      FROM inventories i
+      WHERE NOT EXISTS (SELECT 1 FROM inventory_revisions r WHERE r.inventory_id = i.id)
+    `);
+
+    // Inventario y revisión con los que se ejecutó cada job (sin FK: el historial sobrevive al borrado)
+    await pool.query(`
+      ALTER TABLE jobs
+        ADD COLUMN IF NOT EXISTS inventory_id INTEGER,
+        ADD COLUMN IF NOT EXISTS inventory_revision INTEGER;
+    `);
+
+    // Proyecto y commit exacto con los que se ejecutó cada job
+    await pool.query(`
+      ALTER TABLE jobs
+        ADD COLUMN IF NOT EXISTS project_id INTEGER,
+        ADD COLUMN IF NOT EXISTS project_commit VARCHAR(40);
+    `);
+
+    // Jobs de un workflow: el job padre (tipo workflow) y el nodo que ejecuta cada hijo
+    await pool.query(`
+      ALTER TABLE jobs
+        ADD COLUMN IF NOT EXISTS parent_job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS workflow_node VARCHAR(50);
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS jobs_parent_job_id_idx ON jobs (parent_job_id)');
+
+    // El nombre de un job sale de templates, workflows y programaciones (hasta 255 caracteres)
+    // más sufijos como " - Dry Run" o " - Apply": con VARCHAR(100) el alta del job fallaba
+    await pool.query('ALTER TABLE jobs ALTER COLUMN name TYPE TEXT');
+    await pool.query('ALTER TABLE host_jobs ALTER COLUMN job_name TYPE TEXT');
+
+    // Políticas de aprobación por template, workspace de Terraform o inventario
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS approval_policies (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT,
+        scope_type VARCHAR(20) NOT NULL,
+        scope VARCHAR(255) NOT NULL,
+        required_approvals INTEGER NOT NULL DEFAULT 1,
+        approver_roles TEXT[] NOT NULL,
+        expiry_hours REAL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // Las políticas de inventario se guardaban por nombre: pasan al id, como los permisos
+    await pool.query(`
+      UPDATE approval_policies p SET scope = i.id::text
+      FROM inventories i
+      WHERE p.scope_type = 'inventory' AND p.scope !~ '^([0-9]+|\\*)$' AND p.scope = i.name
+    `);
+
+    // Aprobación de un job en awaiting_approval: la política que lo retuvo, cuándo caduca y
+    // el plan o dry run revisado; y el voto (con comentario) de cada aprobador
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS approval JSONB');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_approvals (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        username VARCHAR(50) NOT NULL,
+        decision VARCHAR(10) NOT NULL,
+        comment TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (job_id, user_id)
+      );
+    `);
+
+    // Webhooks de entrada: uno por template, con su secreto cifrado, y registro de entregas
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS template_webhooks (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER UNIQUE NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        provider VARCHAR(20) NOT NULL,
+        secret TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT true,
+        filters JSONB DEFAULT '{}',
+        mappings JSONB DEFAULT '{}',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        delivery_id VARCHAR(100),
+        event VARCHAR(100),
+        branch VARCHAR(255),
+        commit_sha VARCHAR(64),
+        status VARCHAR(20) NOT NULL,
+        job_id INTEGER,
+        reason TEXT,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_template_idx ON webhook_deliveries (template_id, id DESC)');
+    // Entregas ya recibidas (por id y por sha256 del cuerpo) para rechazar las repetidas
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_receipts (
+        template_id INTEGER NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        receipt_key VARCHAR(200) NOT NULL,
+        received_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (template_id, receipt_key)
+      );
+    `);
+
     console.log('✅ Base de datos inicializada');
   } catch (error) {
     console.error('❌ Error inicializando base de datos:', error);
   }
 };
 
-initDB();
+// Promesa que se resuelve cuando las tablas existen (p. ej. para crear el admin inicial)
+const ready = initDB();
 
-module.exports = { pool };
\ No newline at end of file
+module.exports = { pool, ready };
\ No newline at end of file
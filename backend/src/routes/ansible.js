@@ -0,0 +1,115 @@
+const express = require('express');
+const jobService = require('../services/jobService');
+const { buildJob } = require('../services/jobDefinitions');
+const { validatePlaybook } = require('../services/playbookValidation');
+const workspaces = require('../services/ansibleWorkspaces');
+const { requireCapability } = require('../middleware/auth');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Claves del payload que añade la cola y no forman parte de los parámetros del job
+const INTERNAL_KEYS = ['dbJobId', 'jobName', 'userId', 'limits'];
+
+// Ejecución real de un dry run revisado: el mismo payload (revisión del inventario,
+// variables, respuestas password cifradas en secretVariables, credenciales y límites)
+// sin --check, como el apply de un plan de Terraform
+const fromCheckJob = async (checkJobId) => {
+  const checkJob = await jobService.getJob(parseInt(checkJobId, 10) || 0);
+  if (!checkJob || checkJob.type !== 'ansible-playbook' || !(checkJob.payload || {}).checkMode) {
+    throw new NotFoundError(`Dry run ${checkJobId} no encontrado`);
+  }
+  if (checkJob.status !== 'completed') {
+    throw new ConflictError(`El dry run ${checkJobId} no está completado`);
+  }
+
+  const payload = { ...checkJob.payload, checkMode: false, checkJobId: checkJob.id };
+  INTERNAL_KEYS.forEach(key => delete payload[key]);
+  return {
+    name: checkJob.name.replace(/ - Dry Run$/, ''),
+    type: 'ansible-playbook',
+    payload,
+    limits: checkJob.payload.limits
+  };
+};
+
+// Ansible Playbook Execution. { checkMode: true } hace un dry run; { checkJobId } ejecuta de
+// verdad un dry run completado con sus mismos parámetros
+router.post('/playbook', async (req, res) => {
+  try {
+    const { checkJobId } = req.body;
+    const definition = checkJobId
+      ? await fromCheckJob(checkJobId)
+      : await buildJob({ type: 'ansible-playbook', params: req.body });
+
+    const job = await jobService.submitJob({
+      ...definition,
+      limits: checkJobId ? definition.limits : req.body.limits,
+      userId: req.user.id
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: definition.payload.checkMode
+        ? 'Dry run encolado (--check --diff)'
+        : 'Playbook encolado para ejecución'
+    });
+
+  } catch (error) {
+    console.error('Error ejecutando playbook:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Validar un playbook antes de lanzarlo: { playbook, inventory, inventoryRevision, variables }
+// (inventory como en /playbook: id o nombre de uno guardado, objeto de grupos o texto).
+// Responde 200 también si no es válido, con los diagnósticos por línea.
+router.post('/validate', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    res.json(await validatePlaybook(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Workspaces subidos como .tar.gz: playbooks con sus roles, group_vars, requirements...
+router.get('/workspaces', async (req, res) => {
+  try {
+    res.json(await workspaces.listWorkspaces());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/workspaces/:id', async (req, res) => {
+  try {
+    const workspace = await workspaces.getWorkspace(parseInt(req.params.id, 10) || 0);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace no encontrado' });
+    }
+    res.json(workspace);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { name, description, content } con content = el .tar.gz en base64
+router.post('/workspaces', requireCapability('projects:write'), async (req, res) => {
+  try {
+    res.status(201).json(await workspaces.createWorkspace(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/workspaces/:id', requireCapability('projects:write'), async (req, res) => {
+  try {
+    await workspaces.deleteWorkspace(parseInt(req.params.id, 10) || 0);
+    res.json({ message: 'Workspace eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const policies = require('../services/approvalPolicies');
+const { listPendingApprovals } = require('../services/approvals');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+const policyId = (req) => parseInt(req.params.id, 10) || 0;
+
+// Jobs que esperan aprobación, con canApprove/canReject para el usuario
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listPendingApprovals(req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/policies', async (req, res) => {
+  try {
+    res.json(await policies.listPolicies());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/policies/:id', async (req, res) => {
+  try {
+    const policy = await policies.getPolicy(policyId(req));
+    if (!policy) {
+      return res.status(404).json({ error: 'Política no encontrada' });
+    }
+    res.json(policy);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { name, description, scopeType: template|workspace|inventory, scope, requiredApprovals,
+//   approverRoles, expiryHours }. Solo admin: quitar una política quita el control.
+router.post('/policies', requireCapability('settings:write'), async (req, res) => {
+  try {
+    res.status(201).json(await policies.createPolicy(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.put('/policies/:id', requireCapability('settings:write'), async (req, res) => {
+  try {
+    res.json(await policies.updatePolicy(policyId(req), req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/policies/:id', requireCapability('settings:write'), async (req, res) => {
+  try {
+    await policies.deletePolicy(policyId(req));
+    res.json({ message: 'Política eliminada' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
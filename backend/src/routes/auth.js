@@ -0,0 +1,84 @@
+const express = require('express');
+const auth = require('../services/auth');
+const users = require('../services/users');
+const { describePermissions } = require('../services/permissions');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Login: devuelve access token, refresh token y el usuario
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Faltan campos obligatorios: username, password' });
+    }
+
+    res.json(await auth.login(username, password));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Refresh: cambia un refresh token válido por un par nuevo
+router.post('/refresh', async (req, res) => {
+  try {
+    res.json(await auth.refresh(req.body.refreshToken));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Logout: revoca el refresh token (el access token caduca solo)
+router.post('/logout', async (req, res) => {
+  try {
+    await auth.logout(req.body.refreshToken);
+    res.json({ message: 'Sesión cerrada' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Usuario autenticado, con sus capacidades y permisos por inventario/workspace
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await users.getUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    res.json({ ...user, permissions: await describePermissions(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Perfil propio: username y email (el rol solo lo cambia un admin en /api/users)
+router.put('/me', authenticate, async (req, res) => {
+  try {
+    const { username, email } = req.body;
+    res.json(await users.updateUser(req.user.id, { username, email }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cambio de contraseña: exige la actual y cierra el resto de sesiones
+router.put('/password', authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await users.verifyPassword(req.user.id, currentPassword))) {
+      return res.status(400).json({ error: 'La contraseña actual no es correcta' });
+    }
+
+    const user = await users.updateUser(req.user.id, { password: newPassword });
+    await auth.revokeUserTokens(req.user.id);
+
+    res.json(await auth.login(user.username, newPassword));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const credentials = require('../services/credentials');
+const { revokeScope } = require('../services/permissions');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Las credenciales nunca se devuelven descifradas: solo nombre, tipo y metadata
+router.get('/', async (req, res) => {
+  try {
+    res.json(await credentials.listCredentials());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tipos disponibles y sus campos
+router.get('/types', (req, res) => {
+  res.json(credentials.CREDENTIAL_TYPES);
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const credential = await credentials.getCredential(parseInt(req.params.id, 10) || 0);
+    if (!credential) {
+      return res.status(404).json({ error: 'Credencial no encontrada' });
+    }
+    res.json(credential);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireCapability('credentials:write'), async (req, res) => {
+  try {
+    const { name, type, description, fields } = req.body;
+    res.status(201).json(
+      await credentials.createCredential({ name, type, description, fields }, req.user.id)
+    );
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.put('/:id', requireCapability('credentials:write'), async (req, res) => {
+  try {
+    const { name, description, fields } = req.body;
+    res.json(await credentials.updateCredential(parseInt(req.params.id, 10) || 0, { name, description, fields }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('credentials:write'), async (req, res) => {
+  try {
+    await credentials.deleteCredential(parseInt(req.params.id, 10) || 0);
+    await revokeScope('credential', String(parseInt(req.params.id, 10) || 0));
+    res.json({ message: 'Credencial eliminada' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
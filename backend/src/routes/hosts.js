@@ -0,0 +1,55 @@
+const express = require('express');
+const hosts = require('../services/hosts');
+
+const router = express.Router();
+
+// Filtros: ?search=web&inventoryId=2&status=failed
+router.get('/', async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    if (status && !hosts.HOST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status debe ser uno de: ${hosts.HOST_STATUSES.join(', ')}` });
+    }
+    res.json(await hosts.listHosts({
+      search,
+      status,
+      inventoryId: parseInt(req.query.inventoryId, 10) || null
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Detalle con los facts completos; :ref es el id o el nombre del host
+router.get('/:ref', async (req, res) => {
+  try {
+    const host = await hosts.getHost(req.params.ref);
+    if (!host) {
+      return res.status(404).json({ error: 'Host no encontrado' });
+    }
+    res.json(host);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Jobs que tocaron el host con lo que cambiaron: ?since=2024-05-01&limit=50
+router.get('/:ref/jobs', async (req, res) => {
+  try {
+    const host = await hosts.getHost(req.params.ref);
+    if (!host) {
+      return res.status(404).json({ error: 'Host no encontrado' });
+    }
+
+    const { since } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'since debe ser una fecha ISO' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json(await hosts.listHostJobs(host.id, { since: since ? new Date(since).toISOString() : null, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const inventories = require('../services/inventories');
+const { validateInventorySource } = require('../services/ansibleInventory');
+const { SOURCE_TYPES } = require('../services/inventorySources');
+const { parseInventory, exportInventory } = require('../services/inventoryFormats');
+const { syncInventory, listSyncs } = require('../services/inventorySync');
+const { assertCanManageInventory, assertCanUseCredentials, revokeScope } = require('../services/permissions');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+const inventoryId = (req) => parseInt(req.params.id, 10) || 0;
+
+// Las credenciales que se añaden a un inventario las usará cualquiera que ejecute contra él,
+// así que quien las añade debe poder usarlas. Las que ya tenía no se vuelven a comprobar.
+const assertAddedCredentials = async (req, credentialIds, id = null) => {
+  if (!Array.isArray(credentialIds)) {
+    return;
+  }
+  const current = id ? await inventories.getInventory(id) : null;
+  const added = credentialIds.filter(credentialId => !(current && current.credentialIds.includes(credentialId)));
+  await assertCanUseCredentials(req.user.id, added);
+};
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await inventories.listInventories());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tipos de origen dinámico y sus campos
+router.get('/sources', (req, res) => {
+  res.json(SOURCE_TYPES);
+});
+
+// Validar un inventario antes de lanzar un job: { hosts, variables }, { content } (INI/YAML)
+// o { inventory, inventoryRevision } para uno guardado. Responde 200 también si no es válido.
+router.post('/validate', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    const { hosts, variables, content, inventory, inventoryRevision } = req.body;
+
+    if (inventory !== undefined) {
+      const saved = await inventories.resolveInventoryRevision(inventory, inventoryRevision);
+      if (!saved) {
+        return res.status(404).json({ error: 'Inventario no encontrado' });
+      }
+      return res.json(await validateInventorySource({ hosts: saved.hosts, variables: saved.variables }));
+    }
+
+    res.json(await validateInventorySource({ hosts, variables, content }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Crear un inventario a partir de un INI, YAML o JSON de `ansible-inventory --list`:
+// { name, description, content, format } (format se detecta si no se indica)
+router.post('/import', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id);
+    const { name, description, content, format } = req.body;
+    const parsed = parseInventory(content, format);
+    const inventory = await inventories.createInventory(
+      { name, description, hosts: parsed.hosts, variables: parsed.variables },
+      req.user.id
+    );
+    res.status(201).json(inventory);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const inventory = await inventories.getInventory(inventoryId(req));
+    if (!inventory) {
+      return res.status(404).json({ error: 'Inventario no encontrado' });
+    }
+    res.json(inventory);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id);
+    const { name, description, hosts, variables, credentialIds, source } = req.body;
+    await assertAddedCredentials(req, credentialIds);
+    const inventory = await inventories.createInventory(
+      { name, description, hosts, variables, credentialIds, source },
+      req.user.id
+    );
+
+    // Un inventario dinámico se sincroniza por primera vez en segundo plano
+    if (inventory.source) {
+      syncInventory(inventory.id, { userId: req.user.id }).catch(error => {
+        console.error(`❌ Error sincronizando el inventario ${inventory.id}:`, error.message);
+      });
+    }
+
+    res.status(201).json(inventory);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reemplazo completo; `message` describe el cambio en el historial
+router.put('/:id', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id, inventoryId(req));
+    await assertAddedCredentials(req, req.body.credentialIds, inventoryId(req));
+    res.json(await inventories.replaceInventory(inventoryId(req), req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.patch('/:id', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id, inventoryId(req));
+    await assertAddedCredentials(req, req.body.credentialIds, inventoryId(req));
+    res.json(await inventories.patchInventory(inventoryId(req), req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id, inventoryId(req));
+    await inventories.deleteInventory(inventoryId(req));
+    await revokeScope('inventory', String(inventoryId(req)));
+    res.json({ message: 'Inventario eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Historial de revisiones (la más reciente primero)
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    res.json(await inventories.listRevisions(inventoryId(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Diferencias entre dos revisiones: ?from=1&to=3 (por defecto, de la anterior a la actual)
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const inventory = await inventories.getInventory(inventoryId(req));
+    if (!inventory) {
+      return res.status(404).json({ error: 'Inventario no encontrado' });
+    }
+
+    const to = parseInt(req.query.to, 10) || inventory.revision;
+    const from = parseInt(req.query.from, 10) || Math.max(to - 1, 1);
+    res.json(await inventories.diffRevisions(inventory.id, from, to));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:id/revisions/:revision', async (req, res) => {
+  try {
+    res.json(await inventories.getRevision(inventoryId(req), parseInt(req.params.revision, 10) || 0));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reemplazar hosts y variables de un inventario existente con el contenido importado
+router.post('/:id/import', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id, inventoryId(req));
+    const inventory = await inventories.getInventory(inventoryId(req));
+    if (!inventory) {
+      return res.status(404).json({ error: 'Inventario no encontrado' });
+    }
+    // Los hosts de un inventario dinámico los escribe la sincronización
+    if (inventory.source) {
+      return res.status(400).json({ error: 'El inventario es dinámico: sus hosts vienen de la sincronización' });
+    }
+
+    const { content, format } = req.body;
+    const parsed = parseInventory(content, format);
+    res.json(await inventories.patchInventory(
+      inventory.id,
+      { hosts: parsed.hosts, variables: parsed.variables, message: `Importado desde ${parsed.format.toUpperCase()}` },
+      req.user.id
+    ));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Descargar el inventario como ?format=ini|yaml|json (por defecto yaml); ?revision=N para una anterior
+router.get('/:id/export', async (req, res) => {
+  try {
+    const revision = req.query.revision ? parseInt(req.query.revision, 10) || 0 : null;
+    const inventory = revision
+      ? await inventories.getRevision(inventoryId(req), revision)
+      : await inventories.getInventory(inventoryId(req));
+    if (!inventory) {
+      return res.status(404).json({ error: 'Inventario no encontrado' });
+    }
+
+    const file = exportInventory(inventory, req.query.format || 'yaml');
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.fileName);
+    res.send(file.content);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Sincronizar ahora con el origen dinámico; responde con el registro de la sincronización
+router.post('/:id/sync', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id, inventoryId(req));
+    res.json(await syncInventory(inventoryId(req), { userId: req.user.id }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Historial de sincronizaciones con sus errores
+router.get('/:id/syncs', async (req, res) => {
+  try {
+    res.json(await listSyncs(inventoryId(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Restaurar una revisión anterior: crea una revisión nueva con su contenido
+router.post('/:id/rollback', requireCapability('inventories:write'), async (req, res) => {
+  try {
+    await assertCanManageInventory(req.user.id, inventoryId(req));
+    const revision = parseInt(req.body.revision, 10);
+    if (!revision) {
+      return res.status(400).json({ error: 'Falta la revisión a restaurar' });
+    }
+    const { credentialIds } = await inventories.getRevision(inventoryId(req), revision);
+    await assertAddedCredentials(req, credentialIds, inventoryId(req));
+    res.json(await inventories.rollbackInventory(inventoryId(req), revision, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
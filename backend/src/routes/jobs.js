@@ -1,12 +1,177 @@
-import { Router } from "express";
-import { enqueueJob, getJobStatus } from "../controllers/jobsController";
+const express = require('express');
+const jobService = require('../services/jobService');
+const { listArtifacts, getArtifact } = require('../services/artifacts');
+const { getLogs } = require('../services/jobLogs');
+const { getJobEvents } = require('../services/jobEvents');
+const { assertCanRunJob, filterReadableJobs, assertCanReadJob } = require('../services/permissions');
+const { cancelRun, getRunGraph } = require('../services/workflows');
+const { getApproval, decide } = require('../services/approvals');
+const { NotFoundError } = require('../utils/errors');
 
-const router = Router();
+const router = express.Router();
 
-// Encolar un nuevo job
-router.post("/enqueue", enqueueJob);
+// El job de la URL, si el usuario puede verlo (ver assertCanReadJob)
+const readableJob = async (req) => {
+  const job = await jobService.getJob(parseInt(req.params.id, 10) || 0);
+  if (!job) {
+    throw new NotFoundError('Job no encontrado');
+  }
+  await assertCanReadJob(req.user.id, job);
+  return job;
+};
 
-// Consultar estado de un job
-router.get("/:id/status", getJobStatus);
+// Listar jobs (solo los que el usuario puede ver)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await filterReadableJobs(req.user.id, await jobService.listJobs()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-export default router;
+// Detalle de un job
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await readableJob(req));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cancelar: lo quita de la cola o, si está en ejecución, mata su proceso. En un workflow
+// cancela sus jobs activos y no lanza más nodos. Requiere el mismo permiso que ejecutar ese
+// job; en un workflow (sin ámbito propio), el de cada job que ha lanzado.
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const target = await jobService.getJob(parseInt(req.params.id, 10) || 0);
+    if (target) {
+      await assertCanRunJob(req.user.id, target.type, target.payload || {});
+    }
+    if (target && target.type === 'workflow') {
+      for (const child of await jobService.listChildJobs(target.id)) {
+        await assertCanRunJob(req.user.id, child.type, child.payload || {});
+      }
+    }
+
+    const { outcome, job } = target && target.type === 'workflow'
+      ? await cancelRun(target.id)
+      : await jobService.cancelJob(parseInt(req.params.id, 10) || 0);
+
+    if (outcome === 'not_found') {
+      return res.status(404).json({ error: 'Job no encontrado' });
+    }
+    if (outcome === 'finished') {
+      return res.status(409).json({ error: `El job ya terminó con estado ${job.status}` });
+    }
+
+    res.status(outcome === 'cancelling' ? 202 : 200).json({
+      jobId: job.id,
+      status: job.status,
+      message: outcome === 'cancelling'
+        ? 'Cancelación enviada al worker'
+        : 'Job cancelado'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Log persistente del job; ?since=<seq> devuelve solo los fragmentos posteriores
+router.get('/:id/logs', async (req, res) => {
+  try {
+    const job = await readableJob(req);
+    const since = parseInt(req.query.since, 10) || 0;
+    const logs = await getLogs(job.id, since);
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      finished: !jobService.isActive(job),
+      lastSeq: logs.length ? logs[logs.length - 1].seq : since,
+      logs
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Eventos estructurados de un job de Ansible: plays -> tareas -> resultado por host y el
+// resumen por host (recap). ?host=web1 devuelve solo los resultados de ese host.
+router.get('/:id/events', async (req, res) => {
+  try {
+    const job = await readableJob(req);
+    res.json({
+      ...await getJobEvents(job.id, { host: req.query.host }),
+      status: job.status,
+      finished: !jobService.isActive(job)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Grafo de una ejecución de workflow: nodos (template, estado y job hijo) y aristas
+router.get('/:id/workflow', async (req, res) => {
+  try {
+    const run = await readableJob(req);
+    res.json(await getRunGraph(run.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Aprobación de un job retenido por una política: votos, plan o dry run revisado y si el
+// usuario puede aprobar o rechazar
+router.get('/:id/approval', async (req, res) => {
+  try {
+    res.json(await getApproval(parseInt(req.params.id, 10) || 0, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// { comment }; el rol lo decide la política y quien lanzó el job no puede votar
+router.post('/:id/approve', async (req, res) => {
+  try {
+    res.json(await decide(parseInt(req.params.id, 10) || 0, req.user.id, { decision: 'approve', comment: req.body.comment }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/reject', async (req, res) => {
+  try {
+    res.json(await decide(parseInt(req.params.id, 10) || 0, req.user.id, { decision: 'reject', comment: req.body.comment }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Artefactos del job (plan de Terraform, etc.)
+router.get('/:id/artifacts', async (req, res) => {
+  try {
+    const job = await readableJob(req);
+    res.json(await listArtifacts(job.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:id/artifacts/:name', async (req, res) => {
+  try {
+    const job = await readableJob(req);
+    const artifact = await getArtifact(job.id, req.params.name);
+    if (!artifact) {
+      return res.status(404).json({ error: 'Artefacto no encontrado' });
+    }
+
+    res.set('Content-Type', artifact.content_type);
+    res.set('X-Artifact-SHA256', artifact.sha256);
+    res.attachment(artifact.name);
+    res.send(artifact.content);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
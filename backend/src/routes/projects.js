@@ -0,0 +1,92 @@
+const express = require('express');
+const projects = require('../services/projects');
+const { listTemplates } = require('../services/templates');
+const { assertCanUseCredentials } = require('../services/permissions');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+const projectId = (req) => parseInt(req.params.id, 10) || 0;
+
+// La credencial de git la usa cada sincronización: quien la asigna debe poder usarla
+const assertProjectCredential = async (req, current = null) => {
+  const credentialId = parseInt(req.body.credentialId, 10) || 0;
+  if (credentialId && credentialId !== (current && current.credentialId)) {
+    await assertCanUseCredentials(req.user.id, [credentialId]);
+  }
+};
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await projects.listProjects());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const project = await projects.getProject(projectId(req));
+    if (!project) {
+      return res.status(404).json({ error: 'Proyecto no encontrado' });
+    }
+    res.json(project);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Archivos del repositorio en ?ref= (por defecto la ref del proyecto), con los playbooks
+// y directorios de Terraform para elegir en un template
+router.get('/:id/tree', async (req, res) => {
+  try {
+    res.json(await projects.getProjectTree(projectId(req), req.query.ref || null));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// { name, description, url, ref, credentialId }
+router.post('/', requireCapability('projects:write'), async (req, res) => {
+  try {
+    await assertProjectCredential(req);
+    res.status(201).json(await projects.createProject(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.put('/:id', requireCapability('projects:write'), async (req, res) => {
+  try {
+    await assertProjectCredential(req, await projects.getProject(projectId(req)));
+    res.json(await projects.replaceProject(projectId(req), req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Traer los últimos cambios del repositorio: { ref } opcional -> { project, ref, commit }
+router.post('/:id/sync', requireCapability('projects:write'), async (req, res) => {
+  try {
+    res.json(await projects.syncProject(projectId(req), req.body.ref || null));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('projects:write'), async (req, res) => {
+  try {
+    const users = (await listTemplates()).filter(template => template.projectId === projectId(req));
+    if (users.length > 0) {
+      return res.status(409).json({
+        error: `El proyecto lo usan los templates: ${users.map(template => template.name).join(', ')}`
+      });
+    }
+    await projects.deleteProject(projectId(req));
+    res.json({ message: 'Proyecto eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
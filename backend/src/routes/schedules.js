@@ -0,0 +1,106 @@
+const express = require('express');
+const schedules = require('../services/schedules');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+const scheduleId = (req) => parseInt(req.params.id, 10) || 0;
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await schedules.listSchedules());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Disparos y próximas ejecuciones entre ?from y ?to (ISO, como máximo 62 días)
+router.get('/calendar', async (req, res) => {
+  try {
+    res.json(await schedules.getCalendar({ from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Próximas ejecuciones de { cron, timezone, startAt, endAt, count } sin guardar nada
+router.post('/preview', async (req, res) => {
+  try {
+    res.json(await schedules.previewRuns(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await schedules.getSchedule(scheduleId(req));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Programación no encontrada' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { name, cron, timezone, definition: { type, params, limits } | fromJobId, startAt, endAt,
+//   enabled, skipIfRunning }
+router.post('/', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    res.status(201).json(await schedules.createSchedule(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.put('/:id', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    res.json(await schedules.replaceSchedule(scheduleId(req), req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cambio parcial, p. ej. { enabled: false }
+router.patch('/:id', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    res.json(await schedules.patchSchedule(scheduleId(req), req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    await schedules.deleteSchedule(scheduleId(req));
+    res.json({ message: 'Programación eliminada' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Lanzar ahora como el usuario actual, sin mover la próxima ejecución
+router.post('/:id/run', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    const { run, job } = await schedules.runScheduleNow(scheduleId(req), req.user.id);
+    res.json({ jobId: job.id, status: job.status, run, message: 'Programación lanzada' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Historial de disparos: queued, skipped, failed o missed
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const schedule = await schedules.getSchedule(scheduleId(req));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Programación no encontrada' });
+    }
+    res.json(await schedules.listRuns(schedule.id, { limit: Math.min(parseInt(req.query.limit, 10) || 100, 500) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const settings = require('../services/settings');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Configuración global (límites por defecto de los jobs)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await settings.getSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/', requireCapability('settings:write'), async (req, res) => {
+  try {
+    res.json(await settings.updateSettings(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
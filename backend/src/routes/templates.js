@@ -0,0 +1,163 @@
+const express = require('express');
+const templates = require('../services/templates');
+const jobService = require('../services/jobService');
+const { buildJob } = require('../services/jobDefinitions');
+const { workflowsUsingTemplate } = require('../services/workflows');
+const webhooks = require('../services/webhooks');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+const templateId = (req) => parseInt(req.params.id, 10) || 0;
+
+// ?kind=ansible|terraform
+router.get('/', async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !templates.TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind debe ser uno de: ${templates.TEMPLATE_KINDS.join(', ')}` });
+    }
+    res.json(await templates.listTemplates({ kind }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bundle con todos los templates o ?ids=1,2; ?format=yaml|json (por defecto yaml)
+router.get('/export', async (req, res) => {
+  try {
+    const ids = req.query.ids
+      ? String(req.query.ids).split(',').map(id => parseInt(id, 10)).filter(Number.isInteger)
+      : null;
+    const file = await templates.exportTemplates({ ids, format: req.query.format || 'yaml' });
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.fileName);
+    res.send(file.content);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// { content, format: yaml|json, overwrite } -> { created, updated, skipped, warnings }
+router.post('/import', requireCapability('templates:write'), async (req, res) => {
+  try {
+    const { content, format, overwrite } = req.body;
+    res.json(await templates.importTemplates(content, { format, overwrite: overwrite === true }, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await templates.getTemplate(templateId(req));
+    if (!template) {
+      return res.status(404).json({ error: 'Template no encontrado' });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { name, description, kind, playbook | workingDir, inventoryId | workspace, variables,
+//   credentialIds, options, survey }
+router.post('/', requireCapability('templates:write'), async (req, res) => {
+  try {
+    res.status(201).json(await templates.createTemplate(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.put('/:id', requireCapability('templates:write'), async (req, res) => {
+  try {
+    res.json(await templates.replaceTemplate(templateId(req), req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('templates:write'), async (req, res) => {
+  try {
+    const usedBy = await workflowsUsingTemplate(templateId(req));
+    if (usedBy.length > 0) {
+      return res.status(409).json({ error: `El template lo usan workflows (${usedBy.join(', ')}): cámbialos antes de borrarlo` });
+    }
+    await templates.deleteTemplate(templateId(req));
+    res.json({ message: 'Template eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Crear un job desde el template. Opcional: name, inventory, inventoryRevision, checkMode, workspace,
+// operation, variables, credentialIds, limits y answers (respuestas a la encuesta)
+router.post('/:id/launch', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    const job = await jobService.submitJob({
+      ...(await buildJob({ type: 'template', params: { ...req.body, templateId: templateId(req) } })),
+      userId: req.user.id
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: 'Template lanzado'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Webhook de entrada del template (sin el secreto), o 404 si no tiene
+router.get('/:id/webhook', async (req, res) => {
+  try {
+    const webhook = await webhooks.getWebhook(templateId(req));
+    if (!webhook) {
+      return res.status(404).json({ error: 'El template no tiene webhook' });
+    }
+    res.json(webhook);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { provider: github|gitlab, enabled, filters: { events, branches }, mappings: { variable: fuente } }.
+// Los jobs se lanzan como quien lo guarda; al crearlo la respuesta incluye el secreto.
+router.put('/:id/webhook', requireCapability('templates:write'), requireCapability('jobs:run'), async (req, res) => {
+  try {
+    res.json(await webhooks.saveWebhook(templateId(req), req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id/webhook', requireCapability('templates:write'), async (req, res) => {
+  try {
+    await webhooks.deleteWebhook(templateId(req));
+    res.json({ message: 'Webhook eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Genera un secreto nuevo y lo devuelve; el anterior deja de valer
+router.post('/:id/webhook/secret', requireCapability('templates:write'), async (req, res) => {
+  try {
+    res.json(await webhooks.rotateSecret(templateId(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Últimas entregas: triggered (con jobId), skipped, rejected o failed (con reason)
+router.get('/:id/webhook/deliveries', async (req, res) => {
+  try {
+    res.json(await webhooks.listDeliveries(templateId(req)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
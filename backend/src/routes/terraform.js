@@ -0,0 +1,233 @@
+const express = require('express');
+const jobService = require('../services/jobService');
+const { buildPlanApply } = require('../services/jobDefinitions');
+const { isValidWorkspace, isValidAddress, workingDirError } = require('../services/terraformRunner');
+const { terraformSource } = require('../services/projects');
+
+const router = express.Router();
+
+// Campos comunes: name, workingDir dentro de TERRAFORM_WORKING_DIR_ROOT (o projectId, con
+// projectPath y projectRef opcionales) y workspace válidos
+const validateTarget = ({ name, workingDir, projectId, workspace }) => {
+  if (!name || !(workingDir || projectId)) {
+    return 'Faltan campos obligatorios: name, workingDir (o projectId)';
+  }
+  if (!isValidWorkspace(workspace)) {
+    return `Nombre de workspace inválido: ${workspace}`;
+  }
+  return projectId ? null : workingDirError(workingDir);
+};
+
+// Plan
+router.post('/plan', async (req, res) => {
+  try {
+    const { name, workspace = 'default', variables = {}, refresh = true, credentialIds } = req.body;
+
+    const validationError = validateTarget({ ...req.body, name, workspace });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const job = await jobService.submitJob({
+      name: `${name} - Plan`,
+      type: 'terraform-plan',
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload: { ...await terraformSource(req.body), workspace, variables, refresh: refresh !== false, credentialIds }
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: 'Terraform plan encolado para ejecución'
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Apply: fijado al plan revisado (planJobId) o explícitamente con autoApprove
+router.post('/apply', async (req, res) => {
+  try {
+    const {
+      name, workspace = 'default', variables = {}, planJobId, autoApprove = false, credentialIds
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Falta el campo obligatorio: name' });
+    }
+
+    let payload;
+
+    if (planJobId) {
+      ({ payload } = await buildPlanApply({ name, planJobId, credentialIds }));
+    } else if (autoApprove) {
+      const validationError = validateTarget({ ...req.body, name, workspace });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      payload = { ...await terraformSource(req.body), workspace, variables, autoApprove: true, credentialIds };
+    } else {
+      return res.status(400).json({
+        error: 'Indica el planJobId del plan revisado o autoApprove para aplicar sin plan'
+      });
+    }
+
+    const job = await jobService.submitJob({
+      name: `${name} - Apply`,
+      type: 'terraform-apply',
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: 'Terraform apply encolado para ejecución'
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Destroy: exige escribir el nombre del workspace como confirmación
+router.post('/destroy', async (req, res) => {
+  try {
+    const { name, workspace = 'default', variables = {}, confirm, credentialIds } = req.body;
+
+    const validationError = validateTarget({ ...req.body, name, workspace });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (confirm !== workspace) {
+      return res.status(400).json({
+        error: `Para destruir escribe el nombre del workspace "${workspace}" en confirm`
+      });
+    }
+
+    const job = await jobService.submitJob({
+      name: `${name} - Destroy`,
+      type: 'terraform-destroy',
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload: { ...await terraformSource(req.body), workspace, variables, credentialIds }
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: 'Terraform destroy encolado para ejecución'
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Init (crea el workspace si no existe)
+router.post('/init', async (req, res) => {
+  try {
+    const { name, workspace = 'default', upgrade = false, credentialIds } = req.body;
+
+    const validationError = validateTarget({ ...req.body, name, workspace });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const job = await jobService.submitJob({
+      name: `${name} - Init`,
+      type: 'terraform-init',
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload: { ...await terraformSource(req.body), workspace, upgrade: Boolean(upgrade), credentialIds }
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: 'Terraform init encolado para ejecución'
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// State: list, show <address>, mv <address> <destination>, rm <address>
+router.post('/state', async (req, res) => {
+  try {
+    const {
+      name, workspace = 'default', operation, address, destination, credentialIds
+    } = req.body;
+
+    const validationError = validateTarget({ ...req.body, name, workspace });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!['list', 'show', 'mv', 'rm'].includes(operation)) {
+      return res.status(400).json({ error: 'operation debe ser list, show, mv o rm' });
+    }
+    if (operation !== 'list' && !isValidAddress(address)) {
+      return res.status(400).json({ error: `Dirección de recurso inválida: ${address}` });
+    }
+    if (operation === 'mv' && !isValidAddress(destination)) {
+      return res.status(400).json({ error: `Dirección de destino inválida: ${destination}` });
+    }
+
+    const job = await jobService.submitJob({
+      name: `${name} - State ${operation}`,
+      type: 'terraform-state',
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload: { ...await terraformSource(req.body), workspace, operation, address, destination, credentialIds }
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: `Terraform state ${operation} encolado para ejecución`
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Workspaces: list, select y new
+router.post('/workspaces/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { name, workspace = 'default', credentialIds } = req.body;
+
+    if (!['list', 'select', 'new'].includes(action)) {
+      return res.status(404).json({ error: `Acción de workspace desconocida: ${action}` });
+    }
+
+    const validationError = validateTarget({ ...req.body, name, workspace });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const job = await jobService.submitJob({
+      name: `${name} - Workspace ${action}`,
+      type: 'terraform-workspace',
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload: { ...await terraformSource(req.body), action, workspace, credentialIds }
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: `Terraform workspace ${action} encolado para ejecución`
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const users = require('../services/users');
+const auth = require('../services/auth');
+const permissions = require('../services/permissions');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Gestión de usuarios: consulta para admin y auditor, cambios solo admin
+router.get('/', requireCapability('users:read'), async (req, res) => {
+  try {
+    res.json(await users.listUsers());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireCapability('users:write'), async (req, res) => {
+  try {
+    const { username, email, password, role } = req.body;
+    res.status(201).json(await users.createUser({ username, email, password, role }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cambiar email, rol o restablecer la contraseña de un usuario
+router.patch('/:id', requireCapability('users:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10) || 0;
+    const { username, email, role, password } = req.body;
+
+    if (id === req.user.id && role !== undefined && role !== req.user.role) {
+      return res.status(400).json({ error: 'No puedes cambiar tu propio rol' });
+    }
+
+    const user = await users.updateUser(id, { username, email, role, password });
+    if (password !== undefined) {
+      await auth.revokeUserTokens(id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('users:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10) || 0;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'No puedes eliminar tu propio usuario' });
+    }
+
+    await auth.revokeUserTokens(id);
+    await users.deleteUser(id);
+    res.json({ message: 'Usuario eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Permisos por inventario, workspace o credencial: { scopeType, scope, actions }
+router.get('/:id/grants', requireCapability('users:read'), async (req, res) => {
+  try {
+    res.json(await permissions.listGrants(parseInt(req.params.id, 10) || 0));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/grants', requireCapability('users:write'), async (req, res) => {
+  try {
+    const { scopeType, scope, actions } = req.body;
+    const grant = await permissions.grant(parseInt(req.params.id, 10) || 0, { scopeType, scope, actions });
+    res.status(201).json(grant);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id/grants/:grantId', requireCapability('users:write'), async (req, res) => {
+  try {
+    await permissions.revoke(parseInt(req.params.id, 10) || 0, parseInt(req.params.grantId, 10) || 0);
+    res.json({ message: 'Permiso revocado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { receiveDelivery } = require('../services/webhooks');
+
+const router = express.Router();
+
+// Entrega de GitHub/GitLab. Pública: se autentica con la firma o el token del secreto del
+// webhook, calculados sobre el cuerpo sin parsear (server.js lo monta con express.raw)
+router.post('/templates/:id', async (req, res) => {
+  try {
+    const result = await receiveDelivery(parseInt(req.params.id, 10) || 0, {
+      headers: req.headers,
+      rawBody: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+    });
+    res.status(result.status === 'triggered' ? 201 : 202).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const workflows = require('../services/workflows');
+const { requireCapability } = require('../middleware/auth');
+
+const router = express.Router();
+
+const workflowId = (req) => parseInt(req.params.id, 10) || 0;
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await workflows.listWorkflows());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const workflow = await workflows.getWorkflow(workflowId(req));
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow no encontrado' });
+    }
+    res.json(workflow);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { name, description, nodes: [{ id, templateId, overrides, inputs, planFrom }],
+//   edges: [{ from, to, on: success|failure|always }], variables }
+router.post('/', requireCapability('templates:write'), async (req, res) => {
+  try {
+    res.status(201).json(await workflows.createWorkflow(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.put('/:id', requireCapability('templates:write'), async (req, res) => {
+  try {
+    res.json(await workflows.replaceWorkflow(workflowId(req), req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireCapability('templates:write'), async (req, res) => {
+  try {
+    await workflows.deleteWorkflow(workflowId(req));
+    res.json({ message: 'Workflow eliminado' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Lanzar una ejecución: { variables } opcional, para todos los nodos. Cada nodo se
+// comprueba con los permisos del usuario al lanzarse.
+router.post('/:id/launch', requireCapability('jobs:run'), async (req, res) => {
+  try {
+    const job = await workflows.launchWorkflow(workflowId(req), { variables: req.body.variables }, req.user.id);
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      message: 'Workflow lanzado'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -14,8 +14,14 @@ const io = socketIo(server, {
   }
 });
 
+const config = require('./config');
+
 // Middleware
 app.use(cors());
+// Los workspaces de Ansible se suben como .tar.gz en base64, más grandes que el límite por defecto
+app.use('/api/ansible/workspaces', express.json({ limit: `${Math.ceil(config.ansibleWorkspaces.maxUploadMb * 4 / 3) + 1}mb` }));
+// Los webhooks de entrada se verifican con la firma del cuerpo tal cual llega
+app.use('/api/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -31,43 +37,37 @@ app.use(express.static(path.join(__dirname, '../../frontend')));
 // Hacer io disponible globalmente para los workers
 global.io = io;
 
-// Storage en memoria para demo
-let jobs = [
-  {
-    id: 1,
-    name: 'Deploy Web Server',
-    type: 'ansible-playbook',
-    status: 'completed',
-    created_at: new Date().toISOString(),
-    result: { output: 'Playbook ejecutado exitosamente', exitCode: 0 }
-  },
-  {
-    id: 2,
-    name: 'AWS Infrastructure',
-    type: 'terraform-plan',
-    status: 'running',
-    created_at: new Date(Date.now() - 300000).toISOString()
-  }
-];
-
-let inventories = [
-  {
-    id: 1,
-    name: 'localhost',
-    description: 'Inventario local para pruebas',
-    hosts: {
-      all: {
-        hosts: {
-          localhost: {
-            ansible_connection: 'local',
-            ansible_host: '127.0.0.1'
-          }
-        }
-      }
-    },
-    created_at: new Date().toISOString()
-  }
-];
+const jobService = require('./services/jobService');
+const { getLogs } = require('./services/jobLogs');
+const { assertCanReadJob } = require('./services/permissions');
+const jobsRoutes = require('./routes/jobs');
+const terraformRoutes = require('./routes/terraform');
+const ansibleRoutes = require('./routes/ansible');
+const settingsRoutes = require('./routes/settings');
+const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const { authenticate, requireCapability, authenticateSocket } = require('./middleware/auth');
+const { bootstrapAdmin } = require('./services/users');
+const credentialsRoutes = require('./routes/credentials');
+const inventoriesRoutes = require('./routes/inventories');
+const hostsRoutes = require('./routes/hosts');
+const schedulesRoutes = require('./routes/schedules');
+const templatesRoutes = require('./routes/templates');
+const projectsRoutes = require('./routes/projects');
+const workflowsRoutes = require('./routes/workflows');
+const approvalsRoutes = require('./routes/approvals');
+const webhooksRoutes = require('./routes/webhooks');
+const { registerAllHosts } = require('./services/inventories');
+const { startSyncScheduler } = require('./services/inventorySync');
+const { startScheduler } = require('./services/schedules');
+const { seedTemplates } = require('./services/templates');
+const { startWorkflowEngine } = require('./services/workflows');
+const { startApprovalMonitor } = require('./services/approvals');
+
+// Fuera del modo demo el worker de BullMQ corre en el mismo proceso (usa global.io)
+if (!config.demoMode) {
+  require('./services/worker');
+}
 
 // Health check
 app.get('/health', (req, res) => {
@@ -78,281 +78,98 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Jobs API
-app.get('/api/jobs', async (req, res) => {
-  try {
-    res.json(jobs);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get('/api/jobs/:id', async (req, res) => {
-  try {
-    const job = jobs.find(j => j.id == req.params.id);
-    if (!job) {
-      return res.status(404).json({ error: 'Job no encontrado' });
-    }
-    res.json(job);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Autenticación: /api/auth/login|refresh|logout son públicas, el resto de /api exige token
+app.use('/api/auth', authRoutes);
+// Webhooks de entrada: sin token, cada entrega se autentica con el secreto de su webhook
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api', authenticate);
+app.use('/api/users', usersRoutes);
 
-// Ansible Playbook Execution
-app.post('/api/ansible/playbook', async (req, res) => {
-  try {
-    const { name, playbook, inventory, variables = {} } = req.body;
-    
-    if (!name || !playbook || !inventory) {
-      return res.status(400).json({ 
-        error: 'Faltan campos obligatorios: name, playbook, inventory' 
-      });
-    }
-
-    // Crear nuevo job
-    const newJob = {
-      id: Date.now(),
-      name,
-      type: 'ansible-playbook',
-      status: 'queued',
-      created_at: new Date().toISOString(),
-      payload: { playbook, inventory, variables }
-    };
-
-    jobs.unshift(newJob);
-
-    // Simular procesamiento
-    setTimeout(() => {
-      // Actualizar a running
-      const job = jobs.find(j => j.id === newJob.id);
-      if (job) {
-        job.status = 'running';
-        job.started_at = new Date().toISOString();
-        
-        // Emitir log en tiempo real
-        if (global.io) {
-          global.io.emit('job-log', {
-            jobId: newJob.id,
-            log: `Iniciando ejecución del playbook "${name}"...\n`,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
-      
-      // Simular finalización después de 5 segundos
-      setTimeout(() => {
-        const jobToComplete = jobs.find(j => j.id === newJob.id);
-        if (jobToComplete) {
-          jobToComplete.status = 'completed';
-          jobToComplete.completed_at = new Date().toISOString();
-          jobToComplete.result = {
-            output: `Playbook "${name}" ejecutado exitosamente (simulación)\n\nTASK [Gathering Facts] ****\nok: [localhost]\n\nTASK [Debug message] ****\nok: [localhost] => {\n    "msg": "Playbook ejecutado desde Conductor"\n}\n\nPLAY RECAP ****\nlocalhost : ok=2    changed=0    unreachable=0    failed=0`,
-            exitCode: 0
-          };
-          
-          if (global.io) {
-            global.io.emit('job-completed', {
-              jobId: newJob.id,
-              status: 'completed',
-              result: jobToComplete.result
-            });
-          }
-        }
-      }, 4000);
-      
-    }, 1000);
-
-    res.json({
-      jobId: newJob.id,
-      status: 'queued',
-      message: 'Playbook encolado para ejecución'
-    });
-
-  } catch (error) {
-    console.error('Error ejecutando playbook:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Jobs API
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/credentials', credentialsRoutes);
+app.use('/api/inventories', inventoriesRoutes);
+app.use('/api/hosts', hostsRoutes);
+app.use('/api/schedules', schedulesRoutes);
+app.use('/api/templates', templatesRoutes);
+app.use('/api/projects', projectsRoutes);
+app.use('/api/workflows', workflowsRoutes);
+app.use('/api/approvals', approvalsRoutes);
+
+// Ansible: ejecución y validación de playbooks
+app.use('/api/ansible', ansibleRoutes);
 
 // Terraform Operations
-app.post('/api/terraform/plan', async (req, res) => {
-  try {
-    const { name, workingDir, variables = {} } = req.body;
-    
-    const newJob = {
-      id: Date.now() + 1,
-      name: `${name} - Plan`,
-      type: 'terraform-plan',
-      status: 'queued',
-      created_at: new Date().toISOString(),
-      payload: { workingDir, variables }
-    };
-
-    jobs.unshift(newJob);
-
-    // Simular procesamiento
-    setTimeout(() => {
-      const job = jobs.find(j => j.id === newJob.id);
-      if (job) {
-        job.status = 'running';
-        job.started_at = new Date().toISOString();
-      }
-      
-      setTimeout(() => {
-        const jobToComplete = jobs.find(j => j.id === newJob.id);
-        if (jobToComplete) {
-          jobToComplete.status = 'completed';
-          jobToComplete.completed_at = new Date().toISOString();
-          jobToComplete.result = {
-            output: `Terraform plan completado (simulación)\n\nTerraform used the selected providers to generate the following execution plan.\nResource actions are indicated with the following symbols:\n  + create\n\nTerraform will perform the following actions:\n\n  # aws_instance.example will be created\n  + resource "aws_instance" "example" {\n      + ami                    = "ami-0c02fb55956c7d316"\n      + instance_type          = "t3.micro"\n    }\n\nPlan: 1 to add, 0 to change, 0 to destroy.`,
-            plan: 'Plan: 1 to add, 0 to change, 0 to destroy',
-            exitCode: 0
-          };
-          
-          if (global.io) {
-            global.io.emit('job-completed', {
-              jobId: newJob.id,
-              status: 'completed',
-              result: jobToComplete.result
-            });
-          }
-        }
-      }, 6000);
-      
-    }, 1000);
-
-    res.json({
-      jobId: newJob.id,
-      status: 'queued',
-      message: 'Terraform plan encolado para ejecución'
-    });
-
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.post('/api/terraform/apply', async (req, res) => {
-  try {
-    const { name, workingDir, variables = {} } = req.body;
-    
-    const newJob = {
-      id: Date.now() + 2,
-      name: `${name} - Apply`,
-      type: 'terraform-apply',
-      status: 'queued',
-      created_at: new Date().toISOString(),
-      payload: { workingDir, variables }
-    };
-
-    jobs.unshift(newJob);
-
-    // Simular procesamiento más largo para apply
-    setTimeout(() => {
-      const job = jobs.find(j => j.id === newJob.id);
-      if (job) {
-        job.status = 'running';
-        job.started_at = new Date().toISOString();
-      }
-      
-      setTimeout(() => {
-        const jobToComplete = jobs.find(j => j.id === newJob.id);
-        if (jobToComplete) {
-          jobToComplete.status = 'completed';
-          jobToComplete.completed_at = new Date().toISOString();
-          jobToComplete.result = {
-            output: `Terraform apply completado (simulación)\n\naws_instance.example: Creating...\naws_instance.example: Still creating... [10s elapsed]\naws_instance.example: Still creating... [20s elapsed]\naws_instance.example: Creation complete after 22s [id=i-0abc123def456]\n\nApply complete! Resources: 1 added, 0 changed, 0 destroyed.\n\nOutputs:\n\ninstance_ip = "54.123.45.67"`,
-            applied: 'Apply complete! Resources: 1 added, 0 changed, 0 destroyed',
-            exitCode: 0
-          };
-          
-          if (global.io) {
-            global.io.emit('job-completed', {
-              jobId: newJob.id,
-              status: 'completed',
-              result: jobToComplete.result
-            });
-          }
-        }
-      }, 10000);
-      
-    }, 1000);
-
-    res.json({
-      jobId: newJob.id,
-      status: 'queued',
-      message: 'Terraform apply encolado para ejecución'
-    });
-
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Inventarios
-app.get('/api/inventories', async (req, res) => {
-  try {
-    res.json(inventories);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.post('/api/inventories', async (req, res) => {
-  try {
-    const { name, description, hosts, variables = {} } = req.body;
-    
-    const newInventory = {
-      id: Date.now(),
-      name,
-      description,
-      hosts,
-      variables,
-      created_at: new Date().toISOString()
-    };
-
-    inventories.unshift(newInventory);
-    res.json(newInventory);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+app.use('/api/terraform', terraformRoutes);
 
 // Endpoint de prueba simple
 app.post('/api/test/echo', async (req, res) => {
   try {
     const { message } = req.body;
-    
-    const newJob = {
-      id: Date.now() + 3,
+
+    const job = await jobService.submitJob({
       name: `Echo: ${message}`,
       type: 'test-echo',
-      status: 'completed',
-      created_at: new Date().toISOString(),
-      result: { output: `Echo: ${message}`, exitCode: 0 }
-    };
-
-    jobs.unshift(newJob);
+      limits: req.body.limits,
+      userId: req.user.id,
+      payload: { message }
+    });
 
     res.json({
-      jobId: newJob.id,
-      status: 'completed',
+      jobId: job.id,
+      status: job.status,
       message: `Echo job creado: ${message}`
     });
 
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Socket.IO para logs en tiempo real
+// Las conexiones WebSocket también necesitan un access token válido
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log('Cliente conectado:', socket.id);
+  console.log(`Cliente conectado: ${socket.id} (${socket.user.username})`);
   
-  socket.on('subscribe-job', (jobId) => {
+  // Acepta el id o { jobId, since }: si el usuario puede ver el job, primero entra en la
+  // sala y luego reenvía los fragmentos guardados con seq > since; el cliente descarta
+  // los seq repetidos
+  socket.on('subscribe-job', async (data) => {
+    const { jobId: requested, since = 0 } = typeof data === 'object' && data !== null ? data : { jobId: data };
+    const jobId = parseInt(requested, 10) || 0;
+
+    try {
+      const job = await jobService.getJob(jobId);
+      if (!job) {
+        return;
+      }
+      await assertCanReadJob(socket.user.id, job);
+    } catch (error) {
+      console.log(`⚠️  ${socket.user.username} no puede suscribirse al job ${jobId}: ${error.message}`);
+      return;
+    }
+
     socket.join(`job-${jobId}`);
     console.log(`Cliente suscrito a job ${jobId}`);
+
+    try {
+      const logs = await getLogs(jobId, parseInt(since, 10) || 0);
+      logs.forEach(entry => {
+        socket.emit('job-log', {
+          jobId,
+          seq: entry.seq,
+          stream: entry.stream,
+          log: entry.chunk,
+          timestamp: entry.created_at,
+          replay: true
+        });
+      });
+    } catch (error) {
+      console.error(`Error reenviando logs del job ${jobId}:`, error.message);
+    }
   });
 
   socket.on('unsubscribe-job', (jobId) => {
@@ -374,6 +191,37 @@ const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 Conductor Backend ejecutándose en puerto ${PORT}`);
   console.log(`📊 Dashboard disponible en http://localhost:${PORT}`);
-  console.log(`🔧 Modo demo - Simulación de jobs`);
-  console.log(`💾 Datos almacenados en memoria`);
+  if (config.demoMode) {
+    console.log(`🔧 Modo demo - Simulación de jobs`);
+    console.log(`💾 Datos almacenados en memoria`);
+  } else {
+    console.log(`⚙️  Jobs ejecutados por el worker (BullMQ + PostgreSQL)`);
+  }
+});
+
+// Sincronización periódica de los inventarios dinámicos con intervalMinutes
+startSyncScheduler();
+
+// Programaciones cron de jobs (lanza también lo vencido mientras el servidor estaba parado)
+startScheduler();
+
+// Workflows: avanzan cuando termina cada nodo (y se retoman los que quedaron a medias)
+startWorkflowEngine();
+
+// Aprobaciones: caducan los jobs que no reúnen sus aprobaciones a tiempo
+startApprovalMonitor();
+
+// Registro de hosts con los hosts de los inventarios existentes
+registerAllHosts().catch(error => {
+  console.error('❌ Error registrando los hosts de los inventarios:', error.message);
+});
+
+// Templates de ejemplo la primera vez que arranca
+seedTemplates().catch(error => {
+  console.error('❌ Error creando los templates de ejemplo:', error.message);
+});
+
+// Crear el administrador inicial si la tabla users está vacía
+bootstrapAdmin().catch(error => {
+  console.error('❌ Error creando el usuario administrador:', error.message);
 });
\ No newline at end of file
@@ -0,0 +1,248 @@
+// Inventarios de Ansible: renderizado a YAML (formato nativo con children y vars) y
+// validación con `ansible-inventory --list` antes de encolar un job. También ejecuta las
+// demás herramientas de validación (p. ej. `ansible-playbook --syntax-check`).
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const { checkDockerAvailable, sandboxArgs } = require('./dockerRunner');
+const { getJobDefaults } = require('./settings');
+const { validateHosts } = require('./inventories');
+
+const ANSIBLE_IMAGE = process.env.ANSIBLE_IMAGE || 'quay.io/ansible/ansible-runner:latest';
+
+// Segundos máximos que puede tardar una herramienta de ansible al validar
+const VALIDATE_TIMEOUT_SECONDS = 60;
+
+// Solo los plugins de archivos estáticos: validar nunca ejecuta scripts ni consulta APIs cloud
+const INVENTORY_ENV = {
+  ANSIBLE_INVENTORY_ENABLED: 'yaml,ini',
+  ANSIBLE_INVENTORY_UNPARSED_FAILED: 'True',
+  ANSIBLE_NOCOLOR: '1'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Documento YAML del inventario: los grupos tal cual y las variables del inventario en
+// all.vars (las de all.vars escritas en los hosts tienen prioridad)
+const buildInventoryDocument = (hosts = {}, variables = {}) => {
+  const document = JSON.parse(JSON.stringify(hosts || {}));
+  if (variables && Object.keys(variables).length > 0) {
+    const all = isPlainObject(document.all) ? document.all : {};
+    document.all = { ...all, vars: { ...variables, ...(all.vars || {}) } };
+  }
+  return document;
+};
+
+// js-yaml entrecomilla los valores que lo necesitan y mantiene listas y diccionarios anidados
+const renderInventory = (hosts, variables) => yaml.dump(buildInventoryDocument(hosts, variables), {
+  noRefs: true,
+  lineWidth: -1
+});
+
+// Escribe el inventario en dir: objeto -> inventory.yml, texto (INI o YAML escrito a mano) -> inventory.ini
+// o inventory.yml según su contenido. Devuelve el nombre del archivo.
+const writeInventoryFile = async (dir, inventory, variables = {}) => {
+  if (typeof inventory === 'object' && inventory !== null) {
+    await fs.writeFile(path.join(dir, 'inventory.yml'), renderInventory(inventory, variables));
+    return 'inventory.yml';
+  }
+
+  const content = String(inventory || '');
+  const fileName = looksLikeYaml(content) ? 'inventory.yml' : 'inventory.ini';
+  await fs.writeFile(path.join(dir, fileName), content);
+  return fileName;
+};
+
+// Un INI empieza por [grupo] o por hosts sueltos; un YAML, por `grupo:`
+const looksLikeYaml = (content) => {
+  const firstLine = content.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#'));
+  return Boolean(firstLine) && /^[A-Za-z0-9_-]+:\s*$/.test(firstLine);
+};
+
+// Grupos y hosts de un documento de inventario (para el resumen cuando no hay ansible-inventory)
+const summarizeDocument = (document) => {
+  const groups = new Set(['all']);
+  const hosts = new Set();
+
+  const visit = (name, group) => {
+    groups.add(name);
+    if (!isPlainObject(group)) return;
+    Object.keys(group.hosts || {}).forEach(host => hosts.add(host));
+    Object.entries(group.children || {}).forEach(([child, data]) => visit(child, data));
+  };
+  Object.entries(document).forEach(([name, group]) => visit(name, group));
+
+  return { groups: [...groups].sort(), hosts: [...hosts].sort() };
+};
+
+// Grupos y hosts que tendrá el inventario renderizado
+const summarizeInventory = (hosts, variables) => summarizeDocument(buildInventoryDocument(hosts, variables));
+
+// Grupos y hosts de la salida de `ansible-inventory --list`
+const summarizeListOutput = (list) => {
+  const hosts = new Set(Object.keys((list._meta && list._meta.hostvars) || {}));
+  Object.entries(list).forEach(([name, group]) => {
+    if (name !== '_meta' && group && Array.isArray(group.hosts)) {
+      group.hosts.forEach(host => hosts.add(host));
+    }
+  });
+  const groups = Object.keys(list).filter(name => name !== '_meta');
+  return { groups: groups.sort(), hosts: [...hosts].sort() };
+};
+
+// Mensajes de ansible: "[WARNING]: ...", "ERROR! ..." o "[ERROR]: ..."
+const parseDiagnostics = (stderr) => {
+  const errors = [];
+  const warnings = [];
+  let current = null;
+
+  stderr.split('\n').forEach(line => {
+    const match = line.match(/^\[?(ERROR|WARNING)\]?[:!]\s*(.*)$/);
+    if (match) {
+      current = match[1] === 'ERROR' ? errors : warnings;
+      current.push(match[2].trim());
+    } else if (current && line.trim()) {
+      // Continuación del mensaje anterior
+      current[current.length - 1] += ` ${line.trim()}`;
+    }
+  });
+
+  return { errors, warnings };
+};
+
+// Ejecuta un comando con timeout y devuelve { code, stdout, stderr }. Con containerName
+// (docker run --name) el timeout mata también el contenedor: matar el cliente de docker lo dejaría corriendo
+const run = (command, args, env, tool, containerName = null) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { env: { ...process.env, ...env } });
+  let stdout = '';
+  let stderr = '';
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    if (containerName) {
+      spawn('docker', ['kill', containerName], { stdio: 'ignore' }).on('error', () => {});
+    }
+    child.kill('SIGKILL');
+  }, VALIDATE_TIMEOUT_SECONDS * 1000);
+
+  child.stdout.on('data', (data) => { stdout += data.toString(); });
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (timedOut) {
+      stderr += `\nERROR! ${tool} no terminó en ${VALIDATE_TIMEOUT_SECONDS}s`;
+    }
+    resolve({ code, stdout, stderr });
+  });
+});
+
+// `tool` (ansible-inventory, ansible-playbook) sobre los archivos de `dir`, en Docker (sin
+// red, montado en /inventory) o con el binario local. `buildArgs(file)` recibe la función
+// que da la ruta de un archivo tal como la ve la herramienta. Devuelve null si no hay
+// forma de ejecutarla.
+const runAnsibleTool = async (dir, tool, buildArgs) => {
+  if (await checkDockerAvailable()) {
+    const limits = { ...(await getJobDefaults()), network: 'none' };
+    const containerName = `conductor-validate-${crypto.randomBytes(6).toString('hex')}`;
+    return run('docker', [
+      'run', '--rm', '--name', containerName,
+      ...sandboxArgs(limits),
+      '-v', `${dir}:/inventory:ro`,
+      ...Object.keys(INVENTORY_ENV).flatMap(key => ['-e', key]),
+      ANSIBLE_IMAGE,
+      tool, ...buildArgs(name => `/inventory/${name}`)
+    ], INVENTORY_ENV, tool, containerName);
+  }
+
+  if (config.sandbox.requireDocker) {
+    return null;
+  }
+
+  try {
+    return await run(tool, buildArgs(name => path.join(dir, name)), INVENTORY_ENV, tool);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Valida un inventario tal como lo recibiría el worker: objeto de grupos (más variables
+// del inventario) o texto INI/YAML. Devuelve { valid, errors, warnings, groups, hosts,
+// checkedWith, rendered }.
+const validateInventorySource = async ({ hosts, variables = {}, content }) => {
+  const isObject = hosts !== undefined && hosts !== null;
+  const report = { valid: true, errors: [], warnings: [], groups: [], hosts: [], checkedWith: 'conductor' };
+
+  if (isObject) {
+    try {
+      validateHosts(hosts, variables);
+    } catch (error) {
+      return { ...report, valid: false, errors: [error.message] };
+    }
+    report.rendered = renderInventory(hosts, variables);
+    Object.assign(report, summarizeInventory(hosts, variables));
+  } else if (typeof content === 'string' && content.trim()) {
+    report.rendered = content;
+  } else {
+    return { ...report, valid: false, errors: ['Falta el inventario: hosts o content'] };
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conductor-inventory-'));
+  try {
+    const fileName = await writeInventoryFile(dir, isObject ? hosts : content, variables);
+    const result = await runAnsibleTool(dir, 'ansible-inventory', file => ['-i', file(fileName), '--list']);
+
+    if (!result) {
+      report.warnings.push(
+        isObject
+          ? 'ansible-inventory no está disponible: solo se ha validado la estructura'
+          : 'ansible-inventory no está disponible: el inventario de texto no se ha podido validar'
+      );
+      return report;
+    }
+
+    // Los mensajes citan el archivo por su nombre, sin el directorio temporal
+    const stderr = result.stderr.split(`${dir}/`).join('').split('/inventory/').join('');
+    const diagnostics = parseDiagnostics(stderr);
+    report.checkedWith = 'ansible-inventory';
+    report.warnings.push(...diagnostics.warnings);
+
+    if (result.code !== 0) {
+      report.valid = false;
+      report.errors.push(...(diagnostics.errors.length > 0
+        ? diagnostics.errors
+        : [`ansible-inventory falló con código ${result.code}`]));
+      return report;
+    }
+
+    try {
+      Object.assign(report, summarizeListOutput(JSON.parse(result.stdout)));
+    } catch (error) {
+      report.warnings.push('No se pudo interpretar la salida de ansible-inventory');
+    }
+    return report;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  ANSIBLE_IMAGE,
+  renderInventory,
+  summarizeInventory,
+  writeInventoryFile,
+  validateInventorySource,
+  parseDiagnostics,
+  runAnsibleTool
+};
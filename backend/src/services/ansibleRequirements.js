@@ -0,0 +1,132 @@
+// requirements.yml de un workspace o proyecto de Ansible: sus roles y colecciones se instalan
+// antes del playbook en una caché compartida, con un directorio por hash de los requirements
+// (y de los archivos locales que referencian), así que una ejecución con los mismos no reinstala.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const { ANSIBLE_IMAGE } = require('./ansibleInventory');
+
+// Ubicaciones que usa ansible-galaxy (y AWX): la raíz, roles/ y collections/
+const REQUIREMENTS_FILES = [
+  'requirements.yml', 'requirements.yaml',
+  'roles/requirements.yml', 'roles/requirements.yaml',
+  'collections/requirements.yml', 'collections/requirements.yaml'
+];
+
+const cacheRoot = () => config.ansibleWorkspaces.requirementsCacheDir;
+
+const requirementsCachePath = (hash) => path.join(cacheRoot(), hash);
+
+// Un rol es un texto (`src`) o un objeto con `src`; una colección, un texto (`name`) o un
+// objeto con `name` o `source`, que pueden ser la ruta de un .tar.gz o de un directorio
+const entrySources = (entry) => (typeof entry === 'string'
+  ? [entry]
+  : [entry && entry.src, entry && entry.name, entry && entry.source].filter(value => typeof value === 'string'));
+
+// Archivos de `dir` (recursivo, ordenados) para el hash de una fuente local que es un directorio
+const listFiles = async (dir, prefix = '') => {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+};
+
+// Rutas locales de los requirements (relativas a la raíz del workspace, que es donde corre
+// ansible-galaxy); las absolutas se rechazan porque leerían el sistema del servidor
+const localSources = async (sourceDir, file, entries) => {
+  const sources = [];
+  for (const value of entries.flatMap(entrySources)) {
+    const candidate = value.replace(/^file:\/\//, '');
+    if (path.isAbsolute(candidate)) {
+      throw new Error(`${file}: "${value}" debe ser una ruta relativa al workspace`);
+    }
+    const resolved = path.resolve(sourceDir, candidate);
+    if (resolved !== sourceDir && !resolved.startsWith(`${sourceDir}${path.sep}`)) {
+      throw new Error(`${file}: "${value}" sale del workspace`);
+    }
+    // Lo que no existe como ruta es un nombre de Galaxy o una URL
+    const stat = await fs.stat(resolved).catch(() => null);
+    if (stat) {
+      sources.push({ path: path.relative(sourceDir, resolved), directory: stat.isDirectory() });
+    }
+  }
+  return sources;
+};
+
+// Requirements del workspace: { hash, files: [{ file, roles, collections }] } o null si no hay.
+// El hash incluye la imagen de Ansible, para no reutilizar lo instalado con otra versión.
+const readRequirements = async (sourceDir) => {
+  const hash = crypto.createHash('sha256').update(`${ANSIBLE_IMAGE}\0`);
+  const files = [];
+
+  for (const file of REQUIREMENTS_FILES) {
+    const content = await fs.readFile(path.join(sourceDir, file), 'utf8').catch(() => null);
+    if (content === null) continue;
+
+    let document;
+    try {
+      document = yaml.load(content);
+    } catch (error) {
+      throw new Error(`${file} no es YAML válido: ${error.message}`);
+    }
+    // Formato antiguo: una lista de roles; el actual: { roles, collections }
+    const roles = Array.isArray(document) ? document : (document && document.roles) || [];
+    const collections = Array.isArray(document) ? [] : (document && document.collections) || [];
+    if (!Array.isArray(roles) || !Array.isArray(collections)) {
+      throw new Error(`${file}: roles y collections deben ser listas`);
+    }
+
+    hash.update(`${file}\0${content}\0`);
+    for (const source of await localSources(sourceDir, file, [...roles, ...collections])) {
+      const paths = source.directory
+        ? (await listFiles(path.join(sourceDir, source.path))).map(name => path.join(source.path, name))
+        : [source.path];
+      for (const local of paths) {
+        hash.update(`${local}\0`).update(await fs.readFile(path.join(sourceDir, local))).update('\0');
+      }
+    }
+    files.push({ file, roles: roles.length > 0, collections: collections.length > 0 });
+  }
+
+  const installable = files.filter(entry => entry.roles || entry.collections);
+  return installable.length > 0 ? { hash: hash.digest('hex'), files: installable } : null;
+};
+
+const isCached = (hash) => fs.access(requirementsCachePath(hash)).then(() => true, () => false);
+
+// Directorio temporal de una instalación; se renombra al del hash cuando termina, así que
+// el directorio de un hash solo existe completo
+const createInstallDir = async (hash) => {
+  await fs.mkdir(cacheRoot(), { recursive: true, mode: 0o700 });
+  return fs.mkdtemp(`${requirementsCachePath(hash)}.tmp-`);
+};
+
+const commitInstallDir = async (installDir, hash) => {
+  try {
+    await fs.rename(installDir, requirementsCachePath(hash));
+  } catch (error) {
+    // Otro job instaló los mismos requirements a la vez: vale el suyo
+    await fs.rm(installDir, { recursive: true, force: true });
+    if (!(await isCached(hash))) {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  REQUIREMENTS_FILES,
+  readRequirements,
+  requirementsCachePath,
+  isCached,
+  createInstallDir,
+  commitInstallDir
+};
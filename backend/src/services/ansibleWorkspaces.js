@@ -0,0 +1,236 @@
+// Workspaces de Ansible: un .tar.gz con el playbook y todo lo que usa (roles/, group_vars/,
+// host_vars/, templates, files/, ansible.cfg, requirements.yml). Se guarda en la BD con su
+// sha256, que queda fijado en el job, y el worker lo extrae en el directorio de trabajo del job.
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { sha256 } = require('./artifacts');
+const { findPlaybooks, normalizeProjectPath } = require('./projects');
+const { REQUIREMENTS_FILES } = require('./ansibleRequirements');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+const execFileAsync = promisify(execFile);
+
+// Límites del contenido extraído (el comprimido lo limita ANSIBLE_WORKSPACE_MAX_MB)
+const MAX_FILES = 10000;
+const MAX_EXTRACTED_BYTES = 512 * 1024 * 1024;
+const TAR_TIMEOUT_MS = 60 * 1000;
+
+// En modo demo los workspaces viven en memoria
+const memoryWorkspaces = [];
+
+const toWorkspace = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  size: row.size,
+  sha256: row.sha256,
+  files: row.files,
+  playbooks: findPlaybooks(row.files),
+  requirements: row.files.filter(file => REQUIREMENTS_FILES.includes(file)),
+  created_by: row.created_by,
+  created_at: row.created_at
+};
+
+const tar = async (args) => {
+  const { stdout } = await execFileAsync('tar', args, { timeout: TAR_TIMEOUT_MS, maxBuffer: 32 * 1024 * 1024 });
+  return stdout;
+};
+
+const withArchiveFile = async (archive, fn) => {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'conductor-workspace-'));
+  try {
+    const archivePath = path.join(tmpDir, 'workspace.tar.gz');
+    await fs.writeFile(archivePath, archive, { mode: 0o600 });
+    return await fn(archivePath);
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+};
+
+// Entradas del .tar.gz: solo archivos y directorios con rutas relativas (sin enlaces, que
+// podrían apuntar fuera del directorio del job). Si todo cuelga de un único directorio
+// (p. ej. mi-playbook/...), se extrae sin él.
+const inspectArchive = (archive) => withArchiveFile(archive, async (archivePath) => {
+  let names;
+  let details;
+  try {
+    names = (await tar(['-tzf', archivePath])).split('\n').filter(Boolean);
+    details = (await tar(['-tzvf', archivePath])).split('\n').filter(Boolean);
+  } catch (error) {
+    throw new ValidationError(`El archivo no es un .tar.gz válido: ${(error.stderr || error.message).trim()}`);
+  }
+  if (names.length !== details.length) {
+    throw new ValidationError('El archivo contiene nombres con saltos de línea');
+  }
+
+  let totalSize = 0;
+  const entries = names.map((name, index) => {
+    const type = details[index][0];
+    const normalized = path.posix.normalize(name).replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+    if (!['-', 'd'].includes(type)) {
+      throw new ValidationError(`"${name}" no es un archivo ni un directorio (los enlaces no se admiten)`);
+    }
+    if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+      throw new ValidationError(`"${name}" debe ser una ruta relativa dentro del archivo`);
+    }
+    totalSize += parseInt(details[index].split(/\s+/)[2], 10) || 0;
+    return { path: normalized, directory: type === 'd' };
+  }).filter(entry => entry.path && entry.path !== '.');
+
+  const files = entries.filter(entry => !entry.directory).map(entry => entry.path);
+  if (files.length === 0) {
+    throw new ValidationError('El archivo no contiene ningún fichero');
+  }
+  if (files.length > MAX_FILES || totalSize > MAX_EXTRACTED_BYTES) {
+    throw new ValidationError(`El workspace supera el máximo de ${MAX_FILES} archivos o ${MAX_EXTRACTED_BYTES / 1024 / 1024} MB extraídos`);
+  }
+
+  const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+  const [root] = roots;
+  const nested = roots.size === 1 && files.every(file => file.startsWith(`${root}/`));
+  return {
+    stripComponents: nested ? 1 : 0,
+    files: (nested ? files.map(file => file.slice(root.length + 1)) : files).sort()
+  };
+});
+
+const findRow = async (id, { withArchive = false } = {}) => {
+  if (!pool) {
+    return memoryWorkspaces.find(row => row.id === id) || null;
+  }
+  const columns = withArchive ? '*' : 'id, name, description, size, sha256, strip_components, files, created_by, created_at';
+  const { rows } = await pool.query(`SELECT ${columns} FROM ansible_workspaces WHERE id = $1`, [id]);
+  return rows[0] || null;
+};
+
+const listWorkspaces = async () => {
+  if (!pool) {
+    return memoryWorkspaces.map(toWorkspace);
+  }
+  const { rows } = await pool.query(
+    `SELECT id, name, description, size, sha256, strip_components, files, created_by, created_at
+     FROM ansible_workspaces ORDER BY name`
+  );
+  return rows.map(toWorkspace);
+};
+
+const getWorkspace = async (id) => toWorkspace(await findRow(id));
+
+// { name, description, content } con content = el .tar.gz en base64
+const createWorkspace = async (input, userId = null) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Falta el nombre del workspace');
+  }
+  if (typeof input.content !== 'string' || !input.content) {
+    throw new ValidationError('Falta content: el .tar.gz del workspace en base64');
+  }
+  const archive = Buffer.from(input.content, 'base64');
+  if (archive.length < 2 || archive[0] !== 0x1f || archive[1] !== 0x8b) {
+    throw new ValidationError('content debe ser un archivo .tar.gz en base64');
+  }
+  if (archive.length > config.ansibleWorkspaces.maxUploadMb * 1024 * 1024) {
+    throw new ValidationError(`El archivo supera el máximo de ${config.ansibleWorkspaces.maxUploadMb} MB`);
+  }
+
+  const { files, stripComponents } = await inspectArchive(archive);
+  const row = {
+    name,
+    description: input.description ? String(input.description) : null,
+    archive,
+    size: archive.length,
+    sha256: sha256(archive),
+    strip_components: stripComponents,
+    files,
+    created_by: userId
+  };
+
+  if (!pool) {
+    if (memoryWorkspaces.some(existing => existing.name === name)) {
+      throw new ConflictError(`Ya existe un workspace llamado "${name}"`);
+    }
+    const saved = {
+      ...row,
+      id: memoryWorkspaces.reduce((max, w) => Math.max(max, w.id), 0) + 1,
+      created_at: new Date().toISOString()
+    };
+    memoryWorkspaces.push(saved);
+    return toWorkspace(saved);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO ansible_workspaces (name, description, archive, size, sha256, strip_components, files, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, name, description, size, sha256, strip_components, files, created_by, created_at`,
+      [row.name, row.description, row.archive, row.size, row.sha256, row.strip_components, JSON.stringify(row.files), userId]
+    );
+    return toWorkspace(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe un workspace llamado "${name}"`);
+    }
+    throw error;
+  }
+};
+
+const deleteWorkspace = async (id) => {
+  if (!pool) {
+    const index = memoryWorkspaces.findIndex(row => row.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Workspace no encontrado');
+    }
+    memoryWorkspaces.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM ansible_workspaces WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Workspace no encontrado');
+  }
+};
+
+// Fuente de un job: el workspace con su sha256 y el playbook comprobado. Queda en el payload.
+const resolveWorkspaceSource = async (workspaceId, playbookPath) => {
+  const row = await findRow(parseInt(workspaceId, 10) || 0);
+  if (!row) {
+    throw new NotFoundError(`El workspace ${workspaceId} no existe`);
+  }
+  const normalized = normalizeProjectPath(playbookPath, 'workspacePath');
+  if (!row.files.includes(normalized)) {
+    throw new ValidationError(`"${normalized}" no es un archivo del workspace "${row.name}"`);
+  }
+  return { id: row.id, name: row.name, sha256: row.sha256, path: normalized };
+};
+
+// Extrae el workspace del job en `dir` (lo usa el worker) comprobando que es el mismo
+// archivo que cuando se encoló el job
+const extractWorkspace = async (source, dir) => {
+  const row = await findRow(source.id, { withArchive: true });
+  if (!row || row.sha256 !== source.sha256 || sha256(row.archive) !== source.sha256) {
+    throw new Error(`El workspace ${source.name} (${source.sha256.slice(0, 12)}) ya no existe`);
+  }
+
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  await withArchiveFile(row.archive, (archivePath) => tar([
+    '-xzf', archivePath, '-C', dir,
+    '--no-same-owner', '--no-same-permissions',
+    `--strip-components=${row.strip_components || 0}`
+  ]));
+  return path.join(dir, source.path);
+};
+
+module.exports = {
+  listWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  deleteWorkspace,
+  resolveWorkspaceSource,
+  extractWorkspace
+};
@@ -0,0 +1,224 @@
+// Políticas de aprobación: un job que cambia infraestructura (apply o destroy de Terraform,
+// playbook que no es un dry run seguro) de un template, workspace o inventario con política
+// no se encola: espera en awaiting_approval a que la aprueben usuarios con los roles indicados.
+const config = require('../config');
+const { ROLES } = require('./users');
+const { getTemplate } = require('./templates');
+const { findInventory } = require('./inventories');
+const { checkModeBlocker } = require('./playbookValidation');
+const { isValidWorkspace } = require('./terraformRunner');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+const SCOPE_TYPES = ['template', 'workspace', 'inventory'];
+
+// Tipos de job que una política puede retener
+const GATED_TYPES = ['ansible-playbook', 'terraform-apply', 'terraform-destroy'];
+
+const MAX_REQUIRED_APPROVALS = 10;
+
+// En modo demo las políticas viven en memoria
+const memoryPolicies = [];
+
+const toPolicy = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  scopeType: row.scope_type,
+  scope: row.scope,
+  requiredApprovals: row.required_approvals,
+  approverRoles: row.approver_roles,
+  expiryHours: row.expiry_hours || config.approvalExpiryHours,
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+// { name, description, scopeType, scope, requiredApprovals, approverRoles, expiryHours }.
+// scope es el id del template, el nombre del workspace o el id o nombre del inventario ("*"
+// para todos). El inventario se guarda por id, como los permisos: renombrarlo no le quita la política.
+const normalizePolicy = async (input) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Falta el nombre de la política');
+  }
+  if (!SCOPE_TYPES.includes(input.scopeType)) {
+    throw new ValidationError(`scopeType debe ser uno de: ${SCOPE_TYPES.join(', ')}`);
+  }
+
+  let scope = String(input.scope === undefined || input.scope === null ? '' : input.scope).trim();
+  if (!scope) {
+    throw new ValidationError('Falta scope: el id del template, el nombre del workspace o el id o nombre del inventario ("*" para todos)');
+  }
+  if (input.scopeType === 'template') {
+    const template = await getTemplate(parseInt(scope, 10) || 0);
+    if (!template) {
+      throw new NotFoundError(`El template ${scope} no existe`);
+    }
+    scope = String(template.id);
+  }
+  if (input.scopeType === 'inventory' && scope !== '*') {
+    const inventory = await findInventory(scope);
+    if (!inventory) {
+      throw new NotFoundError(`El inventario ${scope} no existe`);
+    }
+    scope = String(inventory.id);
+  }
+  if (input.scopeType === 'workspace' && scope !== '*' && !isValidWorkspace(scope)) {
+    throw new ValidationError(`Nombre de workspace inválido: ${scope}`);
+  }
+
+  const requiredApprovals = input.requiredApprovals === undefined ? 1 : input.requiredApprovals;
+  if (!Number.isInteger(requiredApprovals) || requiredApprovals < 1 || requiredApprovals > MAX_REQUIRED_APPROVALS) {
+    throw new ValidationError(`requiredApprovals debe ser un entero entre 1 y ${MAX_REQUIRED_APPROVALS}`);
+  }
+
+  const approverRoles = input.approverRoles === undefined ? ['admin'] : input.approverRoles;
+  if (!Array.isArray(approverRoles) || approverRoles.length === 0 ||
+      approverRoles.some(role => !ROLES.includes(role))) {
+    throw new ValidationError(`approverRoles debe contener alguno de: ${ROLES.join(', ')}`);
+  }
+
+  const expiryHours = input.expiryHours === undefined || input.expiryHours === null ? null : input.expiryHours;
+  if (expiryHours !== null && !(typeof expiryHours === 'number' && expiryHours > 0)) {
+    throw new ValidationError('expiryHours debe ser un número de horas mayor que 0');
+  }
+
+  return {
+    name,
+    description: input.description ? String(input.description) : null,
+    scope_type: input.scopeType,
+    scope,
+    required_approvals: requiredApprovals,
+    approver_roles: [...new Set(approverRoles)],
+    expiry_hours: expiryHours
+  };
+};
+
+const listPolicies = async () => {
+  if (!pool) {
+    return memoryPolicies.map(toPolicy);
+  }
+  const { rows } = await pool.query('SELECT * FROM approval_policies ORDER BY name');
+  return rows.map(toPolicy);
+};
+
+const getPolicy = async (id) => {
+  if (!pool) {
+    return toPolicy(memoryPolicies.find(row => row.id === id));
+  }
+  const { rows } = await pool.query('SELECT * FROM approval_policies WHERE id = $1', [id]);
+  return toPolicy(rows[0]);
+};
+
+const savePolicy = async (id, input, userId) => {
+  const row = await normalizePolicy(input);
+
+  if (!pool) {
+    if (memoryPolicies.some(existing => existing.name === row.name && existing.id !== id)) {
+      throw new ConflictError(`Ya existe una política llamada "${row.name}"`);
+    }
+    if (id) {
+      const existing = memoryPolicies.find(policy => policy.id === id);
+      if (!existing) {
+        throw new NotFoundError('Política no encontrada');
+      }
+      Object.assign(existing, row, { updated_at: new Date().toISOString() });
+      return toPolicy(existing);
+    }
+    const saved = {
+      ...row,
+      id: memoryPolicies.reduce((max, policy) => Math.max(max, policy.id), 0) + 1,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    memoryPolicies.push(saved);
+    return toPolicy(saved);
+  }
+
+  const values = [
+    row.name, row.description, row.scope_type, row.scope, row.required_approvals, row.approver_roles, row.expiry_hours
+  ];
+  try {
+    if (id) {
+      const { rows } = await pool.query(
+        `UPDATE approval_policies SET name = $1, description = $2, scope_type = $3, scope = $4,
+           required_approvals = $5, approver_roles = $6, expiry_hours = $7, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $8 RETURNING *`,
+        [...values, id]
+      );
+      if (!rows[0]) {
+        throw new NotFoundError('Política no encontrada');
+      }
+      return toPolicy(rows[0]);
+    }
+    const { rows } = await pool.query(
+      `INSERT INTO approval_policies (name, description, scope_type, scope, required_approvals, approver_roles, expiry_hours, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [...values, userId]
+    );
+    return toPolicy(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe una política llamada "${row.name}"`);
+    }
+    throw error;
+  }
+};
+
+const createPolicy = (input, userId = null) => savePolicy(null, input, userId);
+
+const updatePolicy = (id, input) => savePolicy(id, input, null);
+
+const deletePolicy = async (id) => {
+  if (!pool) {
+    const index = memoryPolicies.findIndex(policy => policy.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Política no encontrada');
+    }
+    memoryPolicies.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM approval_policies WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Política no encontrada');
+  }
+};
+
+// Ámbitos del job que pueden tener política; un inventario sin guardar solo lo cubre "*"
+const jobTargets = (type, payload) => ({
+  template: payload.templateId ? String(payload.templateId) : null,
+  workspace: type.startsWith('terraform-') ? payload.workspace || 'default' : null,
+  inventory: type === 'ansible-playbook' ? (payload.inventoryId ? String(payload.inventoryId) : '*') : null
+});
+
+// Política que retiene este job, o null. Si aplican varias, la que exige más aprobaciones.
+// Un dry run solo queda fuera si --check garantiza que no cambia nada (ver checkModeBlocker):
+// si no, bastaría con enviar checkMode: true para saltarse la política.
+const findApprovalPolicy = async (type, payload = {}) => {
+  if (!GATED_TYPES.includes(type) || (payload.checkMode && !checkModeBlocker(payload.playbook))) {
+    return null;
+  }
+
+  const targets = jobTargets(type, payload);
+  const matching = (await listPolicies()).filter(policy => {
+    const target = targets[policy.scopeType];
+    return target !== null && (policy.scope === target || policy.scope === '*');
+  });
+  matching.sort((a, b) => b.requiredApprovals - a.requiredApprovals || a.id - b.id);
+  return matching[0] || null;
+};
+
+module.exports = {
+  SCOPE_TYPES,
+  GATED_TYPES,
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  findApprovalPolicy
+};
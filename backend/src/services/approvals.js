@@ -0,0 +1,237 @@
+// Aprobación de los jobs retenidos por una política (ver approvalPolicies): cada aprobador
+// aprueba o rechaza con un comentario; con las aprobaciones que exige la política el job se
+// encola con el payload revisado, con un rechazo termina como rejected y, si no las reúne a
+// tiempo, como expired.
+const config = require('../config');
+const jobService = require('./jobService');
+const users = require('./users');
+const { notifyJobFinished } = require('./jobLifecycle');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool, ready } = config.demoMode ? {} : require('../models/database');
+
+const DECISIONS = ['approve', 'reject'];
+const MONITOR_INTERVAL_MS = 60 * 1000;
+
+// En modo demo los votos viven en memoria
+const memoryDecisions = [];
+
+const emit = (event, data) => {
+  if (global.io) {
+    global.io.emit(event, data);
+  }
+};
+
+const listDecisions = async (jobId) => {
+  if (!pool) {
+    return memoryDecisions.filter(d => d.job_id === jobId);
+  }
+  const { rows } = await pool.query('SELECT * FROM job_approvals WHERE job_id = $1 ORDER BY created_at', [jobId]);
+  return rows;
+};
+
+const saveDecision = async (jobId, user, decision, comment) => {
+  if (!pool) {
+    memoryDecisions.push({
+      id: memoryDecisions.length + 1,
+      job_id: jobId,
+      user_id: user.id,
+      username: user.username,
+      decision,
+      comment,
+      created_at: new Date().toISOString()
+    });
+    return;
+  }
+
+  try {
+    await pool.query(
+      'INSERT INTO job_approvals (job_id, user_id, username, decision, comment) VALUES ($1, $2, $3, $4, $5)',
+      [jobId, user.id, user.username, decision, comment]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('Ya has decidido sobre este job');
+    }
+    throw error;
+  }
+};
+
+const isExpired = (job) => new Date(job.approval.expiresAt).getTime() <= Date.now();
+
+const approvalCount = (decisions) => decisions.filter(d => d.decision === 'approve').length;
+
+// Por qué el usuario no puede tomar esta decisión sobre el job, o null si puede
+const decisionError = ({ job, decisions, preview }, user, decision) => {
+  const { approval } = job;
+  if (job.status !== 'awaiting_approval') {
+    return new ConflictError(`El job no espera aprobación (estado ${job.status})`);
+  }
+  if (!user || !approval.approverRoles.includes(user.role)) {
+    return new ForbiddenError(`La política "${approval.policyName}" solo admite aprobadores con rol ${approval.approverRoles.join(', ')}`);
+  }
+  if (user.id === job.user_id) {
+    return new ForbiddenError('No puedes aprobar ni rechazar un job que has lanzado tú');
+  }
+  if (decisions.some(d => d.user_id === user.id)) {
+    return new ConflictError('Ya has decidido sobre este job');
+  }
+  // Solo se aprueba lo que se ha podido revisar
+  if (decision === 'approve' && approval.previewJobId) {
+    const label = job.type === 'terraform-apply' ? 'El plan' : 'El dry run';
+    if (!preview) {
+      return new ConflictError(`${label} ${approval.previewJobId} ya no existe`);
+    }
+    if (jobService.isActive(preview)) {
+      return new ConflictError(`${label} ${preview.id} todavía no ha terminado`);
+    }
+    if (preview.status !== 'completed') {
+      return new ConflictError(`${label} ${preview.id} terminó con estado ${preview.status}: solo se puede rechazar`);
+    }
+  }
+  return null;
+};
+
+const loadContext = async (jobId) => {
+  const job = await jobService.getJob(jobId);
+  if (!job || !job.approval) {
+    throw new NotFoundError('Job sin aprobación');
+  }
+  return {
+    job,
+    decisions: await listDecisions(job.id),
+    preview: job.approval.previewJobId ? await jobService.getJob(job.approval.previewJobId) : null
+  };
+};
+
+const describe = (context, user) => {
+  const { job, decisions, preview } = context;
+  return {
+    jobId: job.id,
+    jobName: job.name,
+    jobType: job.type,
+    status: job.status,
+    submittedBy: job.user_id,
+    ...job.approval,
+    approvals: approvalCount(decisions),
+    preview: preview && { jobId: preview.id, name: preview.name, type: preview.type, status: preview.status },
+    decisions: decisions.map(d => ({
+      userId: d.user_id, username: d.username, decision: d.decision, comment: d.comment, created_at: d.created_at
+    })),
+    canApprove: !decisionError(context, user, 'approve'),
+    canReject: !decisionError(context, user, 'reject')
+  };
+};
+
+const finish = async (job, status, result) => {
+  const closed = await jobService.closeAwaitingJob(job.id, status, result);
+  if (closed) {
+    emit('job-approval', { jobId: job.id, name: job.name, status });
+    notifyJobFinished(job.id, status);
+  }
+  return closed;
+};
+
+const expire = (job, decisions) => finish(job, 'expired', {
+  error: `La aprobación caducó con ${approvalCount(decisions)} de ${job.approval.requiredApprovals} aprobaciones`
+});
+
+const getApproval = async (jobId, userId) => {
+  const context = await loadContext(jobId);
+  return describe(context, await users.getUser(userId));
+};
+
+// Jobs en awaiting_approval, con lo que puede hacer el usuario en cada uno
+const listPendingApprovals = async (userId) => {
+  const user = await users.getUser(userId);
+  let pending;
+  if (!pool) {
+    pending = (await jobService.listJobs()).filter(job => job.status === 'awaiting_approval');
+  } else {
+    ({ rows: pending } = await pool.query("SELECT id FROM jobs WHERE status = 'awaiting_approval' ORDER BY id"));
+  }
+
+  const approvals = [];
+  for (const { id } of pending) {
+    approvals.push(describe(await loadContext(id), user));
+  }
+  return approvals;
+};
+
+// { decision: approve|reject, comment }; el rechazo exige comentario
+const decide = async (jobId, userId, { decision, comment } = {}) => {
+  if (!DECISIONS.includes(decision)) {
+    throw new ValidationError(`decision debe ser una de: ${DECISIONS.join(', ')}`);
+  }
+  const text = String(comment || '').trim();
+  if (decision === 'reject' && !text) {
+    throw new ValidationError('Indica en el comentario el motivo del rechazo');
+  }
+
+  const user = await users.getUser(userId);
+  const context = await loadContext(jobId);
+  const { job } = context;
+  if (job.status === 'awaiting_approval' && isExpired(job)) {
+    await expire(job, context.decisions);
+    throw new ConflictError('La aprobación de este job ha caducado');
+  }
+  const error = decisionError(context, user, decision);
+  if (error) {
+    throw error;
+  }
+
+  await saveDecision(job.id, user, decision, text || null);
+  const decisions = await listDecisions(job.id);
+
+  if (decision === 'reject') {
+    await finish(job, 'rejected', { error: `Rechazado por ${user.username}: ${text}` });
+  } else if (approvalCount(decisions) >= job.approval.requiredApprovals) {
+    // El payload guardado es el que se revisó (plan fijado por su sha256, mismas revisiones)
+    if (await jobService.releaseJob(job.id)) {
+      emit('job-approval', { jobId: job.id, name: job.name, status: 'queued' });
+    }
+  } else {
+    emit('job-approval', { jobId: job.id, name: job.name, status: job.status });
+  }
+
+  return getApproval(job.id, userId);
+};
+
+const expirePendingApprovals = async () => {
+  const expired = [];
+  if (!pool) {
+    expired.push(...(await jobService.listJobs()).filter(job => job.status === 'awaiting_approval' && isExpired(job)));
+  } else {
+    const { rows } = await pool.query(
+      `SELECT * FROM jobs WHERE status = 'awaiting_approval'
+         AND (approval->>'expiresAt')::timestamptz <= CURRENT_TIMESTAMP`
+    );
+    expired.push(...rows);
+  }
+
+  for (const job of expired) {
+    await expire(job, await listDecisions(job.id));
+  }
+};
+
+let monitorTimer = null;
+
+// Caduca cada minuto (y al arrancar) los jobs que no reunieron sus aprobaciones a tiempo
+const startApprovalMonitor = () => {
+  if (monitorTimer) {
+    return;
+  }
+  const tick = () => expirePendingApprovals().catch(error => {
+    console.error('❌ Error caducando aprobaciones pendientes:', error.message);
+  });
+  (ready || Promise.resolve()).then(tick);
+  monitorTimer = setInterval(tick, MONITOR_INTERVAL_MS);
+};
+
+module.exports = {
+  DECISIONS,
+  getApproval,
+  listPendingApprovals,
+  decide,
+  startApprovalMonitor
+};
@@ -0,0 +1,55 @@
+// Artefactos de jobs (planes de Terraform, JSON de plan, etc.) guardados en PostgreSQL
+const crypto = require('crypto');
+const config = require('../config');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const saveArtifact = async (jobId, name, content, contentType = 'application/octet-stream') => {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  const digest = sha256(buffer);
+
+  await pool.query(
+    `INSERT INTO job_artifacts (job_id, name, content_type, size, sha256, content)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (job_id, name) DO UPDATE
+     SET content_type = EXCLUDED.content_type, size = EXCLUDED.size,
+         sha256 = EXCLUDED.sha256, content = EXCLUDED.content,
+         created_at = CURRENT_TIMESTAMP`,
+    [jobId, name, contentType, buffer.length, digest, buffer]
+  );
+
+  return { name, contentType, size: buffer.length, sha256: digest };
+};
+
+const listArtifacts = async (jobId) => {
+  if (!pool) return [];
+
+  const { rows } = await pool.query(
+    `SELECT name, content_type, size, sha256, created_at
+     FROM job_artifacts WHERE job_id = $1 ORDER BY id`,
+    [jobId]
+  );
+  return rows;
+};
+
+// Devuelve el artefacto con su contenido, verificando que el hash no haya cambiado
+const getArtifact = async (jobId, name) => {
+  if (!pool) return null;
+
+  const { rows } = await pool.query(
+    'SELECT * FROM job_artifacts WHERE job_id = $1 AND name = $2',
+    [jobId, name]
+  );
+  const artifact = rows[0];
+  if (!artifact) return null;
+
+  if (sha256(artifact.content) !== artifact.sha256) {
+    throw new Error(`El artefacto ${name} del job ${jobId} no coincide con su hash registrado`);
+  }
+
+  return artifact;
+};
+
+module.exports = { saveArtifact, listArtifacts, getArtifact, sha256 };
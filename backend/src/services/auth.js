@@ -0,0 +1,124 @@
+// Emisión y verificación de tokens: access token JWT + refresh token opaco y rotatorio
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const users = require('./users');
+const { AuthenticationError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// Sin JWT_SECRET las sesiones no sobreviven a un reinicio del servidor
+const jwtSecret = config.auth.jwtSecret || crypto.randomBytes(32).toString('hex');
+if (!config.auth.jwtSecret) {
+  console.log('⚠️  JWT_SECRET no definido: se usa un secreto aleatorio para esta ejecución');
+}
+
+// En modo demo los refresh tokens viven en memoria: hash -> { userId, expiresAt, revoked }
+const memoryTokens = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { sub: user.id, username: user.username, role: user.role },
+  jwtSecret,
+  { expiresIn: config.auth.accessTokenTtl }
+);
+
+// Devuelve { id, username, role } o lanza AuthenticationError
+const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    return { id: payload.sub, username: payload.username, role: payload.role };
+  } catch (error) {
+    throw new AuthenticationError(
+      error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido'
+    );
+  }
+};
+
+const storeRefreshToken = async (userId, tokenHash, expiresAt) => {
+  if (!pool) {
+    memoryTokens.set(tokenHash, { userId, expiresAt, revoked: false });
+    return;
+  }
+
+  await pool.query(
+    'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [userId, tokenHash, expiresAt]
+  );
+};
+
+// Marca el refresh token como usado/revocado y devuelve su userId si era válido
+const consumeRefreshToken = async (tokenHash) => {
+  if (!pool) {
+    const stored = memoryTokens.get(tokenHash);
+    if (!stored || stored.revoked || stored.expiresAt < new Date()) {
+      return null;
+    }
+    stored.revoked = true;
+    return stored.userId;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [tokenHash]
+  );
+  return rows[0] ? rows[0].user_id : null;
+};
+
+const issueTokens = async (user) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.auth.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+  await storeRefreshToken(user.id, hashToken(refreshToken), expiresAt);
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    expiresIn: config.auth.accessTokenTtl,
+    user
+  };
+};
+
+const login = async (username, password) => {
+  const user = await users.verifyCredentials(username, password);
+  if (!user) {
+    throw new AuthenticationError('Usuario o contraseña incorrectos');
+  }
+  return issueTokens(user);
+};
+
+// Rotación: cada refresh token sirve una sola vez
+const refresh = async (refreshToken) => {
+  const userId = refreshToken ? await consumeRefreshToken(hashToken(refreshToken)) : null;
+  const user = userId ? await users.getUser(userId) : null;
+  if (!user) {
+    throw new AuthenticationError('Refresh token inválido o expirado');
+  }
+  return issueTokens(user);
+};
+
+const logout = async (refreshToken) => {
+  if (refreshToken) {
+    await consumeRefreshToken(hashToken(refreshToken));
+  }
+};
+
+// Cerrar todas las sesiones de un usuario (cambio de contraseña, borrado)
+const revokeUserTokens = async (userId) => {
+  if (!pool) {
+    memoryTokens.forEach(stored => {
+      if (stored.userId === userId) stored.revoked = true;
+    });
+    return;
+  }
+
+  await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+module.exports = { login, refresh, logout, verifyAccessToken, revokeUserTokens };
@@ -0,0 +1,362 @@
+// Bóveda de credenciales: claves SSH, contraseñas de become y ansible-vault, claves cloud
+// y variables de entorno secretas. Los campos secretos se guardan cifrados con la clave
+// maestra; solo el worker los descifra al ejecutar un job.
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { encrypt, decrypt, secretValues } = require('./vault');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// Campos de cada tipo: `secret` se cifra, `public` se guarda en claro (metadata) y se
+// puede mostrar en la API. Los de `optional` pueden faltar.
+const CREDENTIAL_TYPES = {
+  ssh_key: { secret: ['privateKey'], public: ['username'], optional: ['username'] },
+  become_password: { secret: ['password'], public: ['username', 'method'], optional: ['username', 'method'] },
+  vault_password: { secret: ['password'], public: ['vaultId'], optional: ['vaultId'] },
+  aws: {
+    secret: ['accessKeyId', 'secretAccessKey', 'sessionToken'],
+    public: ['region'],
+    optional: ['sessionToken', 'region']
+  },
+  azure: {
+    secret: ['clientSecret'],
+    public: ['clientId', 'tenantId', 'subscriptionId'],
+    optional: []
+  },
+  gcp: { secret: ['serviceAccountJson'], public: [], optional: [] },
+  env: { secret: ['variables'], public: [], optional: [] }
+};
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// En modo demo las credenciales (ya cifradas) viven en memoria
+const memoryCredentials = [];
+
+const toPublicCredential = (row) => row && {
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  description: row.description,
+  metadata: row.metadata || {},
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+// Separa los campos en { metadata, secret } validando el tipo
+const splitFields = (type, fields = {}) => {
+  const definition = CREDENTIAL_TYPES[type];
+  if (!definition) {
+    throw new ValidationError(`type debe ser uno de: ${Object.keys(CREDENTIAL_TYPES).join(', ')}`);
+  }
+
+  const pick = (names) => Object.fromEntries(
+    names.filter(name => fields[name] !== undefined && fields[name] !== '').map(name => [name, fields[name]])
+  );
+  const secret = pick(definition.secret);
+  const metadata = pick(definition.public);
+
+  const missing = [...definition.secret, ...definition.public]
+    .filter(name => !definition.optional.includes(name))
+    .filter(name => secret[name] === undefined && metadata[name] === undefined);
+  if (missing.length > 0) {
+    throw new ValidationError(`Faltan campos para una credencial ${type}: ${missing.join(', ')}`);
+  }
+
+  if (type === 'env') {
+    const variables = secret.variables;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw new ValidationError('variables debe ser un objeto { NOMBRE: valor }');
+    }
+    const invalid = Object.keys(variables).filter(name => !ENV_NAME_PATTERN.test(name));
+    if (invalid.length > 0) {
+      throw new ValidationError(`Nombres de variable inválidos: ${invalid.join(', ')}`);
+    }
+    secret.variables = Object.fromEntries(
+      Object.entries(variables).map(([name, value]) => [name, String(value)])
+    );
+  }
+
+  if (type === 'gcp') {
+    try {
+      JSON.parse(secret.serviceAccountJson);
+    } catch (error) {
+      throw new ValidationError('serviceAccountJson debe ser el JSON de la cuenta de servicio');
+    }
+  }
+
+  return { metadata, secret };
+};
+
+const findRow = async (id) => {
+  if (!pool) {
+    return memoryCredentials.find(c => c.id === id) || null;
+  }
+
+  const { rows } = await pool.query('SELECT * FROM credentials WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+const listCredentials = async () => {
+  if (!pool) {
+    return memoryCredentials.map(toPublicCredential);
+  }
+
+  const { rows } = await pool.query('SELECT * FROM credentials ORDER BY name');
+  return rows.map(toPublicCredential);
+};
+
+const getCredential = async (id) => toPublicCredential(await findRow(id));
+
+// Credencial por id o por nombre (para conceder permisos de uso)
+const findCredential = async (ref) => {
+  if (!pool) {
+    return toPublicCredential(memoryCredentials.find(c => c.id == ref || c.name === ref));
+  }
+
+  const id = /^\d+$/.test(String(ref)) ? parseInt(ref, 10) : null;
+  const { rows } = await pool.query(
+    'SELECT * FROM credentials WHERE id = $1 OR name = $2 ORDER BY id = $1 DESC LIMIT 1',
+    [id, String(ref)]
+  );
+  return toPublicCredential(rows[0]);
+};
+
+const createCredential = async ({ name, type, description = '', fields }, userId = null) => {
+  if (!name) {
+    throw new ValidationError('Faltan campos obligatorios: name, type, fields');
+  }
+
+  const { metadata, secret } = splitFields(type, fields);
+  const encrypted = encrypt(secret);
+
+  if (!pool) {
+    if (memoryCredentials.some(c => c.name === name)) {
+      throw new ConflictError(`Ya existe una credencial llamada "${name}"`);
+    }
+    const row = {
+      id: memoryCredentials.length + 1,
+      name,
+      type,
+      description,
+      metadata,
+      secret: encrypted,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    memoryCredentials.push(row);
+    return toPublicCredential(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO credentials (name, type, description, metadata, secret, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [name, type, description, JSON.stringify(metadata), encrypted, userId]
+    );
+    return toPublicCredential(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe una credencial llamada "${name}"`);
+    }
+    throw error;
+  }
+};
+
+// Cambiar nombre/descripción y, si se envían `fields`, reemplazar todos los campos
+const updateCredential = async (id, { name, description, fields }) => {
+  const row = await findRow(id);
+  if (!row) {
+    throw new NotFoundError('Credencial no encontrada');
+  }
+
+  const changes = {
+    name: name || row.name,
+    description: description !== undefined ? description : row.description,
+    metadata: row.metadata,
+    secret: row.secret
+  };
+  if (fields !== undefined) {
+    const split = splitFields(row.type, fields);
+    changes.metadata = split.metadata;
+    changes.secret = encrypt(split.secret);
+  }
+
+  if (!pool) {
+    Object.assign(row, changes, { updated_at: new Date().toISOString() });
+    return toPublicCredential(row);
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE credentials SET name = $1, description = $2, metadata = $3, secret = $4,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5 RETURNING *`,
+    [changes.name, changes.description, JSON.stringify(changes.metadata), changes.secret, id]
+  );
+  return toPublicCredential(rows[0]);
+};
+
+const deleteCredential = async (id) => {
+  if (!pool) {
+    const index = memoryCredentials.findIndex(c => c.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Credencial no encontrada');
+    }
+    memoryCredentials.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM credentials WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Credencial no encontrada');
+  }
+};
+
+// Valida una lista de ids de credenciales (al crear un job o adjuntarlas a un inventario)
+const resolveCredentialIds = async (ids) => {
+  if (ids === undefined || ids === null) {
+    return [];
+  }
+  if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id))) {
+    throw new ValidationError('credentialIds debe ser una lista de ids numéricos');
+  }
+
+  const unique = [...new Set(ids)];
+  for (const id of unique) {
+    if (!(await findRow(id))) {
+      throw new ValidationError(`La credencial ${id} no existe`);
+    }
+  }
+  return unique;
+};
+
+const writeSecretFile = async (dir, name, content) => {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content, { mode: 0o600 });
+  return filePath;
+};
+
+// Descifra las credenciales del job (job.data.credentialIds) y las materializa en `dir`:
+// devuelve argumentos de ansible-playbook y variables de entorno. `mountedDir` es la ruta
+// de `dir` tal como la ve el proceso (p. ej. /workspace dentro de Docker).
+// Los valores se añaden a job.secrets para enmascararlos en logs y resultados.
+const prepareCredentials = async (job, dir, mountedDir = dir) => {
+  const prepared = { args: [], env: {} };
+  job.secrets = job.secrets || [];
+
+  for (const id of job.data.credentialIds || []) {
+    const row = await findRow(id);
+    if (!row) {
+      throw new Error(`La credencial ${id} ya no existe`);
+    }
+
+    const secret = decrypt(row.secret);
+    const metadata = row.metadata || {};
+    const mounted = (name) => (mountedDir === dir ? path.join(dir, name) : `${mountedDir}/${name}`);
+    job.secrets.push(...secretValues(secret));
+
+    switch (row.type) {
+      case 'ssh_key': {
+        const name = `credential-${id}.key`;
+        const key = secret.privateKey.endsWith('\n') ? secret.privateKey : `${secret.privateKey}\n`;
+        await writeSecretFile(dir, name, key);
+        prepared.args.push('--private-key', mounted(name));
+        if (metadata.username) {
+          prepared.args.push('--user', metadata.username);
+        }
+        break;
+      }
+      case 'become_password': {
+        const name = `credential-${id}-become.json`;
+        const vars = { ansible_become_password: secret.password };
+        if (metadata.username) vars.ansible_become_user = metadata.username;
+        if (metadata.method) vars.ansible_become_method = metadata.method;
+        await writeSecretFile(dir, name, JSON.stringify(vars));
+        prepared.args.push('--extra-vars', `@${mounted(name)}`);
+        break;
+      }
+      case 'vault_password': {
+        const name = `credential-${id}-vault`;
+        await writeSecretFile(dir, name, `${secret.password}\n`);
+        prepared.args.push('--vault-id', `${metadata.vaultId || 'default'}@${mounted(name)}`);
+        break;
+      }
+      case 'aws':
+        prepared.env.AWS_ACCESS_KEY_ID = secret.accessKeyId;
+        prepared.env.AWS_SECRET_ACCESS_KEY = secret.secretAccessKey;
+        if (secret.sessionToken) prepared.env.AWS_SESSION_TOKEN = secret.sessionToken;
+        if (metadata.region) prepared.env.AWS_DEFAULT_REGION = metadata.region;
+        break;
+      case 'azure':
+        // ARM_* para el provider de Terraform, AZURE_* para la colección azure.azcollection
+        prepared.env.ARM_CLIENT_ID = prepared.env.AZURE_CLIENT_ID = metadata.clientId;
+        prepared.env.ARM_CLIENT_SECRET = prepared.env.AZURE_SECRET = secret.clientSecret;
+        prepared.env.ARM_TENANT_ID = prepared.env.AZURE_TENANT = metadata.tenantId;
+        prepared.env.ARM_SUBSCRIPTION_ID = prepared.env.AZURE_SUBSCRIPTION_ID = metadata.subscriptionId;
+        break;
+      case 'gcp': {
+        const name = `credential-${id}-gcp.json`;
+        await writeSecretFile(dir, name, secret.serviceAccountJson);
+        prepared.env.GOOGLE_APPLICATION_CREDENTIALS = mounted(name);
+        break;
+      }
+      case 'env':
+        Object.assign(prepared.env, secret.variables);
+        break;
+    }
+  }
+
+  // Respuestas password de la encuesta del template: como extra-vars desde un archivo
+  // para ansible-playbook y como TF_VAR_<nombre> para terraform
+  if (job.data.secretVariables) {
+    const variables = decrypt(job.data.secretVariables);
+    job.secrets.push(...secretValues(variables));
+
+    if (job.name.startsWith('terraform-')) {
+      Object.entries(variables).forEach(([name, value]) => {
+        prepared.env[`TF_VAR_${name}`] = value;
+      });
+    } else {
+      const name = 'survey-secrets.json';
+      await writeSecretFile(dir, name, JSON.stringify(variables));
+      prepared.args.push('--extra-vars', `@${mountedDir === dir ? path.join(dir, name) : `${mountedDir}/${name}`}`);
+    }
+  }
+
+  return prepared;
+};
+
+// Clave SSH (credencial ssh_key) con la que git accede a un repositorio privado: la escribe
+// en `dir` y devuelve el entorno para git
+const prepareGitCredential = async (id, dir) => {
+  const row = await findRow(id);
+  if (!row) {
+    throw new Error(`La credencial ${id} ya no existe`);
+  }
+  if (row.type !== 'ssh_key') {
+    throw new Error(`La credencial "${row.name}" no es una clave SSH`);
+  }
+
+  const secret = decrypt(row.secret);
+  const key = secret.privateKey.endsWith('\n') ? secret.privateKey : `${secret.privateKey}\n`;
+  const keyPath = await writeSecretFile(dir, `git-credential-${id}.key`, key);
+  return {
+    GIT_SSH_COMMAND: `ssh -i '${keyPath}' -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new`
+  };
+};
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  listCredentials,
+  getCredential,
+  findCredential,
+  createCredential,
+  updateCredential,
+  deleteCredential,
+  resolveCredentialIds,
+  prepareCredentials,
+  prepareGitCredential
+};
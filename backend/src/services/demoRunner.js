@@ -0,0 +1,340 @@
+// Simulación de jobs en memoria para el modo demo (sin Redis ni PostgreSQL)
+const { appendLog, finalizeLogs } = require('./jobLogs');
+const { recordJobHosts } = require('./hosts');
+const { saveJobEvents, buildRecap, summarizeHosts } = require('./jobEvents');
+const { notifyJobFinished } = require('./jobLifecycle');
+
+// Storage en memoria para demo
+const jobs = [
+  {
+    id: 1,
+    name: 'Deploy Web Server',
+    type: 'ansible-playbook',
+    status: 'completed',
+    created_at: new Date().toISOString(),
+    result: { output: 'Playbook ejecutado exitosamente', exitCode: 0 }
+  },
+  {
+    id: 2,
+    name: 'AWS Infrastructure',
+    type: 'terraform-plan',
+    status: 'running',
+    created_at: new Date(Date.now() - 300000).toISOString()
+  }
+];
+
+// Eventos en el formato del callback conductor_events para las tareas simuladas en localhost
+const demoEvents = (play, tasks) => {
+  const start = Date.now() / 1000;
+  const events = [{ event: 'play_start', play }];
+  const stats = { ok: 0, changed: 0, unreachable: 0, failed: 0, skipped: 0, rescued: 0, ignored: 0 };
+
+  tasks.forEach(({ task, action, status, result }) => {
+    events.push({ event: 'task_start', play, task, action, handler: false });
+    events.push({ event: 'runner', play, task, action, host: 'localhost', status, durationMs: 800, result });
+    if (status === 'ok' || status === 'changed') stats.ok++;
+    if (status === 'changed') stats.changed++;
+  });
+  events.push({ event: 'stats', hosts: { localhost: stats } });
+
+  return events.map((event, index) => ({ ...event, seq: index + 1, timestamp: start + index * 0.8 }));
+};
+
+// Dry run (--check --diff) con los cambios en el formato del callback conductor_diff
+const simulateCheckMode = (job) => ({
+  duration: 3000,
+  events: demoEvents(job.name, [
+    { task: 'Gathering Facts', action: 'ansible.builtin.gather_facts', status: 'ok', result: { changed: false } },
+    { task: 'Configurar nginx', action: 'ansible.builtin.template', status: 'changed', result: { changed: true, dest: '/etc/nginx/nginx.conf' } }
+  ]),
+  result: {
+    output: `Dry run de "${job.name}" (simulación)\n\nTASK [Gathering Facts] ****\nok: [localhost]\n\nTASK [Configurar nginx] ****\n--- before: /etc/nginx/nginx.conf\n+++ after: /etc/nginx/nginx.conf\n@@ -1,2 +1,2 @@\n-worker_processes 1;\n+worker_processes auto;\n events {}\n\nchanged: [localhost]\n\nPLAY RECAP ****\nlocalhost : ok=2    changed=1    unreachable=0    failed=0`,
+    exitCode: 0,
+    checkMode: true,
+    changes: [{
+      host: 'localhost',
+      play: job.name,
+      task: 'Configurar nginx',
+      action: 'ansible.builtin.template',
+      status: 'changed',
+      diffs: [{
+        beforeHeader: '/etc/nginx/nginx.conf',
+        afterHeader: '/etc/nginx/nginx.conf',
+        unified: '--- /etc/nginx/nginx.conf\n+++ /etc/nginx/nginx.conf\n@@ -1,2 +1,2 @@\n-worker_processes 1;\n+worker_processes auto;\n events {}\n',
+        prepared: null
+      }]
+    }]
+  }
+});
+
+// Resultado simulado y duración (ms) por tipo de job
+const simulations = {
+  'ansible-playbook': (job) => (job.payload.checkMode ? simulateCheckMode(job) : {
+    duration: 4000,
+    events: demoEvents(job.name, [
+      { task: 'Gathering Facts', action: 'ansible.builtin.gather_facts', status: 'ok', result: { changed: false } },
+      { task: 'Debug message', action: 'ansible.builtin.debug', status: 'ok', result: { changed: false, msg: 'Playbook ejecutado desde Conductor' } }
+    ]),
+    result: {
+      output: `Playbook "${job.name}" ejecutado exitosamente (simulación)\n\nTASK [Gathering Facts] ****\nok: [localhost]\n\nTASK [Debug message] ****\nok: [localhost] => {\n    "msg": "Playbook ejecutado desde Conductor"\n}\n\nPLAY RECAP ****\nlocalhost : ok=2    changed=0    unreachable=0    failed=0`,
+      exitCode: 0
+    }
+  }),
+  'terraform-plan': () => ({
+    duration: 6000,
+    result: {
+      output: `Terraform plan completado (simulación)\n\nTerraform used the selected providers to generate the following execution plan.\nResource actions are indicated with the following symbols:\n  + create\n\nTerraform will perform the following actions:\n\n  # aws_instance.example will be created\n  + resource "aws_instance" "example" {\n      + ami                    = "ami-0c02fb55956c7d316"\n      + instance_type          = "t3.micro"\n    }\n\nPlan: 1 to add, 0 to change, 0 to destroy.`,
+      plan: 'Plan: 1 to add, 0 to change, 0 to destroy',
+      summary: { add: 1, change: 0, destroy: 0 },
+      exitCode: 0
+    }
+  }),
+  'terraform-apply': () => ({
+    duration: 10000,
+    result: {
+      output: `Terraform apply completado (simulación)\n\naws_instance.example: Creating...\naws_instance.example: Still creating... [10s elapsed]\naws_instance.example: Still creating... [20s elapsed]\naws_instance.example: Creation complete after 22s [id=i-0abc123def456]\n\nApply complete! Resources: 1 added, 0 changed, 0 destroyed.\n\nOutputs:\n\ninstance_ip = "54.123.45.67"`,
+      applied: 'Apply complete! Resources: 1 added, 0 changed, 0 destroyed',
+      outputs: { instance_ip: { sensitive: false, type: 'string', value: '54.123.45.67' } },
+      exitCode: 0
+    }
+  }),
+  'terraform-destroy': () => ({
+    duration: 8000,
+    result: {
+      output: `Terraform destroy completado (simulación)\n\naws_instance.example: Destroying... [id=i-0abc123def456]\naws_instance.example: Destruction complete after 31s\n\nDestroy complete! Resources: 1 destroyed.`,
+      destroyed: 'Destroy complete! Resources: 1 destroyed',
+      exitCode: 0
+    }
+  }),
+  'terraform-init': () => ({
+    duration: 3000,
+    result: {
+      output: `Initializing the backend...\n\nInitializing provider plugins...\n- Installing hashicorp/aws v5.31.0...\n\nTerraform has been successfully initialized! (simulación)`,
+      exitCode: 0
+    }
+  }),
+  'terraform-state': (job) => ({
+    duration: 2000,
+    result: {
+      output: job.payload.operation === 'list'
+        ? 'aws_instance.example\naws_security_group.web\n'
+        : `Terraform state ${job.payload.operation} ${job.payload.address || ''} (simulación)`,
+      operation: job.payload.operation,
+      resources: ['aws_instance.example', 'aws_security_group.web'],
+      exitCode: 0
+    }
+  }),
+  'terraform-workspace': (job) => ({
+    duration: 1000,
+    result: {
+      output: '* default\n  development\n  staging\n  production\n',
+      action: job.payload.action,
+      workspaces: ['default', 'development', 'staging', 'production'],
+      current: 'default',
+      exitCode: 0
+    }
+  }),
+  'test-echo': (job) => ({
+    duration: 0,
+    result: { output: `Echo: ${job.payload.message}`, exitCode: 0 }
+  })
+};
+
+// Facts simulados del `setup` de localhost para el registro de hosts
+const demoFacts = {
+  localhost: {
+    ansible_hostname: 'conductor-demo',
+    ansible_distribution: 'Ubuntu',
+    ansible_distribution_version: '22.04',
+    ansible_kernel: '5.15.0-91-generic',
+    ansible_default_ipv4: { address: '127.0.0.1', interface: 'lo' },
+    ansible_processor_vcpus: 2,
+    ansible_memtotal_mb: 4096
+  }
+};
+
+const emit = (event, data) => {
+  if (global.io) {
+    global.io.emit(event, data);
+  }
+};
+
+// Temporizadores pendientes de cada job simulado, para poder cancelarlo
+const timers = new Map();
+
+// Encolar un job simulado: queued -> running (1s) -> completed (o failed si sus variables
+// incluyen demo_fail, para probar las ramas on-failure de un workflow). Con approval queda
+// en awaiting_approval hasta que release lo pone en marcha.
+const enqueue = ({ name, type, payload, userId = null, parentJobId = null, workflowNode = null, approval = null }) => {
+  const newJob = {
+    id: Date.now() + jobs.length,
+    name,
+    type,
+    status: approval ? 'awaiting_approval' : 'queued',
+    user_id: userId,
+    parent_job_id: parentJobId,
+    workflow_node: workflowNode,
+    inventory_id: payload.inventoryId || null,
+    inventory_revision: payload.inventoryRevision || null,
+    project_id: payload.project ? payload.project.id : null,
+    project_commit: payload.project ? payload.project.commit : null,
+    approval,
+    created_at: new Date().toISOString(),
+    payload
+  };
+
+  jobs.unshift(newJob);
+
+  return approval ? newJob : startSimulation(newJob);
+};
+
+const release = (id) => {
+  const job = jobs.find(j => j.id == id);
+  if (!job || job.status !== 'awaiting_approval') {
+    return null;
+  }
+  job.status = 'queued';
+  return startSimulation(job);
+};
+
+// Simulación de un job en cola: running al cabo de 1s y su estado final pasada su duración
+const startSimulation = (newJob) => {
+  const { name, type, payload } = newJob;
+  const simulate = simulations[type] || (() => ({
+    duration: 2000,
+    result: { output: `Job ${type} ejecutado (simulación)`, exitCode: 0 }
+  }));
+  const { duration, result, events } = simulate(newJob);
+  if (events) {
+    result.recap = buildRecap(events);
+  }
+
+  timers.set(newJob.id, setTimeout(() => {
+    newJob.status = 'running';
+    newJob.started_at = new Date().toISOString();
+
+    // Log en tiempo real (se guarda para poder reproducirlo)
+    appendLog(newJob.id, 'system', `Iniciando ejecución de "${name}"...\n`);
+    if (payload.project) {
+      appendLog(newJob.id, 'system', `[conductor] Proyecto "${payload.project.name}" en ${payload.project.ref || 'HEAD'} (${payload.project.commit})\n`);
+    }
+    if (payload.ansibleWorkspace) {
+      appendLog(newJob.id, 'system', `[conductor] Workspace "${payload.ansibleWorkspace.name}" (${payload.ansibleWorkspace.sha256.slice(0, 12)})\n`);
+    }
+
+    // Si la simulación dura más que el timeout del job, termina como timed_out
+    const timeoutMs = payload.limits ? payload.limits.timeoutMinutes * 60 * 1000 : Infinity;
+    if (timeoutMs < duration) {
+      timers.set(newJob.id, setTimeout(() => {
+        timers.delete(newJob.id);
+        newJob.status = 'timed_out';
+        newJob.completed_at = new Date().toISOString();
+        appendLog(newJob.id, 'system', '\n[conductor] Cancelando job (timeout alcanzado)...\n');
+        finalizeLogs(newJob.id);
+        newJob.result = {
+          output: '',
+          error: `Job cancelado: superó el timeout de ${payload.limits.timeoutMinutes} minutos`,
+          timedOut: true,
+          timeoutMinutes: payload.limits.timeoutMinutes
+        };
+
+        emit('job-timed-out', {
+          jobId: newJob.id,
+          name: newJob.name,
+          timeoutMinutes: payload.limits.timeoutMinutes
+        });
+        notifyJobFinished(newJob.id, 'timed_out');
+      }, timeoutMs));
+      return;
+    }
+
+    if (payload.variables && payload.variables.demo_fail) {
+      timers.set(newJob.id, setTimeout(() => {
+        timers.delete(newJob.id);
+        newJob.status = 'failed';
+        newJob.completed_at = new Date().toISOString();
+        newJob.result = { error: 'Fallo simulado (variable demo_fail)' };
+        appendLog(newJob.id, 'stderr', 'Fallo simulado (variable demo_fail)\n');
+        finalizeLogs(newJob.id);
+
+        emit('job-failed', { jobId: newJob.id, name: newJob.name, error: newJob.result.error });
+        notifyJobFinished(newJob.id, 'failed');
+      }, duration));
+      return;
+    }
+
+    timers.set(newJob.id, setTimeout(() => {
+      timers.delete(newJob.id);
+      newJob.status = 'completed';
+      newJob.completed_at = new Date().toISOString();
+      newJob.result = result;
+      appendLog(newJob.id, 'stdout', `${result.output}\n`);
+      finalizeLogs(newJob.id);
+      if (events) {
+        saveJobEvents(newJob.id, events)
+          .catch(error => console.log('⚠️  No se pudieron guardar los eventos del job:', error.message));
+      }
+
+      // Como en el worker, un dry run no cuenta en el registro de hosts
+      if (type === 'ansible-playbook' && !payload.checkMode) {
+        recordJobHosts({
+          jobId: newJob.id,
+          jobName: newJob.name,
+          inventoryId: newJob.inventory_id,
+          inventoryRevision: newJob.inventory_revision,
+          output: result.output,
+          results: summarizeHosts(events),
+          facts: demoFacts
+        }).catch(error => console.log('⚠️  No se pudo actualizar el registro de hosts:', error.message));
+      }
+
+      emit('job-completed', {
+        jobId: newJob.id,
+        name: newJob.name,
+        status: 'completed'
+      });
+      notifyJobFinished(newJob.id, 'completed');
+    }, duration));
+  }, 1000));
+
+  return newJob;
+};
+
+const cancel = (id) => {
+  const job = jobs.find(j => j.id == id);
+  if (!job) {
+    return { outcome: 'not_found', job: null };
+  }
+  if (!['awaiting_approval', 'queued', 'running'].includes(job.status)) {
+    return { outcome: 'finished', job };
+  }
+
+  clearTimeout(timers.get(job.id));
+  timers.delete(job.id);
+  job.status = 'cancelled';
+  job.completed_at = new Date().toISOString();
+  job.result = { output: '', cancelled: true };
+  appendLog(job.id, 'system', '\n[conductor] Job cancelado por el usuario\n');
+  finalizeLogs(job.id);
+
+  emit('job-cancelled', { jobId: job.id, name: job.name });
+  notifyJobFinished(job.id, 'cancelled');
+  return { outcome: 'cancelled', job };
+};
+
+// Job que no se simula (el padre de un workflow): solo se guarda para listarlo y actualizarlo
+const addJob = (fields) => {
+  const job = {
+    id: Date.now() + jobs.length,
+    created_at: new Date().toISOString(),
+    ...fields
+  };
+  jobs.unshift(job);
+  return job;
+};
+
+const listJobs = () => jobs;
+
+const getJob = (id) => jobs.find(j => j.id == id) || null;
+
+module.exports = { enqueue, release, addJob, listJobs, getJob, cancel };
@@ -0,0 +1,226 @@
+// Ejecución de procesos para los jobs (Docker o binarios locales)
+const { spawn } = require('child_process');
+const config = require('../config');
+const { appendLog } = require('./jobLogs');
+const { maskSecrets } = require('./vault');
+const { getJobDefaults } = require('./settings');
+
+const checkDockerAvailable = async () => {
+  return new Promise((resolve) => {
+    const docker = spawn('docker', ['--version'], { stdio: 'ignore' });
+    docker.on('close', (code) => {
+      resolve(code === 0);
+    });
+    docker.on('error', () => {
+      resolve(false);
+    });
+  });
+};
+
+// Guardar un fragmento de salida del job y emitirlo por WebSocket, con las credenciales
+// del job (job.secrets) enmascaradas. stream: 'stdout', 'stderr' o 'system' (mensajes de Conductor)
+const emitLog = (job, chunk, stream = 'stdout') => {
+  if (job.data.dbJobId) {
+    appendLog(job.data.dbJobId, stream, maskSecrets(chunk, job.secrets));
+  }
+};
+
+// Error con el que termina un comando cuando se cancela el job; conserva la salida parcial
+class JobCancelledError extends Error {
+  constructor(output = '') {
+    super('Job cancelado por el usuario');
+    this.name = 'JobCancelledError';
+    this.output = output;
+  }
+}
+
+// Error con el que termina un comando cuando el job supera su timeout
+class JobTimeoutError extends Error {
+  constructor(output = '', timeoutMinutes) {
+    super(`Job cancelado: superó el timeout de ${timeoutMinutes} minutos`);
+    this.name = 'JobTimeoutError';
+    this.output = output;
+    this.timeoutMinutes = timeoutMinutes;
+  }
+}
+
+// Límites que solo aplica el contenedor; en local no hay con qué hacerlos cumplir
+const SANDBOX_LIMITS = ['cpus', 'memory', 'network'];
+
+// Decide si el job se ejecuta en Docker; con SANDBOX_REQUIRE_DOCKER nunca se cae al binario local.
+// Tampoco un job con límites propios de CPU, memoria o red: en local se ignorarían sin avisar.
+const useDockerSandbox = async (job) => {
+  const available = await checkDockerAvailable();
+  if (available) {
+    return true;
+  }
+  if (config.sandbox.requireDocker) {
+    throw new Error('Docker no está disponible y SANDBOX_REQUIRE_DOCKER=true impide ejecutar en local');
+  }
+
+  const limits = job.data.limits || {};
+  const defaults = await getJobDefaults();
+  const custom = SANDBOX_LIMITS.filter(name => limits[name] !== undefined && String(limits[name]) !== String(defaults[name]));
+  if (custom.length > 0) {
+    throw new Error(`Docker no está disponible y en local no se pueden aplicar los límites del job (${custom.join(', ')})`);
+  }
+  emitLog(job, '[conductor] Docker no está disponible: el job se ejecuta en local sin límites de CPU, memoria ni red\n', 'system');
+  return false;
+};
+
+// Argumentos de `docker run` que limitan los recursos y privilegios del contenedor del job
+const sandboxArgs = (limits = config.jobDefaults) => [
+  '--cpus', String(limits.cpus),
+  '--memory', limits.memory,
+  '--memory-swap', limits.memory,
+  '--pids-limit', String(config.sandbox.pidsLimit),
+  '--network', limits.network,
+  '--user', config.sandbox.user,
+  '--security-opt', 'no-new-privileges',
+  '-e', 'HOME=/tmp'
+];
+
+// Nombre único del contenedor de un comando, para poder matarlo al cancelar
+const containerNameFor = (job) => `conductor-job-${job.data.dbJobId || job.id}-${Date.now()}`;
+
+// Los comandos corren en su propio grupo de procesos para alcanzar también a sus hijos (ssh, providers...)
+const signalProcessGroup = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    child.kill(signal);
+  }
+};
+
+// options: cwd, env (se suman a process.env), quiet (no emitir stdout en tiempo real),
+// killSignal (señal inicial al cancelar, SIGTERM por defecto) y containerName (docker run --name)
+const executeCommand = (command, args, job, options = {}) => {
+  return new Promise((resolve, reject) => {
+    console.log(`🔧 Ejecutando: ${command} ${args.join(' ')}`);
+
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      env: { ...process.env, ...(options.env || {}) },
+      detached: true
+    });
+    let output = '';
+    let error = '';
+    let cancelled = false;
+    let killTimer = null;
+
+    // La salida se emite (al log del job y a la consola del worker) por líneas completas
+    // para que ningún secreto quede partido entre dos fragmentos y se escape del enmascarado
+    const pending = { stdout: '', stderr: '' };
+    const writeLines = (stream, text) => {
+      emitLog(job, text, stream);
+      const echo = maskSecrets(text.replace(/\n$/, ''), job.secrets);
+      if (stream === 'stderr') {
+        console.error(echo);
+      } else {
+        console.log(echo);
+      }
+    };
+    const emitLines = (stream, chunk) => {
+      const text = pending[stream] + chunk;
+      const lastNewline = text.lastIndexOf('\n');
+      if (lastNewline === -1) {
+        pending[stream] = text;
+        return;
+      }
+      pending[stream] = text.slice(lastNewline + 1);
+      writeLines(stream, text.slice(0, lastNewline + 1));
+    };
+    const flushLines = () => {
+      Object.keys(pending).filter(stream => pending[stream]).forEach(stream => {
+        writeLines(stream, pending[stream]);
+        pending[stream] = '';
+      });
+    };
+
+    // Cancelación: señal suave (docker run la reenvía al contenedor) y SIGKILL tras el periodo de gracia
+    const terminate = () => {
+      const signal = options.killSignal || 'SIGTERM';
+      cancelled = true;
+      const reason = abortSignal.reason === 'timeout' ? 'timeout alcanzado' : signal;
+      emitLog(job, `\n[conductor] Cancelando job (${reason})...\n`, 'system');
+      signalProcessGroup(child, signal);
+
+      killTimer = setTimeout(() => {
+        if (options.containerName) {
+          spawn('docker', ['kill', options.containerName], { stdio: 'ignore' }).on('error', () => {});
+        }
+        signalProcessGroup(child, 'SIGKILL');
+      }, config.killGraceSeconds * 1000);
+    };
+
+    const abortSignal = job.signal;
+    if (abortSignal) {
+      abortSignal.addEventListener('abort', terminate, { once: true });
+    }
+
+    child.stdout.on('data', (data) => {
+      const chunk = data.toString();
+      output += chunk;
+
+      if (!options.quiet) {
+        // Emitir logs en tiempo real si WebSocket está disponible
+        emitLines('stdout', chunk);
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      const chunk = data.toString();
+      error += chunk;
+      emitLines('stderr', chunk);
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(killTimer);
+      flushLines();
+      if (abortSignal) {
+        abortSignal.removeEventListener('abort', terminate);
+      }
+
+      if (cancelled && abortSignal.reason === 'timeout') {
+        reject(new JobTimeoutError(output, job.data.limits && job.data.limits.timeoutMinutes));
+      } else if (cancelled) {
+        reject(new JobCancelledError(output));
+      } else if (code === 0) {
+        resolve({
+          output,
+          exitCode: code,
+          duration: Date.now() - job.processedOn
+        });
+      } else {
+        // La salida parcial sirve para saber qué se llegó a ejecutar (p. ej. el PLAY RECAP)
+        const failure = new Error(`${command} falló con código ${code}:\n${error}`);
+        failure.output = output;
+        reject(failure);
+      }
+    });
+
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        reject(new Error(`${command} no está instalado o no está en el PATH`));
+      } else {
+        reject(err);
+      }
+    });
+
+    // Cancelado antes de arrancar este comando (p. ej. entre init y plan)
+    if (abortSignal && abortSignal.aborted) {
+      terminate();
+    }
+  });
+};
+
+module.exports = {
+  checkDockerAvailable,
+  executeCommand,
+  emitLog,
+  containerNameFor,
+  useDockerSandbox,
+  sandboxArgs,
+  JobCancelledError,
+  JobTimeoutError
+};
@@ -0,0 +1,374 @@
+// Registro de hosts: cada host de los inventarios tiene su fila con los facts del último
+// `setup`, cuándo se vio por última vez, el estado de su último job de Ansible y el
+// historial de jobs que lo tocaron (con las tareas que cambiaron algo).
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// Estados de un host en un job, del más grave al menos grave
+const HOST_STATUSES = ['unreachable', 'failed', 'changed', 'ok'];
+
+// En modo demo el registro vive en memoria
+const memoryHosts = [];
+const memoryHostJobs = [];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nombres de host de un inventario (grupos anidados incluidos)
+const collectHostNames = (groups, names = new Set()) => {
+  Object.values(groups || {}).forEach(group => {
+    if (!isPlainObject(group)) return;
+    Object.keys(group.hosts || {}).forEach(host => names.add(host));
+    collectHostNames(group.children, names);
+  });
+  return names;
+};
+
+// Datos más útiles de los facts para listados
+const summarizeFacts = (facts) => {
+  if (!facts) {
+    return null;
+  }
+  const ipv4 = facts.ansible_default_ipv4 || {};
+  return {
+    hostname: facts.ansible_hostname || null,
+    os: [facts.ansible_distribution, facts.ansible_distribution_version].filter(Boolean).join(' ') || null,
+    kernel: facts.ansible_kernel || null,
+    ip: ipv4.address || null,
+    cpus: facts.ansible_processor_vcpus || null,
+    memoryMb: facts.ansible_memtotal_mb || null
+  };
+};
+
+const toHost = (row, { withFacts = false } = {}) => row && {
+  id: row.id,
+  name: row.name,
+  inventoryIds: row.inventory_ids || [],
+  lastStatus: row.last_status,
+  lastJobId: row.last_job_id,
+  lastSeenAt: row.last_seen_at,
+  summary: summarizeFacts(row.facts),
+  ...(withFacts ? { facts: row.facts || null } : {}),
+  factsUpdatedAt: row.facts_updated_at,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+const toHostJob = (row) => row && {
+  jobId: row.job_id,
+  jobName: row.job_name,
+  inventoryId: row.inventory_id,
+  inventoryRevision: row.inventory_revision,
+  status: row.status,
+  stats: {
+    ok: row.ok,
+    changed: row.changed,
+    unreachable: row.unreachable,
+    failed: row.failed,
+    skipped: row.skipped
+  },
+  changedTasks: row.changed_tasks || [],
+  failedTasks: row.failed_tasks || [],
+  created_at: row.created_at
+};
+
+// Alta de los hosts de un inventario y baja de los que ya no tiene. `db` permite
+// hacerlo dentro de la transacción que guarda el inventario.
+const registerInventoryHosts = async (inventoryId, groups, db = pool) => {
+  const names = [...collectHostNames(groups)];
+
+  if (!db) {
+    const now = new Date().toISOString();
+    memoryHosts.forEach(host => {
+      if (!names.includes(host.name)) {
+        host.inventory_ids = host.inventory_ids.filter(id => id !== inventoryId);
+      }
+    });
+    names.forEach(name => {
+      let host = memoryHosts.find(h => h.name === name);
+      if (!host) {
+        host = newMemoryHost(name, now);
+        memoryHosts.push(host);
+      }
+      if (!host.inventory_ids.includes(inventoryId)) {
+        host.inventory_ids.push(inventoryId);
+      }
+    });
+    return;
+  }
+
+  await db.query(
+    `UPDATE hosts SET inventory_ids = array_remove(inventory_ids, $1), updated_at = CURRENT_TIMESTAMP
+     WHERE $1 = ANY(inventory_ids) AND NOT (name = ANY($2::text[]))`,
+    [inventoryId, names]
+  );
+  if (names.length > 0) {
+    await db.query(
+      `INSERT INTO hosts (name, inventory_ids)
+       SELECT unnest($2::text[]), ARRAY[$1::integer]
+       ON CONFLICT (name) DO UPDATE SET
+         inventory_ids = CASE WHEN $1 = ANY(hosts.inventory_ids) THEN hosts.inventory_ids
+                              ELSE array_append(hosts.inventory_ids, $1) END,
+         updated_at = CURRENT_TIMESTAMP`,
+      [inventoryId, names]
+    );
+  }
+};
+
+// Al borrar un inventario sus hosts se conservan (con su historial) pero dejan de pertenecerle
+const unregisterInventory = (inventoryId, db = pool) => registerInventoryHosts(inventoryId, {}, db);
+
+const newMemoryHost = (name, now) => ({
+  id: memoryHosts.reduce((max, host) => Math.max(max, host.id), 0) + 1,
+  name,
+  inventory_ids: [],
+  facts: null,
+  facts_updated_at: null,
+  last_status: null,
+  last_job_id: null,
+  last_seen_at: null,
+  created_at: now,
+  updated_at: now
+});
+
+// Salida del callback por defecto de ansible-playbook -> { host: { stats, status, changedTasks, failedTasks } }.
+// Los contadores salen del PLAY RECAP; las tareas, de las líneas "changed: [host]" bajo cada TASK.
+const parsePlaybookOutput = (output) => {
+  const hosts = {};
+  const entry = (name) => hosts[name] || (hosts[name] = {
+    stats: { ok: 0, changed: 0, unreachable: 0, failed: 0, skipped: 0 },
+    status: 'ok',
+    changedTasks: [],
+    failedTasks: []
+  });
+
+  let task = null;
+  let inRecap = false;
+
+  String(output || '').split('\n').forEach(line => {
+    const taskHeader = line.match(/^(?:TASK|RUNNING HANDLER) \[(.*)\]/);
+    if (taskHeader) {
+      task = taskHeader[1];
+      inRecap = false;
+      return;
+    }
+    if (/^PLAY RECAP/.test(line)) {
+      inRecap = true;
+      return;
+    }
+
+    if (inRecap) {
+      const recap = line.match(/^(\S+)\s+:\s+ok=(\d+)\s+changed=(\d+)\s+unreachable=(\d+)\s+failed=(\d+)(?:\s+skipped=(\d+))?/);
+      if (recap) {
+        const host = entry(recap[1]);
+        host.stats = {
+          ok: parseInt(recap[2], 10),
+          changed: parseInt(recap[3], 10),
+          unreachable: parseInt(recap[4], 10),
+          failed: parseInt(recap[5], 10),
+          skipped: parseInt(recap[6] || '0', 10)
+        };
+      }
+      return;
+    }
+
+    // "changed: [web1]", "changed: [web1 -> localhost] => (item=x)", "fatal: [web1]: FAILED! => ..."
+    const result = line.match(/^(changed|fatal|failed): \[([^\]\s]+)(?: -> [^\]]+)?\]/);
+    if (result && task) {
+      const host = entry(result[2]);
+      const list = result[1] === 'changed' ? host.changedTasks : host.failedTasks;
+      if (!list.includes(task)) {
+        list.push(task);
+      }
+    }
+  });
+
+  Object.values(hosts).forEach(host => {
+    const { stats } = host;
+    host.status = stats.unreachable > 0 ? 'unreachable'
+      : stats.failed > 0 ? 'failed'
+        : stats.changed > 0 ? 'changed'
+          : 'ok';
+  });
+  return hosts;
+};
+
+// Facts que dejó la caché jsonfile de Ansible (un archivo JSON por host)
+const readFactsCache = async (dir) => {
+  const facts = {};
+  const files = await fs.readdir(dir).catch(() => []);
+  for (const file of files) {
+    try {
+      const data = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+      if (isPlainObject(data)) {
+        facts[file] = data;
+      }
+    } catch (error) {
+      console.log(`⚠️  Facts ilegibles para ${file}:`, error.message);
+    }
+  }
+  return facts;
+};
+
+// Guarda el resultado de un job de Ansible en cada host (y los facts recogidos). `results`
+// viene de los eventos del callback (summarizeHosts); sin eventos se lee el PLAY RECAP de `output`.
+const recordJobHosts = async ({ jobId, jobName, inventoryId = null, inventoryRevision = null, output, results: hostResults, facts = {} }) => {
+  const results = hostResults || parsePlaybookOutput(output);
+  const names = Object.keys(results);
+
+  for (const name of names) {
+    const result = results[name];
+    const hostFacts = facts[name] || null;
+    const seen = result.status !== 'unreachable';
+
+    if (!pool) {
+      const now = new Date().toISOString();
+      let host = memoryHosts.find(h => h.name === name);
+      if (!host) {
+        host = newMemoryHost(name, now);
+        memoryHosts.push(host);
+      }
+      Object.assign(host, {
+        last_status: result.status,
+        last_job_id: jobId,
+        last_seen_at: seen ? now : host.last_seen_at,
+        facts: hostFacts || host.facts,
+        facts_updated_at: hostFacts ? now : host.facts_updated_at,
+        updated_at: now
+      });
+      const previous = memoryHostJobs.findIndex(row => row.host_id === host.id && row.job_id === jobId);
+      if (previous !== -1) {
+        memoryHostJobs.splice(previous, 1);
+      }
+      memoryHostJobs.push({
+        host_id: host.id,
+        job_id: jobId,
+        job_name: jobName,
+        inventory_id: inventoryId,
+        inventory_revision: inventoryRevision,
+        status: result.status,
+        ...result.stats,
+        changed_tasks: result.changedTasks,
+        failed_tasks: result.failedTasks,
+        created_at: now
+      });
+      continue;
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO hosts (name, last_status, last_job_id, last_seen_at, facts, facts_updated_at)
+       VALUES ($1, $2, $3, CASE WHEN $4 THEN CURRENT_TIMESTAMP END, $5,
+               CASE WHEN $5::jsonb IS NOT NULL THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (name) DO UPDATE SET
+         last_status = EXCLUDED.last_status,
+         last_job_id = EXCLUDED.last_job_id,
+         last_seen_at = COALESCE(EXCLUDED.last_seen_at, hosts.last_seen_at),
+         facts = COALESCE(EXCLUDED.facts, hosts.facts),
+         facts_updated_at = COALESCE(EXCLUDED.facts_updated_at, hosts.facts_updated_at),
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING id`,
+      [name, result.status, jobId, seen, hostFacts ? JSON.stringify(hostFacts) : null]
+    );
+
+    // Un reintento del job sustituye el resultado anterior
+    await pool.query(
+      `INSERT INTO host_jobs (host_id, job_id, job_name, inventory_id, inventory_revision, status,
+         ok, changed, unreachable, failed, skipped, changed_tasks, failed_tasks)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (host_id, job_id) DO UPDATE SET
+         status = EXCLUDED.status, ok = EXCLUDED.ok, changed = EXCLUDED.changed,
+         unreachable = EXCLUDED.unreachable, failed = EXCLUDED.failed, skipped = EXCLUDED.skipped,
+         changed_tasks = EXCLUDED.changed_tasks, failed_tasks = EXCLUDED.failed_tasks,
+         created_at = CURRENT_TIMESTAMP`,
+      [
+        rows[0].id, jobId, jobName, inventoryId, inventoryRevision, result.status,
+        result.stats.ok, result.stats.changed, result.stats.unreachable, result.stats.failed, result.stats.skipped,
+        JSON.stringify(result.changedTasks), JSON.stringify(result.failedTasks)
+      ]
+    );
+  }
+
+  if (global.io && names.length > 0) {
+    global.io.emit('hosts-updated', { jobId, hosts: names });
+  }
+  return results;
+};
+
+// Filtros: search (nombre), inventoryId y status (último estado)
+const listHosts = async ({ search, inventoryId, status } = {}) => {
+  if (!pool) {
+    return memoryHosts
+      .filter(host => !search || host.name.toLowerCase().includes(String(search).toLowerCase()))
+      .filter(host => !inventoryId || host.inventory_ids.includes(inventoryId))
+      .filter(host => !status || host.last_status === status)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(host => toHost(host));
+  }
+
+  const conditions = [];
+  const params = [];
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`name ILIKE $${params.length}`);
+  }
+  if (inventoryId) {
+    params.push(inventoryId);
+    conditions.push(`$${params.length} = ANY(inventory_ids)`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`last_status = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await pool.query(`SELECT * FROM hosts ${where} ORDER BY name`, params);
+  return rows.map(row => toHost(row));
+};
+
+// Por id numérico o por nombre
+const findHostRow = async (ref) => {
+  const byId = /^\d+$/.test(String(ref));
+  if (!pool) {
+    return memoryHosts.find(host => (byId ? host.id === parseInt(ref, 10) : host.name === ref)) || null;
+  }
+  const { rows } = await pool.query(
+    `SELECT * FROM hosts WHERE ${byId ? 'id' : 'name'} = $1`,
+    [byId ? parseInt(ref, 10) : ref]
+  );
+  return rows[0] || null;
+};
+
+const getHost = async (ref) => toHost(await findHostRow(ref), { withFacts: true });
+
+// Jobs que tocaron el host, del más reciente al más antiguo; since = fecha ISO
+const listHostJobs = async (hostId, { since, limit = 100 } = {}) => {
+  if (!pool) {
+    return memoryHostJobs
+      .filter(row => row.host_id === hostId)
+      .filter(row => !since || new Date(row.created_at) >= new Date(since))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, limit)
+      .map(toHostJob);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM host_jobs WHERE host_id = $1 AND ($2::timestamp IS NULL OR created_at >= $2)
+     ORDER BY created_at DESC LIMIT $3`,
+    [hostId, since || null, limit]
+  );
+  return rows.map(toHostJob);
+};
+
+module.exports = {
+  HOST_STATUSES,
+  registerInventoryHosts,
+  unregisterInventory,
+  parsePlaybookOutput,
+  readFactsCache,
+  recordJobHosts,
+  listHosts,
+  getHost,
+  listHostJobs
+};
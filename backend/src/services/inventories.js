@@ -0,0 +1,588 @@
+// Inventarios de Ansible con historial de revisiones: cada alta, edición o rollback
+// guarda una copia completa en inventory_revisions, y los jobs registran la revisión
+// con la que se ejecutaron.
+const config = require('../config');
+const { resolveCredentialIds } = require('./credentials');
+const { validateSource } = require('./inventorySources');
+const { registerInventoryHosts, unregisterInventory } = require('./hosts');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool, ready } = config.demoMode ? {} : require('../models/database');
+
+// Campos de un inventario que se versionan (source: origen dinámico, null si es estático)
+const REVISION_FIELDS = ['name', 'description', 'hosts', 'variables', 'credentialIds', 'source'];
+
+const GROUP_KEYS = ['hosts', 'vars', 'children'];
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HOST_NAME_PATTERN = /^[^\s#=,]+$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// En modo demo los inventarios y sus revisiones viven en memoria
+const memoryInventories = [];
+const memoryRevisions = [];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const assertVariables = (vars, where) => {
+  if (vars === null || vars === undefined) {
+    return;
+  }
+  if (!isPlainObject(vars)) {
+    throw new ValidationError(`${where} debe ser un objeto`);
+  }
+  Object.keys(vars).forEach(key => {
+    if (!VARIABLE_NAME_PATTERN.test(key)) {
+      throw new ValidationError(`${where}: nombre de variable inválido "${key}"`);
+    }
+  });
+};
+
+// Grupo con el formato YAML de Ansible: { hosts: { host: vars }, vars: {}, children: { grupo: {...} } }
+const assertGroup = (group, where) => {
+  if (group === null) {
+    return;
+  }
+  if (!isPlainObject(group)) {
+    throw new ValidationError(`${where} debe ser un objeto con hosts, vars o children`);
+  }
+
+  Object.keys(group).forEach(key => {
+    if (!GROUP_KEYS.includes(key)) {
+      throw new ValidationError(`${where}: clave desconocida "${key}" (se admiten ${GROUP_KEYS.join(', ')})`);
+    }
+  });
+
+  if (group.hosts !== undefined && group.hosts !== null) {
+    if (!isPlainObject(group.hosts)) {
+      throw new ValidationError(`${where}.hosts debe ser un objeto { host: variables }`);
+    }
+    Object.entries(group.hosts).forEach(([host, vars]) => {
+      if (!HOST_NAME_PATTERN.test(host)) {
+        throw new ValidationError(`${where}.hosts: nombre de host inválido "${host}"`);
+      }
+      assertVariables(vars, `${where}.hosts.${host}`);
+    });
+  }
+
+  assertVariables(group.vars, `${where}.vars`);
+
+  if (group.children !== undefined && group.children !== null) {
+    assertGroups(group.children, `${where}.children`);
+  }
+};
+
+const assertGroups = (groups, where) => {
+  if (!isPlainObject(groups)) {
+    throw new ValidationError(`${where} debe ser un objeto { grupo: {...} }`);
+  }
+  Object.entries(groups).forEach(([name, group]) => {
+    if (!GROUP_NAME_PATTERN.test(name)) {
+      throw new ValidationError(`${where}: nombre de grupo inválido "${name}"`);
+    }
+    assertGroup(group, `${where}.${name}`);
+  });
+};
+
+// Estructura de los hosts y variables del inventario; lanza ValidationError con la ruta del error
+const validateHosts = (hosts, variables) => {
+  assertGroups(hosts, 'hosts');
+  assertVariables(variables, 'variables');
+};
+
+// Valida y normaliza los campos de un inventario completo
+// Un inventario dinámico puede crearse sin hosts: los rellena la sincronización
+const validateInventory = async ({ name, description = '', hosts, variables = {}, credentialIds, source = null }) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new ValidationError('El nombre del inventario es obligatorio');
+  }
+  if (name.trim().length > 100) {
+    throw new ValidationError('El nombre del inventario no puede superar 100 caracteres');
+  }
+  const validSource = validateSource(source);
+  if (validSource && (hosts === undefined || hosts === null)) {
+    hosts = {};
+  }
+  if (hosts === undefined || hosts === null) {
+    throw new ValidationError('Faltan los hosts del inventario');
+  }
+
+  validateHosts(hosts, variables);
+
+  return {
+    name: name.trim(),
+    description: description || '',
+    hosts,
+    variables: variables || {},
+    credentialIds: await resolveCredentialIds(credentialIds),
+    source: validSource
+  };
+};
+
+const toInventory = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  hosts: row.hosts || {},
+  variables: row.variables || {},
+  credentialIds: row.credential_ids || [],
+  type: row.source ? 'dynamic' : 'static',
+  source: row.source || null,
+  lastSync: row.source ? {
+    status: row.last_sync_status || null,
+    at: row.last_synced_at || null,
+    error: row.last_sync_error || null
+  } : null,
+  revision: row.current_revision,
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+const toRevision = (row) => row && {
+  inventoryId: row.inventory_id,
+  revision: row.revision,
+  name: row.name,
+  description: row.description,
+  hosts: row.hosts || {},
+  variables: row.variables || {},
+  credentialIds: row.credential_ids || [],
+  source: row.source || null,
+  message: row.message,
+  created_by: row.created_by,
+  created_at: row.created_at
+};
+
+// Restricciones únicas de la BD que puede violar un guardado: el nombre del inventario y el
+// número de revisión (dos guardados a la vez sobre la misma revisión)
+const NAME_CONSTRAINT = 'inventories_name_key';
+const REVISION_CONSTRAINT = 'inventory_revisions_inventory_id_revision_key';
+
+const isUniqueViolation = (error, constraint) => error.code === '23505' && error.constraint === constraint;
+
+const duplicateName = (name) => new ConflictError(`Ya existe un inventario llamado "${name}"`);
+
+const concurrentChange = (id) => new ConflictError(
+  `El inventario ${id} cambió mientras se guardaba: vuelve a cargarlo y repite el cambio`
+);
+
+const listInventories = async () => {
+  if (!pool) {
+    return memoryInventories.map(toInventory);
+  }
+
+  const { rows } = await pool.query('SELECT * FROM inventories ORDER BY name');
+  return rows.map(toInventory);
+};
+
+const findRow = async (id) => {
+  if (!pool) {
+    return memoryInventories.find(inv => inv.id === id) || null;
+  }
+
+  const { rows } = await pool.query('SELECT * FROM inventories WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+const getInventory = async (id) => toInventory(await findRow(id));
+
+// Inventario guardado por id o por nombre (el campo `inventory` de los jobs admite ambos)
+const findInventory = async (ref) => {
+  if (!pool) {
+    return toInventory(memoryInventories.find(inv => inv.id == ref || inv.name === ref));
+  }
+
+  const id = /^\d+$/.test(String(ref)) ? parseInt(ref, 10) : null;
+  const { rows } = await pool.query(
+    'SELECT * FROM inventories WHERE id = $1 OR name = $2 ORDER BY id = $1 DESC LIMIT 1',
+    [id, String(ref)]
+  );
+  return toInventory(rows[0]);
+};
+
+// Guardar en memoria (modo demo) una nueva revisión del inventario
+const storeMemoryRevision = (row, message, userId) => {
+  memoryRevisions.push({
+    inventory_id: row.id,
+    revision: row.current_revision,
+    name: row.name,
+    description: row.description,
+    hosts: row.hosts,
+    variables: row.variables,
+    credential_ids: row.credential_ids,
+    source: row.source,
+    message,
+    created_by: userId,
+    created_at: new Date().toISOString()
+  });
+};
+
+const insertRevision = (client, row, message, userId) => client.query(
+  `INSERT INTO inventory_revisions
+     (inventory_id, revision, name, description, hosts, variables, credential_ids, source, message, created_by)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+  [
+    row.id, row.current_revision, row.name, row.description,
+    JSON.stringify(row.hosts), JSON.stringify(row.variables), JSON.stringify(row.credential_ids),
+    row.source ? JSON.stringify(row.source) : null, message, userId
+  ]
+);
+
+// Ejecuta fn(client) dentro de una transacción
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const createInventory = async (fields, userId = null) => {
+  const inventory = await validateInventory(fields);
+
+  if (!pool) {
+    if (memoryInventories.some(inv => inv.name === inventory.name)) {
+      throw duplicateName(inventory.name);
+    }
+    const row = {
+      id: memoryInventories.reduce((max, inv) => Math.max(max, inv.id), 0) + 1,
+      name: inventory.name,
+      description: inventory.description,
+      hosts: inventory.hosts,
+      variables: inventory.variables,
+      credential_ids: inventory.credentialIds,
+      source: inventory.source,
+      current_revision: 1,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    memoryInventories.push(row);
+    storeMemoryRevision(row, 'Creación', userId);
+    await registerInventoryHosts(row.id, row.hosts);
+    return toInventory(row);
+  }
+
+  try {
+    return await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO inventories (name, description, hosts, variables, credential_ids, source, current_revision, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, 1, $7) RETURNING *`,
+        [
+          inventory.name, inventory.description, JSON.stringify(inventory.hosts),
+          JSON.stringify(inventory.variables), JSON.stringify(inventory.credentialIds),
+          inventory.source ? JSON.stringify(inventory.source) : null, userId
+        ]
+      );
+      await insertRevision(client, rows[0], 'Creación', userId);
+      await registerInventoryHosts(rows[0].id, inventory.hosts, client);
+      return toInventory(rows[0]);
+    });
+  } catch (error) {
+    if (isUniqueViolation(error, NAME_CONSTRAINT)) {
+      throw duplicateName(inventory.name);
+    }
+    throw error;
+  }
+};
+
+// Guarda un nuevo estado completo del inventario como revisión current_revision + 1.
+// Si nada cambia respecto a la revisión actual no se crea revisión, y si otro guardado creó
+// una revisión desde que se leyó el inventario se responde 409 en lugar de pisarlo.
+const saveRevision = async (id, fields, message, userId) => {
+  const current = await getInventory(id);
+  if (!current) {
+    throw new NotFoundError('Inventario no encontrado');
+  }
+
+  const inventory = await validateInventory(fields);
+  if (REVISION_FIELDS.every(field => isEqual(current[field], inventory[field]))) {
+    return current;
+  }
+
+  if (!pool) {
+    if (memoryInventories.some(inv => inv.name === inventory.name && inv.id !== id)) {
+      throw duplicateName(inventory.name);
+    }
+    const row = memoryInventories.find(inv => inv.id === id);
+    Object.assign(row, {
+      name: inventory.name,
+      description: inventory.description,
+      hosts: inventory.hosts,
+      variables: inventory.variables,
+      credential_ids: inventory.credentialIds,
+      source: inventory.source,
+      current_revision: row.current_revision + 1,
+      updated_at: new Date().toISOString()
+    });
+    storeMemoryRevision(row, message, userId);
+    await registerInventoryHosts(id, row.hosts);
+    return toInventory(row);
+  }
+
+  try {
+    return await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE inventories SET name = $1, description = $2, hosts = $3, variables = $4,
+           credential_ids = $5, source = $6, current_revision = current_revision + 1,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7 AND current_revision = $8 RETURNING *`,
+        [
+          inventory.name, inventory.description, JSON.stringify(inventory.hosts),
+          JSON.stringify(inventory.variables), JSON.stringify(inventory.credentialIds),
+          inventory.source ? JSON.stringify(inventory.source) : null, id, current.revision
+        ]
+      );
+      if (rows.length === 0) {
+        throw (await getInventory(id)) ? concurrentChange(id) : new NotFoundError('Inventario no encontrado');
+      }
+      await insertRevision(client, rows[0], message, userId);
+      await registerInventoryHosts(id, inventory.hosts, client);
+      return toInventory(rows[0]);
+    });
+  } catch (error) {
+    if (isUniqueViolation(error, NAME_CONSTRAINT)) {
+      throw duplicateName(inventory.name);
+    }
+    if (isUniqueViolation(error, REVISION_CONSTRAINT)) {
+      throw concurrentChange(id);
+    }
+    throw error;
+  }
+};
+
+// PUT: reemplaza el inventario completo (name y hosts obligatorios, salvo con source)
+const replaceInventory = (id, { name, description, hosts, variables, credentialIds, source, message }, userId = null) =>
+  saveRevision(id, { name, description, hosts, variables, credentialIds, source }, message || 'Edición', userId);
+
+// PATCH: solo cambia los campos enviados
+const patchInventory = async (id, changes, userId = null) => {
+  const current = await getInventory(id);
+  if (!current) {
+    throw new NotFoundError('Inventario no encontrado');
+  }
+
+  const fields = {};
+  REVISION_FIELDS.forEach(field => {
+    fields[field] = changes[field] !== undefined ? changes[field] : current[field];
+  });
+  return saveRevision(id, fields, changes.message || 'Edición', userId);
+};
+
+// Resultado de la última sincronización de un inventario dinámico (no crea revisión)
+const setSyncStatus = async (id, status, error = null) => {
+  if (!pool) {
+    const row = memoryInventories.find(inv => inv.id === id);
+    if (row) {
+      Object.assign(row, { last_sync_status: status, last_sync_error: error, last_synced_at: new Date().toISOString() });
+    }
+    return;
+  }
+
+  await pool.query(
+    `UPDATE inventories SET last_sync_status = $1, last_sync_error = $2, last_synced_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [status, error, id]
+  );
+};
+
+const deleteInventory = async (id) => {
+  if (!pool) {
+    const index = memoryInventories.findIndex(inv => inv.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Inventario no encontrado');
+    }
+    memoryInventories.splice(index, 1);
+    await unregisterInventory(id);
+    for (let i = memoryRevisions.length - 1; i >= 0; i--) {
+      if (memoryRevisions[i].inventory_id === id) {
+        memoryRevisions.splice(i, 1);
+      }
+    }
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM inventories WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Inventario no encontrado');
+  }
+  await unregisterInventory(id);
+};
+
+const listRevisions = async (id) => {
+  if (!(await findRow(id))) {
+    throw new NotFoundError('Inventario no encontrado');
+  }
+
+  if (!pool) {
+    return memoryRevisions
+      .filter(rev => rev.inventory_id === id)
+      .sort((a, b) => b.revision - a.revision)
+      .map(toRevision);
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM inventory_revisions WHERE inventory_id = $1 ORDER BY revision DESC',
+    [id]
+  );
+  return rows.map(toRevision);
+};
+
+const getRevision = async (id, revision) => {
+  if (!pool) {
+    const row = memoryRevisions.find(rev => rev.inventory_id === id && rev.revision === revision);
+    if (!row) {
+      throw new NotFoundError(`El inventario ${id} no tiene la revisión ${revision}`);
+    }
+    return toRevision(row);
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM inventory_revisions WHERE inventory_id = $1 AND revision = $2',
+    [id, revision]
+  );
+  if (rows.length === 0) {
+    throw new NotFoundError(`El inventario ${id} no tiene la revisión ${revision}`);
+  }
+  return toRevision(rows[0]);
+};
+
+// JSON con las claves de los objetos ordenadas: JSONB no conserva el orden en que se
+// escribieron, así que una revisión leída de la BD se compara bien con la misma recién enviada
+const canonicalJson = (value) => JSON.stringify(value, (key, item) => (
+  isPlainObject(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+    : item
+));
+
+const isEqual = (a, b) => canonicalJson(a) === canonicalJson(b);
+
+// Diferencias entre dos valores JSON: [{ path, type: added|removed|changed, from, to }]
+const diffValues = (from, to, path, changes) => {
+  if (isEqual(from, to)) {
+    return changes;
+  }
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    keys.forEach(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in to)) {
+        changes.push({ path: keyPath, type: 'removed', from: from[key] });
+      } else if (!(key in from)) {
+        changes.push({ path: keyPath, type: 'added', to: to[key] });
+      } else {
+        diffValues(from[key], to[key], keyPath, changes);
+      }
+    });
+    return changes;
+  }
+
+  changes.push({ path, type: 'changed', from, to });
+  return changes;
+};
+
+// Compara dos revisiones del inventario campo a campo
+const diffRevisions = async (id, fromRevision, toRevisionNumber) => {
+  const [from, to] = await Promise.all([
+    getRevision(id, fromRevision),
+    getRevision(id, toRevisionNumber)
+  ]);
+
+  const changes = [];
+  REVISION_FIELDS.forEach(field => diffValues(from[field], to[field], field, changes));
+
+  return { inventoryId: id, from: fromRevision, to: toRevisionNumber, changes };
+};
+
+// Restaura el contenido de una revisión anterior creando una revisión nueva (el historial no se reescribe)
+const rollbackInventory = async (id, revision, userId = null) => {
+  const target = await getRevision(id, revision);
+  const fields = {};
+  REVISION_FIELDS.forEach(field => {
+    fields[field] = target[field];
+  });
+  return saveRevision(id, fields, `Rollback a la revisión ${revision}`, userId);
+};
+
+// Inventario (por id o nombre) y revisión con los que se va a ejecutar un job.
+// Sin `revision` se usa la actual. Un inventario escrito a mano (texto INI u objeto) devuelve null.
+const resolveInventoryRevision = async (ref, revision) => {
+  if (typeof ref !== 'string' && typeof ref !== 'number') {
+    return null;
+  }
+
+  const inventory = await findInventory(ref);
+  if (!inventory) {
+    return null;
+  }
+  if (revision === undefined || revision === null || revision === inventory.revision) {
+    return inventory;
+  }
+
+  const snapshot = await getRevision(inventory.id, parseInt(revision, 10) || 0);
+  // Los permisos se comprueban contra el nombre actual del inventario
+  return { ...inventory, ...snapshot, id: inventory.id, name: inventory.name };
+};
+
+// Al arrancar, el registro de hosts se completa con los hosts de todos los inventarios
+const registerAllHosts = async () => {
+  if (ready) {
+    await ready;
+  }
+  for (const inventory of await listInventories()) {
+    await registerInventoryHosts(inventory.id, inventory.hosts);
+  }
+};
+
+// Inventario de ejemplo del modo demo
+if (!pool) {
+  const row = {
+    id: 1,
+    name: 'localhost',
+    description: 'Inventario local para pruebas',
+    hosts: {
+      all: {
+        hosts: {
+          localhost: {
+            ansible_connection: 'local',
+            ansible_host: '127.0.0.1'
+          }
+        }
+      }
+    },
+    variables: {},
+    credential_ids: [],
+    current_revision: 1,
+    created_by: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  memoryInventories.push(row);
+  storeMemoryRevision(row, 'Creación', null);
+}
+
+module.exports = {
+  validateHosts,
+  validateInventory,
+  listInventories,
+  getInventory,
+  findInventory,
+  createInventory,
+  replaceInventory,
+  patchInventory,
+  setSyncStatus,
+  deleteInventory,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackInventory,
+  resolveInventoryRevision,
+  registerAllHosts
+};
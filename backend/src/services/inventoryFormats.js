@@ -0,0 +1,475 @@
+// Importación y exportación de inventarios en los formatos de Ansible: INI, YAML y el
+// JSON de `ansible-inventory --list`. Todo se convierte al modelo de Conductor:
+// { hosts: { grupo: { hosts, vars, children } }, variables } (variables = all.vars).
+const yaml = require('js-yaml');
+const { validateHosts } = require('./inventories');
+const { fromListFormat } = require('./inventorySources');
+const { renderInventory } = require('./ansibleInventory');
+const { ValidationError } = require('../utils/errors');
+
+const FORMATS = {
+  ini: { extension: 'ini', contentType: 'text/plain; charset=utf-8' },
+  yaml: { extension: 'yml', contentType: 'application/x-yaml; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Hosts que pueden generar los rangos de un patrón y de toda una importación
+const MAX_RANGE_HOSTS = 10000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Formato por el contenido: JSON empieza por {, YAML por `---` o `grupo:`; el resto, INI
+const detectFormat = (content) => {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{')) {
+    return 'json';
+  }
+  const firstLine = trimmed.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#'));
+  return firstLine && /^(---|[A-Za-z0-9_-]+:\s*(#.*)?$)/.test(firstLine) ? 'yaml' : 'ini';
+};
+
+const RANGE_PATTERN = /\[([0-9a-zA-Z]*):([0-9a-zA-Z]+)(?::(\d+))?\]/g;
+
+// Nombres de un rango: a:c, 01:10 o 0:20:5
+const rangeNames = (pattern, start, end, stepText) => {
+  const step = stepText ? parseInt(stepText, 10) : 1;
+  if (step < 1) {
+    throw new ValidationError(`Rango de hosts inválido "${pattern}": el paso debe ser >= 1`);
+  }
+
+  const names = [];
+  if (/^[a-zA-Z]$/.test(start) && /^[a-zA-Z]$/.test(end)) {
+    for (let code = start.charCodeAt(0); code <= end.charCodeAt(0); code += step) {
+      names.push(String.fromCharCode(code));
+    }
+  } else if (/^\d*$/.test(start) && /^\d+$/.test(end)) {
+    const first = start || '0';
+    // Con ceros a la izquierda, todos los números llevan el mismo ancho
+    const width = first.length > 1 && first.startsWith('0') ? first.length : 0;
+    if (width && width !== end.length) {
+      throw new ValidationError(`Rango de hosts inválido "${pattern}": inicio y fin deben tener el mismo ancho`);
+    }
+    const from = parseInt(first, 10);
+    const to = parseInt(end, 10);
+    if ((to - from) / step >= MAX_RANGE_HOSTS) {
+      throw new ValidationError(`El rango "${pattern}" supera ${MAX_RANGE_HOSTS} hosts`);
+    }
+    for (let i = from; i <= to; i += step) {
+      names.push(String(i).padStart(width, '0'));
+    }
+  } else {
+    throw new ValidationError(`Rango de hosts inválido "${pattern}"`);
+  }
+
+  if (names.length === 0) {
+    throw new ValidationError(`Rango de hosts vacío "${pattern}"`);
+  }
+  return names;
+};
+
+// Rangos de hosts como los de Ansible: web[01:10], db-[a:c], node[0:20:5], rack[1:2]-n[1:4].
+// budget.hosts acumula los hosts que generan los rangos de toda una importación: ni un
+// patrón ni el inventario completo pueden pasar de MAX_RANGE_HOSTS.
+const expandHostPattern = (pattern, budget = { hosts: 0 }) => {
+  const parts = [];
+  let last = 0;
+  for (const match of pattern.matchAll(RANGE_PATTERN)) {
+    parts.push([pattern.slice(last, match.index)], rangeNames(pattern, match[1], match[2], match[3]));
+    last = match.index + match[0].length;
+  }
+  if (parts.length === 0) {
+    return [pattern];
+  }
+  parts.push([pattern.slice(last)]);
+
+  // Los rangos anidados se multiplican: el total se comprueba antes de generar los nombres
+  const total = parts.reduce((product, names) => product * names.length, 1);
+  if (total > MAX_RANGE_HOSTS) {
+    throw new ValidationError(`El patrón "${pattern}" genera ${total} hosts (máximo ${MAX_RANGE_HOSTS})`);
+  }
+  budget.hosts += total;
+  if (budget.hosts > MAX_RANGE_HOSTS) {
+    throw new ValidationError(`Los rangos del inventario generan más de ${MAX_RANGE_HOSTS} hosts`);
+  }
+
+  return parts.reduce((hosts, names) => hosts.flatMap(host => names.map(name => `${host}${name}`)), ['']);
+};
+
+// Separa una línea de host en tokens como shlex: comillas simples y dobles, \ para escapar
+// y # al principio de un token para comentarios
+const tokenize = (line) => {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (current !== null) tokens.push(current);
+      current = null;
+    } else if (char === '#' && current === null) {
+      break;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+      current = current || '';
+    } else if (char === '\\' && i + 1 < line.length) {
+      current = (current || '') + line[++i];
+    } else {
+      current = (current || '') + char;
+    }
+  }
+
+  if (quote) {
+    throw new ValidationError('comillas sin cerrar');
+  }
+  if (current !== null) tokens.push(current);
+  return tokens;
+};
+
+// Valor de una variable en una línea de host: Ansible lo interpreta como literal de Python
+// (números, True/False/None, listas y diccionarios); si no lo es, se queda como texto
+const parseIniValue = (value) => {
+  if (/^[-+]?(0|[1-9]\d*)$/.test(value)) return parseInt(value, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value) && /[.eE]/.test(value)) return parseFloat(value);
+  if (value === 'True') return true;
+  if (value === 'False') return false;
+  if (value === 'None') return null;
+
+  const quoted = value.match(/^'(.*)'$|^"(.*)"$/);
+  if (quoted) return quoted[1] !== undefined ? quoted[1] : quoted[2];
+
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+const ensureGroup = (groups, name) => {
+  if (!groups[name]) {
+    groups[name] = {};
+  }
+  return groups[name];
+};
+
+// INI de Ansible: [grupo], [grupo:children], [grupo:vars], hosts con variables y rangos.
+// Los hosts anteriores a la primera sección van a `ungrouped`.
+const parseIni = (content, budget) => {
+  const groups = {};
+  const variables = {};
+  let section = { group: 'ungrouped', kind: 'hosts' };
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const where = `Línea ${index + 1}`;
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      return;
+    }
+
+    const header = line.match(/^\[([^\]:\s]+)(?::(\w+))?\]\s*([#;].*)?$/);
+    if (header) {
+      const [, group, kind = 'hosts'] = header;
+      if (!['hosts', 'children', 'vars'].includes(kind)) {
+        throw new ValidationError(`${where}: sección desconocida "[${group}:${kind}]"`);
+      }
+      section = { group, kind };
+      if (group !== 'all') {
+        ensureGroup(groups, group);
+      }
+      return;
+    }
+    if (line.startsWith('[')) {
+      throw new ValidationError(`${where}: cabecera de sección inválida "${line}"`);
+    }
+
+    if (section.kind === 'vars') {
+      const separator = line.indexOf('=');
+      if (separator < 1) {
+        throw new ValidationError(`${where}: se esperaba clave=valor en [${section.group}:vars]`);
+      }
+      // En las secciones :vars Ansible trata los valores como texto
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (section.group === 'all') {
+        variables[key] = value;
+      } else {
+        const group = ensureGroup(groups, section.group);
+        group.vars = { ...(group.vars || {}), [key]: value };
+      }
+      return;
+    }
+
+    if (section.kind === 'children') {
+      const child = line.split(/\s+/)[0];
+      const group = ensureGroup(groups, section.group);
+      ensureGroup(groups, child);
+      group.children = { ...(group.children || {}), [child]: {} };
+      return;
+    }
+
+    let tokens;
+    try {
+      tokens = tokenize(line);
+    } catch (error) {
+      throw new ValidationError(`${where}: ${error.message}`);
+    }
+    if (tokens.length === 0) {
+      return;
+    }
+
+    const [pattern, ...assignments] = tokens;
+    const vars = {};
+    assignments.forEach(token => {
+      const separator = token.indexOf('=');
+      if (separator < 1) {
+        throw new ValidationError(`${where}: se esperaba variable=valor y se encontró "${token}"`);
+      }
+      vars[token.slice(0, separator)] = parseIniValue(token.slice(separator + 1));
+    });
+
+    // host:puerto (sin confundirlo con una dirección IPv6)
+    let hostPattern = pattern;
+    const port = pattern.match(/^([^:]+):(\d+)$/);
+    if (port) {
+      hostPattern = port[1];
+      vars.ansible_port = parseInt(port[2], 10);
+    }
+
+    const group = ensureGroup(groups, section.group);
+    group.hosts = group.hosts || {};
+    expandHostPattern(hostPattern, budget).forEach(host => {
+      group.hosts[host] = Object.keys(vars).length > 0 ? { ...(group.hosts[host] || {}), ...vars } : (group.hosts[host] || null);
+    });
+  });
+
+  if (groups.ungrouped && !groups.ungrouped.hosts) {
+    delete groups.ungrouped;
+  }
+  return { hosts: groups, variables };
+};
+
+// Expande los rangos de los nombres de host en un documento YAML (grupos anidados incluidos)
+const expandGroupRanges = (groups, budget) => {
+  Object.values(groups).forEach(group => {
+    if (!isPlainObject(group)) return;
+    if (isPlainObject(group.hosts)) {
+      group.hosts = Object.fromEntries(Object.entries(group.hosts).flatMap(([pattern, vars]) =>
+        expandHostPattern(pattern, budget).map(host => [host, vars])
+      ));
+    }
+    if (isPlainObject(group.children)) {
+      expandGroupRanges(group.children, budget);
+    }
+  });
+  return groups;
+};
+
+// Documento YAML de Ansible -> modelo: all.vars pasa a `variables` y los hijos de all,
+// a grupos de primer nivel
+const fromDocument = (document, budget) => {
+  if (!isPlainObject(document)) {
+    throw new ValidationError('El inventario debe ser un objeto { grupo: {...} }');
+  }
+
+  const groups = { ...document };
+  let variables = {};
+  const all = groups.all;
+  delete groups.all;
+
+  if (isPlainObject(all)) {
+    variables = isPlainObject(all.vars) ? all.vars : {};
+    Object.entries(isPlainObject(all.children) ? all.children : {}).forEach(([name, group]) => {
+      groups[name] = isPlainObject(groups[name]) && isPlainObject(group)
+        ? { ...groups[name], ...group }
+        : (group || groups[name] || {});
+    });
+    if (isPlainObject(all.hosts) && Object.keys(all.hosts).length > 0) {
+      groups.all = { hosts: all.hosts };
+    }
+  }
+
+  return { hosts: expandGroupRanges(groups, budget), variables };
+};
+
+const parseYaml = (content, budget) => {
+  let document;
+  try {
+    document = yaml.load(content);
+  } catch (error) {
+    throw new ValidationError(`YAML inválido: ${error.message}`);
+  }
+  return fromDocument(document || {}, budget);
+};
+
+// JSON de `ansible-inventory --list` (con _meta.hostvars) o el mismo documento que el YAML
+const parseJson = (content, budget) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`JSON inválido: ${error.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new ValidationError('El inventario debe ser un objeto JSON');
+  }
+
+  const isList = '_meta' in data ||
+    Object.values(data).some(group => Array.isArray(group) || (isPlainObject(group) && Array.isArray(group.hosts)));
+  return fromDocument(isList ? fromListFormat(data) : data, budget);
+};
+
+const parsers = { ini: parseIni, yaml: parseYaml, json: parseJson };
+
+// Convierte el contenido al modelo de Conductor y lo valida. Devuelve { format, hosts, variables }.
+const parseInventory = (content, format) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ValidationError('Falta el contenido del inventario');
+  }
+  const resolved = format || detectFormat(content);
+  if (!parsers[resolved]) {
+    throw new ValidationError(`Formato desconocido "${format}" (se admiten ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const { hosts, variables } = parsers[resolved](content, { hosts: 0 });
+  validateHosts(hosts, variables);
+  return { format: resolved, hosts, variables };
+};
+
+// Modelo -> grupos planos { nombre: { hosts: [], vars, children: [] } } y hostvars, como
+// la salida de `ansible-inventory --list --export`
+const flattenInventory = (hosts = {}, variables = {}) => {
+  const groups = {};
+  const hostvars = {};
+
+  const visit = (name, group) => {
+    const flat = groups[name] || (groups[name] = { hosts: [], vars: {}, children: [] });
+    if (!isPlainObject(group)) return;
+
+    Object.entries(group.hosts || {}).forEach(([host, vars]) => {
+      if (!flat.hosts.includes(host)) flat.hosts.push(host);
+      hostvars[host] = { ...(hostvars[host] || {}), ...(vars || {}) };
+    });
+    Object.assign(flat.vars, group.vars || {});
+    Object.entries(group.children || {}).forEach(([child, data]) => {
+      if (!flat.children.includes(child)) flat.children.push(child);
+      visit(child, data);
+    });
+  };
+
+  Object.entries(hosts).forEach(([name, group]) => visit(name, group));
+
+  const all = groups.all || { hosts: [], vars: {}, children: [] };
+  delete groups.all;
+  all.vars = { ...variables, ...all.vars };
+  // Los grupos que no son hijos de otro cuelgan de all
+  const nested = new Set(Object.values(groups).flatMap(group => group.children));
+  all.children = Object.keys(groups).filter(name => !nested.has(name));
+
+  return { all, groups, hostvars };
+};
+
+const toListFormat = (hosts, variables) => {
+  const { all, groups, hostvars } = flattenInventory(hosts, variables);
+  const compact = (group) => {
+    const result = {};
+    if (group.hosts.length > 0) result.hosts = group.hosts;
+    if (Object.keys(group.vars).length > 0) result.vars = group.vars;
+    if (group.children.length > 0) result.children = group.children;
+    return result;
+  };
+
+  const list = {
+    _meta: {
+      hostvars: Object.fromEntries(Object.entries(hostvars).filter(([, vars]) => Object.keys(vars).length > 0))
+    },
+    all: compact(all)
+  };
+  Object.entries(groups).forEach(([name, group]) => {
+    list[name] = compact(group);
+  });
+  return list;
+};
+
+// Valor de una variable de host en INI. Ansible quita una capa de comillas (shlex) y luego
+// lo evalúa como literal de Python, así que el texto que parecería otro tipo va entre comillas dobles.
+const formatHostValue = (value) => {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'object') return `'${JSON.stringify(value)}'`;
+
+  const text = String(value);
+  if (/^[^\s'"#\\]+$/.test(text)) {
+    return parseIniValue(text) === text ? text : `'"${text}"'`;
+  }
+  return text.includes('\'') ? `"${text.replace(/["\\]/g, '\\$&')}"` : `'${text}'`;
+};
+
+// Las variables de :vars siempre son texto para Ansible
+const formatVarsValue = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+const toIni = (hosts, variables) => {
+  const { all, groups, hostvars } = flattenInventory(hosts, variables);
+  const written = new Set();
+  const sections = [];
+
+  // Las variables de cada host se escriben en la primera línea en que aparece
+  const hostLine = (host) => {
+    const vars = written.has(host) ? {} : (hostvars[host] || {});
+    written.add(host);
+    return [host, ...Object.entries(vars).map(([key, value]) => `${key}=${formatHostValue(value)}`)].join(' ');
+  };
+  const varsLines = (vars) => Object.entries(vars).map(([key, value]) => `${key}=${formatVarsValue(value)}`);
+
+  if (all.hosts.length > 0) {
+    sections.push(['[all]', ...all.hosts.map(hostLine)]);
+  }
+  Object.entries(groups).forEach(([name, group]) => {
+    // Un grupo sin hosts solo necesita cabecera si tampoco tiene hijos ni variables
+    if (group.hosts.length > 0 || (group.children.length === 0 && Object.keys(group.vars).length === 0)) {
+      sections.push([`[${name}]`, ...group.hosts.map(hostLine)]);
+    }
+    if (group.children.length > 0) {
+      sections.push([`[${name}:children]`, ...group.children]);
+    }
+    if (Object.keys(group.vars).length > 0) {
+      sections.push([`[${name}:vars]`, ...varsLines(group.vars)]);
+    }
+  });
+  if (Object.keys(all.vars).length > 0) {
+    sections.push(['[all:vars]', ...varsLines(all.vars)]);
+  }
+
+  return `${sections.map(lines => lines.join('\n')).join('\n\n')}\n`;
+};
+
+const exporters = {
+  ini: toIni,
+  yaml: renderInventory,
+  json: (hosts, variables) => `${JSON.stringify(toListFormat(hosts, variables), null, 2)}\n`
+};
+
+// Inventario (o revisión) -> { content, contentType, fileName }
+const exportInventory = (inventory, format = 'yaml') => {
+  if (!exporters[format]) {
+    throw new ValidationError(`Formato desconocido "${format}" (se admiten ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return {
+    content: exporters[format](inventory.hosts || {}, inventory.variables || {}),
+    contentType: FORMATS[format].contentType,
+    fileName: `${inventory.name}.${FORMATS[format].extension}`
+  };
+};
+
+module.exports = { FORMATS, detectFormat, expandHostPattern, parseInventory, exportInventory };
@@ -0,0 +1,363 @@
+// Orígenes de inventario dinámico: script de inventario, archivo JSON/YAML, state de
+// Terraform y contenedores del Docker local. Cada origen devuelve los hosts en el formato
+// YAML de Ansible ({ grupo: { hosts, vars, children } }).
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const execFileAsync = promisify(execFile);
+
+// Tamaño máximo de la salida de un script o de un archivo de inventario
+const MAX_SOURCE_BYTES = 10 * 1024 * 1024;
+
+// Campos de cada tipo de origen (además de intervalMinutes, común a todos)
+const SOURCE_TYPES = {
+  script: { required: ['path'], optional: [] },
+  file: { required: ['path'], optional: [] },
+  tfstate: { required: ['path'], optional: ['usePrivateIp'] },
+  docker: { required: [], optional: ['labelFilter', 'groupByLabel'] }
+};
+
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Los nombres de grupo derivados de datos externos (etiquetas, proyectos) se normalizan
+const toGroupName = (value) => String(value).replace(/[^A-Za-z0-9_]/g, '_');
+
+const isInsideDir = (file, dir) => {
+  const relative = path.relative(dir, file);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Directorio (configurado por el administrador) del que puede leer cada tipo de origen con
+// path; sin él, ese tipo está deshabilitado. Así un inventario no lee cualquier archivo del servidor.
+const SOURCE_DIRS = {
+  script: { key: 'scriptsDir', env: 'INVENTORY_SCRIPTS_DIR', label: 'El script' },
+  file: { key: 'filesDir', env: 'INVENTORY_FILES_DIR', label: 'El archivo' },
+  tfstate: { key: 'filesDir', env: 'INVENTORY_FILES_DIR', label: 'El state' }
+};
+
+// Ruta del origen resueltos los enlaces simbólicos, que tiene que seguir dentro de su directorio
+const resolveSourcePath = async (source) => {
+  const { key, env, label } = SOURCE_DIRS[source.type];
+  const dir = config.inventorySources[key];
+  const realFile = await fs.realpath(source.path).catch(() => null);
+  if (!dir || !realFile || !isInsideDir(realFile, await fs.realpath(dir))) {
+    throw new Error(`${label} no existe o está fuera de ${dir || env}`);
+  }
+  return realFile;
+};
+
+// Valida la configuración del origen; null = inventario estático
+const validateSource = (source) => {
+  if (source === null || source === undefined) {
+    return null;
+  }
+  if (!isPlainObject(source)) {
+    throw new ValidationError('source debe ser un objeto { type, ... }');
+  }
+
+  const definition = SOURCE_TYPES[source.type];
+  if (!definition) {
+    throw new ValidationError(`source.type debe ser uno de: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+  }
+
+  const allowed = ['type', 'intervalMinutes', ...definition.required, ...definition.optional];
+  Object.keys(source).forEach(key => {
+    if (!allowed.includes(key)) {
+      throw new ValidationError(`source: campo desconocido "${key}" para el tipo ${source.type}`);
+    }
+  });
+  definition.required.forEach(key => {
+    if (source[key] === undefined || source[key] === '') {
+      throw new ValidationError(`source: falta el campo "${key}" para el tipo ${source.type}`);
+    }
+  });
+
+  if (source.path !== undefined && !path.isAbsolute(String(source.path))) {
+    throw new ValidationError('source.path debe ser una ruta absoluta');
+  }
+
+  // Solo se ejecutan scripts y se leen archivos de los directorios que configure el administrador
+  if (SOURCE_DIRS[source.type]) {
+    const { key, env, label } = SOURCE_DIRS[source.type];
+    const dir = config.inventorySources[key];
+    if (!dir) {
+      throw new ValidationError(`Los orígenes de tipo ${source.type} están deshabilitados: define ${env}`);
+    }
+    if (!isInsideDir(path.resolve(source.path), path.resolve(dir))) {
+      throw new ValidationError(`${label} debe estar dentro de ${dir}`);
+    }
+  }
+
+  if (source.intervalMinutes !== undefined && source.intervalMinutes !== null) {
+    const interval = Number(source.intervalMinutes);
+    if (!Number.isFinite(interval) || interval < 1) {
+      throw new ValidationError('source.intervalMinutes debe ser un número de minutos >= 1');
+    }
+  }
+
+  return { ...source, intervalMinutes: source.intervalMinutes ? Number(source.intervalMinutes) : null };
+};
+
+// Salida JSON de `--list` (scripts, ansible-inventory) -> formato YAML de Ansible.
+// Las variables de cada host se escriben solo en el primer grupo en que aparece.
+const fromListFormat = (list, hostvars = (list._meta && list._meta.hostvars) || {}) => {
+  const groups = {};
+  const seen = new Set();
+
+  Object.entries(list).forEach(([name, data]) => {
+    if (name === '_meta') return;
+
+    // Formato corto: { "grupo": ["host1", "host2"] }
+    const group = Array.isArray(data) ? { hosts: data } : (data || {});
+    const result = {};
+
+    if (Array.isArray(group.hosts) && group.hosts.length > 0) {
+      result.hosts = {};
+      group.hosts.forEach(host => {
+        const vars = hostvars[host];
+        result.hosts[host] = !seen.has(host) && vars && Object.keys(vars).length > 0 ? vars : null;
+        seen.add(host);
+      });
+    }
+    if (isPlainObject(group.vars) && Object.keys(group.vars).length > 0) {
+      result.vars = group.vars;
+    }
+    // Los hijos de `all` ya son grupos de primer nivel
+    if (name !== 'all' && Array.isArray(group.children) && group.children.length > 0) {
+      result.children = Object.fromEntries(group.children.map(child => [child, {}]));
+    }
+
+    if (name === 'ungrouped' && !result.hosts) return;
+    if (name === 'all' && !result.hosts && !result.vars) return;
+    groups[name] = result;
+  });
+
+  return groups;
+};
+
+const isListFormat = (data) => isPlainObject(data) && (
+  '_meta' in data ||
+  Object.values(data).some(group => Array.isArray(group) || (isPlainObject(group) && Array.isArray(group.hosts)))
+);
+
+const readSourceFile = async (file) => {
+  const stat = await fs.stat(file).catch(() => null);
+  if (!stat || !stat.isFile()) {
+    throw new Error(`El archivo no existe: ${file}`);
+  }
+  if (stat.size > MAX_SOURCE_BYTES) {
+    throw new Error(`El archivo supera ${MAX_SOURCE_BYTES / 1024 / 1024} MB`);
+  }
+  return fs.readFile(file, 'utf8');
+};
+
+// Sin el contenido del archivo en el mensaje: el origen puede apuntar a cualquier ruta
+const parseDocument = (content, file) => {
+  if (file.endsWith('.json') || content.trim().startsWith('{')) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${path.basename(file)} no contiene JSON válido`);
+    }
+  }
+
+  try {
+    return yaml.load(content);
+  } catch (error) {
+    const line = error.mark ? ` (línea ${error.mark.line + 1})` : '';
+    throw new Error(`${path.basename(file)} no contiene YAML válido: ${error.reason || 'error de sintaxis'}${line}`);
+  }
+};
+
+// Archivo JSON/YAML con formato YAML de Ansible o salida de `--list`
+const fetchFile = async (source) => {
+  const file = await resolveSourcePath(source);
+  const data = parseDocument(await readSourceFile(file), file);
+  if (!isPlainObject(data)) {
+    throw new Error(`${path.basename(file)} no contiene un inventario`);
+  }
+  return isListFormat(data) ? fromListFormat(data) : data;
+};
+
+const runJson = async (command, args) => {
+  const { stdout } = await execFileAsync(command, args, {
+    timeout: config.inventorySources.timeoutSeconds * 1000,
+    maxBuffer: MAX_SOURCE_BYTES
+  });
+  try {
+    return JSON.parse(stdout);
+  } catch (error) {
+    throw new Error(`${path.basename(command)} ${args.join(' ')} no devolvió JSON válido`);
+  }
+};
+
+// Script de inventario dinámico de Ansible: `--list` y, si no incluye _meta, `--host` por host
+const fetchScript = async (source) => {
+  const script = await resolveSourcePath(source);
+
+  let list;
+  try {
+    list = await runJson(script, ['--list']);
+  } catch (error) {
+    if (error.killed) {
+      throw new Error(`El script no terminó en ${config.inventorySources.timeoutSeconds}s`);
+    }
+    throw new Error(error.stderr ? `El script falló: ${error.stderr.trim()}` : error.message);
+  }
+  if (!isPlainObject(list)) {
+    throw new Error('El script no devolvió un objeto JSON');
+  }
+
+  if (list._meta) {
+    return fromListFormat(list);
+  }
+
+  const hosts = new Set();
+  Object.values(list).forEach(group => {
+    (Array.isArray(group) ? group : (group && group.hosts) || []).forEach(host => hosts.add(host));
+  });
+  const hostvars = {};
+  for (const host of hosts) {
+    hostvars[host] = await runJson(script, ['--host', host]);
+  }
+  return fromListFormat(list, hostvars);
+};
+
+// IPs y nombre de las instancias de los proveedores más comunes
+const TFSTATE_INSTANCES = {
+  aws_instance: (a) => ({ name: a.tags && a.tags.Name, publicIp: a.public_ip, privateIp: a.private_ip }),
+  google_compute_instance: (a) => {
+    const nic = (a.network_interface || [])[0] || {};
+    const access = (nic.access_config || [])[0] || {};
+    return { name: a.name, publicIp: access.nat_ip, privateIp: nic.network_ip };
+  },
+  azurerm_linux_virtual_machine: (a) => ({ name: a.name, publicIp: a.public_ip_address, privateIp: a.private_ip_address }),
+  azurerm_windows_virtual_machine: (a) => ({ name: a.name, publicIp: a.public_ip_address, privateIp: a.private_ip_address }),
+  digitalocean_droplet: (a) => ({ name: a.name, publicIp: a.ipv4_address, privateIp: a.ipv4_address_private }),
+  hcloud_server: (a) => ({ name: a.name, publicIp: a.ipv4_address }),
+  openstack_compute_instance_v2: (a) => ({ name: a.name, publicIp: a.access_ip_v4 })
+};
+
+const addHost = (groups, group, host, vars) => {
+  groups[group] = groups[group] || {};
+  groups[group].hosts = groups[group].hosts || {};
+  groups[group].hosts[host] = vars;
+};
+
+// State de Terraform (formato v4): una entrada por instancia, agrupada por tipo de recurso.
+// Los recursos ansible_host/ansible_group del provider ansible/ansible se respetan tal cual.
+const fetchTfstate = async (source) => {
+  const { usePrivateIp = false } = source;
+  const file = await resolveSourcePath(source);
+  const state = parseDocument(await readSourceFile(file), file);
+  if (!isPlainObject(state) || !Array.isArray(state.resources)) {
+    throw new Error(`${path.basename(file)} no es un state de Terraform`);
+  }
+
+  const groups = {};
+  state.resources
+    .filter(resource => resource.mode === 'managed')
+    .forEach(resource => {
+      (resource.instances || []).forEach((instance, index) => {
+        const attributes = instance.attributes || {};
+
+        if (resource.type === 'ansible_host') {
+          const vars = attributes.variables || {};
+          const hostGroups = attributes.groups && attributes.groups.length > 0 ? attributes.groups : ['ungrouped'];
+          hostGroups.forEach((group, i) => addHost(groups, group, attributes.name, i === 0 ? vars : null));
+          return;
+        }
+        if (resource.type === 'ansible_group') {
+          const group = groups[attributes.name] = groups[attributes.name] || {};
+          if (attributes.variables) group.vars = attributes.variables;
+          if (attributes.children) group.children = Object.fromEntries(attributes.children.map(child => [child, {}]));
+          return;
+        }
+
+        const describe = TFSTATE_INSTANCES[resource.type];
+        if (!describe) return;
+
+        const { name, publicIp, privateIp } = describe(attributes);
+        const address = usePrivateIp ? privateIp || publicIp : publicIp || privateIp;
+        if (!address) return;
+
+        const key = instance.index_key !== undefined ? instance.index_key : index;
+        const host = name ? String(name).replace(/\s+/g, '-') : `${resource.name}_${key}`;
+        addHost(groups, resource.type, host, { ansible_host: address, terraform_address: `${resource.type}.${resource.name}` });
+      });
+    });
+
+  return groups;
+};
+
+// Contenedores en ejecución del Docker local, accesibles con la conexión community.docker.docker
+const fetchDocker = async ({ labelFilter, groupByLabel }) => {
+  const args = ['ps', '--filter', 'status=running', '--format', '{{json .}}'];
+  if (labelFilter) {
+    args.push('--filter', `label=${labelFilter}`);
+  }
+
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync('docker', args, {
+      timeout: config.inventorySources.timeoutSeconds * 1000,
+      maxBuffer: MAX_SOURCE_BYTES
+    }));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Docker no está instalado o no está en el PATH');
+    }
+    throw new Error(error.stderr ? error.stderr.trim() : error.message);
+  }
+
+  const groups = { docker_containers: { hosts: {} } };
+  stdout.split('\n').filter(Boolean).forEach(line => {
+    const container = JSON.parse(line);
+    const name = container.Names.split(',')[0];
+    const labels = Object.fromEntries(
+      (container.Labels || '').split(',').filter(Boolean).map(label => {
+        const [key, ...value] = label.split('=');
+        return [key, value.join('=')];
+      })
+    );
+
+    addHost(groups, 'docker_containers', name, {
+      ansible_connection: 'community.docker.docker',
+      ansible_host: name,
+      docker_image: container.Image,
+      docker_id: container.ID
+    });
+
+    const project = labels['com.docker.compose.project'];
+    if (project) {
+      addHost(groups, `compose_${toGroupName(project)}`, name, null);
+    }
+    if (groupByLabel && labels[groupByLabel]) {
+      const group = toGroupName(labels[groupByLabel]);
+      if (GROUP_NAME_PATTERN.test(group)) {
+        addHost(groups, group, name, null);
+      }
+    }
+  });
+
+  return groups;
+};
+
+const fetchers = {
+  script: fetchScript,
+  file: fetchFile,
+  tfstate: fetchTfstate,
+  docker: fetchDocker
+};
+
+// Obtiene los hosts actuales del origen
+const fetchSourceHosts = (source) => fetchers[source.type](source);
+
+module.exports = { SOURCE_TYPES, validateSource, fetchSourceHosts, fromListFormat };
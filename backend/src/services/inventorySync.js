@@ -0,0 +1,191 @@
+// Sincronización de inventarios dinámicos: bajo demanda o cada source.intervalMinutes.
+// Solo una sincronización correcta cambia los hosts (y crea revisión), así que los jobs
+// se ejecutan siempre contra el último resultado bueno.
+const config = require('../config');
+const inventories = require('./inventories');
+const { fetchSourceHosts } = require('./inventorySources');
+const { summarizeInventory } = require('./ansibleInventory');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// Cada cuánto se buscan inventarios con la sincronización vencida
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// En modo demo el historial vive en memoria
+const memorySyncs = [];
+
+// Inventarios sincronizándose ahora mismo
+const running = new Set();
+
+const toSync = (row) => row && {
+  id: row.id,
+  inventoryId: row.inventory_id,
+  sourceType: row.source_type,
+  trigger: row.trigger,
+  status: row.status,
+  revision: row.revision,
+  hostCount: row.host_count,
+  error: row.error,
+  started_by: row.started_by,
+  started_at: row.started_at,
+  finished_at: row.finished_at
+};
+
+const startSync = async (inventory, trigger, userId) => {
+  if (!pool) {
+    const row = {
+      id: memorySyncs.length + 1,
+      inventory_id: inventory.id,
+      source_type: inventory.source.type,
+      trigger,
+      status: 'running',
+      revision: null,
+      host_count: null,
+      error: null,
+      started_by: userId,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    memorySyncs.push(row);
+    return row;
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO inventory_syncs (inventory_id, source_type, trigger, status, started_by)
+     VALUES ($1, $2, $3, 'running', $4) RETURNING *`,
+    [inventory.id, inventory.source.type, trigger, userId]
+  );
+  return rows[0];
+};
+
+const finishSync = async (sync, { status, revision = null, hostCount = null, error = null }) => {
+  if (!pool) {
+    Object.assign(sync, {
+      status,
+      revision,
+      host_count: hostCount,
+      error,
+      finished_at: new Date().toISOString()
+    });
+    return sync;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE inventory_syncs SET status = $1, revision = $2, host_count = $3, error = $4,
+       finished_at = CURRENT_TIMESTAMP
+     WHERE id = $5 RETURNING *`,
+    [status, revision, hostCount, error, sync.id]
+  );
+  return rows[0];
+};
+
+// Sincroniza un inventario con su origen. Un error del origen no se lanza: queda
+// registrado en el historial (status 'failed') y en lastSync del inventario.
+const syncInventory = async (id, { trigger = 'manual', userId = null } = {}) => {
+  const inventory = await inventories.getInventory(id);
+  if (!inventory) {
+    throw new NotFoundError('Inventario no encontrado');
+  }
+  if (!inventory.source) {
+    throw new ValidationError('El inventario es estático: no tiene origen que sincronizar');
+  }
+  if (running.has(id)) {
+    throw new ConflictError('Ya hay una sincronización en curso para este inventario');
+  }
+
+  running.add(id);
+  let sync;
+  try {
+    sync = await startSync(inventory, trigger, userId);
+
+    try {
+      const hosts = await fetchSourceHosts(inventory.source);
+      const updated = await inventories.patchInventory(
+        id,
+        { hosts, message: `Sincronización (${inventory.source.type})` },
+        userId
+      );
+
+      sync = await finishSync(sync, {
+        status: 'success',
+        revision: updated.revision,
+        hostCount: summarizeInventory(hosts).hosts.length
+      });
+      await inventories.setSyncStatus(id, 'success');
+      console.log(`🔄 Inventario "${inventory.name}" sincronizado (r${updated.revision})`);
+    } catch (error) {
+      sync = await finishSync(sync, { status: 'failed', error: error.message });
+      await inventories.setSyncStatus(id, 'failed', error.message);
+      console.error(`❌ Error sincronizando el inventario "${inventory.name}":`, error.message);
+    }
+  } finally {
+    running.delete(id);
+  }
+
+  if (global.io) {
+    global.io.emit('inventory-synced', {
+      inventoryId: id,
+      name: inventory.name,
+      status: sync.status,
+      revision: sync.revision,
+      error: sync.error
+    });
+  }
+
+  return toSync(sync);
+};
+
+// Historial de sincronizaciones (la más reciente primero)
+const listSyncs = async (id, limit = 50) => {
+  if (!pool) {
+    return memorySyncs
+      .filter(sync => sync.inventory_id === id)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(toSync);
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM inventory_syncs WHERE inventory_id = $1 ORDER BY id DESC LIMIT $2',
+    [id, limit]
+  );
+  return rows.map(toSync);
+};
+
+// Un inventario está pendiente si nunca se sincronizó o la última vez fue hace más de intervalMinutes
+const isDue = (inventory, now) => {
+  if (!inventory.source || !inventory.source.intervalMinutes || running.has(inventory.id)) {
+    return false;
+  }
+  if (!inventory.lastSync || !inventory.lastSync.at) {
+    return true;
+  }
+  return now - new Date(inventory.lastSync.at).getTime() >= inventory.source.intervalMinutes * 60 * 1000;
+};
+
+const syncDueInventories = async () => {
+  const now = Date.now();
+  const due = (await inventories.listInventories()).filter(inventory => isDue(inventory, now));
+
+  for (const inventory of due) {
+    await syncInventory(inventory.id, { trigger: 'schedule' }).catch(error => {
+      console.error(`❌ Error sincronizando el inventario ${inventory.id}:`, error.message);
+    });
+  }
+};
+
+let schedulerTimer = null;
+
+const startSyncScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+  schedulerTimer = setInterval(() => {
+    syncDueInventories().catch(error => {
+      console.error('❌ Error en la sincronización programada de inventarios:', error.message);
+    });
+  }, SCHEDULER_INTERVAL_MS);
+};
+
+module.exports = { syncInventory, listSyncs, startSyncScheduler };
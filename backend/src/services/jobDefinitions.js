@@ -0,0 +1,286 @@
+// Definiciones de job guardadas ({ type, name, params, limits }) que se lanzan más tarde,
+// p. ej. desde una programación. buildJob las convierte en lo que recibe submitJob en el
+// momento de lanzarlas, así un inventario guardado se resuelve a su revisión de ese momento.
+const { resolveInventoryRevision, validateHosts } = require('./inventories');
+const { isValidWorkspace, workingDirError } = require('./terraformRunner');
+const { getTemplate, templateDefinition } = require('./templates');
+const { resolveProjectSource, terraformSource } = require('./projects');
+const { resolveWorkspaceSource } = require('./ansibleWorkspaces');
+const { passwordVariables } = require('./surveys');
+const { encrypt, decrypt } = require('./vault');
+const { listArtifacts } = require('./artifacts');
+const { getJob } = require('./jobService');
+const config = require('../config');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Playbook (contenido, projectId + projectPath de un proyecto git en projectRef o la ref
+// del proyecto, o workspaceId + workspacePath de un workspace subido) contra un inventario
+// guardado (id o nombre) o escrito a mano. Con checkMode es un dry run (--check --diff)
+// que no cambia nada en los hosts. unsafeVariables nombra las variables con valores de
+// fuera (p. ej. de un webhook) que Ansible no debe evaluar como plantillas Jinja
+const buildAnsiblePlaybook = async ({
+  name, playbook, projectId, projectPath, projectRef, workspaceId, workspacePath, inventory, inventoryRevision,
+  variables = {}, credentialIds = [], checkMode = false, unsafeVariables = []
+}) => {
+  if (!name || !(playbook || projectId || workspaceId) || !inventory) {
+    throw new ValidationError('Faltan campos obligatorios: name, playbook (o projectId y projectPath, o workspaceId y workspacePath), inventory');
+  }
+  if (projectId && workspaceId) {
+    throw new ValidationError('Indica projectId o workspaceId, no los dos');
+  }
+
+  // Si el inventario referencia uno guardado (id o nombre), enviar al worker los hosts
+  // de la revisión actual (o de `inventoryRevision`) y registrarla en el job
+  const saved = await resolveInventoryRevision(inventory, inventoryRevision);
+  if (!saved && typeof inventory === 'number') {
+    throw new NotFoundError(`El inventario ${inventory} no existe`);
+  }
+  if (!saved && typeof inventory === 'object') {
+    validateHosts(inventory, {});
+  }
+
+  // El commit al que apunta la ref queda fijado en el job
+  const project = projectId
+    ? await resolveProjectSource(projectId, { ref: projectRef, path: projectPath, type: 'file' })
+    : null;
+  // Y el sha256 del workspace subido
+  const ansibleWorkspace = workspaceId ? await resolveWorkspaceSource(workspaceId, workspacePath) : null;
+  const unsafe = Array.isArray(unsafeVariables) ? unsafeVariables.filter(variable => variable in variables) : [];
+
+  return {
+    name: checkMode === true ? `${name} - Dry Run` : name,
+    type: 'ansible-playbook',
+    payload: {
+      playbook: project || ansibleWorkspace ? null : playbook,
+      project,
+      ansibleWorkspace,
+      inventory: saved ? saved.hosts : inventory,
+      inventoryName: saved ? saved.name : null,
+      inventoryId: saved ? saved.id : null,
+      inventoryRevision: saved ? saved.revision : null,
+      inventoryVariables: saved ? saved.variables : {},
+      variables,
+      // Credenciales del inventario guardado más las indicadas para este job
+      credentialIds: [...new Set([...(saved ? saved.credentialIds : []), ...credentialIds])],
+      checkMode: checkMode === true,
+      ...(unsafe.length > 0 ? { unsafeVariables: unsafe } : {})
+    }
+  };
+};
+
+const assertTerraformTarget = ({ name, workingDir, projectId, workspace = 'default' }) => {
+  if (!name || !(workingDir || projectId)) {
+    throw new ValidationError('Faltan campos obligatorios: name, workingDir (o projectId)');
+  }
+  if (!isValidWorkspace(workspace)) {
+    throw new ValidationError(`Nombre de workspace inválido: ${workspace}`);
+  }
+  const error = projectId ? null : workingDirError(workingDir);
+  if (error) {
+    throw new ValidationError(error);
+  }
+};
+
+// Apply de un plan ya revisado (el job planJobId): mismo código que el plan (su directorio
+// o el mismo commit del proyecto) y el hash del archivo de plan fijado al encolar, así el
+// worker rechazará cualquier otro
+const buildPlanApply = async ({ name, planJobId, credentialIds }) => {
+  const planJob = await getJob(parseInt(planJobId, 10) || 0);
+  if (!planJob || planJob.type !== 'terraform-plan') {
+    throw new NotFoundError(`Plan ${planJobId} no encontrado`);
+  }
+  if (planJob.status !== 'completed') {
+    throw new ConflictError(`El plan ${planJobId} no está completado`);
+  }
+
+  let planSha256 = null;
+  if (!config.demoMode) {
+    const artifact = (await listArtifacts(planJob.id)).find(a => a.name === 'plan.tfplan');
+    if (!artifact) {
+      throw new ConflictError(`El plan ${planJobId} no tiene archivo de plan guardado`);
+    }
+    planSha256 = artifact.sha256;
+  }
+
+  return {
+    name: `${name} - Apply`,
+    type: 'terraform-apply',
+    payload: {
+      workingDir: planJob.payload.workingDir,
+      project: planJob.payload.project || null,
+      workspace: planJob.payload.workspace || 'default',
+      planJobId: planJob.id,
+      planSha256,
+      credentialIds: credentialIds || planJob.payload.credentialIds
+    }
+  };
+};
+
+const builders = {
+  'ansible-playbook': buildAnsiblePlaybook,
+
+  'terraform-plan': async (params) => {
+    assertTerraformTarget(params);
+    const { name, workspace = 'default', variables = {}, refresh = true, credentialIds } = params;
+    return {
+      name: `${name} - Plan`,
+      type: 'terraform-plan',
+      payload: { ...await terraformSource(params), workspace, variables, refresh: refresh !== false, credentialIds }
+    };
+  },
+
+  // Sin plan revisado: solo con autoApprove explícito, igual que en POST /api/terraform/apply
+  'terraform-apply': async (params) => {
+    assertTerraformTarget(params);
+    const { name, workspace = 'default', variables = {}, autoApprove, credentialIds } = params;
+    if (autoApprove !== true) {
+      throw new ValidationError('Un apply guardado necesita "autoApprove": true (no hay plan revisado que aplicar)');
+    }
+    return {
+      name: `${name} - Apply`,
+      type: 'terraform-apply',
+      payload: { ...await terraformSource(params), workspace, variables, autoApprove: true, credentialIds }
+    };
+  },
+
+  'terraform-init': async (params) => {
+    assertTerraformTarget(params);
+    const { name, workspace = 'default', upgrade = false, credentialIds } = params;
+    return {
+      name: `${name} - Init`,
+      type: 'terraform-init',
+      payload: { ...await terraformSource(params), workspace, upgrade: upgrade === true, credentialIds }
+    };
+  },
+
+  'test-echo': async ({ message }) => ({
+    name: `Echo: ${message}`,
+    type: 'test-echo',
+    payload: { message }
+  }),
+
+  // Template de la biblioteca con los cambios de este lanzamiento; se lee al construir el
+  // job, así una programación usa siempre la versión actual del template. Las respuestas
+  // password de la encuesta (en answers o ya cifradas en secretAnswers, ver
+  // sealDefinition) viajan cifradas en payload.secretVariables. Con planJobId, un template
+  // de Terraform aplica ese plan ya revisado (p. ej. el del nodo anterior de un workflow)
+  template: async ({ templateId, answers = {}, secretAnswers, planJobId, unsafeVariables, ...overrides }) => {
+    const template = await getTemplate(parseInt(templateId, 10) || 0);
+    if (!template) {
+      throw new NotFoundError(`El template ${templateId} no existe`);
+    }
+    const sealed = secretAnswers ? decrypt(secretAnswers) : {};
+    const { type, params, limits, secrets } = templateDefinition(template, {
+      ...overrides,
+      answers: { ...answers, ...sealed }
+    });
+    if (planJobId && template.kind !== 'terraform') {
+      throw new ValidationError(`planJobId solo se admite en templates de Terraform ("${template.name}" es de ${template.kind})`);
+    }
+    const job = planJobId
+      ? await buildPlanApply({ name: params.name, planJobId, credentialIds: params.credentialIds })
+      : await builders[type]({ ...params, unsafeVariables });
+    const payload = { ...job.payload, templateId: template.id };
+    if (Object.keys(secrets).length > 0) {
+      payload.secretVariables = encrypt(secrets);
+    }
+    return { ...job, limits, payload };
+  }
+};
+
+const DEFINITION_TYPES = Object.keys(builders);
+
+// Comprueba la forma de la definición; el contenido lo valida buildJob
+const validateDefinition = (definition) => {
+  if (!isPlainObject(definition)) {
+    throw new ValidationError('definition debe ser un objeto { type, params, limits }');
+  }
+  if (!builders[definition.type]) {
+    throw new ValidationError(`definition.type debe ser uno de: ${DEFINITION_TYPES.join(', ')}`);
+  }
+  if (definition.params !== undefined && !isPlainObject(definition.params)) {
+    throw new ValidationError('definition.params debe ser un objeto');
+  }
+  return {
+    type: definition.type,
+    params: definition.params || {},
+    limits: definition.limits || undefined
+  };
+};
+
+// Definición que se va a guardar (p. ej. en una programación): las respuestas password de
+// la encuesta de un template se cifran en params.secretAnswers para no guardarlas en claro
+const sealDefinition = async (definition) => {
+  const answers = definition.params.answers;
+  if (definition.type !== 'template' || !isPlainObject(answers)) {
+    return definition;
+  }
+  const template = await getTemplate(parseInt(definition.params.templateId, 10) || 0);
+  if (!template) {
+    return definition;
+  }
+
+  const passwords = passwordVariables(template.survey).filter(name => answers[name] !== undefined);
+  if (passwords.length === 0) {
+    return definition;
+  }
+  const plain = { ...answers };
+  const sealed = definition.params.secretAnswers ? decrypt(definition.params.secretAnswers) : {};
+  passwords.forEach(name => {
+    sealed[name] = plain[name];
+    delete plain[name];
+  });
+  return {
+    ...definition,
+    params: { ...definition.params, answers: plain, secretAnswers: encrypt(sealed) }
+  };
+};
+
+// Definición -> { name, type, payload, limits } para submitJob
+const buildJob = async (definition) => {
+  const { type, params, limits } = validateDefinition(definition);
+  const job = await builders[type](params);
+  // Respuestas password ya cifradas de un job anterior (ver definitionFromJob)
+  if (params.secretVariables && !job.payload.secretVariables) {
+    job.payload.secretVariables = params.secretVariables;
+  }
+  return { ...job, limits: limits || job.limits };
+};
+
+// Definición a partir de un job ya ejecutado (relanzarlo con los mismos parámetros). Las
+// respuestas password de la encuesta se quedan cifradas en params.secretVariables; sin
+// ellas el job relanzado fallaría o se ejecutaría sin esas variables
+const definitionFromJob = (job) => {
+  if (!builders[job.type]) {
+    throw new ValidationError(`Los jobs de tipo ${job.type} no se pueden guardar como definición`);
+  }
+
+  const payload = job.payload || {};
+  const params = { ...payload, name: job.name.replace(/ - (Plan|Apply|Init|Dry Run)$/, '') };
+  ['limits', 'dbJobId', 'jobName', 'userId', 'inventoryName', 'inventoryVariables', 'inventoryRevision', 'templateId', 'checkJobId'].forEach(key => {
+    delete params[key];
+  });
+  // Un inventario guardado se vuelve a referenciar por id para usar siempre su revisión actual
+  if (job.type === 'ansible-playbook' && payload.inventoryId) {
+    params.inventory = payload.inventoryId;
+    delete params.inventoryId;
+  }
+  // Y un proyecto por su ref (no por el commit), para usar siempre la última versión de la rama
+  delete params.project;
+  if (payload.project) {
+    Object.assign(params, { projectId: payload.project.id, projectPath: payload.project.path, projectRef: payload.project.ref || undefined });
+    delete params.playbook;
+    delete params.workingDir;
+  }
+  delete params.ansibleWorkspace;
+  if (payload.ansibleWorkspace) {
+    Object.assign(params, { workspaceId: payload.ansibleWorkspace.id, workspacePath: payload.ansibleWorkspace.path });
+    delete params.playbook;
+  }
+
+  return { type: job.type, params, limits: payload.limits };
+};
+
+module.exports = { DEFINITION_TYPES, validateDefinition, sealDefinition, buildJob, buildPlanApply, definitionFromJob };
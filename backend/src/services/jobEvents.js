@@ -0,0 +1,276 @@
+// Eventos estructurados de los jobs de Ansible: el callback conductor_events escribe un
+// JSON por línea (play_start, task_start, runner con el resultado de cada host y stats)
+// y aquí se guardan junto al log para consultar plays, tareas y el resumen por host.
+const fs = require('fs').promises;
+const config = require('../config');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// Resultado de un módulo más grande que esto se guarda recortado
+const MAX_RESULT_BYTES = 64 * 1024;
+
+const RECAP_COUNTERS = ['ok', 'changed', 'unreachable', 'failed', 'skipped', 'rescued', 'ignored'];
+
+// En modo demo los eventos viven en memoria: jobId -> [evento]
+const memoryEvents = new Map();
+
+// Archivo JSON lines del callback -> eventos ordenados por seq (las líneas ilegibles se ignoran,
+// p. ej. la última si el proceso murió a mitad de escritura)
+const readEventsFile = async (filePath) => {
+  const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+  return content.split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(event => event && event.event)
+    .sort((a, b) => a.seq - b.seq);
+};
+
+const limitResult = (result) => {
+  if (!result || JSON.stringify(result).length <= MAX_RESULT_BYTES) {
+    return result || null;
+  }
+  const { msg, rc, changed, failed } = result;
+  return { msg, rc, changed, failed, truncated: true };
+};
+
+const toEvent = (row) => ({
+  seq: row.seq,
+  event: row.event,
+  play: row.play,
+  task: row.task,
+  action: row.action,
+  host: row.host,
+  status: row.status,
+  durationMs: row.duration_ms,
+  data: row.data,
+  created_at: row.created_at
+});
+
+// Evento del callback -> fila (los datos propios de cada tipo van en `data`)
+const toRow = (event) => {
+  const data = event.event === 'runner'
+    ? { result: limitResult(event.result), ignored: event.ignored === true }
+    : event.event === 'stats'
+      ? { hosts: event.hosts || {}, custom: event.custom || {} }
+      : event.event === 'task_start' ? { handler: event.handler === true } : {};
+  return {
+    seq: event.seq,
+    event: event.event,
+    play: event.play || null,
+    task: event.task || null,
+    action: event.action || null,
+    host: event.host || null,
+    status: event.status || null,
+    duration_ms: Number.isInteger(event.durationMs) ? event.durationMs : null,
+    data,
+    created_at: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : new Date().toISOString()
+  };
+};
+
+// Guarda los eventos de un job (un reintento sustituye los anteriores)
+const saveJobEvents = async (jobId, events) => {
+  const rows = events.map(toRow);
+
+  if (!pool) {
+    memoryEvents.set(jobId, rows);
+    return rows.length;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM job_events WHERE job_id = $1', [jobId]);
+    if (rows.length > 0) {
+      await client.query(
+        `INSERT INTO job_events (job_id, seq, event, play, task, action, host, status, duration_ms, data, created_at)
+         SELECT $1, e.seq, e.event, e.play, e.task, e.action, e.host, e.status, e.duration_ms, e.data, e.created_at
+         FROM jsonb_to_recordset($2::jsonb) AS e(seq INTEGER, event TEXT, play TEXT, task TEXT, action TEXT,
+           host TEXT, status TEXT, duration_ms INTEGER, data JSONB, created_at TIMESTAMP)`,
+        [jobId, JSON.stringify(rows)]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return rows.length;
+};
+
+const loadEvents = async (jobId) => {
+  if (!pool) {
+    return (memoryEvents.get(jobId) || []).map(toEvent);
+  }
+
+  const { rows } = await pool.query('SELECT * FROM job_events WHERE job_id = $1 ORDER BY seq', [jobId]);
+  return rows.map(toEvent);
+};
+
+// Acepta tanto eventos del callback como guardados (con los datos en `data`)
+const isIgnored = (event) => (event.data ? event.data.ignored : event.ignored) === true;
+
+// Resumen por host: [{ host, ok, changed, unreachable, failed, skipped, rescued, ignored, status, durationMs }].
+// Los contadores salen del evento stats; si el job no llegó a emitirlo (falló o se canceló
+// a mitad), se cuentan los resultados por host como hace Ansible.
+const buildRecap = (events) => {
+  const hosts = {};
+  const entry = (name) => hosts[name] || (hosts[name] = {
+    host: name,
+    ...Object.fromEntries(RECAP_COUNTERS.map(counter => [counter, 0])),
+    durationMs: 0
+  });
+
+  const runners = events.filter(event => event.event === 'runner' && event.host);
+  runners.forEach(event => {
+    const host = entry(event.host);
+    host.durationMs += event.durationMs || 0;
+  });
+
+  const stats = events.find(event => event.event === 'stats');
+  const statsHosts = stats ? (stats.data ? stats.data.hosts : stats.hosts) || {} : null;
+  if (statsHosts) {
+    Object.entries(statsHosts).forEach(([name, counters]) => {
+      const host = entry(name);
+      RECAP_COUNTERS.forEach(counter => {
+        host[counter] = counters[counter] || 0;
+      });
+    });
+  } else {
+    runners.forEach(event => {
+      const host = entry(event.host);
+      if (event.status === 'failed' && isIgnored(event)) {
+        host.ignored++;
+      } else if (event.status === 'changed') {
+        host.ok++;
+        host.changed++;
+      } else if (event.status === 'failed') {
+        host.failed++;
+      } else if (RECAP_COUNTERS.includes(event.status)) {
+        host[event.status]++;
+      }
+    });
+  }
+
+  return Object.values(hosts)
+    .map(host => ({
+      ...host,
+      status: host.unreachable > 0 ? 'unreachable'
+        : host.failed > 0 ? 'failed'
+          : host.changed > 0 ? 'changed'
+            : 'ok'
+    }))
+    .sort((a, b) => a.host.localeCompare(b.host));
+};
+
+// Datos publicados con set_stats (evento stats): las salidas del job para los workflows
+const customStats = (events) => {
+  const stats = events.find(event => event.event === 'stats');
+  return (stats && (stats.data ? stats.data.custom : stats.custom)) || {};
+};
+
+// Eventos -> el formato de parsePlaybookOutput del registro de hosts:
+// { host: { stats, status, changedTasks, failedTasks } }
+const summarizeHosts = (events) => {
+  const results = {};
+  buildRecap(events).forEach(({ host, ok, changed, unreachable, failed, skipped, status }) => {
+    results[host] = {
+      stats: { ok, changed, unreachable, failed, skipped },
+      status,
+      changedTasks: [],
+      failedTasks: []
+    };
+  });
+
+  events.filter(event => event.event === 'runner' && results[event.host]).forEach(event => {
+    const host = results[event.host];
+    const list = event.status === 'changed' ? host.changedTasks
+      : event.status === 'failed' && !isIgnored(event) ? host.failedTasks
+        : null;
+    if (list && !list.includes(event.task)) {
+      list.push(event.task);
+    }
+  });
+  return results;
+};
+
+// Plays -> tareas -> resultados por host, más el resumen por host. `host` filtra los resultados.
+const getJobEvents = async (jobId, { host } = {}) => {
+  const events = await loadEvents(jobId);
+  const plays = [];
+  let play = null;
+  let task = null;
+
+  const currentPlay = (name) => {
+    if (!play) {
+      play = { name: name || null, tasks: [] };
+      plays.push(play);
+    }
+    return play;
+  };
+
+  events.forEach(event => {
+    switch (event.event) {
+      case 'play_start':
+        play = { name: event.play, tasks: [] };
+        plays.push(play);
+        task = null;
+        break;
+      case 'task_start':
+        task = {
+          name: event.task,
+          action: event.action,
+          handler: (event.data || {}).handler === true,
+          startedAt: event.created_at,
+          results: []
+        };
+        currentPlay(event.play).tasks.push(task);
+        break;
+      case 'runner': {
+        if (host && event.host !== host) break;
+        if (!task || task.name !== event.task) {
+          task = { name: event.task, action: event.action, handler: false, startedAt: event.created_at, results: [] };
+          currentPlay(event.play).tasks.push(task);
+        }
+        const data = event.data || {};
+        task.results.push({
+          host: event.host,
+          status: event.status,
+          ignored: data.ignored === true,
+          durationMs: event.durationMs,
+          result: data.result || null
+        });
+        break;
+      }
+    }
+  });
+
+  const recap = buildRecap(events);
+  if (host) {
+    plays.forEach(entry => {
+      entry.tasks = entry.tasks.filter(candidate => candidate.results.length > 0);
+    });
+  }
+  return {
+    jobId,
+    captured: events.length > 0,
+    plays,
+    recap: host ? recap.filter(entry => entry.host === host) : recap
+  };
+};
+
+module.exports = {
+  readEventsFile,
+  saveJobEvents,
+  getJobEvents,
+  buildRecap,
+  customStats,
+  summarizeHosts
+};
@@ -0,0 +1,17 @@
+// Aviso dentro del proceso de que un job llegó a un estado final (completed, failed,
+// cancelled, timed_out, rejected o expired), para lo que depende de él, como el siguiente
+// nodo de un workflow. Lo emiten el worker, la simulación del modo demo, la cancelación de
+// un job en cola y las aprobaciones.
+const { EventEmitter } = require('events');
+
+const lifecycle = new EventEmitter();
+
+const notifyJobFinished = (jobId, status) => {
+  lifecycle.emit('finished', { jobId, status });
+};
+
+const onJobFinished = (listener) => {
+  lifecycle.on('finished', listener);
+};
+
+module.exports = { notifyJobFinished, onJobFinished };
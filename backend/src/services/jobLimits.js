@@ -0,0 +1,57 @@
+// Límites de ejecución de un job: timeout, CPU, memoria y red
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const MEMORY_PATTERN = /^\d+[bkmg]?$/i;
+
+// Valida los límites indicados (parciales) y devuelve solo los campos presentes
+const validateLimits = (limits = {}) => {
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new ValidationError('limits debe ser un objeto');
+  }
+
+  const valid = {};
+
+  if (limits.timeoutMinutes !== undefined) {
+    const timeout = Number(limits.timeoutMinutes);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new ValidationError('timeoutMinutes debe ser un número mayor que 0');
+    }
+    valid.timeoutMinutes = timeout;
+  }
+
+  if (limits.cpus !== undefined) {
+    const cpus = Number(limits.cpus);
+    if (!Number.isFinite(cpus) || cpus <= 0) {
+      throw new ValidationError('cpus debe ser un número mayor que 0');
+    }
+    valid.cpus = String(cpus);
+  }
+
+  if (limits.memory !== undefined) {
+    if (!MEMORY_PATTERN.test(String(limits.memory))) {
+      throw new ValidationError('memory debe tener el formato de Docker, p. ej. 512m o 2g');
+    }
+    valid.memory = String(limits.memory).toLowerCase();
+  }
+
+  if (limits.network !== undefined) {
+    if (!config.sandbox.allowedNetworks.includes(limits.network)) {
+      throw new ValidationError(
+        `network debe ser una de: ${config.sandbox.allowedNetworks.join(', ')}`
+      );
+    }
+    valid.network = limits.network;
+  }
+
+  return valid;
+};
+
+// Límites efectivos de un job: defaults globales + los indicados para el job
+const resolveLimits = (requested, defaults) => ({
+  ...config.jobDefaults,
+  ...defaults,
+  ...validateLimits(requested)
+});
+
+module.exports = { validateLimits, resolveLimits };
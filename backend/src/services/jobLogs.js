@@ -0,0 +1,112 @@
+// Logs de jobs persistentes: cada fragmento de stdout/stderr se guarda con un número
+// de secuencia para poder reproducir el log completo y seguir en vivo desde un offset
+const config = require('../config');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// En modo demo los logs viven en memoria: jobId -> [{ seq, stream, chunk, created_at }]
+const memoryLogs = new Map();
+
+// Estado de escritura por job: siguiente seq y cola de escrituras (para conservar el orden)
+const writers = new Map();
+
+const emitChunk = (jobId, entry) => {
+  if (global.io) {
+    global.io.to(`job-${jobId}`).emit('job-log', {
+      jobId,
+      seq: entry.seq,
+      stream: entry.stream,
+      log: entry.chunk,
+      timestamp: entry.created_at
+    });
+  }
+};
+
+const nextSeq = async (jobId) => {
+  if (!pool) {
+    const entries = memoryLogs.get(jobId) || [];
+    return entries.length + 1;
+  }
+
+  const { rows } = await pool.query(
+    'SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM job_logs WHERE job_id = $1',
+    [jobId]
+  );
+  return rows[0].seq;
+};
+
+const storeChunk = async (jobId, entry) => {
+  if (!pool) {
+    if (!memoryLogs.has(jobId)) {
+      memoryLogs.set(jobId, []);
+    }
+    memoryLogs.get(jobId).push(entry);
+    return;
+  }
+
+  await pool.query(
+    'INSERT INTO job_logs (job_id, seq, stream, chunk, created_at) VALUES ($1, $2, $3, $4, $5)',
+    [jobId, entry.seq, entry.stream, entry.chunk, entry.created_at]
+  );
+};
+
+// Guardar y emitir un fragmento. stream: 'stdout', 'stderr' o 'system' (mensajes de Conductor).
+// Las escrituras de un mismo job se encadenan para que el seq siga el orden de llegada.
+const appendLog = (jobId, stream, chunk) => {
+  if (!writers.has(jobId)) {
+    writers.set(jobId, { seq: null, tail: Promise.resolve() });
+  }
+  const writer = writers.get(jobId);
+
+  writer.tail = writer.tail.then(async () => {
+    if (writer.seq === null) {
+      writer.seq = await nextSeq(jobId);
+    }
+
+    const entry = {
+      seq: writer.seq++,
+      stream,
+      chunk,
+      created_at: new Date().toISOString()
+    };
+
+    await storeChunk(jobId, entry);
+    emitChunk(jobId, entry);
+  }).catch(err => console.log('⚠️  No se pudo guardar el log del job:', err.message));
+
+  return writer.tail;
+};
+
+// Fragmentos con seq mayor que `since`
+const getLogs = async (jobId, since = 0) => {
+  if (!pool) {
+    return (memoryLogs.get(jobId) || []).filter(entry => entry.seq > since);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT seq, stream, chunk, created_at FROM job_logs
+     WHERE job_id = $1 AND seq > $2 ORDER BY seq`,
+    [jobId, since]
+  );
+  return rows;
+};
+
+// Al terminar el job: esperar las escrituras pendientes y volcar el log completo en jobs.logs
+const finalizeLogs = async (jobId) => {
+  const writer = writers.get(jobId);
+  if (writer) {
+    await writer.tail;
+    writers.delete(jobId);
+  }
+
+  if (pool) {
+    await pool.query(
+      `UPDATE jobs SET logs = (
+         SELECT string_agg(chunk, '' ORDER BY seq) FROM job_logs WHERE job_id = $1
+       ) WHERE id = $1`,
+      [jobId]
+    ).catch(err => console.log('⚠️  No se pudo guardar el log del job:', err.message));
+  }
+};
+
+module.exports = { appendLog, getLogs, finalizeLogs };
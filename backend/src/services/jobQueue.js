@@ -7,12 +7,24 @@ const connection = {
 
 const jobQueue = new Queue('conductor-jobs', { connection });
 
-const createJob = async (jobType, jobData) => {
+// Canal Redis por el que la API pide al worker cancelar un job activo
+const CANCEL_CHANNEL = 'conductor-jobs:cancel';
+
+// ID del job en BullMQ a partir del id de la tabla jobs (BullMQ no admite IDs numéricos)
+const bullJobId = (dbJobId) => `job-${dbJobId}`;
+
+// Solo se reintentan los jobs que no cambian nada fuera de Conductor: repetir un playbook,
+// un apply o un destroy que falló a medias volvería a aplicar los cambios que sí llegó a hacer.
+// Tampoco un dry run: las tareas con check_mode: false se ejecutan de verdad también con --check.
+const RETRYABLE_TYPES = ['terraform-plan', 'terraform-init', 'test-echo'];
+
+const createJob = async (jobType, jobData, options = {}) => {
   try {
     const job = await jobQueue.add(jobType, jobData, {
+      ...options,
       removeOnComplete: 50,
       removeOnFail: 20,
-      attempts: 3,
+      attempts: RETRYABLE_TYPES.includes(jobType) ? 3 : 1,
       backoff: {
         type: 'exponential',
         delay: 2000,
@@ -48,4 +60,28 @@ const getQueueStats = async () => {
   }
 };
 
-module.exports = { jobQueue, createJob, getQueueStats };
\ No newline at end of file
+// Saca de la cola un job pendiente o, si ya está activo, avisa al worker para que lo mate.
+// Devuelve 'removed', 'signalled' o null si BullMQ ya no lo tiene.
+const cancelQueuedJob = async (dbJobId) => {
+  const job = await jobQueue.getJob(bullJobId(dbJobId));
+  if (!job) {
+    return null;
+  }
+
+  const state = await job.getState();
+  if (state !== 'active') {
+    try {
+      await job.remove();
+      return 'removed';
+    } catch (error) {
+      // Pasó a activo entre getState y remove: se cancela en el worker
+      console.log(`⚠️  No se pudo quitar el job ${job.id} de la cola:`, error.message);
+    }
+  }
+
+  const client = await jobQueue.client;
+  await client.publish(CANCEL_CHANNEL, JSON.stringify({ jobId: job.id }));
+  return 'signalled';
+};
+
+module.exports = { jobQueue, createJob, getQueueStats, cancelQueuedJob, bullJobId, CANCEL_CHANNEL };
\ No newline at end of file
@@ -0,0 +1,287 @@
+// Alta y consulta de jobs: PostgreSQL + BullMQ, o simulación en memoria en modo demo
+const config = require('../config');
+const { resolveLimits } = require('./jobLimits');
+const { getJobDefaults } = require('./settings');
+const { assertCanRunJob } = require('./permissions');
+const { resolveCredentialIds } = require('./credentials');
+const { notifyJobFinished } = require('./jobLifecycle');
+const { findApprovalPolicy } = require('./approvalPolicies');
+const { checkModeBlocker } = require('./playbookValidation');
+const { ValidationError } = require('../utils/errors');
+
+// En modo demo no se cargan la BD ni la cola para no requerir Redis/PostgreSQL
+const demo = config.demoMode ? require('./demoRunner') : null;
+const { pool } = config.demoMode ? {} : require('../models/database');
+const { createJob, cancelQueuedJob, bullJobId } = config.demoMode ? {} : require('./jobQueue');
+
+// Estados desde los que todavía se puede cancelar
+const CANCELLABLE_STATUSES = ['pending', 'awaiting_approval', 'queued', 'running', 'cancelling'];
+
+// Un job activo todavía puede producir logs o cambiar de estado
+const isActive = (job) => CANCELLABLE_STATUSES.includes(job.status);
+
+const emit = (event, data) => {
+  if (global.io) {
+    global.io.emit(event, data);
+  }
+};
+
+// Encolar en BullMQ un job ya registrado; si la cola falla, el job queda como failed
+const enqueue = async (dbJob) => {
+  try {
+    await createJob(
+      dbJob.type,
+      { ...dbJob.payload, dbJobId: dbJob.id, jobName: dbJob.name, userId: dbJob.user_id },
+      { jobId: bullJobId(dbJob.id) }
+    );
+  } catch (error) {
+    await pool.query(
+      'UPDATE jobs SET status = $1, result = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $3',
+      ['failed', JSON.stringify({ error: `No se pudo encolar el job: ${error.message}` }), dbJob.id]
+    );
+    throw error;
+  }
+};
+
+// Lo que revisan los aprobadores de un job retenido: el plan que aplica un apply, o un dry
+// run con el mismo payload que el playbook (o el dry run ya revisado del que sale, checkJobId).
+// El dry run solo se lanza sin aprobar si --check no puede cambiar nada; si no (tareas con
+// check_mode: false, roles, includes o un playbook de proyecto), o si el job retenido ya es
+// un dry run, no hay vista previa y queda en approval.previewSkipped el motivo.
+// Un destroy no tiene vista previa. Devuelve { previewJobId, previewSkipped }.
+const approvalPreview = async ({ name, type, payload, limits, userId, policy }) => {
+  if (type === 'terraform-apply') {
+    if (!payload.planJobId) {
+      throw new ValidationError(
+        `La política "${policy.name}" exige aprobación: aplica un plan revisado (planJobId) en lugar de autoApprove`
+      );
+    }
+    return { previewJobId: payload.planJobId };
+  }
+  if (type === 'ansible-playbook') {
+    if (payload.checkJobId) {
+      return { previewJobId: payload.checkJobId };
+    }
+    if (payload.checkMode) {
+      return { previewJobId: null, previewSkipped: 'el job ya es un dry run' };
+    }
+    const blocker = checkModeBlocker(payload.playbook);
+    if (blocker) {
+      return { previewJobId: null, previewSkipped: `no se lanza un dry run automático: ${blocker}` };
+    }
+    const check = await submitJob({
+      name: `${name} - Dry Run`, type, payload: { ...payload, checkMode: true }, limits, userId
+    });
+    return { previewJobId: check.id };
+  }
+  return { previewJobId: null };
+};
+
+// Registrar el job en la tabla jobs y encolarlo con su dbJobId.
+// limits (timeoutMinutes, cpus, memory, network) se combinan con los defaults globales
+// y quedan guardados en payload.limits; lanza ValidationError si no son válidos.
+// payload.inventoryId/inventoryRevision y el proyecto y commit de payload.project quedan
+// también en las columnas del job.
+// Con userId se comprueba que el usuario puede ejecutarlo (ForbiddenError si no);
+// sin userId es un job interno de Conductor. parentJobId y workflowNode enlazan el
+// job con la ejecución del workflow que lo lanza.
+// Si le aplica una política de aprobación no se encola: queda en awaiting_approval con
+// job.approval ({ policyId, requiredApprovals, approverRoles, expiresAt, previewJobId, previewSkipped })
+// hasta que lo liberan las aprobaciones (releaseJob).
+const submitJob = async ({ name, type, payload = {}, limits, userId = null, parentJobId = null, workflowNode = null }) => {
+  if (userId !== null) {
+    await assertCanRunJob(userId, type, payload);
+  }
+
+  payload = {
+    ...payload,
+    limits: resolveLimits(limits, await getJobDefaults()),
+    credentialIds: await resolveCredentialIds(payload.credentialIds)
+  };
+
+  const policy = await findApprovalPolicy(type, payload);
+  const approval = policy && {
+    policyId: policy.id,
+    policyName: policy.name,
+    requiredApprovals: policy.requiredApprovals,
+    approverRoles: policy.approverRoles,
+    expiresAt: new Date(Date.now() + policy.expiryHours * 60 * 60 * 1000).toISOString(),
+    ...await approvalPreview({ name, type, payload, limits, userId, policy })
+  };
+
+  let dbJob;
+  if (demo) {
+    dbJob = demo.enqueue({ name, type, payload, userId, parentJobId, workflowNode, approval });
+  } else {
+    const { rows } = await pool.query(
+      `INSERT INTO jobs (name, type, status, user_id, payload, inventory_id, inventory_revision,
+         project_id, project_commit, parent_job_id, workflow_node, approval)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+      [
+        name, type, approval ? 'awaiting_approval' : 'queued', userId, JSON.stringify(payload),
+        payload.inventoryId || null, payload.inventoryRevision || null,
+        payload.project ? payload.project.id : null, payload.project ? payload.project.commit : null,
+        parentJobId, workflowNode, approval ? JSON.stringify(approval) : null
+      ]
+    );
+    dbJob = rows[0];
+    if (!approval) {
+      await enqueue(dbJob);
+    }
+  }
+
+  if (approval) {
+    emit('job-awaiting-approval', { jobId: dbJob.id, name, policyName: policy.name });
+  }
+  return dbJob;
+};
+
+// Encola un job que esperaba aprobación, con el payload que se revisó. Devuelve null si ya
+// no estaba en awaiting_approval (otra aprobación lo liberó antes, o caducó o se canceló).
+const releaseJob = async (id) => {
+  if (demo) {
+    return demo.release(id);
+  }
+
+  const { rows } = await pool.query(
+    "UPDATE jobs SET status = 'queued' WHERE id = $1 AND status = 'awaiting_approval' RETURNING *",
+    [id]
+  );
+  if (!rows[0]) {
+    return null;
+  }
+  await enqueue(rows[0]);
+  return rows[0];
+};
+
+// Cierra sin ejecutarlo un job que esperaba aprobación (rejected o expired); null si ya no esperaba
+const closeAwaitingJob = async (id, status, result) => {
+  if (demo) {
+    const job = demo.getJob(id);
+    if (!job || job.status !== 'awaiting_approval') {
+      return null;
+    }
+    return Object.assign(job, { status, result, completed_at: new Date().toISOString() });
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE jobs SET status = $1, result = $2, completed_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND status = 'awaiting_approval' RETURNING *`,
+    [status, JSON.stringify(result), id]
+  );
+  return rows[0] || null;
+};
+
+// Job que no pasa por la cola: la ejecución de un workflow, que avanza lanzando sus nodos
+// como jobs hijos. Empieza en running.
+const createParentJob = async ({ name, type, payload = {}, userId = null }) => {
+  if (demo) {
+    return demo.addJob({
+      name, type, payload, status: 'running', user_id: userId, started_at: new Date().toISOString()
+    });
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO jobs (name, type, status, user_id, payload, started_at)
+     VALUES ($1, $2, 'running', $3, $4, CURRENT_TIMESTAMP) RETURNING *`,
+    [name, type, userId, JSON.stringify(payload)]
+  );
+  return rows[0];
+};
+
+// Estado y resultado de un job sin worker (ver createParentJob); un estado final fija completed_at
+const updateJob = async (id, { status, result }) => {
+  const finished = !CANCELLABLE_STATUSES.includes(status);
+
+  if (demo) {
+    const job = demo.getJob(id);
+    Object.assign(job, { status, result }, finished ? { completed_at: new Date().toISOString() } : {});
+    return job;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE jobs SET status = $1, result = $2,
+       completed_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE completed_at END
+     WHERE id = $4 RETURNING *`,
+    [status, JSON.stringify(result), finished, id]
+  );
+  return rows[0] || null;
+};
+
+const listChildJobs = async (parentJobId) => {
+  if (demo) {
+    return demo.listJobs().filter(job => job.parent_job_id === parentJobId).reverse();
+  }
+
+  const { rows } = await pool.query('SELECT * FROM jobs WHERE parent_job_id = $1 ORDER BY id', [parentJobId]);
+  return rows;
+};
+
+const listJobs = async () => {
+  if (demo) {
+    return demo.listJobs();
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM jobs ORDER BY created_at DESC LIMIT 200'
+  );
+  return rows;
+};
+
+const getJob = async (id) => {
+  if (demo) {
+    return demo.getJob(id);
+  }
+
+  const { rows } = await pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+// Cancelar un job. Devuelve { outcome, job } con outcome:
+// 'not_found', 'finished', 'cancelled' (quitado de la cola) o 'cancelling' (señal enviada al worker)
+const cancelJob = async (id) => {
+  if (demo) {
+    return demo.cancel(id);
+  }
+
+  const job = await getJob(id);
+  if (!job) {
+    return { outcome: 'not_found', job: null };
+  }
+  if (!isActive(job)) {
+    return { outcome: 'finished', job };
+  }
+
+  const queueOutcome = await cancelQueuedJob(job.id);
+
+  if (queueOutcome === 'signalled') {
+    const { rows } = await pool.query(
+      "UPDATE jobs SET status = 'cancelling' WHERE id = $1 RETURNING *",
+      [job.id]
+    );
+    return { outcome: 'cancelling', job: rows[0] };
+  }
+
+  const { rows } = await pool.query(
+    "UPDATE jobs SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+    [job.id]
+  );
+
+  emit('job-cancelled', { jobId: job.id, name: job.name });
+  notifyJobFinished(job.id, 'cancelled');
+
+  return { outcome: 'cancelled', job: rows[0] };
+};
+
+module.exports = {
+  submitJob,
+  releaseJob,
+  closeAwaitingJob,
+  createParentJob,
+  updateJob,
+  listJobs,
+  listChildJobs,
+  getJob,
+  cancelJob,
+  isActive
+};
@@ -0,0 +1,290 @@
+// Control de acceso: capacidades por rol y permisos de ejecución por inventario o workspace
+// y de uso de credenciales
+const config = require('../config');
+const users = require('./users');
+const { findInventory, getInventory } = require('./inventories');
+const { findCredential } = require('./credentials');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// Qué puede hacer cada rol en la API. Ejecutar jobs (jobs:run) además exige un permiso
+// sobre el inventario o workspace, salvo para admin.
+const ROLE_CAPABILITIES = {
+  admin: [
+    'jobs:read', 'jobs:run', 'inventories:write', 'templates:write', 'projects:write', 'users:read',
+    'users:write', 'settings:write', 'credentials:write'
+  ],
+  operator: ['jobs:read', 'jobs:run', 'inventories:write', 'templates:write', 'projects:write'],
+  auditor: ['jobs:read', 'users:read'],
+  viewer: ['jobs:read']
+};
+
+// Acciones que se pueden conceder en cada tipo de ámbito. En un inventario, manage permite
+// cambiarlo (editar, importar, sincronizar, restaurar o borrar) además de inventories:write.
+// En una credencial, use permite adjuntarla a jobs y a inventarios.
+const GRANT_ACTIONS = {
+  inventory: ['run', 'manage'],
+  workspace: ['plan', 'apply', 'destroy', 'manage'],
+  credential: ['use']
+};
+
+// Ámbito y acción que necesita cada tipo de job. Los inventarios se identifican por id (un
+// nombre se puede cambiar); uno sin guardar (contenido directo) solo lo cubre un permiso con scope '*'.
+const JOB_SCOPES = {
+  'ansible-playbook': { scopeType: 'inventory', action: 'run', scope: (p) => (p.inventoryId ? String(p.inventoryId) : '*') },
+  'terraform-plan': { scopeType: 'workspace', action: 'plan', scope: (p) => p.workspace || 'default' },
+  'terraform-apply': { scopeType: 'workspace', action: 'apply', scope: (p) => p.workspace || 'default' },
+  'terraform-destroy': { scopeType: 'workspace', action: 'destroy', scope: (p) => p.workspace || 'default' },
+  'terraform-init': { scopeType: 'workspace', action: 'manage', scope: (p) => p.workspace || 'default' },
+  'terraform-state': { scopeType: 'workspace', action: 'manage', scope: (p) => p.workspace || 'default' },
+  'terraform-workspace': { scopeType: 'workspace', action: 'manage', scope: (p) => p.workspace || 'default' }
+};
+
+// En modo demo los permisos viven en memoria
+const memoryGrants = [];
+
+const hasCapability = (role, capability) => (ROLE_CAPABILITIES[role] || []).includes(capability);
+
+const hasGrant = (grants, scopeType, target, action) => grants.some(g =>
+  g.scope_type === scopeType &&
+  (g.scope === '*' || g.scope === target) &&
+  g.actions.includes(action)
+);
+
+const listGrants = async (userId) => {
+  if (!pool) {
+    return memoryGrants.filter(g => g.user_id === userId);
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM permission_grants WHERE user_id = $1 ORDER BY scope_type, scope',
+    [userId]
+  );
+  return rows;
+};
+
+// Crea o reemplaza el permiso del usuario sobre un ámbito. El de un inventario o una
+// credencial se indica por id o por nombre y se guarda por id.
+const grant = async (userId, { scopeType, scope: input, actions }) => {
+  if (!GRANT_ACTIONS[scopeType]) {
+    throw new ValidationError(`scopeType debe ser uno de: ${Object.keys(GRANT_ACTIONS).join(', ')}`);
+  }
+  let scope = typeof input === 'number' ? String(input) : input;
+  if (!scope || typeof scope !== 'string') {
+    throw new ValidationError('Falta el campo obligatorio: scope (id o nombre del inventario o la credencial, nombre del workspace o "*")');
+  }
+  if (scopeType === 'inventory' && scope !== '*') {
+    const inventory = await findInventory(scope);
+    if (!inventory) {
+      throw new NotFoundError(`El inventario ${scope} no existe`);
+    }
+    scope = String(inventory.id);
+  }
+  if (scopeType === 'credential' && scope !== '*') {
+    const credential = await findCredential(scope);
+    if (!credential) {
+      throw new NotFoundError(`La credencial ${scope} no existe`);
+    }
+    scope = String(credential.id);
+  }
+  if (!Array.isArray(actions) || actions.length === 0 ||
+      actions.some(action => !GRANT_ACTIONS[scopeType].includes(action))) {
+    throw new ValidationError(
+      `actions debe contener alguna de: ${GRANT_ACTIONS[scopeType].join(', ')}`
+    );
+  }
+  if (!(await users.getUser(userId))) {
+    throw new NotFoundError('Usuario no encontrado');
+  }
+
+  if (!pool) {
+    const existing = memoryGrants.find(g =>
+      g.user_id === userId && g.scope_type === scopeType && g.scope === scope
+    );
+    if (existing) {
+      existing.actions = actions;
+      return existing;
+    }
+    const newGrant = {
+      id: memoryGrants.length + 1,
+      user_id: userId,
+      scope_type: scopeType,
+      scope,
+      actions,
+      created_at: new Date().toISOString()
+    };
+    memoryGrants.push(newGrant);
+    return newGrant;
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO permission_grants (user_id, scope_type, scope, actions)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, scope_type, scope) DO UPDATE SET actions = EXCLUDED.actions
+     RETURNING *`,
+    [userId, scopeType, scope, actions]
+  );
+  return rows[0];
+};
+
+// Quita los permisos de todos los usuarios sobre un ámbito (p. ej. un inventario borrado)
+const revokeScope = async (scopeType, scope) => {
+  if (!pool) {
+    for (let i = memoryGrants.length - 1; i >= 0; i--) {
+      if (memoryGrants[i].scope_type === scopeType && memoryGrants[i].scope === scope) {
+        memoryGrants.splice(i, 1);
+      }
+    }
+    return;
+  }
+  await pool.query('DELETE FROM permission_grants WHERE scope_type = $1 AND scope = $2', [scopeType, scope]);
+};
+
+const revoke = async (userId, grantId) => {
+  if (!pool) {
+    const index = memoryGrants.findIndex(g => g.id === grantId && g.user_id === userId);
+    if (index === -1) {
+      throw new NotFoundError('Permiso no encontrado');
+    }
+    memoryGrants.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query(
+    'DELETE FROM permission_grants WHERE id = $1 AND user_id = $2',
+    [grantId, userId]
+  );
+  if (rowCount === 0) {
+    throw new NotFoundError('Permiso no encontrado');
+  }
+};
+
+// Capacidades y permisos del usuario, para que el frontend oculte lo que no puede hacer
+const describePermissions = async (user) => ({
+  capabilities: ROLE_CAPABILITIES[user.role] || [],
+  grants: await listGrants(user.id)
+});
+
+// Comprueba que el usuario puede usar las credenciales de la lista. Admin puede usarlas todas; el resto,
+// las que creó, aquellas sobre las que tiene el permiso use y las adjuntas al inventario
+// guardado `inventoryId` (las puso alguien con permiso para usarlas). Sin esto, cualquiera
+// con jobs:run podría adjuntar una credencial a un playbook propio e imprimirla.
+const checkCredentials = async (user, credentialIds, inventoryId = null) => {
+  if (user.role === 'admin' || !Array.isArray(credentialIds) || credentialIds.length === 0) {
+    return;
+  }
+
+  const grants = await listGrants(user.id);
+  const inventory = inventoryId ? await getInventory(inventoryId) : null;
+  const forbidden = [];
+  for (const id of new Set(credentialIds)) {
+    if (hasGrant(grants, 'credential', String(id), 'use') || (inventory && inventory.credentialIds.includes(id))) {
+      continue;
+    }
+    const credential = await findCredential(id);
+    if (!credential || credential.created_by !== user.id) {
+      forbidden.push(id);
+    }
+  }
+  if (forbidden.length > 0) {
+    throw new ForbiddenError(`No tienes permiso "use" sobre las credenciales: ${forbidden.join(', ')}`);
+  }
+};
+
+// Adjuntar credenciales a un inventario guardado: quien ejecute contra él podrá usarlas
+const assertCanUseCredentials = async (userId, credentialIds) => {
+  const user = await users.getUser(userId);
+  if (!user) {
+    throw new ForbiddenError('Usuario no encontrado');
+  }
+  await checkCredentials(user, credentialIds);
+};
+
+// Comprueba que el usuario puede ejecutar (o cancelar) un job de este tipo sobre su ámbito
+// con sus credenciales. Se lee el rol actual de la BD, así que un cambio de rol o de
+// permisos aplica también a los jobs que ya estaban en cola.
+const assertCanRunJob = async (userId, type, payload = {}) => {
+  const user = await users.getUser(userId);
+  if (!user || !hasCapability(user.role, 'jobs:run')) {
+    throw new ForbiddenError('Tu rol no permite ejecutar jobs');
+  }
+  await checkCredentials(user, payload.credentialIds, payload.inventoryId);
+  if (user.role === 'admin' || !JOB_SCOPES[type]) {
+    return;
+  }
+
+  const { scopeType, action, scope } = JOB_SCOPES[type];
+  const target = scope(payload);
+  if (!hasGrant(await listGrants(user.id), scopeType, target, action)) {
+    const where = scopeType === 'workspace'
+      ? `el workspace "${target}"`
+      : (target === '*' ? 'inventarios sin guardar' : `el inventario "${payload.inventoryName || target}"`);
+    throw new ForbiddenError(`No tienes permiso "${action}" sobre ${where}`);
+  }
+};
+
+// Quién ve un job (detalle, logs, eventos, artefactos): admin y auditor todos; el resto, los
+// que lanzó y los de los ámbitos sobre los que tiene algún permiso (el mismo ámbito que
+// comprueba assertCanRunJob). Los tipos sin ámbito (test-echo, workflow) los ve cualquiera con jobs:read.
+const READ_ALL_ROLES = ['admin', 'auditor'];
+
+const canReadJob = (user, grants, job) => {
+  if (READ_ALL_ROLES.includes(user.role) || (job.user_id && job.user_id === user.id) || !JOB_SCOPES[job.type]) {
+    return true;
+  }
+  const { scopeType, scope } = JOB_SCOPES[job.type];
+  const target = scope(job.payload || {});
+  return GRANT_ACTIONS[scopeType].some(action => hasGrant(grants, scopeType, target, action));
+};
+
+// Deja en la lista solo los jobs que el usuario puede ver
+const filterReadableJobs = async (userId, jobs) => {
+  const user = await users.getUser(userId);
+  if (!user || !hasCapability(user.role, 'jobs:read')) {
+    return [];
+  }
+  const grants = await listGrants(user.id);
+  return jobs.filter(job => canReadJob(user, grants, job));
+};
+
+const assertCanReadJob = async (userId, job) => {
+  if ((await filterReadableJobs(userId, [job])).length === 0) {
+    throw new ForbiddenError(`No tienes permiso para ver el job ${job.id}`);
+  }
+};
+
+// Cambiar un inventario guardado exige inventories:write y, salvo a admin, el permiso manage
+// sobre él; crear uno (sin inventoryId), manage sobre "*". Si no, quien solo puede ejecutar
+// contra staging podría llenarlo con los hosts de producción.
+const assertCanManageInventory = async (userId, inventoryId = null) => {
+  const user = await users.getUser(userId);
+  if (!user || !hasCapability(user.role, 'inventories:write')) {
+    throw new ForbiddenError('Tu rol no permite modificar inventarios');
+  }
+  if (user.role === 'admin') {
+    return;
+  }
+
+  if (!hasGrant(await listGrants(user.id), 'inventory', inventoryId ? String(inventoryId) : '*', 'manage')) {
+    throw new ForbiddenError(inventoryId
+      ? `No tienes permiso "manage" sobre el inventario ${inventoryId}`
+      : 'Crear inventarios requiere el permiso "manage" sobre todos los inventarios ("*")');
+  }
+};
+
+module.exports = {
+  ROLE_CAPABILITIES,
+  GRANT_ACTIONS,
+  hasCapability,
+  listGrants,
+  grant,
+  revoke,
+  revokeScope,
+  describePermissions,
+  assertCanRunJob,
+  filterReadableJobs,
+  assertCanReadJob,
+  assertCanManageInventory,
+  assertCanUseCredentials
+};
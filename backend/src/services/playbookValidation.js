@@ -0,0 +1,464 @@
+// Validación de un playbook antes de lanzarlo: estructura YAML contra el esquema de un
+// playbook, `ansible-playbook --syntax-check` contra el inventario elegido, patrones de
+// `hosts:` que no coinciden con ningún grupo o host del inventario y variables sin definir
+// que se pueden detectar. Todo se devuelve como diagnósticos con número de línea.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { resolveInventoryRevision, validateHosts } = require('./inventories');
+const { parseInventory } = require('./inventoryFormats');
+const { writeInventoryFile, summarizeInventory, parseDiagnostics, runAnsibleTool } = require('./ansibleInventory');
+const { NotFoundError } = require('../utils/errors');
+
+const PLAY_KEYWORDS = [
+  'name', 'hosts', 'tasks', 'pre_tasks', 'post_tasks', 'handlers', 'roles', 'vars', 'vars_files',
+  'vars_prompt', 'become', 'become_user', 'become_method', 'become_flags', 'become_exe', 'gather_facts',
+  'gather_subset', 'gather_timeout', 'fact_path', 'collections', 'environment', 'serial', 'strategy',
+  'tags', 'any_errors_fatal', 'max_fail_percentage', 'ignore_errors', 'ignore_unreachable', 'connection',
+  'remote_user', 'port', 'order', 'run_once', 'check_mode', 'diff', 'module_defaults', 'force_handlers',
+  'no_log', 'throttle', 'timeout', 'debugger'
+];
+
+// Claves de una tarea que no son el módulo (además de with_*)
+const TASK_KEYWORDS = [
+  'name', 'action', 'local_action', 'args', 'async', 'poll', 'become', 'become_user', 'become_method',
+  'become_flags', 'become_exe', 'changed_when', 'failed_when', 'check_mode', 'collections', 'connection',
+  'debugger', 'delay', 'delegate_to', 'delegate_facts', 'diff', 'environment', 'ignore_errors',
+  'ignore_unreachable', 'loop', 'loop_control', 'module_defaults', 'no_log', 'notify', 'listen', 'port',
+  'register', 'remote_user', 'retries', 'run_once', 'tags', 'throttle', 'timeout', 'until', 'vars', 'when',
+  'any_errors_fatal'
+];
+const BLOCK_SECTIONS = ['block', 'rescue', 'always'];
+const TASK_LISTS = ['pre_tasks', 'tasks', 'post_tasks', 'handlers'];
+const CONDITIONALS = ['when', 'changed_when', 'failed_when', 'until'];
+
+// Variables que siempre existen (mágicas, de Jinja y funciones) además de ansible_*
+const BUILTIN_VARIABLES = new Set([
+  'item', 'hostvars', 'groups', 'group_names', 'inventory_hostname', 'inventory_hostname_short',
+  'inventory_dir', 'inventory_file', 'play_hosts', 'playbook_dir', 'role_name', 'role_path', 'omit',
+  'lookup', 'query', 'q', 'range', 'lipsum', 'dict', 'cycler', 'joiner', 'namespace', 'now', 'undef',
+  'vars', 'environment', 'true', 'false', 'none', 'True', 'False', 'None', 'not'
+]);
+
+// Módulos que definen variables que no se pueden conocer sin ejecutar el playbook
+const OPAQUE_MODULES = ['include_vars', 'include_role', 'import_role', 'include_tasks', 'import_tasks'];
+
+// Módulos que traen tareas de otros archivos, que no se pueden revisar desde aquí
+const INCLUDE_MODULES = ['include', 'include_role', 'import_role', 'include_tasks', 'import_tasks'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Nombre corto de un módulo: ansible.builtin.set_fact -> set_fact
+const shortName = (module) => module.split('.').pop();
+
+// Carga el YAML y recuerda la línea en la que empieza cada lista u objeto
+const loadWithLines = (content) => {
+  const lines = new WeakMap();
+  const stack = [];
+  const document = yaml.load(content, {
+    listener(event, state) {
+      if (event === 'open') {
+        stack.push(state.line);
+        return;
+      }
+      const line = stack.pop();
+      if (state.result && typeof state.result === 'object' && !lines.has(state.result)) {
+        lines.set(state.result, line);
+      }
+    }
+  });
+
+  const text = content.split('\n');
+  const lineOf = (node) => (node && typeof node === 'object' && lines.has(node) ? lines.get(node) + 1 : null);
+  // Primera línea desde el comienzo del nodo con `clave:` (o `- clave:`)
+  const keyLine = (node, key) => {
+    const start = lineOf(node);
+    if (!start) return null;
+    const pattern = new RegExp(`^\\s*(?:-\\s+)?["']?${escapeRegExp(key)}["']?\\s*:`);
+    const index = text.findIndex((line, i) => i >= start - 1 && pattern.test(line));
+    return index === -1 ? start : index + 1;
+  };
+  // Primera línea desde `from` que contiene `needle`
+  const textLine = (needle, from = 1) => {
+    const index = text.findIndex((line, i) => i >= from - 1 && line.includes(needle));
+    return index === -1 ? from : index + 1;
+  };
+
+  return { document, lineOf, keyLine, textLine };
+};
+
+// Resuelve el inventario como buildJob: guardado (id o nombre, con inventoryRevision),
+// objeto de grupos o texto INI/YAML. Devuelve { name, revision, hosts, variables, content }.
+const resolveInventory = async (inventory, inventoryRevision) => {
+  const saved = await resolveInventoryRevision(inventory, inventoryRevision);
+  if (saved) {
+    return { name: saved.name, revision: saved.revision, hosts: saved.hosts, variables: saved.variables || {} };
+  }
+  if (typeof inventory === 'number') {
+    throw new NotFoundError(`El inventario ${inventory} no existe`);
+  }
+  if (isPlainObject(inventory)) {
+    validateHosts(inventory, {});
+    return { name: null, revision: null, hosts: inventory, variables: {} };
+  }
+  const parsed = parseInventory(String(inventory));
+  return { name: null, revision: null, hosts: parsed.hosts, variables: parsed.variables, content: String(inventory) };
+};
+
+// Nombres de las variables del inventario (all.vars, grupos y hosts)
+const inventoryVariableNames = (hosts = {}, variables = {}) => {
+  const names = new Set(Object.keys(variables || {}));
+  const visit = (group) => {
+    if (!isPlainObject(group)) return;
+    Object.keys(group.vars || {}).forEach(name => names.add(name));
+    Object.values(group.hosts || {}).forEach(vars => Object.keys(vars || {}).forEach(name => names.add(name)));
+    Object.values(group.children || {}).forEach(visit);
+  };
+  Object.values(hosts || {}).forEach(visit);
+  return names;
+};
+
+// Términos de un patrón de hosts ("web:&prod:!web3", "web,db", ["web", "db"])
+const hostPatternTerms = (hosts) => (Array.isArray(hosts) ? hosts.map(String) : String(hosts).split(/[,:]/))
+  .map(term => term.trim())
+  .filter(Boolean);
+
+// Un término coincide con algún grupo o host: exacto, con comodines (*) o regex (~)
+const termMatches = (term, names) => {
+  const pattern = term.replace(/\[[^\]]*\]$/, '');
+  if (['all', '*', 'localhost', '127.0.0.1'].includes(pattern)) {
+    return true;
+  }
+  if (pattern.startsWith('~')) {
+    try {
+      const regex = new RegExp(pattern.slice(1));
+      return names.some(name => regex.test(name));
+    } catch (error) {
+      return false;
+    }
+  }
+  if (pattern.includes('*')) {
+    const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+    return names.some(name => regex.test(name));
+  }
+  return names.includes(pattern);
+};
+
+// Primer identificador de cada expresión Jinja ({{ ... }}) de un texto, o de la expresión
+// entera en los condicionales. Las que tienen default o `is defined` no cuentan.
+const referencedVariables = (text, isConditional = false) => {
+  const expressions = isConditional
+    ? [text]
+    : [...text.matchAll(/\{\{(.*?)\}\}/g)].map(match => match[1]);
+
+  return expressions
+    .filter(expression => !/\bdefault\s*\(|\|\s*d\s*\(|\bis\s+(not\s+)?(un)?defined\b/.test(expression))
+    .map(expression => {
+      const match = expression.trim().replace(/^(not\s+|\(\s*)+/, '').match(/^([A-Za-z_][A-Za-z0-9_]*)/);
+      return match ? match[1] : null;
+    })
+    .filter(name => name && !BUILTIN_VARIABLES.has(name) && !name.startsWith('ansible_'));
+};
+
+// Comprueba un playbook ya cargado y añade los diagnósticos de esquema, hosts y variables
+const checkPlaybook = (loaded, { groups, hostNames, knownVariables }, diagnostics) => {
+  const { document, lineOf, keyLine, textLine } = loaded;
+  const add = (line, severity, source, message) => diagnostics.push({ line, column: null, severity, source, message });
+
+  if (!Array.isArray(document) || document.length === 0) {
+    add(1, 'error', 'schema', 'Un playbook debe ser una lista de plays');
+    return;
+  }
+
+  document.forEach((play, index) => {
+    const playLine = lineOf(play) || 1;
+    const label = `play ${index + 1}`;
+    if (!isPlainObject(play)) {
+      add(playLine, 'error', 'schema', `El ${label} debe ser un diccionario`);
+      return;
+    }
+    if (play.import_playbook || play['ansible.builtin.import_playbook']) {
+      return;
+    }
+
+    Object.keys(play)
+      .filter(key => !PLAY_KEYWORDS.includes(key))
+      .forEach(key => add(keyLine(play, key), 'error', 'schema', `"${key}" no es un atributo válido de un play`));
+
+    if (play.hosts === undefined || play.hosts === null || play.hosts === '') {
+      add(playLine, 'error', 'schema', `El ${label} no tiene "hosts"`);
+    } else if (groups && !String(play.hosts).includes('{{')) {
+      // Solo los términos que añaden hosts (no las exclusiones ! ni las intersecciones &)
+      hostPatternTerms(play.hosts)
+        .filter(term => !term.startsWith('!') && !term.startsWith('&'))
+        .filter(term => !termMatches(term, [...groups, ...hostNames]))
+        .forEach(term => add(
+          keyLine(play, 'hosts'), 'warning', 'hosts',
+          `"${term}" no coincide con ningún grupo ni host del inventario`
+        ));
+    }
+
+    // Variables que define el play; con vars_files, roles o include_vars no se pueden conocer todas
+    const defined = new Set(knownVariables);
+    let opaque = Boolean(play.vars_files || play.roles);
+    const defineFrom = (vars) => {
+      if (isPlainObject(vars)) Object.keys(vars).forEach(name => defined.add(name));
+      if (Array.isArray(vars)) vars.filter(isPlainObject).forEach(defineFrom);
+    };
+    defineFrom(play.vars);
+    (Array.isArray(play.vars_prompt) ? play.vars_prompt : [])
+      .filter(prompt => isPlainObject(prompt) && prompt.name)
+      .forEach(prompt => defined.add(prompt.name));
+
+    const usages = [];
+    const collectUsages = (value, line, isConditional = false) => {
+      if (typeof value === 'string') {
+        referencedVariables(value, isConditional).forEach(name => usages.push({ name, line }));
+      } else if (Array.isArray(value)) {
+        value.forEach(item => collectUsages(item, lineOf(item) || line, isConditional));
+      } else if (isPlainObject(value)) {
+        Object.values(value).forEach(item => collectUsages(item, lineOf(item) || line));
+      }
+    };
+
+    const checkTasks = (tasks, section, parent) => {
+      const sectionLine = keyLine(parent, section);
+      if (!Array.isArray(tasks)) {
+        add(sectionLine, 'error', 'schema', `"${section}" debe ser una lista de tareas`);
+        return;
+      }
+
+      tasks.forEach(task => {
+        const taskLine = lineOf(task) || sectionLine;
+        if (!isPlainObject(task)) {
+          add(taskLine, 'error', 'schema', `Cada elemento de "${section}" debe ser un diccionario`);
+          return;
+        }
+
+        defineFrom(task.vars);
+        if (task.register) defined.add(String(task.register));
+        if (isPlainObject(task.loop_control) && task.loop_control.loop_var) {
+          defined.add(String(task.loop_control.loop_var));
+        }
+
+        Object.entries(task)
+          .filter(([key]) => !BLOCK_SECTIONS.includes(key))
+          .forEach(([key, value]) => collectUsages(value, keyLine(task, key), CONDITIONALS.includes(key)));
+
+        const blocks = BLOCK_SECTIONS.filter(key => task[key] !== undefined);
+        if (blocks.length > 0) {
+          blocks.forEach(key => checkTasks(task[key], key, task));
+          return;
+        }
+
+        const actions = Object.keys(task).filter(key => !TASK_KEYWORDS.includes(key) && !key.startsWith('with_'));
+        if (actions.length === 0 && !task.action && !task.local_action) {
+          add(taskLine, 'error', 'schema', `La tarea${task.name ? ` "${task.name}"` : ''} no indica ningún módulo`);
+        } else if (actions.length > 1) {
+          add(taskLine, 'error', 'schema', `La tarea${task.name ? ` "${task.name}"` : ''} tiene varias acciones: ${actions.join(', ')}`);
+        }
+
+        actions.forEach(action => {
+          const module = shortName(action);
+          if (module === 'set_fact' && isPlainObject(task[action])) {
+            Object.keys(task[action]).forEach(name => defined.add(name));
+          }
+          if (OPAQUE_MODULES.includes(module)) {
+            opaque = true;
+          }
+        });
+      });
+    };
+
+    TASK_LISTS.filter(section => play[section] !== undefined).forEach(section => checkTasks(play[section], section, play));
+
+    if (play.roles !== undefined && !Array.isArray(play.roles)) {
+      add(keyLine(play, 'roles'), 'error', 'schema', '"roles" debe ser una lista');
+    }
+
+    ['name', 'vars', 'environment'].forEach(key => collectUsages(play[key], keyLine(play, key)));
+
+    if (!opaque) {
+      const reported = new Set();
+      usages
+        .filter(({ name }) => !defined.has(name))
+        .forEach(({ name, line }) => {
+          if (reported.has(name)) return;
+          reported.add(name);
+          add(textLine(name, line || playLine), 'warning', 'variables', `La variable "${name}" no está definida en el playbook, el inventario ni las variables del job`);
+        });
+    }
+  });
+};
+
+// Valores de check_mode que fuerzan el modo check (Ansible también acepta yes/on como booleanos)
+const isCheckModeOn = (value) => value === true || /^(true|yes|on)$/i.test(String(value));
+
+// Motivo por el que `--check` no garantiza que el playbook no cambie nada, o null si lo
+// garantiza: Ansible ejecuta de verdad las tareas con check_mode: false (o un valor
+// plantillado), y las de roles, includes, imports o un playbook de un proyecto no se ven aquí.
+const checkModeBlocker = (playbook) => {
+  if (typeof playbook !== 'string' || !playbook.trim()) {
+    return 'el playbook viene de un proyecto o workspace y no se puede revisar';
+  }
+  let plays;
+  try {
+    plays = yaml.load(playbook);
+  } catch (error) {
+    return 'el playbook no es YAML válido';
+  }
+  if (!Array.isArray(plays)) {
+    return 'el playbook no es una lista de plays';
+  }
+
+  const blockerIn = (node, label) => {
+    if (!isPlainObject(node)) {
+      return null;
+    }
+    if (node.check_mode !== undefined && !isCheckModeOn(node.check_mode)) {
+      return `${label} tiene check_mode: ${node.check_mode}`;
+    }
+    const module = Object.keys(node).map(shortName).find(key => INCLUDE_MODULES.includes(key));
+    if (module) {
+      return `${label} usa ${module}`;
+    }
+    for (const section of [...BLOCK_SECTIONS, ...TASK_LISTS]) {
+      if (Array.isArray(node[section])) {
+        for (const task of node[section]) {
+          const reason = blockerIn(task, `La tarea${isPlainObject(task) && task.name ? ` "${task.name}"` : ''}`);
+          if (reason) return reason;
+        }
+      }
+    }
+    return null;
+  };
+
+  for (const play of plays) {
+    const label = `El play${isPlainObject(play) && play.name ? ` "${play.name}"` : ''}`;
+    if (isPlainObject(play) && (play.import_playbook || play['ansible.builtin.import_playbook'] || play.roles)) {
+      return `${label} usa roles o import_playbook`;
+    }
+    const reason = blockerIn(play, label);
+    if (reason) return reason;
+  }
+  return null;
+};
+
+// `ansible-playbook --syntax-check`; null si no hay ansible-playbook ni Docker
+const runSyntaxCheck = async (playbook, inventory) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conductor-playbook-'));
+  try {
+    await fs.writeFile(path.join(dir, 'playbook.yml'), playbook);
+    const inventoryFile = inventory
+      ? await writeInventoryFile(dir, inventory.content !== undefined ? inventory.content : inventory.hosts, inventory.variables)
+      : null;
+    const result = await runAnsibleTool(dir, 'ansible-playbook', file => [
+      '--syntax-check',
+      '-i', inventoryFile ? file(inventoryFile) : 'localhost,',
+      file('playbook.yml')
+    ]);
+    if (!result) {
+      return null;
+    }
+    // Los mensajes citan los archivos por su nombre, sin el directorio temporal
+    return { ...result, stderr: result.stderr.split(`${dir}/`).join('').split('/inventory/').join('') };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Diagnósticos de ansible: "ERROR! ... The error appears to be in 'playbook.yml': line 5,
+// column 7" o, desde ansible-core 2.19, "[ERROR]: ... Origin: playbook.yml:5:7"
+const syntaxDiagnostics = (stderr) => {
+  const { errors, warnings } = parseDiagnostics(stderr);
+  const toDiagnostic = (severity) => (message) => {
+    const position = message.match(/line (\d+), column (\d+)/) || message.match(/playbook\.yml:(\d+):(\d+)/);
+    return {
+      line: position ? parseInt(position[1], 10) : null,
+      column: position ? parseInt(position[2], 10) : null,
+      severity,
+      source: 'syntax-check',
+      message: message.split(/\s*(?:The (?:error|offending line) appears to be|Origin:)/)[0].trim()
+    };
+  };
+  return [...errors.map(toDiagnostic('error')), ...warnings.map(toDiagnostic('warning'))];
+};
+
+// { playbook, inventory, inventoryRevision, variables } -> { valid, diagnostics, checkedWith,
+// inventory }. diagnostics: [{ line, column, severity: error|warning, source, message }]
+const validatePlaybook = async ({ playbook, inventory, inventoryRevision, variables = {} }) => {
+  const report = { valid: true, diagnostics: [], checkedWith: 'conductor', inventory: null };
+  const diagnostics = report.diagnostics;
+  const finish = () => {
+    diagnostics.sort((a, b) => (a.line || 0) - (b.line || 0));
+    report.valid = !diagnostics.some(diagnostic => diagnostic.severity === 'error');
+    return report;
+  };
+
+  if (typeof playbook !== 'string' || !playbook.trim()) {
+    diagnostics.push({ line: 1, column: null, severity: 'error', source: 'yaml', message: 'El playbook está vacío' });
+    return finish();
+  }
+
+  let loaded;
+  try {
+    loaded = loadWithLines(playbook);
+  } catch (error) {
+    const mark = error.mark || {};
+    diagnostics.push({
+      line: mark.line !== undefined ? mark.line + 1 : 1,
+      column: mark.column !== undefined ? mark.column + 1 : null,
+      severity: 'error',
+      source: 'yaml',
+      message: `YAML inválido: ${error.reason || error.message}`
+    });
+    return finish();
+  }
+
+  let resolved = null;
+  if (inventory !== undefined && inventory !== null && inventory !== '') {
+    try {
+      resolved = await resolveInventory(inventory, inventoryRevision);
+      report.inventory = { name: resolved.name, revision: resolved.revision };
+    } catch (error) {
+      if (error.status === 404) throw error;
+      diagnostics.push({ line: null, column: null, severity: 'error', source: 'inventory', message: `Inventario: ${error.message}` });
+    }
+  }
+
+  const summary = resolved ? summarizeInventory(resolved.hosts, resolved.variables) : null;
+  checkPlaybook(loaded, {
+    groups: summary ? summary.groups : null,
+    hostNames: summary ? summary.hosts : [],
+    knownVariables: new Set([
+      ...Object.keys(isPlainObject(variables) ? variables : {}),
+      ...(resolved ? inventoryVariableNames(resolved.hosts, resolved.variables) : [])
+    ])
+  }, diagnostics);
+
+  const result = await runSyntaxCheck(playbook, resolved);
+  if (!result) {
+    diagnostics.push({
+      line: null, column: null, severity: 'warning', source: 'syntax-check',
+      message: 'ansible-playbook no está disponible: solo se ha validado la estructura'
+    });
+    return finish();
+  }
+
+  report.checkedWith = 'ansible-playbook';
+  // Los patrones de hosts ya se comprueban arriba contra el inventario, con su línea
+  diagnostics.push(...syntaxDiagnostics(result.stderr)
+    .filter(diagnostic => !/host pattern|hosts list is empty/i.test(diagnostic.message)));
+  if (result.code !== 0 && !diagnostics.some(diagnostic => diagnostic.source === 'syntax-check' && diagnostic.severity === 'error')) {
+    diagnostics.push({
+      line: null, column: null, severity: 'error', source: 'syntax-check',
+      message: `ansible-playbook --syntax-check falló con código ${result.code}`
+    });
+  }
+  return finish();
+};
+
+module.exports = { validatePlaybook, checkModeBlocker };
@@ -0,0 +1,439 @@
+// Proyectos: repositorios git (https, ssh o file://, también repos bare locales) con los
+// playbooks o el código de Terraform. Cada proyecto tiene un clon --mirror en la caché; al
+// construir un job su ref (rama, tag o commit) se resuelve a un commit, que queda en el job,
+// y el worker hace checkout de ese commit en el directorio de trabajo del job.
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { getCredential, prepareGitCredential } = require('./credentials');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+const execFileAsync = promisify(execFile);
+
+// https://, http://, ssh://, git://, file:// o la forma scp de ssh (git@host:org/repo.git)
+const URL_PATTERN = /^(?:(?:https?|ssh|git|file):\/\/\S+|[A-Za-z0-9._-]+@[A-Za-z0-9.-]+:\S+)$/;
+// Rama, tag o commit (sin '..' ni nada que git pueda leer como opción)
+const REF_PATTERN = /^(?!-)(?!.*\.\.)[A-Za-z0-9._/-]{1,255}$/;
+
+// Los YAML de estos directorios son de roles o variables, no playbooks
+const NON_PLAYBOOK_DIRS = [
+  'roles', 'group_vars', 'host_vars', 'vars', 'defaults', 'tasks', 'handlers',
+  'templates', 'files', 'meta', 'molecule', '.github', '.gitlab'
+];
+
+// En modo demo los proyectos viven en memoria (la caché git sí se usa)
+const memoryProjects = [];
+
+// Operaciones git de cada proyecto en cola: dos fetch sobre el mismo mirror no se solapan
+const locks = new Map();
+
+const withLock = (id, fn) => {
+  const run = (locks.get(id) || Promise.resolve()).catch(() => {}).then(fn);
+  locks.set(id, run);
+  run.catch(() => {}).then(() => {
+    if (locks.get(id) === run) {
+      locks.delete(id);
+    }
+  });
+  return run;
+};
+
+const toProject = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  url: row.url,
+  ref: row.ref,
+  credentialId: row.credential_id,
+  lastCommit: row.last_commit,
+  lastSyncedAt: row.last_synced_at,
+  lastSyncError: row.last_sync_error,
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+const git = async (args, env = {}) => {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env },
+      timeout: config.projects.gitTimeoutSeconds * 1000,
+      maxBuffer: 50 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    if (error.killed) {
+      throw new Error(`git no terminó en ${config.projects.gitTimeoutSeconds}s`);
+    }
+    throw new Error((error.stderr || error.message).trim());
+  }
+};
+
+const mirrorDir = (id) => path.join(config.projects.cacheDir, `project-${id}.git`);
+
+const validateRef = (ref, where = 'ref') => {
+  if (ref === undefined || ref === null || ref === '') {
+    return null;
+  }
+  if (!REF_PATTERN.test(String(ref))) {
+    throw new ValidationError(`${where} debe ser una rama, tag o commit válido`);
+  }
+  return String(ref);
+};
+
+// Ruta relativa dentro del repositorio ('.' es la raíz)
+const normalizeProjectPath = (value, where = 'projectPath') => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`Falta ${where}`);
+  }
+  const normalized = path.posix.normalize(value.trim().replace(/\\/g, '/')).replace(/\/+$/, '') || '.';
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw new ValidationError(`${where} debe ser una ruta relativa dentro del repositorio`);
+  }
+  return normalized;
+};
+
+const validateProject = async (input) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Falta el nombre del proyecto');
+  }
+  const url = String(input.url || '').trim();
+  if (!URL_PATTERN.test(url)) {
+    throw new ValidationError('url debe ser una URL git https://, ssh://, git://, file:// o usuario@host:ruta');
+  }
+  if (/^[a-z]+:\/\/[^/@]*:[^/@]*@/i.test(url)) {
+    throw new ValidationError('La url no puede llevar contraseña o token: usa una credencial ssh_key');
+  }
+
+  let credentialId = null;
+  if (input.credentialId !== undefined && input.credentialId !== null && input.credentialId !== '') {
+    const credential = await getCredential(parseInt(input.credentialId, 10) || 0);
+    if (!credential) {
+      throw new ValidationError(`La credencial ${input.credentialId} no existe`);
+    }
+    if (credential.type !== 'ssh_key') {
+      throw new ValidationError('La credencial de un proyecto debe ser una clave SSH (ssh_key)');
+    }
+    credentialId = credential.id;
+  }
+
+  return {
+    name,
+    description: input.description || '',
+    url,
+    ref: validateRef(input.ref),
+    credentialId
+  };
+};
+
+const findRow = async (id) => {
+  if (!pool) {
+    return memoryProjects.find(row => row.id === id) || null;
+  }
+  const { rows } = await pool.query('SELECT * FROM projects WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+const listProjects = async () => {
+  if (!pool) {
+    return [...memoryProjects].sort((a, b) => a.name.localeCompare(b.name)).map(toProject);
+  }
+  const { rows } = await pool.query('SELECT * FROM projects ORDER BY name');
+  return rows.map(toProject);
+};
+
+const getProject = async (id) => toProject(await findRow(id));
+
+// Por id o por nombre (p. ej. en un bundle de templates)
+const findProject = async (ref) => {
+  if (Number.isInteger(ref) || /^\d+$/.test(String(ref))) {
+    return getProject(parseInt(ref, 10));
+  }
+  if (!pool) {
+    return toProject(memoryProjects.find(row => row.name === ref));
+  }
+  const { rows } = await pool.query('SELECT * FROM projects WHERE name = $1', [ref]);
+  return toProject(rows[0]);
+};
+
+const createProject = async (input, userId = null) => {
+  const project = await validateProject(input);
+
+  if (!pool) {
+    if (memoryProjects.some(row => row.name === project.name)) {
+      throw new ConflictError(`Ya existe un proyecto llamado "${project.name}"`);
+    }
+    const row = {
+      id: memoryProjects.reduce((max, p) => Math.max(max, p.id), 0) + 1,
+      name: project.name,
+      description: project.description,
+      url: project.url,
+      ref: project.ref,
+      credential_id: project.credentialId,
+      last_commit: null,
+      last_synced_at: null,
+      last_sync_error: null,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    memoryProjects.push(row);
+    return toProject(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO projects (name, description, url, ref, credential_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [project.name, project.description, project.url, project.ref, project.credentialId, userId]
+    );
+    return toProject(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe un proyecto llamado "${project.name}"`);
+    }
+    throw error;
+  }
+};
+
+// Reemplazo completo; si cambia la url se descarta la caché del repositorio anterior
+const replaceProject = async (id, input) => {
+  const row = await findRow(id);
+  if (!row) {
+    throw new NotFoundError('Proyecto no encontrado');
+  }
+  const project = await validateProject(input);
+  if (project.url !== row.url) {
+    await withLock(id, () => fs.rm(mirrorDir(id), { recursive: true, force: true }));
+  }
+
+  if (!pool) {
+    if (memoryProjects.some(p => p.name === project.name && p.id !== id)) {
+      throw new ConflictError(`Ya existe un proyecto llamado "${project.name}"`);
+    }
+    Object.assign(row, {
+      name: project.name,
+      description: project.description,
+      url: project.url,
+      ref: project.ref,
+      credential_id: project.credentialId,
+      updated_at: new Date().toISOString()
+    });
+    return toProject(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE projects SET name = $1, description = $2, url = $3, ref = $4, credential_id = $5,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 RETURNING *`,
+      [project.name, project.description, project.url, project.ref, project.credentialId, id]
+    );
+    return toProject(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe un proyecto llamado "${project.name}"`);
+    }
+    throw error;
+  }
+};
+
+// Los templates que lo usan se comprueban en la ruta (y en BD con la FK)
+const deleteProject = async (id) => {
+  if (!pool) {
+    const index = memoryProjects.findIndex(row => row.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Proyecto no encontrado');
+    }
+    memoryProjects.splice(index, 1);
+  } else {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM projects WHERE id = $1', [id]);
+      if (rowCount === 0) {
+        throw new NotFoundError('Proyecto no encontrado');
+      }
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new ConflictError('El proyecto lo usan templates: cámbialos antes de borrarlo');
+      }
+      throw error;
+    }
+  }
+  await withLock(id, () => fs.rm(mirrorDir(id), { recursive: true, force: true }));
+};
+
+const recordSync = async (row, { commit = null, error = null }) => {
+  if (!pool) {
+    Object.assign(row, {
+      last_commit: commit || row.last_commit,
+      last_synced_at: error ? row.last_synced_at : new Date().toISOString(),
+      last_sync_error: error
+    });
+    return;
+  }
+  await pool.query(
+    `UPDATE projects SET last_commit = COALESCE($1, last_commit),
+       last_synced_at = CASE WHEN $2::text IS NULL THEN CURRENT_TIMESTAMP ELSE last_synced_at END,
+       last_sync_error = $2
+     WHERE id = $3`,
+    [commit, error, row.id]
+  );
+};
+
+// Clona (la primera vez) o actualiza el mirror del proyecto
+const fetchMirror = (row) => withLock(row.id, async () => {
+  const dir = mirrorDir(row.id);
+  const keyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'conductor-git-'));
+  try {
+    const env = row.credential_id ? await prepareGitCredential(row.credential_id, keyDir) : {};
+    await fs.mkdir(config.projects.cacheDir, { recursive: true, mode: 0o700 });
+
+    const cloned = await fs.stat(path.join(dir, 'HEAD')).then(() => true, () => false);
+    if (!cloned) {
+      await fs.rm(dir, { recursive: true, force: true });
+      await git(['clone', '--mirror', '--quiet', '--', row.url, dir], env);
+    } else {
+      await git(['--git-dir', dir, 'remote', 'set-url', 'origin', row.url]);
+      await git(['--git-dir', dir, 'fetch', '--prune', '--quiet', 'origin'], env);
+    }
+  } finally {
+    await fs.rm(keyDir, { recursive: true, force: true });
+  }
+});
+
+// Commit al que apunta `ref` en el mirror (HEAD = rama por defecto del repositorio)
+const resolveCommit = async (id, ref) => {
+  try {
+    return (await git(['--git-dir', mirrorDir(id), 'rev-parse', '--verify', '--quiet', `${ref || 'HEAD'}^{commit}`])).trim();
+  } catch (error) {
+    throw new ValidationError(`La ref "${ref || 'HEAD'}" no existe en el proyecto`);
+  }
+};
+
+// Actualiza el mirror y resuelve la ref (la del proyecto si no se indica) a un commit.
+// Guarda el resultado (o el error) de la sincronización en el proyecto.
+const syncProject = async (id, ref = null) => {
+  const row = await findRow(id);
+  if (!row) {
+    throw new NotFoundError('Proyecto no encontrado');
+  }
+  const wanted = validateRef(ref) || row.ref;
+
+  try {
+    await fetchMirror(row);
+  } catch (error) {
+    await recordSync(row, { error: error.message });
+    throw new Error(`No se pudo actualizar el proyecto "${row.name}": ${error.message}`);
+  }
+
+  const commit = await resolveCommit(id, wanted);
+  await recordSync(row, { commit: wanted === row.ref ? commit : null });
+  return { project: toProject(await findRow(id)), ref: wanted, commit };
+};
+
+// Playbooks candidatos de una lista de rutas: los YAML que no son de roles, variables ni
+// configuración (también se usa con los workspaces subidos)
+const findPlaybooks = (files) => files.filter(file => /\.ya?ml$/.test(file)
+  && !file.split('/').slice(0, -1).some(dir => NON_PLAYBOOK_DIRS.includes(dir))
+  && !/(^|\/)(requirements|galaxy|\.ansible-lint|docker-compose)\.ya?ml$/.test(file));
+
+// Árbol del repositorio en una ref: playbooks candidatos y directorios con código de Terraform
+const getProjectTree = async (id, ref = null) => {
+  const { project, ref: resolvedRef, commit } = await syncProject(id, ref);
+  const files = (await git(['--git-dir', mirrorDir(id), 'ls-tree', '-r', '--name-only', '-z', commit]))
+    .split('\0')
+    .filter(Boolean);
+
+  const playbooks = findPlaybooks(files);
+  const terraformDirs = [...new Set(files
+    .filter(file => file.endsWith('.tf'))
+    .map(file => path.posix.dirname(file)))]
+    .sort();
+
+  return { projectId: project.id, ref: resolvedRef, commit, playbooks, terraformDirs, files };
+};
+
+// Fuente de un job: el proyecto con su ref resuelta a commit y la ruta comprobada en ese
+// commit (`type` 'file' para un playbook, 'directory' para Terraform). Queda en el payload.
+const resolveProjectSource = async (projectId, { ref, path: projectPath, type = 'file' } = {}) => {
+  const row = await findRow(parseInt(projectId, 10) || 0);
+  if (!row) {
+    throw new NotFoundError(`El proyecto ${projectId} no existe`);
+  }
+  const normalized = normalizeProjectPath(projectPath);
+  const { ref: resolvedRef, commit } = await syncProject(row.id, ref);
+
+  if (normalized !== '.' || type !== 'directory') {
+    const objectType = await git(['--git-dir', mirrorDir(row.id), 'cat-file', '-t', `${commit}:${normalized}`])
+      .then(output => output.trim(), () => null);
+    const expected = type === 'directory' ? 'tree' : 'blob';
+    if (objectType !== expected) {
+      throw new ValidationError(`"${normalized}" no es ${type === 'directory' ? 'un directorio' : 'un archivo'} del proyecto "${row.name}" en ${resolvedRef || 'HEAD'}`);
+    }
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    ref: resolvedRef,
+    commit,
+    path: normalized
+  };
+};
+
+// Código de Terraform de un job: workingDir del servidor o un directorio de un proyecto
+const terraformSource = async ({ workingDir, projectId, projectPath, projectRef }) => (
+  projectId
+    ? { workingDir: null, project: await resolveProjectSource(projectId, { ref: projectRef, path: projectPath || '.', type: 'directory' }) }
+    : { workingDir }
+);
+
+// Checkout del commit del job en `dir` (lo usa el worker). Si el mirror no tiene el commit
+// (caché borrada o commit nuevo) se actualiza antes.
+const checkoutProject = async (source, dir) => {
+  const row = await findRow(source.id);
+  const mirror = mirrorDir(source.id);
+  const hasCommit = () => git(['--git-dir', mirror, 'cat-file', '-e', `${source.commit}^{commit}`]).then(() => true, () => false);
+
+  if (!(await hasCommit())) {
+    if (!row) {
+      throw new Error(`El proyecto ${source.name} ya no existe y su commit no está en la caché`);
+    }
+    await fetchMirror(row);
+    if (!(await hasCommit())) {
+      throw new Error(`El commit ${source.commit} ya no existe en el proyecto ${source.name}`);
+    }
+  }
+
+  await git(['clone', '--quiet', '--no-checkout', '--', mirror, dir]);
+  await git(['-C', dir, 'checkout', '--quiet', '--detach', source.commit]);
+  const head = (await git(['-C', dir, 'rev-parse', 'HEAD'])).trim();
+  if (head !== source.commit) {
+    throw new Error(`El checkout del proyecto ${source.name} quedó en ${head} en lugar de ${source.commit}`);
+  }
+  return path.join(dir, source.path);
+};
+
+module.exports = {
+  listProjects,
+  getProject,
+  findProject,
+  createProject,
+  replaceProject,
+  deleteProject,
+  syncProject,
+  getProjectTree,
+  findPlaybooks,
+  normalizeProjectPath,
+  validateRef,
+  resolveProjectSource,
+  terraformSource,
+  checkoutProject
+};
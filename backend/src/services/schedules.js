@@ -0,0 +1,538 @@
+// Programaciones cron: lanzan una definición de job guardada (ver jobDefinitions) en su
+// zona horaria. next_run_at vive en la BD y se reclama con un UPDATE condicional, así un
+// reinicio (o dos instancias) nunca lanzan dos veces la misma ejecución.
+const { CronExpressionParser } = require('cron-parser');
+const config = require('../config');
+const jobService = require('./jobService');
+const { validateDefinition, sealDefinition, buildJob, definitionFromJob } = require('./jobDefinitions');
+const { assertCanRunJob } = require('./permissions');
+const { getTimezone, isValidTimezone } = require('./settings');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool, ready } = config.demoMode ? {} : require('../models/database');
+
+// Cada cuánto se buscan programaciones vencidas
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+// Ventana máxima del calendario y ocurrencias por programación dentro de ella
+const MAX_CALENDAR_DAYS = 62;
+const MAX_OCCURRENCES = 500;
+
+const CRON_MACROS = ['@yearly', '@annually', '@monthly', '@weekly', '@daily', '@hourly'];
+
+// En modo demo las programaciones y sus ejecuciones viven en memoria
+const memorySchedules = [];
+const memoryRuns = [];
+
+const toSchedule = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  definition: row.definition,
+  cron: row.cron,
+  timezone: row.timezone,
+  enabled: row.enabled,
+  startAt: row.start_at,
+  endAt: row.end_at,
+  skipIfRunning: row.skip_if_running,
+  nextRunAt: row.next_run_at,
+  lastRunAt: row.last_run_at,
+  lastJobId: row.last_job_id,
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+const toRun = (row) => row && {
+  id: row.id,
+  scheduleId: row.schedule_id,
+  scheduledFor: row.scheduled_for,
+  trigger: row.trigger,
+  status: row.status,
+  jobId: row.job_id,
+  reason: row.reason,
+  created_at: row.created_at
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} no es una fecha válida`);
+  }
+  return date;
+};
+
+// Cinco campos (minuto hora día mes día-semana) o una macro como @daily
+const validateCron = (cron, timezone) => {
+  const expression = String(cron || '').trim();
+  if (!expression) {
+    throw new ValidationError('Falta la expresión cron');
+  }
+  if (!CRON_MACROS.includes(expression) && expression.split(/\s+/).length !== 5) {
+    throw new ValidationError('La expresión cron debe tener 5 campos (minuto hora día mes día-semana) o ser una macro como @daily');
+  }
+  try {
+    CronExpressionParser.parse(expression, { tz: timezone });
+  } catch (error) {
+    throw new ValidationError(`Expresión cron inválida: ${error.message}`);
+  }
+  return expression;
+};
+
+// Siguientes ejecuciones estrictamente posteriores a `after`, dentro de [startAt, endAt]
+const upcomingRuns = ({ cron, timezone, startAt, endAt }, after = new Date(), { until = null, limit = 1 } = {}) => {
+  const start = toDate(startAt);
+  const end = toDate(endAt);
+  // Un cron que cae justo en startAt también cuenta
+  const from = start && start > after ? new Date(start.getTime() - 1) : after;
+  const iterator = CronExpressionParser.parse(cron, { currentDate: from, tz: timezone });
+
+  const runs = [];
+  while (runs.length < limit) {
+    const next = iterator.next().toDate();
+    if ((end && next > end) || (until && next > until)) {
+      break;
+    }
+    runs.push(next);
+  }
+  return runs;
+};
+
+const nextRunAfter = (schedule, after = new Date()) => upcomingRuns(schedule, after)[0] || null;
+
+// Definición explícita ({ type, params, limits }) o copiada de un job anterior (fromJobId)
+const resolveDefinition = async ({ definition, fromJobId }) => {
+  if (fromJobId !== undefined && fromJobId !== null) {
+    const job = await jobService.getJob(parseInt(fromJobId, 10) || 0);
+    if (!job) {
+      throw new NotFoundError('Job no encontrado');
+    }
+    return definitionFromJob(job);
+  }
+  return sealDefinition(validateDefinition(definition));
+};
+
+// Comprueba todos los campos; la definición se construye para validar su contenido y que
+// el usuario puede ejecutarla
+const buildSchedule = async (input, userId) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Falta el nombre de la programación');
+  }
+
+  const timezone = input.timezone || await getTimezone();
+  if (!isValidTimezone(timezone)) {
+    throw new ValidationError(`Zona horaria desconocida: ${timezone}`);
+  }
+
+  const startAt = parseDate(input.startAt, 'startAt');
+  const endAt = parseDate(input.endAt, 'endAt');
+  if (startAt && endAt && endAt <= startAt) {
+    throw new ValidationError('endAt debe ser posterior a startAt');
+  }
+
+  const definition = await resolveDefinition(input);
+  const job = await buildJob(definition);
+  await assertCanRunJob(userId, job.type, job.payload);
+
+  const schedule = {
+    name,
+    description: input.description || '',
+    definition,
+    cron: validateCron(input.cron, timezone),
+    timezone,
+    enabled: input.enabled !== false,
+    startAt,
+    endAt,
+    skipIfRunning: input.skipIfRunning !== false
+  };
+  schedule.nextRunAt = schedule.enabled ? nextRunAfter(schedule) : null;
+  return schedule;
+};
+
+const listSchedules = async () => {
+  if (!pool) {
+    return [...memorySchedules].sort((a, b) => a.name.localeCompare(b.name)).map(toSchedule);
+  }
+  const { rows } = await pool.query('SELECT * FROM schedules ORDER BY name');
+  return rows.map(toSchedule);
+};
+
+const findRow = async (id) => {
+  if (!pool) {
+    return memorySchedules.find(schedule => schedule.id === id) || null;
+  }
+  const { rows } = await pool.query('SELECT * FROM schedules WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+const getSchedule = async (id) => toSchedule(await findRow(id));
+
+const createSchedule = async (input, userId) => {
+  const schedule = await buildSchedule(input, userId);
+
+  if (!pool) {
+    const row = {
+      id: memorySchedules.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+      name: schedule.name,
+      description: schedule.description,
+      definition: schedule.definition,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      start_at: schedule.startAt,
+      end_at: schedule.endAt,
+      skip_if_running: schedule.skipIfRunning,
+      next_run_at: schedule.nextRunAt,
+      last_run_at: null,
+      last_job_id: null,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    memorySchedules.push(row);
+    return toSchedule(row);
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO schedules (name, description, definition, cron, timezone, enabled, start_at, end_at,
+       skip_if_running, next_run_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+    [
+      schedule.name, schedule.description, JSON.stringify(schedule.definition), schedule.cron,
+      schedule.timezone, schedule.enabled, schedule.startAt, schedule.endAt,
+      schedule.skipIfRunning, schedule.nextRunAt, userId
+    ]
+  );
+  return toSchedule(rows[0]);
+};
+
+// Reemplazo completo; next_run_at se recalcula desde ahora. Quien la edita pasa a ser
+// el propietario con el que se lanzan los jobs.
+const replaceSchedule = async (id, input, userId) => {
+  const existing = await findRow(id);
+  if (!existing) {
+    throw new NotFoundError('Programación no encontrada');
+  }
+  const schedule = await buildSchedule(input, userId);
+
+  if (!pool) {
+    Object.assign(existing, {
+      name: schedule.name,
+      description: schedule.description,
+      definition: schedule.definition,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      start_at: schedule.startAt,
+      end_at: schedule.endAt,
+      skip_if_running: schedule.skipIfRunning,
+      next_run_at: schedule.nextRunAt,
+      created_by: userId,
+      updated_at: new Date().toISOString()
+    });
+    return toSchedule(existing);
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE schedules SET name = $1, description = $2, definition = $3, cron = $4, timezone = $5,
+       enabled = $6, start_at = $7, end_at = $8, skip_if_running = $9, next_run_at = $10,
+       created_by = $11, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $12 RETURNING *`,
+    [
+      schedule.name, schedule.description, JSON.stringify(schedule.definition), schedule.cron,
+      schedule.timezone, schedule.enabled, schedule.startAt, schedule.endAt,
+      schedule.skipIfRunning, schedule.nextRunAt, userId, id
+    ]
+  );
+  return toSchedule(rows[0]);
+};
+
+// Cambio parcial (p. ej. { enabled: false }) sobre los valores actuales
+const patchSchedule = async (id, changes, userId) => {
+  const current = await getSchedule(id);
+  if (!current) {
+    throw new NotFoundError('Programación no encontrada');
+  }
+  return replaceSchedule(id, { ...current, ...changes }, userId);
+};
+
+const deleteSchedule = async (id) => {
+  if (!pool) {
+    const index = memorySchedules.findIndex(schedule => schedule.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Programación no encontrada');
+    }
+    memorySchedules.splice(index, 1);
+    for (let i = memoryRuns.length - 1; i >= 0; i--) {
+      if (memoryRuns[i].schedule_id === id) memoryRuns.splice(i, 1);
+    }
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM schedules WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Programación no encontrada');
+  }
+};
+
+// Reclama la ejecución `scheduledFor` moviendo next_run_at; false si otro ya la reclamó
+const claimRun = async (row, scheduledFor, nextRunAt) => {
+  if (!pool) {
+    if (!row.next_run_at || toDate(row.next_run_at).getTime() !== scheduledFor.getTime()) {
+      return false;
+    }
+    row.next_run_at = nextRunAt;
+    row.last_run_at = scheduledFor;
+    return true;
+  }
+
+  const { rowCount } = await pool.query(
+    `UPDATE schedules SET next_run_at = $1, last_run_at = $2
+     WHERE id = $3 AND next_run_at = $2 AND enabled = true`,
+    [nextRunAt, scheduledFor, row.id]
+  );
+  return rowCount === 1;
+};
+
+const recordRun = async ({ scheduleId, scheduledFor, trigger, status, jobId = null, reason = null }) => {
+  if (!pool) {
+    const row = {
+      id: memoryRuns.length + 1,
+      schedule_id: scheduleId,
+      scheduled_for: scheduledFor,
+      trigger,
+      status,
+      job_id: jobId,
+      reason,
+      created_at: new Date().toISOString()
+    };
+    memoryRuns.push(row);
+    return toRun(row);
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO schedule_runs (schedule_id, scheduled_for, trigger, status, job_id, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (schedule_id, scheduled_for) DO NOTHING RETURNING *`,
+    [scheduleId, scheduledFor, trigger, status, jobId, reason]
+  );
+  return toRun(rows[0]);
+};
+
+const setLastJob = async (row, jobId) => {
+  if (!pool) {
+    row.last_job_id = jobId;
+    return;
+  }
+  await pool.query('UPDATE schedules SET last_job_id = $1 WHERE id = $2', [jobId, row.id]);
+};
+
+// El último job lanzado por la programación sigue en cola o ejecutándose
+const previousJobActive = async (row) => {
+  if (!row.last_job_id) {
+    return false;
+  }
+  const job = await jobService.getJob(row.last_job_id);
+  return Boolean(job) && jobService.isActive(job);
+};
+
+const emitRun = (row, run) => {
+  if (global.io && run) {
+    global.io.emit('schedule-run', { ...run, name: row.name });
+  }
+};
+
+// Lanza la definición como el propietario de la programación (o quien pulsa "ejecutar ahora")
+const launch = async (row, userId) => {
+  if (!userId) {
+    throw new ValidationError('La programación no tiene propietario: edítala para asignarle uno');
+  }
+  return jobService.submitJob({ ...(await buildJob(row.definition)), userId });
+};
+
+// Disparo programado. Una ejecución perdida más de misfireGrace (p. ej. con el servidor
+// parado) no se lanza: queda como 'missed' y se sigue desde la próxima.
+const fireSchedule = async (row, now = new Date()) => {
+  const scheduledFor = toDate(row.next_run_at);
+  const schedule = toSchedule(row);
+  if (!(await claimRun(row, scheduledFor, nextRunAfter(schedule, now)))) {
+    return null;
+  }
+
+  const run = { scheduleId: row.id, scheduledFor, trigger: 'schedule' };
+  const lateSeconds = (now - scheduledFor) / 1000;
+
+  if (lateSeconds > config.scheduleMisfireGraceSeconds) {
+    Object.assign(run, { status: 'missed', reason: `Se perdió por ${Math.round(lateSeconds)}s de retraso` });
+  } else if (row.skip_if_running && await previousJobActive(row)) {
+    Object.assign(run, { status: 'skipped', reason: `El job ${row.last_job_id} todavía se está ejecutando` });
+  } else {
+    try {
+      const job = await launch(row, row.created_by);
+      await setLastJob(row, job.id);
+      Object.assign(run, { status: 'queued', jobId: job.id });
+      console.log(`⏰ Programación "${row.name}" lanzó el job ${job.id}`);
+    } catch (error) {
+      Object.assign(run, { status: 'failed', reason: error.message });
+      console.error(`❌ Error lanzando la programación "${row.name}":`, error.message);
+    }
+  }
+
+  const recorded = await recordRun(run);
+  emitRun(row, recorded);
+  return recorded;
+};
+
+// "Ejecutar ahora": no mueve next_run_at y respeta skipIfRunning
+const runScheduleNow = async (id, userId) => {
+  const row = await findRow(id);
+  if (!row) {
+    throw new NotFoundError('Programación no encontrada');
+  }
+  if (row.skip_if_running && await previousJobActive(row)) {
+    throw new ConflictError(`El job ${row.last_job_id} de esta programación todavía se está ejecutando`);
+  }
+
+  const job = await launch(row, userId);
+  await setLastJob(row, job.id);
+  const run = await recordRun({
+    scheduleId: row.id,
+    scheduledFor: new Date(),
+    trigger: 'manual',
+    status: 'queued',
+    jobId: job.id
+  });
+  emitRun(row, run);
+  return { run, job };
+};
+
+// Historial de disparos (el más reciente primero)
+const listRuns = async (id, { from = null, to = null, limit = 100 } = {}) => {
+  if (!pool) {
+    return memoryRuns
+      .filter(run => (id === null || run.schedule_id === id) &&
+        (!from || toDate(run.scheduled_for) >= from) &&
+        (!to || toDate(run.scheduled_for) <= to))
+      .sort((a, b) => toDate(b.scheduled_for) - toDate(a.scheduled_for))
+      .slice(0, limit)
+      .map(toRun);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM schedule_runs
+     WHERE ($1::int IS NULL OR schedule_id = $1)
+       AND ($2::timestamptz IS NULL OR scheduled_for >= $2)
+       AND ($3::timestamptz IS NULL OR scheduled_for <= $3)
+     ORDER BY scheduled_for DESC LIMIT $4`,
+    [id, from, to, limit]
+  );
+  return rows.map(toRun);
+};
+
+// Próximas ejecuciones de una expresión, para previsualizarla antes de guardar
+const previewRuns = async ({ cron, timezone, startAt, endAt, count = 5 }) => {
+  const tz = timezone || await getTimezone();
+  if (!isValidTimezone(tz)) {
+    throw new ValidationError(`Zona horaria desconocida: ${tz}`);
+  }
+  const expression = validateCron(cron, tz);
+  const limit = Math.min(Math.max(parseInt(count, 10) || 5, 1), 50);
+  return {
+    cron: expression,
+    timezone: tz,
+    runs: upcomingRuns(
+      { cron: expression, timezone: tz, startAt: parseDate(startAt, 'startAt'), endAt: parseDate(endAt, 'endAt') },
+      new Date(),
+      { limit }
+    )
+  };
+};
+
+// Calendario entre from y to: disparos ya registrados y próximas ejecuciones de las
+// programaciones activas
+const getCalendar = async ({ from, to }) => {
+  const start = parseDate(from, 'from') || new Date();
+  const end = parseDate(to, 'to') || new Date(start.getTime() + 7 * 24 * 3600 * 1000);
+  if (end <= start) {
+    throw new ValidationError('to debe ser posterior a from');
+  }
+  if (end - start > MAX_CALENDAR_DAYS * 24 * 3600 * 1000) {
+    throw new ValidationError(`El calendario abarca como máximo ${MAX_CALENDAR_DAYS} días`);
+  }
+
+  const schedules = await listSchedules();
+  const names = new Map(schedules.map(schedule => [schedule.id, schedule.name]));
+  const events = (await listRuns(null, { from: start, to: end, limit: 5000 })).map(run => ({
+    scheduleId: run.scheduleId,
+    name: names.get(run.scheduleId),
+    at: run.scheduledFor,
+    status: run.status,
+    trigger: run.trigger,
+    jobId: run.jobId,
+    reason: run.reason
+  }));
+
+  let truncated = false;
+  const now = new Date();
+  schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+    const runs = upcomingRuns(schedule, new Date(Math.max(start, now) - 1), { until: end, limit: MAX_OCCURRENCES });
+    truncated = truncated || runs.length === MAX_OCCURRENCES;
+    runs.forEach(at => events.push({ scheduleId: schedule.id, name: schedule.name, at, status: 'upcoming' }));
+  });
+
+  events.sort((a, b) => toDate(a.at) - toDate(b.at));
+  return { from: start, to: end, timezone: await getTimezone(), truncated, events };
+};
+
+const runDueSchedules = async () => {
+  const now = new Date();
+  let rows;
+  if (!pool) {
+    rows = memorySchedules.filter(row => row.enabled && row.next_run_at && toDate(row.next_run_at) <= now);
+  } else {
+    ({ rows } = await pool.query(
+      'SELECT * FROM schedules WHERE enabled = true AND next_run_at <= $1 ORDER BY next_run_at',
+      [now]
+    ));
+  }
+
+  for (const row of rows) {
+    await fireSchedule(row, now).catch(error => {
+      console.error(`❌ Error en la programación ${row.id}:`, error.message);
+    });
+  }
+};
+
+let schedulerTimer = null;
+
+// Comprueba al arrancar (recupera lo vencido con el servidor parado) y luego cada 30s
+const startScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+  const tick = () => runDueSchedules().catch(error => {
+    console.error('❌ Error en el planificador de jobs:', error.message);
+  });
+  (ready || Promise.resolve()).then(tick);
+  schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+};
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  replaceSchedule,
+  patchSchedule,
+  deleteSchedule,
+  runScheduleNow,
+  listRuns,
+  previewRuns,
+  getCalendar,
+  startScheduler
+};
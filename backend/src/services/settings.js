@@ -0,0 +1,85 @@
+// Configuración editable desde la UI (tabla settings), con valores por defecto de config.js
+const config = require('../config');
+const { validateLimits } = require('./jobLimits');
+const { ValidationError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// En modo demo la configuración vive en memoria
+const memorySettings = {};
+
+const readSetting = async (key) => {
+  if (!pool) {
+    return memorySettings[key];
+  }
+
+  const { rows } = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+  return rows[0] ? rows[0].value : undefined;
+};
+
+const writeSetting = async (key, value) => {
+  if (!pool) {
+    memorySettings[key] = value;
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+    [key, JSON.stringify(value)]
+  );
+};
+
+// Límites globales por defecto de los jobs
+const getJobDefaults = async () => ({
+  ...config.jobDefaults,
+  ...(await readSetting('jobDefaults'))
+});
+
+// Zona horaria IANA (p. ej. America/Bogota) que entiende Intl
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Zona horaria por defecto de las programaciones
+const getTimezone = async () => (await readSetting('timezone')) || config.timezone;
+
+const getSettings = async () => ({
+  jobDefaults: await getJobDefaults(),
+  timezone: await getTimezone(),
+  allowedNetworks: config.sandbox.allowedNetworks
+});
+
+const updateSettings = async ({ jobDefaults, timezone }) => {
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new ValidationError(`Zona horaria desconocida: ${timezone}`);
+  }
+
+  if (jobDefaults !== undefined) {
+    const current = await readSetting('jobDefaults');
+    await writeSetting('jobDefaults', { ...current, ...validateLimits(jobDefaults) });
+  }
+  if (timezone !== undefined) {
+    await writeSetting('timezone', timezone);
+  }
+
+  return getSettings();
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getJobDefaults,
+  getTimezone,
+  isValidTimezone,
+  readSetting,
+  writeSetting
+};
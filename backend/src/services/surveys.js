@@ -0,0 +1,200 @@
+// Encuestas de lanzamiento de los templates: campos tipados que el operador rellena al
+// lanzar y que se convierten en variables del job. Las respuestas de tipo password no
+// van a `variables`: se devuelven aparte para guardarlas cifradas.
+const { ValidationError } = require('../utils/errors');
+
+const FIELD_TYPES = ['string', 'text', 'password', 'integer', 'choice', 'multiselect', 'boolean'];
+const TEXT_TYPES = ['string', 'text', 'password'];
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const optionalInteger = (value, where) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new ValidationError(`${where} debe ser un número entero`);
+  }
+  return number;
+};
+
+// Valida una respuesta no vacía y la devuelve normalizada; lanza un Error con el motivo
+const checkAnswer = (field, value) => {
+  if (TEXT_TYPES.includes(field.type)) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new Error('debe ser un texto');
+    }
+    const text = String(value);
+    if (field.min !== undefined && text.length < field.min) {
+      throw new Error(`debe tener al menos ${field.min} caracteres`);
+    }
+    if (field.max !== undefined && text.length > field.max) {
+      throw new Error(`debe tener como máximo ${field.max} caracteres`);
+    }
+    if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(text)) {
+      throw new Error(`no cumple el formato ${field.pattern}`);
+    }
+    return text;
+  }
+
+  switch (field.type) {
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(number)) {
+        throw new Error('debe ser un número entero');
+      }
+      if (field.min !== undefined && number < field.min) {
+        throw new Error(`debe ser mayor o igual que ${field.min}`);
+      }
+      if (field.max !== undefined && number > field.max) {
+        throw new Error(`debe ser menor o igual que ${field.max}`);
+      }
+      return number;
+    }
+    case 'choice':
+      if (!field.choices.includes(String(value))) {
+        throw new Error(`debe ser una de: ${field.choices.join(', ')}`);
+      }
+      return String(value);
+    case 'multiselect': {
+      const values = Array.isArray(value) ? value.map(String) : [String(value)];
+      const invalid = values.filter(item => !field.choices.includes(item));
+      if (invalid.length > 0) {
+        throw new Error(`opciones no válidas: ${invalid.join(', ')}`);
+      }
+      return [...new Set(values)];
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error('debe ser true o false');
+  }
+  return value;
+};
+
+// Valida la definición de la encuesta y la devuelve normalizada:
+// [{ variable, label, description, type, required, default, min, max, pattern, choices }]
+const validateSurvey = (survey) => {
+  if (survey === undefined || survey === null) {
+    return [];
+  }
+  if (!Array.isArray(survey)) {
+    throw new ValidationError('survey debe ser una lista de campos');
+  }
+
+  const seen = new Set();
+  return survey.map((input, index) => {
+    const where = `survey[${index}]`;
+    if (!isPlainObject(input)) {
+      throw new ValidationError(`${where} debe ser un objeto`);
+    }
+    if (!VARIABLE_PATTERN.test(input.variable || '')) {
+      throw new ValidationError(`${where}.variable debe ser un nombre de variable válido`);
+    }
+    if (seen.has(input.variable)) {
+      throw new ValidationError(`${where}: la variable ${input.variable} está repetida`);
+    }
+    seen.add(input.variable);
+    if (!FIELD_TYPES.includes(input.type)) {
+      throw new ValidationError(`${where}.type debe ser uno de: ${FIELD_TYPES.join(', ')}`);
+    }
+
+    const field = {
+      variable: input.variable,
+      label: String(input.label || input.variable),
+      description: input.description ? String(input.description) : '',
+      type: input.type,
+      required: input.required === true
+    };
+
+    if (['string', 'text', 'password', 'integer'].includes(field.type)) {
+      const min = optionalInteger(input.min, `${where}.min`);
+      const max = optionalInteger(input.max, `${where}.max`);
+      if (min !== undefined && max !== undefined && min > max) {
+        throw new ValidationError(`${where}: min no puede ser mayor que max`);
+      }
+      if (min !== undefined) field.min = min;
+      if (max !== undefined) field.max = max;
+    }
+
+    if (TEXT_TYPES.includes(field.type) && input.pattern) {
+      try {
+        new RegExp(input.pattern);
+      } catch (error) {
+        throw new ValidationError(`${where}.pattern no es una expresión regular válida: ${error.message}`);
+      }
+      field.pattern = String(input.pattern);
+    }
+
+    if (['choice', 'multiselect'].includes(field.type)) {
+      if (!Array.isArray(input.choices) || input.choices.length === 0) {
+        throw new ValidationError(`${where}.choices debe ser una lista con al menos una opción`);
+      }
+      field.choices = [...new Set(input.choices.map(String))];
+    }
+
+    // Un valor por defecto de tipo password quedaría guardado en claro en el template
+    if (!isEmpty(input.default)) {
+      if (field.type === 'password') {
+        throw new ValidationError(`${where}: un campo password no puede tener valor por defecto`);
+      }
+      try {
+        field.default = checkAnswer(field, input.default);
+      } catch (error) {
+        throw new ValidationError(`${where}.default ${error.message}`);
+      }
+    }
+    return field;
+  });
+};
+
+// Respuestas de un lanzamiento -> { variables, secrets }. Aplica los valores por defecto y
+// devuelve todos los campos inválidos en un solo error; las respuestas a variables que no
+// están en la encuesta también son un error.
+const applySurvey = (survey, answers = {}) => {
+  if (answers === null || answers === undefined) {
+    answers = {};
+  }
+  if (!isPlainObject(answers)) {
+    throw new ValidationError('answers debe ser un objeto { variable: valor }');
+  }
+
+  const errors = Object.keys(answers)
+    .filter(name => !survey.some(field => field.variable === name))
+    .map(name => `${name}: no está en la encuesta`);
+  const variables = {};
+  const secrets = {};
+
+  survey.forEach(field => {
+    const value = isEmpty(answers[field.variable]) ? field.default : answers[field.variable];
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors.push(`${field.label}: es obligatorio`);
+      }
+      return;
+    }
+    try {
+      const answer = checkAnswer(field, value);
+      (field.type === 'password' ? secrets : variables)[field.variable] = answer;
+    } catch (error) {
+      errors.push(`${field.label}: ${error.message}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Respuestas de la encuesta inválidas: ${errors.join('; ')}`);
+  }
+  return { variables, secrets };
+};
+
+// Variables de la encuesta de tipo password (para guardar esas respuestas cifradas)
+const passwordVariables = (survey) => survey
+  .filter(field => field.type === 'password')
+  .map(field => field.variable);
+
+module.exports = { FIELD_TYPES, validateSurvey, applySurvey, passwordVariables };
@@ -0,0 +1,523 @@
+// Biblioteca de templates: un playbook o directorio de Terraform con su inventario o
+// workspace por defecto, variables, credenciales y opciones, listo para lanzarse como job.
+// Se importan y exportan como bundle JSON/YAML con las referencias por nombre.
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const { findInventory } = require('./inventories');
+const { findProject, normalizeProjectPath, validateRef } = require('./projects');
+const { listCredentials, resolveCredentialIds } = require('./credentials');
+const { isValidWorkspace, workingDirError } = require('./terraformRunner');
+const { validateLimits } = require('./jobLimits');
+const { validateSurvey, applySurvey } = require('./surveys');
+const { readSetting, writeSetting } = require('./settings');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool, ready } = config.demoMode ? {} : require('../models/database');
+
+const TEMPLATE_KINDS = ['ansible', 'terraform'];
+const TERRAFORM_OPERATIONS = ['plan', 'apply', 'init'];
+const BUNDLE_VERSION = 1;
+
+// Templates que se crean la primera vez que arranca Conductor
+const SEED_FILE = path.join(__dirname, '../seeds/templates.yml');
+
+// En modo demo los templates viven en memoria
+const memoryTemplates = [];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toTemplate = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  kind: row.kind,
+  playbook: row.playbook,
+  workingDir: row.working_dir,
+  projectId: row.project_id || null,
+  projectPath: row.project_path || null,
+  projectRef: row.project_ref || null,
+  inventoryId: row.inventory_id,
+  workspace: row.workspace,
+  variables: row.variables || {},
+  credentialIds: row.credential_ids || [],
+  options: row.options || {},
+  survey: row.survey || [],
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+// Valida y normaliza los campos de un template según su tipo
+const validateTemplate = async (input) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Falta el nombre del template');
+  }
+  if (!TEMPLATE_KINDS.includes(input.kind)) {
+    throw new ValidationError(`kind debe ser uno de: ${TEMPLATE_KINDS.join(', ')}`);
+  }
+  if (input.variables !== undefined && input.variables !== null && !isPlainObject(input.variables)) {
+    throw new ValidationError('variables debe ser un objeto');
+  }
+  if (input.options !== undefined && input.options !== null && !isPlainObject(input.options)) {
+    throw new ValidationError('options debe ser un objeto');
+  }
+
+  const options = { ...(input.options || {}) };
+  if (options.limits !== undefined) {
+    options.limits = validateLimits(options.limits);
+  }
+
+  const template = {
+    name,
+    description: input.description || '',
+    kind: input.kind,
+    playbook: null,
+    workingDir: null,
+    projectId: null,
+    projectPath: null,
+    projectRef: null,
+    inventoryId: null,
+    workspace: null,
+    variables: input.variables || {},
+    credentialIds: await resolveCredentialIds(input.credentialIds),
+    options,
+    survey: validateSurvey(input.survey)
+  };
+
+  // El playbook o el directorio de Terraform pueden venir de un proyecto git (se comprueba
+  // que la ruta existe al lanzar, en la ref de ese momento)
+  const fromProject = input.projectId !== undefined && input.projectId !== null && input.projectId !== '';
+  if (fromProject) {
+    const project = await findProject(input.projectId);
+    if (!project) {
+      throw new ValidationError(`El proyecto ${input.projectId} no existe`);
+    }
+    template.projectId = project.id;
+    template.projectPath = normalizeProjectPath(
+      input.projectPath || (template.kind === 'terraform' ? '.' : ''),
+      'projectPath'
+    );
+    template.projectRef = validateRef(input.projectRef, 'projectRef');
+  }
+
+  if (template.kind === 'ansible') {
+    if (!fromProject) {
+      if (typeof input.playbook !== 'string' || !input.playbook.trim()) {
+        throw new ValidationError('Un template de Ansible necesita el contenido del playbook o un projectId con projectPath');
+      }
+      try {
+        yaml.load(input.playbook);
+      } catch (error) {
+        throw new ValidationError(`El playbook no es YAML válido: ${error.message}`);
+      }
+      template.playbook = input.playbook;
+    }
+
+    if (input.inventoryId !== undefined && input.inventoryId !== null && input.inventoryId !== '') {
+      const inventory = await findInventory(input.inventoryId);
+      if (!inventory) {
+        throw new ValidationError(`El inventario ${input.inventoryId} no existe`);
+      }
+      template.inventoryId = inventory.id;
+    }
+    return template;
+  }
+
+  if (!fromProject) {
+    if (!input.workingDir) {
+      throw new ValidationError('Un template de Terraform necesita workingDir o un projectId');
+    }
+    const error = workingDirError(input.workingDir);
+    if (error) {
+      throw new ValidationError(error);
+    }
+    template.workingDir = input.workingDir;
+  }
+  template.workspace = input.workspace || 'default';
+  if (!isValidWorkspace(template.workspace)) {
+    throw new ValidationError(`Nombre de workspace inválido: ${template.workspace}`);
+  }
+
+  options.operation = options.operation || 'plan';
+  if (!TERRAFORM_OPERATIONS.includes(options.operation)) {
+    throw new ValidationError(`options.operation debe ser uno de: ${TERRAFORM_OPERATIONS.join(', ')}`);
+  }
+  // Igual que un apply sin plan revisado en POST /api/terraform/apply
+  if (options.operation === 'apply' && options.autoApprove !== true) {
+    throw new ValidationError('Un template de apply necesita options.autoApprove: true');
+  }
+  return template;
+};
+
+const listTemplates = async ({ kind } = {}) => {
+  if (!pool) {
+    return memoryTemplates
+      .filter(row => !kind || row.kind === kind)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(toTemplate);
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM templates WHERE ($1::text IS NULL OR kind = $1) ORDER BY name',
+    [kind || null]
+  );
+  return rows.map(toTemplate);
+};
+
+const findRow = async (id) => {
+  if (!pool) {
+    return memoryTemplates.find(row => row.id === id) || null;
+  }
+  const { rows } = await pool.query('SELECT * FROM templates WHERE id = $1', [id]);
+  return rows[0] || null;
+};
+
+const getTemplate = async (id) => toTemplate(await findRow(id));
+
+const findByName = async (name) => {
+  if (!pool) {
+    return toTemplate(memoryTemplates.find(row => row.name === name));
+  }
+  const { rows } = await pool.query('SELECT * FROM templates WHERE name = $1', [name]);
+  return toTemplate(rows[0]);
+};
+
+const createTemplate = async (input, userId = null) => {
+  const template = await validateTemplate(input);
+
+  if (!pool) {
+    if (memoryTemplates.some(row => row.name === template.name)) {
+      throw new ConflictError(`Ya existe un template llamado "${template.name}"`);
+    }
+    const row = {
+      id: memoryTemplates.reduce((max, t) => Math.max(max, t.id), 0) + 1,
+      name: template.name,
+      description: template.description,
+      kind: template.kind,
+      playbook: template.playbook,
+      working_dir: template.workingDir,
+      project_id: template.projectId,
+      project_path: template.projectPath,
+      project_ref: template.projectRef,
+      inventory_id: template.inventoryId,
+      workspace: template.workspace,
+      variables: template.variables,
+      credential_ids: template.credentialIds,
+      options: template.options,
+      survey: template.survey,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    memoryTemplates.push(row);
+    return toTemplate(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO templates (name, description, kind, playbook, working_dir, inventory_id, workspace,
+         variables, credential_ids, options, survey, created_by, project_id, project_path, project_ref)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
+      [
+        template.name, template.description, template.kind, template.playbook, template.workingDir,
+        template.inventoryId, template.workspace, JSON.stringify(template.variables),
+        template.credentialIds, JSON.stringify(template.options), JSON.stringify(template.survey), userId,
+        template.projectId, template.projectPath, template.projectRef
+      ]
+    );
+    return toTemplate(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe un template llamado "${template.name}"`);
+    }
+    throw error;
+  }
+};
+
+// Reemplazo completo (el tipo del template no cambia)
+const replaceTemplate = async (id, input) => {
+  const row = await findRow(id);
+  if (!row) {
+    throw new NotFoundError('Template no encontrado');
+  }
+  const template = await validateTemplate({ ...input, kind: row.kind });
+
+  if (!pool) {
+    if (memoryTemplates.some(t => t.name === template.name && t.id !== id)) {
+      throw new ConflictError(`Ya existe un template llamado "${template.name}"`);
+    }
+    Object.assign(row, {
+      name: template.name,
+      description: template.description,
+      playbook: template.playbook,
+      working_dir: template.workingDir,
+      project_id: template.projectId,
+      project_path: template.projectPath,
+      project_ref: template.projectRef,
+      inventory_id: template.inventoryId,
+      workspace: template.workspace,
+      variables: template.variables,
+      credential_ids: template.credentialIds,
+      options: template.options,
+      survey: template.survey,
+      updated_at: new Date().toISOString()
+    });
+    return toTemplate(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE templates SET name = $1, description = $2, playbook = $3, working_dir = $4,
+         inventory_id = $5, workspace = $6, variables = $7, credential_ids = $8, options = $9,
+         survey = $10, project_id = $11, project_path = $12, project_ref = $13, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $14 RETURNING *`,
+      [
+        template.name, template.description, template.playbook, template.workingDir,
+        template.inventoryId, template.workspace, JSON.stringify(template.variables),
+        template.credentialIds, JSON.stringify(template.options), JSON.stringify(template.survey),
+        template.projectId, template.projectPath, template.projectRef, id
+      ]
+    );
+    return toTemplate(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Ya existe un template llamado "${template.name}"`);
+    }
+    throw error;
+  }
+};
+
+const deleteTemplate = async (id) => {
+  if (!pool) {
+    const index = memoryTemplates.findIndex(row => row.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Template no encontrado');
+    }
+    memoryTemplates.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM templates WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Template no encontrado');
+  }
+};
+
+// Definición de job ({ type, params, limits }, ver jobDefinitions) del template con los
+// cambios de un lanzamiento: name, inventory, inventoryRevision, checkMode, workspace, operation,
+// projectRef, variables y credentialIds (se suman a los del template), limits y answers
+// (respuestas a la encuesta). Las respuestas password se devuelven aparte en `secrets`, fuera de params.
+const templateDefinition = (template, overrides = {}) => {
+  const limits = { ...(template.options.limits || {}), ...(overrides.limits || {}) };
+  const survey = applySurvey(template.survey, overrides.answers);
+  const common = {
+    name: overrides.name || template.name,
+    projectId: template.projectId || undefined,
+    projectPath: template.projectPath || undefined,
+    projectRef: template.projectId ? overrides.projectRef || template.projectRef || undefined : undefined,
+    variables: { ...template.variables, ...(overrides.variables || {}), ...survey.variables },
+    credentialIds: [...new Set([...template.credentialIds, ...(overrides.credentialIds || [])])]
+  };
+  // Una respuesta password sustituye a una variable del mismo nombre sin dejarla en claro
+  Object.keys(survey.secrets).forEach(name => delete common.variables[name]);
+
+  if (template.kind === 'ansible') {
+    const inventory = overrides.inventory !== undefined && overrides.inventory !== null && overrides.inventory !== ''
+      ? overrides.inventory
+      : template.inventoryId;
+    if (inventory === null || inventory === undefined) {
+      throw new ValidationError(`El template "${template.name}" no tiene inventario por defecto: indica inventory`);
+    }
+    return {
+      type: 'ansible-playbook',
+      params: {
+        ...common,
+        playbook: template.playbook,
+        inventory,
+        inventoryRevision: overrides.inventoryRevision,
+        checkMode: overrides.checkMode
+      },
+      limits: Object.keys(limits).length > 0 ? limits : undefined,
+      secrets: survey.secrets
+    };
+  }
+
+  const operation = overrides.operation || template.options.operation || 'plan';
+  if (!TERRAFORM_OPERATIONS.includes(operation)) {
+    throw new ValidationError(`operation debe ser uno de: ${TERRAFORM_OPERATIONS.join(', ')}`);
+  }
+  return {
+    type: `terraform-${operation}`,
+    params: {
+      ...common,
+      workingDir: template.workingDir,
+      workspace: overrides.workspace || template.workspace,
+      refresh: template.options.refresh,
+      upgrade: template.options.upgrade,
+      autoApprove: template.options.autoApprove
+    },
+    limits: Object.keys(limits).length > 0 ? limits : undefined,
+    secrets: survey.secrets
+  };
+};
+
+// Bundle con los templates indicados (todos si no se indican), con el inventario y las
+// credenciales por nombre para poder importarlo en otra instalación
+const exportTemplates = async ({ ids = null, format = 'yaml' } = {}) => {
+  if (!['yaml', 'json'].includes(format)) {
+    throw new ValidationError('format debe ser yaml o json');
+  }
+
+  const templates = (await listTemplates()).filter(template => !ids || ids.includes(template.id));
+  const credentialNames = new Map((await listCredentials()).map(credential => [credential.id, credential.name]));
+
+  const items = [];
+  for (const template of templates) {
+    const inventory = template.inventoryId ? await findInventory(template.inventoryId) : null;
+    const project = template.projectId ? await findProject(template.projectId) : null;
+    const item = { name: template.name, description: template.description, kind: template.kind };
+    if (project) {
+      Object.assign(item, { project: project.name, projectPath: template.projectPath, projectRef: template.projectRef });
+    }
+    if (template.kind === 'ansible') {
+      if (!project) item.playbook = template.playbook;
+      item.inventory = inventory ? inventory.name : null;
+    } else {
+      if (!project) item.workingDir = template.workingDir;
+      item.workspace = template.workspace;
+    }
+    Object.assign(item, {
+      variables: template.variables,
+      credentials: template.credentialIds.map(id => credentialNames.get(id)).filter(Boolean),
+      options: template.options
+    });
+    if (template.survey.length > 0) {
+      item.survey = template.survey;
+    }
+    items.push(item);
+  }
+
+  const bundle = { version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), templates: items };
+  return format === 'json'
+    ? { content: JSON.stringify(bundle, null, 2), contentType: 'application/json', fileName: 'templates.json' }
+    : { content: yaml.dump(bundle, { noRefs: true, lineWidth: -1 }), contentType: 'application/x-yaml', fileName: 'templates.yml' };
+};
+
+const parseBundle = (content, format) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ValidationError('Falta el contenido del bundle');
+  }
+
+  let bundle;
+  try {
+    bundle = format === 'json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new ValidationError(`El bundle no es ${format === 'json' ? 'JSON' : 'YAML'} válido: ${error.message}`);
+  }
+
+  const items = Array.isArray(bundle) ? bundle : bundle && bundle.templates;
+  if (!Array.isArray(items)) {
+    throw new ValidationError('El bundle debe tener una lista "templates"');
+  }
+  if (isPlainObject(bundle) && bundle.version !== undefined && bundle.version > BUNDLE_VERSION) {
+    throw new ValidationError(`Versión de bundle no soportada: ${bundle.version}`);
+  }
+  return items;
+};
+
+// Importa un bundle. Se valida entero antes de escribir nada; un template con el mismo
+// nombre se salta salvo con overwrite. El inventario y las credenciales que no existan
+// aquí se omiten con un aviso; el proyecto (por nombre) tiene que existir.
+const importTemplates = async (content, { format = 'yaml', overwrite = false } = {}, userId = null) => {
+  const items = parseBundle(content, format);
+  const credentialIds = new Map((await listCredentials()).map(credential => [credential.name, credential.id]));
+  const warnings = [];
+
+  const prepared = [];
+  for (const [index, item] of items.entries()) {
+    if (!isPlainObject(item)) {
+      throw new ValidationError(`templates[${index}] debe ser un objeto`);
+    }
+
+    const input = { ...item, credentialIds: [] };
+    delete input.inventory;
+    delete input.credentials;
+    delete input.project;
+
+    if (item.project) {
+      const project = await findProject(item.project);
+      if (!project) {
+        throw new ValidationError(`templates[${index}] (${item.name || 'sin nombre'}): el proyecto "${item.project}" no existe`);
+      }
+      input.projectId = project.id;
+    }
+
+    if (item.inventory) {
+      const inventory = await findInventory(item.inventory);
+      if (inventory) {
+        input.inventoryId = inventory.id;
+      } else {
+        warnings.push(`${item.name}: el inventario "${item.inventory}" no existe, se importa sin inventario`);
+      }
+    }
+    (item.credentials || []).forEach(name => {
+      if (credentialIds.has(name)) {
+        input.credentialIds.push(credentialIds.get(name));
+      } else {
+        warnings.push(`${item.name}: la credencial "${name}" no existe`);
+      }
+    });
+
+    try {
+      await validateTemplate(input);
+    } catch (error) {
+      throw new ValidationError(`templates[${index}] (${item.name || 'sin nombre'}): ${error.message}`);
+    }
+    prepared.push(input);
+  }
+
+  const result = { created: [], updated: [], skipped: [], warnings };
+  for (const input of prepared) {
+    const existing = await findByName(String(input.name).trim());
+    if (!existing) {
+      result.created.push(await createTemplate(input, userId));
+    } else if (overwrite) {
+      result.updated.push(await replaceTemplate(existing.id, input));
+    } else {
+      result.skipped.push(existing.name);
+    }
+  }
+  return result;
+};
+
+// La primera vez se importan los templates de ejemplo; borrarlos después es definitivo
+const seedTemplates = async () => {
+  if (ready) {
+    await ready;
+  }
+  if (await readSetting('templatesSeeded')) {
+    return;
+  }
+
+  const result = await importTemplates(await fs.readFile(SEED_FILE, 'utf8'));
+  await writeSetting('templatesSeeded', true);
+  if (result.created.length > 0) {
+    console.log(`📚 ${result.created.length} templates de ejemplo creados`);
+  }
+};
+
+module.exports = {
+  TEMPLATE_KINDS,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  replaceTemplate,
+  deleteTemplate,
+  templateDefinition,
+  exportTemplates,
+  importTemplates,
+  seedTemplates
+};
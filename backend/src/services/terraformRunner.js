@@ -0,0 +1,187 @@
+// Ejecución de comandos Terraform en Docker (runners/terraform-runner) o con el binario local
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { useDockerSandbox, sandboxArgs, executeCommand, containerNameFor, emitLog } = require('./dockerRunner');
+const { prepareCredentials } = require('./credentials');
+const { checkoutProject } = require('./projects');
+const config = require('../config');
+
+const TERRAFORM_IMAGE = process.env.TERRAFORM_IMAGE || 'hashicorp/terraform:1.9';
+
+// Directorio de trabajo temporal del job (plan, variables), montado en /conductor dentro de Docker
+const createScratchDir = async (job) => {
+  const scratchDir = path.join(os.tmpdir(), `conductor-tf-${job.data.dbJobId || job.id}`);
+  await fs.mkdir(scratchDir, { recursive: true, mode: 0o700 });
+  return scratchDir;
+};
+
+const removeScratchDir = async (scratchDir) => {
+  try {
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  } catch (err) {
+    console.log('⚠️  No se pudo limpiar directorio temporal:', err.message);
+  }
+};
+
+const isInsideRoot = (dir, root) => {
+  const relative = path.relative(root, dir);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Comprobación de workingDir al encolar, sin tocar el disco: el mensaje de error o null.
+// Tiene que estar dentro de TERRAFORM_WORKING_DIR_ROOT, así un job no ejecuta Terraform
+// (y sus providers y provisioners locales) en cualquier directorio del servidor.
+const workingDirError = (workingDir) => {
+  const root = config.terraform.workingDirRoot;
+  if (!root) {
+    return 'Los workingDir del servidor están deshabilitados: define TERRAFORM_WORKING_DIR_ROOT o usa un projectId';
+  }
+  if (!workingDir || !path.isAbsolute(workingDir)) {
+    return 'workingDir debe ser una ruta absoluta';
+  }
+  if (!isInsideRoot(path.resolve(workingDir), path.resolve(root))) {
+    return `workingDir debe estar dentro de ${root}`;
+  }
+  return null;
+};
+
+// En el worker: la ruta resueltos los enlaces simbólicos, que tiene que seguir dentro de la raíz
+const resolveWorkingDir = async (workingDir) => {
+  const error = workingDirError(workingDir);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const realDir = await fs.realpath(workingDir).catch(() => null);
+  const stat = realDir ? await fs.stat(realDir) : null;
+  if (!stat || !stat.isDirectory()) {
+    throw new Error(`El directorio de trabajo no existe: ${workingDir}`);
+  }
+  const root = config.terraform.workingDirRoot;
+  if (!isInsideRoot(realDir, await fs.realpath(root))) {
+    throw new Error(`El directorio de trabajo está fuera de ${root}: ${workingDir}`);
+  }
+  return realDir;
+};
+
+const WORKSPACE_PATTERN = /^[A-Za-z0-9_-]{1,90}$/;
+// Direcciones de recursos: aws_instance.web, module.vpc.aws_subnet.this["a"], ...
+const ADDRESS_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.\-\[\]"]*$/;
+
+const isValidWorkspace = (name) => WORKSPACE_PATTERN.test(name || '');
+const isValidAddress = (address) => ADDRESS_PATTERN.test(address || '');
+
+// Crea un contexto de ejecución: resuelve Docker/local y traduce rutas del scratch dir.
+// El workspace se fija con TF_WORKSPACE para que jobs concurrentes sobre el mismo
+// directorio no se pisen el workspace seleccionado. Si el job es de un proyecto git
+// (job.data.project), el directorio de trabajo es un checkout de su commit en el scratch dir.
+const createTerraformContext = async (job, workingDir, workspace = 'default') => {
+  const { project } = job.data;
+  if (!project) {
+    workingDir = await resolveWorkingDir(workingDir);
+  }
+
+  if (!isValidWorkspace(workspace)) {
+    throw new Error(`Nombre de workspace inválido: ${workspace}`);
+  }
+
+  const scratchDir = await createScratchDir(job);
+  if (project) {
+    try {
+      emitLog(job, `[conductor] Proyecto "${project.name}" en ${project.ref || 'HEAD'} (${project.commit})\n`, 'system');
+      workingDir = await checkoutProject(project, path.join(scratchDir, 'source'));
+    } catch (error) {
+      await removeScratchDir(scratchDir);
+      throw error;
+    }
+  }
+
+  const useDocker = await useDockerSandbox(job);
+  // Credenciales cloud/env del job; los archivos (p. ej. GCP) van al scratch dir
+  let credentials;
+  try {
+    credentials = await prepareCredentials(job, scratchDir, useDocker ? '/conductor' : scratchDir);
+  } catch (error) {
+    await removeScratchDir(scratchDir);
+    throw error;
+  }
+
+  return {
+    workingDir,
+    workspace,
+    scratchDir,
+    useDocker,
+
+    // Ruta de un archivo del scratch dir tal como la ve terraform
+    scratchPath(name) {
+      return useDocker ? `/conductor/${name}` : path.join(scratchDir, name);
+    },
+
+    // init + crear/seleccionar el workspace (sin TF_WORKSPACE, que impide `workspace select`)
+    async init(extraArgs = []) {
+      const init = await this.run(['init', '-input=false', '-no-color', ...extraArgs], { workspace: false });
+      if (workspace === 'default') {
+        return init;
+      }
+
+      const select = await this.run(
+        ['workspace', 'select', '-or-create=true', '-no-color', workspace],
+        { workspace: false }
+      );
+      return { ...init, output: init.output + select.output };
+    },
+
+    // options.workspace = false ejecuta sin TF_WORKSPACE
+    run(args, options = {}) {
+      const tfEnv = { ...credentials.env, TF_IN_AUTOMATION: '1' };
+      if (options.workspace !== false) {
+        tfEnv.TF_WORKSPACE = workspace;
+      }
+
+      // SIGINT primero: terraform termina la operación en curso y libera el lock del state
+      const runOptions = { ...options, killSignal: 'SIGINT' };
+
+      if (!useDocker) {
+        return executeCommand('terraform', args, job, { ...runOptions, cwd: workingDir, env: tfEnv });
+      }
+
+      const containerName = containerNameFor(job);
+      // `-e NOMBRE` sin valor: docker lo toma de su entorno y los secretos no aparecen en `ps`
+      const envArgs = Object.keys(tfEnv).flatMap(key => ['-e', key]);
+      const dockerArgs = [
+        'run', '--rm',
+        '--name', containerName,
+        ...sandboxArgs(job.data.limits),
+        '-v', `${workingDir}:/workspace`,
+        '-v', `${scratchDir}:/conductor`,
+        '-w', '/workspace',
+        ...envArgs,
+        TERRAFORM_IMAGE,
+        ...args
+      ];
+
+      return executeCommand('docker', dockerArgs, job, { ...runOptions, containerName, env: tfEnv });
+    },
+
+    cleanup() {
+      return removeScratchDir(scratchDir);
+    }
+  };
+};
+
+// Resumen "Plan: X to add, Y to change, Z to destroy" a partir de `terraform show -json`
+const summarizePlan = (planJson) => {
+  const summary = { add: 0, change: 0, destroy: 0 };
+
+  for (const resource of planJson.resource_changes || []) {
+    const actions = resource.change ? resource.change.actions : [];
+    if (actions.includes('create')) summary.add++;
+    if (actions.includes('delete')) summary.destroy++;
+    if (actions.includes('update')) summary.change++;
+  }
+
+  return summary;
+};
+
+module.exports = { createTerraformContext, summarizePlan, isValidWorkspace, isValidAddress, workingDirError };
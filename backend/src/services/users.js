@@ -0,0 +1,205 @@
+// Usuarios de Conductor (tabla users), con el hash de la contraseña en bcrypt
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const config = require('../config');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool, ready } = config.demoMode ? {} : require('../models/database');
+
+const ROLES = ['admin', 'operator', 'auditor', 'viewer'];
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+// En modo demo los usuarios viven en memoria
+const memoryUsers = [];
+
+// Nunca se devuelve password_hash fuera de este módulo
+const toPublicUser = (user) => user && {
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  created_at: user.created_at
+};
+
+const hashPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+  }
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+const validateRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`role debe ser uno de: ${ROLES.join(', ')}`);
+  }
+};
+
+const findUserRow = async (field, value) => {
+  if (!pool) {
+    return memoryUsers.find(u => u[field] === value) || null;
+  }
+
+  const { rows } = await pool.query(`SELECT * FROM users WHERE ${field} = $1`, [value]);
+  return rows[0] || null;
+};
+
+const getUser = async (id) => toPublicUser(await findUserRow('id', id));
+
+const listUsers = async () => {
+  if (!pool) {
+    return memoryUsers.map(toPublicUser);
+  }
+
+  const { rows } = await pool.query('SELECT * FROM users ORDER BY username');
+  return rows.map(toPublicUser);
+};
+
+const createUser = async ({ username, email, password, role = 'viewer' }) => {
+  if (!username || !email) {
+    throw new ValidationError('Faltan campos obligatorios: username, email, password');
+  }
+  validateRole(role);
+
+  const passwordHash = await hashPassword(password);
+
+  if (!pool) {
+    if (memoryUsers.some(u => u.username === username || u.email === email)) {
+      throw new ConflictError('Ya existe un usuario con ese nombre o email');
+    }
+    const user = {
+      id: memoryUsers.length + 1,
+      username,
+      email,
+      password_hash: passwordHash,
+      role,
+      created_at: new Date().toISOString()
+    };
+    memoryUsers.push(user);
+    return toPublicUser(user);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO users (username, email, password_hash, role)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [username, email, passwordHash, role]
+    );
+    return toPublicUser(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('Ya existe un usuario con ese nombre o email');
+    }
+    throw error;
+  }
+};
+
+// Actualiza username, email, role y/o password
+const updateUser = async (id, { username, email, role, password }) => {
+  const user = await findUserRow('id', id);
+  if (!user) {
+    throw new NotFoundError('Usuario no encontrado');
+  }
+  if (role !== undefined) {
+    validateRole(role);
+  }
+
+  const changes = {
+    username: username || user.username,
+    email: email || user.email,
+    role: role || user.role,
+    password_hash: password !== undefined ? await hashPassword(password) : user.password_hash
+  };
+
+  if (!pool) {
+    if (memoryUsers.some(u => u.id !== id && (u.username === changes.username || u.email === changes.email))) {
+      throw new ConflictError('Ya existe un usuario con ese nombre o email');
+    }
+    Object.assign(user, changes);
+    return toPublicUser(user);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE users SET username = $1, email = $2, role = $3, password_hash = $4
+       WHERE id = $5 RETURNING *`,
+      [changes.username, changes.email, changes.role, changes.password_hash, id]
+    );
+    return toPublicUser(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('Ya existe un usuario con ese nombre o email');
+    }
+    throw error;
+  }
+};
+
+const deleteUser = async (id) => {
+  if (!pool) {
+    const index = memoryUsers.findIndex(u => u.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Usuario no encontrado');
+    }
+    memoryUsers.splice(index, 1);
+    return;
+  }
+
+  // Los jobs del usuario se conservan sin autor
+  await pool.query('UPDATE jobs SET user_id = NULL WHERE user_id = $1', [id]);
+  const { rowCount } = await pool.query('DELETE FROM users WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Usuario no encontrado');
+  }
+};
+
+// Devuelve el usuario si las credenciales son correctas, o null
+const verifyCredentials = async (username, password) => {
+  const user = await findUserRow('username', username);
+  if (!user || typeof password !== 'string') {
+    return null;
+  }
+
+  const valid = await bcrypt.compare(password, user.password_hash);
+  return valid ? toPublicUser(user) : null;
+};
+
+const verifyPassword = async (id, password) => {
+  const user = await findUserRow('id', id);
+  return Boolean(user && typeof password === 'string' && await bcrypt.compare(password, user.password_hash));
+};
+
+// Primer arranque: si no hay usuarios se crea el admin (ADMIN_PASSWORD o una contraseña aleatoria)
+const bootstrapAdmin = async () => {
+  if (ready) {
+    await ready;
+  }
+
+  const count = pool
+    ? parseInt((await pool.query('SELECT COUNT(*) FROM users')).rows[0].count, 10)
+    : memoryUsers.length;
+  if (count > 0) {
+    return;
+  }
+
+  const { adminUsername, adminEmail, adminPassword } = config.auth;
+  const password = adminPassword || crypto.randomBytes(12).toString('base64url');
+
+  await createUser({ username: adminUsername, email: adminEmail, password, role: 'admin' });
+
+  console.log(`👤 Usuario administrador "${adminUsername}" creado`);
+  if (!adminPassword) {
+    console.log(`🔑 Contraseña generada (cámbiala tras el primer login): ${password}`);
+  }
+};
+
+module.exports = {
+  ROLES,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyCredentials,
+  verifyPassword,
+  bootstrapAdmin
+};
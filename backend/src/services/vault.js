@@ -0,0 +1,109 @@
+// Cifrado de secretos con la clave maestra (AES-256-GCM) y enmascarado de secretos en la salida
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const MASK = '********';
+
+// Secretos de menos caracteres se enmascararían en cualquier parte de la salida
+const MIN_MASKED_LENGTH = 4;
+
+let cachedKey = null;
+
+const parseMasterKey = (value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CONDUCTOR_MASTER_KEY debe tener 32 bytes en base64 o hex (openssl rand -base64 32)');
+  }
+  return key;
+};
+
+const getMasterKey = () => {
+  if (cachedKey) {
+    return cachedKey;
+  }
+
+  if (config.masterKey) {
+    cachedKey = parseMasterKey(config.masterKey);
+  } else if (config.demoMode) {
+    // En modo demo las credenciales viven en memoria: basta una clave por ejecución
+    cachedKey = crypto.randomBytes(32);
+  } else {
+    throw new Error('CONDUCTOR_MASTER_KEY no está definida: no se pueden cifrar ni leer credenciales');
+  }
+  return cachedKey;
+};
+
+// Cifra un objeto JSON -> "v1:<iv>:<tag>:<ciphertext>" (base64)
+const encrypt = (data) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+const decrypt = (payload) => {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Formato de secreto desconocido: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+// Valores a enmascarar de un secreto: cada string y, en los multilínea (claves SSH),
+// también cada línea, porque la salida se procesa línea a línea
+const secretValues = (secret) => {
+  const values = [];
+
+  const collect = (value) => {
+    if (typeof value === 'string') {
+      values.push(value, ...value.split('\n').map(line => line.trim()));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(secret);
+
+  return [...new Set(values)].filter(value => value.length >= MIN_MASKED_LENGTH);
+};
+
+const maskText = (text, secrets) => {
+  let masked = text;
+  // Primero los más largos, para que un secreto contenido en otro no deje restos
+  [...secrets].sort((a, b) => b.length - a.length).forEach(secret => {
+    masked = masked.split(secret).join(MASK);
+  });
+  return masked;
+};
+
+// Enmascara los secretos en un string u objeto (resultados de jobs, mensajes de error)
+const maskSecrets = (value, secrets) => {
+  if (!secrets || secrets.length === 0) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return maskText(value, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => maskSecrets(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, maskSecrets(item, secrets)])
+    );
+  }
+  return value;
+};
+
+module.exports = { encrypt, decrypt, secretValues, maskSecrets };
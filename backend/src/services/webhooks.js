@@ -0,0 +1,519 @@
+// Webhooks de entrada: un push (u otro evento) de GitHub, GitLab o cualquier sistema que
+// firme como ellos lanza el template. Cada template tiene como mucho uno, con su secreto
+// generado, filtros por evento y rama y qué campos del payload pasan a variables del job.
+// Cada entrega queda registrada con el job que lanzó o el motivo por el que no lo hizo.
+const crypto = require('crypto');
+const config = require('../config');
+const jobService = require('./jobService');
+const { buildJob } = require('./jobDefinitions');
+const { getTemplate } = require('./templates');
+const { encrypt, decrypt } = require('./vault');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool } = config.demoMode ? {} : require('../models/database');
+
+// github: firma HMAC-SHA256 del cuerpo en X-Hub-Signature-256 (la usan también otros
+// sistemas); gitlab: el secreto en X-Gitlab-Token
+const PROVIDERS = ['github', 'gitlab'];
+
+// Campos de la entrega que se pueden pasar a variables, además de "payload.<ruta>"
+const DELIVERY_FIELDS = ['branch', 'tag', 'commit', 'event', 'deliveryId'];
+
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Entregas que se guardan por template
+const MAX_DELIVERIES = 200;
+
+// Longitud de las columnas de webhook_deliveries con texto que elige quien envía la entrega
+const COLUMN_LENGTHS = { delivery_id: 100, event: 100, branch: 255, commit_sha: 64 };
+
+// Forma del payload de los eventos de GitHub que se filtran o ignoran: X-GitHub-Event no está
+// firmada, así que se rechaza si anuncia uno de estos con otro cuerpo o un push con otro nombre
+const GITHUB_EVENT_SHAPES = {
+  ping: (payload) => typeof payload.zen === 'string',
+  pull_request: (payload) => Boolean(payload.pull_request),
+  push: (payload) => typeof payload.ref === 'string' && Array.isArray(payload.commits) && typeof payload.after === 'string'
+};
+
+// En modo demo los webhooks, sus entregas y las ya recibidas viven en memoria
+const memoryWebhooks = [];
+const memoryDeliveries = [];
+const memoryReceipts = new Set();
+
+// Entregas sin firma válida o repetidas, por template. No van al registro de entregas (cualquiera
+// podría llenarlo y echar las reales): solo se cuentan, con la última, para depurar.
+const refused = new Map();
+
+const receiverPath = (templateId) => `/api/webhooks/templates/${templateId}`;
+
+const toWebhook = (row) => row && {
+  id: row.id,
+  templateId: row.template_id,
+  url: receiverPath(row.template_id),
+  provider: row.provider,
+  enabled: row.enabled,
+  filters: row.filters || {},
+  mappings: row.mappings || {},
+  refused: refused.get(row.template_id) || { count: 0, lastAt: null, lastReason: null },
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// { provider, enabled, filters: { events, branches }, mappings: { variable: fuente } } con
+// fuente = branch, tag, commit, event, deliveryId o payload.<ruta> (p. ej. payload.repository.full_name)
+const normalizeWebhook = (input) => {
+  const provider = input.provider || 'github';
+  if (!PROVIDERS.includes(provider)) {
+    throw new ValidationError(`provider debe ser uno de: ${PROVIDERS.join(', ')}`);
+  }
+
+  const filters = input.filters || {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new ValidationError('filters debe ser un objeto { events, branches }');
+  }
+  ['events', 'branches'].forEach(key => {
+    if (filters[key] !== undefined && !isStringList(filters[key])) {
+      throw new ValidationError(`filters.${key} debe ser una lista de textos`);
+    }
+  });
+
+  const mappings = input.mappings || {};
+  if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw new ValidationError('mappings debe ser un objeto { variable: fuente }');
+  }
+  Object.entries(mappings).forEach(([variable, source]) => {
+    if (!VARIABLE_PATTERN.test(variable)) {
+      throw new ValidationError(`mappings: "${variable}" no es un nombre de variable válido`);
+    }
+    if (typeof source !== 'string' ||
+        !(DELIVERY_FIELDS.includes(source) || /^payload\.[^.]+(\.[^.]+)*$/.test(source))) {
+      throw new ValidationError(
+        `mappings.${variable} debe ser ${DELIVERY_FIELDS.join(', ')} o payload.<ruta> (p. ej. payload.repository.full_name)`
+      );
+    }
+  });
+
+  return {
+    provider,
+    enabled: input.enabled !== false,
+    filters: {
+      events: filters.events ? filters.events.map(event => event.trim()) : undefined,
+      branches: filters.branches ? filters.branches.map(branch => branch.trim()) : undefined
+    },
+    mappings
+  };
+};
+
+const findRow = async (templateId) => {
+  if (!pool) {
+    return memoryWebhooks.find(row => row.template_id === templateId) || null;
+  }
+  const { rows } = await pool.query('SELECT * FROM template_webhooks WHERE template_id = $1', [templateId]);
+  return rows[0] || null;
+};
+
+const getWebhook = async (templateId) => toWebhook(await findRow(templateId));
+
+const assertTemplate = async (templateId) => {
+  const template = await getTemplate(templateId);
+  if (!template) {
+    throw new NotFoundError('Template no encontrado');
+  }
+  return template;
+};
+
+// Crea o reemplaza el webhook del template. Los jobs se lanzan con los permisos de quien lo
+// guardó por última vez. Al crearlo devuelve el secreto, que no se vuelve a mostrar.
+const saveWebhook = async (templateId, input, userId) => {
+  const template = await assertTemplate(templateId);
+  const webhook = normalizeWebhook(input);
+  assertMappable(template, webhook.mappings);
+  const existing = await findRow(templateId);
+  const secret = existing ? null : generateSecret();
+
+  if (!pool) {
+    const now = new Date().toISOString();
+    if (existing) {
+      Object.assign(existing, webhook, { created_by: userId, updated_at: now });
+      return toWebhook(existing);
+    }
+    const row = {
+      ...webhook,
+      id: memoryWebhooks.reduce((max, w) => Math.max(max, w.id), 0) + 1,
+      template_id: templateId,
+      secret: encrypt({ secret }),
+      created_by: userId,
+      created_at: now,
+      updated_at: now
+    };
+    memoryWebhooks.push(row);
+    return { ...toWebhook(row), secret };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO template_webhooks (template_id, provider, secret, enabled, filters, mappings, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (template_id) DO UPDATE SET provider = EXCLUDED.provider, enabled = EXCLUDED.enabled,
+       filters = EXCLUDED.filters, mappings = EXCLUDED.mappings, created_by = EXCLUDED.created_by,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      templateId, webhook.provider, encrypt({ secret: secret || generateSecret() }), webhook.enabled,
+      JSON.stringify(webhook.filters), JSON.stringify(webhook.mappings), userId
+    ]
+  );
+  return secret ? { ...toWebhook(rows[0]), secret } : toWebhook(rows[0]);
+};
+
+// Nuevo secreto (el anterior deja de valer); se devuelve solo esta vez
+const rotateSecret = async (templateId) => {
+  const secret = generateSecret();
+
+  if (!pool) {
+    const row = await findRow(templateId);
+    if (!row) {
+      throw new NotFoundError('El template no tiene webhook');
+    }
+    Object.assign(row, { secret: encrypt({ secret }), updated_at: new Date().toISOString() });
+    [...memoryReceipts].filter(key => key.startsWith(`${templateId}:`)).forEach(key => memoryReceipts.delete(key));
+    return { ...toWebhook(row), secret };
+  }
+
+  const { rows } = await pool.query(
+    'UPDATE template_webhooks SET secret = $1, updated_at = CURRENT_TIMESTAMP WHERE template_id = $2 RETURNING *',
+    [encrypt({ secret }), templateId]
+  );
+  if (!rows[0]) {
+    throw new NotFoundError('El template no tiene webhook');
+  }
+  // Lo firmado con el secreto anterior ya no se acepta: no hace falta recordarlo
+  await pool.query('DELETE FROM webhook_receipts WHERE template_id = $1', [templateId]);
+  return { ...toWebhook(rows[0]), secret };
+};
+
+const deleteWebhook = async (templateId) => {
+  if (!pool) {
+    const index = memoryWebhooks.findIndex(row => row.template_id === templateId);
+    if (index === -1) {
+      throw new NotFoundError('El template no tiene webhook');
+    }
+    memoryWebhooks.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM template_webhooks WHERE template_id = $1', [templateId]);
+  if (rowCount === 0) {
+    throw new NotFoundError('El template no tiene webhook');
+  }
+};
+
+const toDelivery = (row) => ({
+  id: row.id,
+  templateId: row.template_id,
+  deliveryId: row.delivery_id,
+  event: row.event,
+  branch: row.branch,
+  commit: row.commit_sha,
+  status: row.status,
+  jobId: row.job_id,
+  reason: row.reason,
+  created_at: row.created_at
+});
+
+const listDeliveries = async (templateId, limit = 50) => {
+  if (!pool) {
+    return memoryDeliveries.filter(d => d.template_id === templateId).slice(-limit).reverse().map(toDelivery);
+  }
+  const { rows } = await pool.query(
+    'SELECT * FROM webhook_deliveries WHERE template_id = $1 ORDER BY id DESC LIMIT $2',
+    [templateId, limit]
+  );
+  return rows.map(toDelivery);
+};
+
+const clip = (value, column) => (value === null || value === undefined ? null : String(value).slice(0, COLUMN_LENGTHS[column]));
+
+// Registra una entrega y descarta las más antiguas del template
+const logDelivery = async (templateId, delivery, { status, jobId = null, reason = null }) => {
+  const row = {
+    template_id: templateId,
+    delivery_id: clip(delivery.deliveryId, 'delivery_id'),
+    event: clip(delivery.event, 'event'),
+    branch: clip(delivery.branch, 'branch'),
+    commit_sha: clip(delivery.commit, 'commit_sha'),
+    status,
+    job_id: jobId,
+    reason
+  };
+
+  if (!pool) {
+    memoryDeliveries.push({ ...row, id: memoryDeliveries.length + 1, created_at: new Date().toISOString() });
+    const own = memoryDeliveries.filter(d => d.template_id === templateId);
+    if (own.length > MAX_DELIVERIES) {
+      memoryDeliveries.splice(memoryDeliveries.indexOf(own[0]), 1);
+    }
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO webhook_deliveries (template_id, delivery_id, event, branch, commit_sha, status, job_id, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    Object.values(row)
+  );
+  await pool.query(
+    `DELETE FROM webhook_deliveries WHERE template_id = $1 AND id NOT IN (
+       SELECT id FROM webhook_deliveries WHERE template_id = $1 ORDER BY id DESC LIMIT $2)`,
+    [templateId, MAX_DELIVERIES]
+  );
+};
+
+const refuse = (templateId, error) => {
+  const current = refused.get(templateId) || { count: 0 };
+  refused.set(templateId, { count: current.count + 1, lastAt: new Date().toISOString(), lastReason: error.message });
+  throw error;
+};
+
+// Anota la entrega como recibida por su id y por el sha256 del cuerpo (lo firmado: con otro
+// X-GitHub-Delivery sigue siendo la misma). Devuelve false si alguno ya se había recibido.
+const recordReceipt = async (templateId, deliveryId, rawBody) => {
+  const keys = [`body:${crypto.createHash('sha256').update(rawBody).digest('hex')}`];
+  if (deliveryId) {
+    keys.push(`delivery:${deliveryId}`);
+  }
+
+  if (!pool) {
+    const seen = keys.some(key => memoryReceipts.has(`${templateId}:${key}`));
+    keys.forEach(key => memoryReceipts.add(`${templateId}:${key}`));
+    return !seen;
+  }
+
+  const { rowCount } = await pool.query(
+    `INSERT INTO webhook_receipts (template_id, receipt_key)
+     SELECT $1, key FROM unnest($2::text[]) AS key
+     ON CONFLICT DO NOTHING`,
+    [templateId, keys]
+  );
+  return rowCount === keys.length;
+};
+
+// Comparación en tiempo constante (los hash igualan la longitud)
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+const verifySignature = (provider, secret, headers, rawBody) => {
+  if (provider === 'gitlab') {
+    const token = headers['x-gitlab-token'];
+    if (!token) {
+      return 'Falta la cabecera X-Gitlab-Token';
+    }
+    return safeEqual(token, secret) ? null : 'X-Gitlab-Token no coincide con el secreto';
+  }
+
+  const signature = headers['x-hub-signature-256'];
+  if (!signature) {
+    return 'Falta la cabecera X-Hub-Signature-256';
+  }
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  return safeEqual(signature, expected) ? null : 'La firma X-Hub-Signature-256 no es válida';
+};
+
+// Cuerpo JSON, o el formulario payload=<json> que GitHub envía con application/x-www-form-urlencoded
+const parseBody = (headers, rawBody) => {
+  const text = rawBody.toString('utf8');
+  const json = (headers['content-type'] || '').includes('application/x-www-form-urlencoded')
+    ? new URLSearchParams(text).get('payload')
+    : text;
+  try {
+    const payload = JSON.parse(json || '');
+    if (payload === null || typeof payload !== 'object') {
+      throw new Error('no es un objeto');
+    }
+    return payload;
+  } catch (error) {
+    throw new ValidationError(`El cuerpo no es un JSON válido: ${error.message}`);
+  }
+};
+
+// Evento, rama o tag y commit en el formato de cada proveedor (push, pull/merge request)
+const describeDelivery = (provider, headers, payload) => {
+  const ref = typeof payload.ref === 'string' ? payload.ref : '';
+  const delivery = {
+    branch: ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null,
+    tag: ref.startsWith('refs/tags/') ? ref.slice('refs/tags/'.length) : null
+  };
+
+  if (provider === 'gitlab') {
+    const attributes = payload.object_attributes || {};
+    return {
+      ...delivery,
+      event: clip(payload.object_kind || headers['x-gitlab-event'], 'event'),
+      deliveryId: headers['x-gitlab-event-uuid'] || null,
+      branch: delivery.branch || (payload.object_kind === 'merge_request' ? attributes.source_branch : null) || null,
+      commit: payload.checkout_sha || payload.after || (attributes.last_commit && attributes.last_commit.id) || null
+    };
+  }
+
+  const pullRequest = payload.pull_request || {};
+  const head = pullRequest.head || {};
+  const event = clip(headers['x-github-event'], 'event');
+  const claimed = Object.prototype.hasOwnProperty.call(GITHUB_EVENT_SHAPES, event) ? GITHUB_EVENT_SHAPES[event] : null;
+  if ((claimed && !claimed(payload)) || (event !== 'push' && GITHUB_EVENT_SHAPES.push(payload))) {
+    throw new ValidationError(`X-GitHub-Event "${event}" no corresponde al payload`);
+  }
+  return {
+    ...delivery,
+    event,
+    deliveryId: headers['x-github-delivery'] || null,
+    branch: delivery.branch || head.ref || null,
+    commit: payload.after || (payload.head_commit && payload.head_commit.id) || head.sha || null,
+    // Un push que borra la rama llega con after = 000...0
+    deleted: payload.deleted === true
+  };
+};
+
+// Patrón de rama con * como comodín (release/* cubre release/1.2)
+const matchesBranch = (pattern, branch) => new RegExp(
+  `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+).test(branch);
+
+// Motivo por el que los filtros descartan la entrega, o null
+const filterReason = (filters, delivery) => {
+  if (delivery.event === 'ping') {
+    return 'Evento ping de GitHub';
+  }
+  if (delivery.deleted) {
+    return `Push que borra la rama ${delivery.branch}`;
+  }
+  if (filters.events && !filters.events.includes(delivery.event)) {
+    return `El evento "${delivery.event}" no está en ${filters.events.join(', ')}`;
+  }
+  if (filters.branches && !(delivery.branch && filters.branches.some(pattern => matchesBranch(pattern, delivery.branch)))) {
+    return `La rama "${delivery.branch || '(ninguna)'}" no está en ${filters.branches.join(', ')}`;
+  }
+  return null;
+};
+
+const readPath = (payload, path) => path.reduce(
+  (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+  payload
+);
+
+// Variables del job a partir de mappings; una fuente que falta o que no es un valor simple
+// (texto, número o booleano) descarta la entrega
+const mapVariables = (mappings, delivery, payload) => {
+  const variables = {};
+  Object.entries(mappings).forEach(([variable, source]) => {
+    const value = source.startsWith('payload.')
+      ? readPath(payload, source.split('.').slice(1))
+      : delivery[source];
+    if (value === null || value === undefined) {
+      throw new ValidationError(`La entrega no tiene ${source} (variable ${variable})`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new ValidationError(`${source} no es un texto, número o booleano (variable ${variable})`);
+    }
+    variables[variable] = value;
+  });
+  return variables;
+};
+
+// Las respuestas password se guardan cifradas aparte y no pueden venir de una entrega
+const assertMappable = (template, mappings) => {
+  const secret = template.survey
+    .filter(field => field.type === 'password' && field.variable in mappings)
+    .map(field => field.variable);
+  if (secret.length > 0) {
+    throw new ValidationError(`mappings: ${secret.join(', ')} son preguntas password de la encuesta y no se pueden llenar desde un webhook`);
+  }
+};
+
+// Entrega recibida en POST /api/webhooks/templates/:id con el cuerpo sin parsear (la firma se
+// calcula sobre los bytes tal cual llegaron). Devuelve { status, jobId, reason } y lo registra;
+// lanza el error HTTP (webhook deshabilitado, payload inválido...) también después de registrarlo.
+// Las entregas sin firma válida o repetidas solo se cuentan (ver refused).
+const receiveDelivery = async (templateId, { headers, rawBody }) => {
+  const row = await findRow(templateId);
+  const template = row && await getTemplate(templateId);
+  if (!row || !template) {
+    throw new NotFoundError('Webhook no encontrado');
+  }
+
+  const signatureError = verifySignature(row.provider, decrypt(row.secret).secret, headers, rawBody);
+  if (signatureError) {
+    return refuse(templateId, Object.assign(new Error(signatureError), { status: 401 }));
+  }
+  const deliveryId = clip(headers['x-github-delivery'] || headers['x-gitlab-event-uuid'], 'delivery_id');
+  if (!(await recordReceipt(templateId, deliveryId, rawBody))) {
+    return refuse(templateId, new ConflictError('Esta entrega ya se recibió: para repetirla, lanza el template a mano'));
+  }
+
+  let delivery = { deliveryId };
+  const reject = async (status, error) => {
+    await logDelivery(templateId, delivery, { status, reason: error.message });
+    throw error;
+  };
+
+  if (!row.enabled) {
+    return reject('rejected', Object.assign(new Error('El webhook está deshabilitado'), { status: 403 }));
+  }
+
+  let payload;
+  try {
+    payload = parseBody(headers, rawBody);
+    delivery = { ...describeDelivery(row.provider, headers, payload), deliveryId };
+  } catch (error) {
+    return reject('rejected', error);
+  }
+  const skipped = filterReason(row.filters || {}, delivery);
+  if (skipped) {
+    await logDelivery(templateId, delivery, { status: 'skipped', reason: skipped });
+    return { status: 'skipped', jobId: null, reason: skipped };
+  }
+
+  try {
+    if (!row.created_by) {
+      throw Object.assign(new Error('El usuario que configuró el webhook ya no existe: vuelve a guardarlo'), { status: 409 });
+    }
+    assertMappable(template, row.mappings || {});
+    // Las variables de la encuesta van como respuestas, para validarlas igual que al lanzarlo a
+    // mano; todas llegan a Ansible como !unsafe porque los textos los elige quien envía la entrega
+    const variables = mapVariables(row.mappings || {}, delivery, payload);
+    const surveyFields = template.survey.map(field => field.variable);
+    const answers = Object.fromEntries(Object.entries(variables).filter(([name]) => surveyFields.includes(name)));
+    const job = await jobService.submitJob({
+      ...(await buildJob({
+        type: 'template',
+        params: {
+          templateId,
+          answers,
+          variables: Object.fromEntries(Object.entries(variables).filter(([name]) => !surveyFields.includes(name))),
+          unsafeVariables: Object.keys(variables)
+        }
+      })),
+      userId: row.created_by
+    });
+    await logDelivery(templateId, delivery, { status: 'triggered', jobId: job.id });
+    return { status: 'triggered', jobId: job.id, reason: null };
+  } catch (error) {
+    return reject('failed', error);
+  }
+};
+
+module.exports = {
+  PROVIDERS,
+  DELIVERY_FIELDS,
+  receiverPath,
+  getWebhook,
+  saveWebhook,
+  rotateSecret,
+  deleteWebhook,
+  listDeliveries,
+  receiveDelivery
+};
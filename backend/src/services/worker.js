@@ -1,17 +1,63 @@
-const { Worker } = require('bullmq');
-const { spawn } = require('child_process');
+const { Worker, UnrecoverableError } = require('bullmq');
 const fs = require('fs').promises;
 const path = require('path');
 const { pool } = require('../models/database');
+const {
+  useDockerSandbox,
+  sandboxArgs,
+  executeCommand,
+  emitLog,
+  containerNameFor,
+  JobCancelledError,
+  JobTimeoutError
+} = require('./dockerRunner');
+const { CANCEL_CHANNEL } = require('./jobQueue');
+const { checkoutProject } = require('./projects');
+const { extractWorkspace } = require('./ansibleWorkspaces');
+const {
+  readRequirements,
+  requirementsCachePath,
+  isCached,
+  createInstallDir,
+  commitInstallDir
+} = require('./ansibleRequirements');
+const { createTerraformContext, summarizePlan, isValidAddress } = require('./terraformRunner');
+const { saveArtifact, getArtifact } = require('./artifacts');
+const { finalizeLogs } = require('./jobLogs');
+const { notifyJobFinished } = require('./jobLifecycle');
+const { assertCanRunJob } = require('./permissions');
+const { prepareCredentials } = require('./credentials');
+const { maskSecrets } = require('./vault');
+const { ANSIBLE_IMAGE, writeInventoryFile } = require('./ansibleInventory');
+const { recordJobHosts, readFactsCache } = require('./hosts');
+const { readEventsFile, saveJobEvents, buildRecap, customStats, summarizeHosts } = require('./jobEvents');
+const { ForbiddenError } = require('../utils/errors');
+
+// Callbacks de Ansible de Conductor (se copian al directorio del job para montarlos en Docker)
+const CALLBACK_PLUGINS_DIR = path.join(__dirname, '../ansible/callback_plugins');
+
+// Subdirectorio del job con el checkout del proyecto o el workspace extraído
+const SOURCE_DIR = 'source';
 
 const connection = {
   host: process.env.REDIS_HOST || 'localhost',
   port: process.env.REDIS_PORT || 6379,
 };
 
-const worker = new Worker('conductor-jobs', async job => {
+const worker = new Worker('conductor-jobs', async (job, token, signal) => {
   console.log(`🔄 Procesando job ${job.id}: ${job.name}`);
-  
+
+  // executeCommand escucha esta señal para matar el proceso si se cancela el job
+  // o si supera su timeout (abort con reason 'timeout')
+  const controller = new AbortController();
+  signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  job.signal = controller.signal;
+
+  const timeoutMinutes = job.data.limits ? job.data.limits.timeoutMinutes : null;
+  const timeoutTimer = timeoutMinutes
+    ? setTimeout(() => controller.abort('timeout'), timeoutMinutes * 60 * 1000)
+    : null;
+
   try {
     // Actualizar estado en BD si existe conexión
     if (pool) {
@@ -21,6 +67,18 @@ const worker = new Worker('conductor-jobs', async job => {
       ).catch(err => console.log('⚠️  BD no disponible:', err.message));
     }
 
+    if (global.io) {
+      global.io.emit('job-update', {
+        jobId: job.data.dbJobId,
+        status: 'running'
+      });
+    }
+
+    // Los permisos pueden haber cambiado mientras el job esperaba en la cola
+    if (job.data.userId) {
+      await assertCanRunJob(job.data.userId, job.name, job.data);
+    }
+
     let result;
 
     switch (job.name) {
@@ -33,6 +91,18 @@ const worker = new Worker('conductor-jobs', async job => {
       case 'terraform-apply':
         result = await runTerraformApply(job);
         break;
+      case 'terraform-destroy':
+        result = await runTerraformDestroy(job);
+        break;
+      case 'terraform-init':
+        result = await runTerraformInit(job);
+        break;
+      case 'terraform-state':
+        result = await runTerraformState(job);
+        break;
+      case 'terraform-workspace':
+        result = await runTerraformWorkspace(job);
+        break;
       case 'test-echo':
         result = await runTestEcho(job);
         break;
@@ -40,6 +110,9 @@ const worker = new Worker('conductor-jobs', async job => {
         throw new Error(`Tipo de job desconocido: ${job.name}`);
     }
 
+    // Ningún valor de las credenciales del job llega a la BD ni al WebSocket
+    result = maskSecrets(result, job.secrets);
+
     // Actualizar resultado en BD si existe conexión
     if (pool) {
       await pool.query(
@@ -48,28 +121,106 @@ const worker = new Worker('conductor-jobs', async job => {
       ).catch(err => console.log('⚠️  BD no disponible:', err.message));
     }
 
-    // Emitir evento via WebSocket si está disponible
+    // Emitir evento via WebSocket si está disponible. Va a todos los clientes, así que sin
+    // el resultado: cada uno lo lee de GET /api/jobs si puede ver el job
     if (global.io) {
-      global.io.to(`job-${job.data.dbJobId}`).emit('job-completed', {
+      global.io.emit('job-completed', {
         jobId: job.data.dbJobId,
-        result
+        name: job.data.jobName,
+        status: 'completed'
       });
     }
+    notifyJobFinished(job.data.dbJobId, 'completed');
 
     return result;
 
   } catch (error) {
+    // La salida parcial y los mensajes de error (stderr) pueden contener credenciales
+    error.message = maskSecrets(error.message, job.secrets);
+    error.output = maskSecrets(error.output, job.secrets);
+
+    if (error instanceof JobCancelledError) {
+      console.log(`🛑 Job ${job.id} cancelado`);
+
+      if (pool) {
+        await pool.query(
+          'UPDATE jobs SET status = $1, result = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $3',
+          ['cancelled', JSON.stringify({ output: error.output, cancelled: true }), job.data.dbJobId]
+        ).catch(err => console.log('⚠️  BD no disponible:', err.message));
+      }
+
+      if (global.io) {
+        global.io.emit('job-cancelled', {
+          jobId: job.data.dbJobId,
+          name: job.data.jobName
+        });
+      }
+      notifyJobFinished(job.data.dbJobId, 'cancelled');
+
+      // Sin reintentos para un job cancelado
+      throw new UnrecoverableError(error.message);
+    }
+
+    if (error instanceof JobTimeoutError) {
+      console.log(`⏱️  Job ${job.id} superó su timeout (${error.timeoutMinutes} min)`);
+
+      const timeoutResult = {
+        output: error.output,
+        error: error.message,
+        timedOut: true,
+        timeoutMinutes: error.timeoutMinutes
+      };
+      if (pool) {
+        await pool.query(
+          'UPDATE jobs SET status = $1, result = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $3',
+          ['timed_out', JSON.stringify(timeoutResult), job.data.dbJobId]
+        ).catch(err => console.log('⚠️  BD no disponible:', err.message));
+      }
+
+      if (global.io) {
+        global.io.emit('job-timed-out', {
+          jobId: job.data.dbJobId,
+          name: job.data.jobName,
+          timeoutMinutes: error.timeoutMinutes
+        });
+      }
+      notifyJobFinished(job.data.dbJobId, 'timed_out');
+
+      // Reintentar un job que agota su tiempo solo volvería a agotarlo
+      throw new UnrecoverableError(error.message);
+    }
+
     console.error(`❌ Error en job ${job.id}:`, error);
+
+    // Si BullMQ va a reintentar, el job vuelve a la cola en lugar de quedar fallido
+    // (un job denegado por permisos no se reintenta)
+    const forbidden = error instanceof ForbiddenError;
+    const willRetry = !forbidden && job.attemptsMade + 1 < (job.opts.attempts || 1);
+    const status = willRetry ? 'queued' : 'failed';
     
     // Actualizar estado de error en BD
     if (pool) {
       await pool.query(
         'UPDATE jobs SET status = $1, result = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $3',
-        ['failed', JSON.stringify({ error: error.message }), job.data.dbJobId]
+        [status, JSON.stringify({ error: error.message }), job.data.dbJobId]
       ).catch(err => console.log('⚠️  BD no disponible:', err.message));
     }
 
-    throw error;
+    if (global.io && !willRetry) {
+      global.io.emit('job-failed', {
+        jobId: job.data.dbJobId,
+        name: job.data.jobName,
+        error: error.message
+      });
+    }
+    if (!willRetry) {
+      notifyJobFinished(job.data.dbJobId, 'failed');
+    }
+
+    throw forbidden ? new UnrecoverableError(error.message) : error;
+  } finally {
+    clearTimeout(timeoutTimer);
+    await finalizeLogs(job.data.dbJobId);
   }
 }, { 
   connection,
@@ -82,73 +233,152 @@ const worker = new Worker('conductor-jobs', async job => {
 const runTestEcho = async (job) => {
   const { message } = job.data;
   
-  return new Promise((resolve) => {
-    setTimeout(() => {
+  return new Promise((resolve, reject) => {
+    // Cancelación o timeout: termina igual que un comando (ver executeCommand)
+    const abort = () => {
+      clearTimeout(timer);
+      reject(job.signal.reason === 'timeout'
+        ? new JobTimeoutError('', job.data.limits && job.data.limits.timeoutMinutes)
+        : new JobCancelledError());
+    };
+
+    const timer = setTimeout(() => {
+      if (job.signal) {
+        job.signal.removeEventListener('abort', abort);
+      }
+      emitLog(job, `Echo: ${message}\n`);
       resolve({
         output: `Echo: ${message}`,
         timestamp: new Date().toISOString(),
         exitCode: 0
       });
     }, 2000); // Simular trabajo de 2 segundos
+
+    if (job.signal) {
+      if (job.signal.aborted) {
+        abort();
+      } else {
+        job.signal.addEventListener('abort', abort, { once: true });
+      }
+    }
   });
 };
 
 const runAnsiblePlaybook = async (job) => {
-  const { playbook, inventory, variables = {} } = job.data;
+  const {
+    playbook, project, ansibleWorkspace, inventory, inventoryVariables = {}, variables = {}, checkMode = false,
+    unsafeVariables = []
+  } = job.data;
   
   // Crear directorio temporal
   const workDir = path.join(require('os').tmpdir(), `job-${job.id}`);
   
   try {
-    await fs.mkdir(workDir, { recursive: true });
-
-    // Crear archivo de inventario
-    const inventoryPath = path.join(workDir, 'inventory.ini');
-    if (typeof inventory === 'object') {
-      // Convertir objeto a formato INI
-      let inventoryContent = '';
-      for (const [group, hosts] of Object.entries(inventory)) {
-        inventoryContent += `[${group}]\n`;
-        if (hosts.hosts) {
-          for (const [host, vars] of Object.entries(hosts.hosts)) {
-            inventoryContent += `${host}`;
-            if (vars) {
-              for (const [key, value] of Object.entries(vars)) {
-                inventoryContent += ` ${key}=${value}`;
-              }
-            }
-            inventoryContent += '\n';
-          }
-        }
-        inventoryContent += '\n';
-      }
-      await fs.writeFile(inventoryPath, inventoryContent);
+    // Solo el usuario del worker puede leer el directorio (contiene credenciales)
+    await fs.mkdir(workDir, { recursive: true, mode: 0o700 });
+
+    // Crear archivo de inventario (YAML con children y vars, o el texto escrito a mano)
+    const inventoryPath = path.join(workDir, await writeInventoryFile(workDir, inventory, inventoryVariables));
+
+    // Playbook: checkout del commit del proyecto o workspace subido (se ejecutan desde su raíz,
+    // para que usen su ansible.cfg y sus roles) o el contenido escrito en playbook.yml
+    const sourceDir = path.join(workDir, SOURCE_DIR);
+    let playbookPath = path.join(workDir, 'playbook.yml');
+    if (project) {
+      emitLog(job, `[conductor] Proyecto "${project.name}" en ${project.ref || 'HEAD'} (${project.commit})\n`, 'system');
+      playbookPath = await checkoutProject(project, sourceDir);
+    } else if (ansibleWorkspace) {
+      emitLog(job, `[conductor] Workspace "${ansibleWorkspace.name}" (${ansibleWorkspace.sha256.slice(0, 12)})\n`, 'system');
+      playbookPath = await extractWorkspace(ansibleWorkspace, sourceDir);
     } else {
-      await fs.writeFile(inventoryPath, inventory);
+      await fs.writeFile(playbookPath, playbook);
+    }
+    const hasSource = Boolean(project || ansibleWorkspace);
+    if (hasSource) {
+      await linkInventoryVars(workDir);
     }
 
-    // Crear archivo de playbook
-    const playbookPath = path.join(workDir, 'playbook.yml');
-    await fs.writeFile(playbookPath, playbook);
-
-    // Crear archivo de variables si existen
+    // Crear archivo de variables si existen. Las de unsafeVariables (textos de fuera, como la
+    // rama de un webhook) van con !unsafe para que Ansible no evalúe un {{ ... }} que traigan
     let extraVarsArg = '';
     if (Object.keys(variables).length > 0) {
       const varsPath = path.join(workDir, 'vars.yml');
       const yamlVars = Object.entries(variables)
-        .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+        .map(([key, value]) => `${key}: ${unsafeVariables.includes(key) && typeof value === 'string' ? '!unsafe ' : ''}${JSON.stringify(value)}`)
         .join('\n');
       await fs.writeFile(varsPath, yamlVars);
       extraVarsArg = `--extra-vars @${varsPath}`;
     }
 
-    // Verificar si Docker está disponible
-    const dockerAvailable = await checkDockerAvailable();
-    
-    if (dockerAvailable) {
-      return await runWithDocker(workDir, inventoryPath, playbookPath, extraVarsArg, job);
-    } else {
-      return await runWithLocalAnsible(workDir, inventoryPath, playbookPath, extraVarsArg, job);
+    // Verificar si Docker está disponible (o es obligatorio)
+    const dockerAvailable = await useDockerSandbox(job);
+
+    // Credenciales: archivos en workDir (se borra al terminar) y variables de entorno
+    const credentials = await prepareCredentials(job, workDir, dockerAvailable ? '/workspace' : workDir);
+
+    // Los facts que recoja `setup` quedan en una caché jsonfile (un archivo por host) para el registro de hosts
+    const factsDir = path.join(workDir, 'facts');
+    await fs.mkdir(factsDir, { mode: 0o700 });
+    credentials.env = {
+      ...credentials.env,
+      ANSIBLE_CACHE_PLUGIN: 'jsonfile',
+      ANSIBLE_CACHE_PLUGIN_CONNECTION: dockerAvailable ? '/workspace/facts' : factsDir
+    };
+
+    // El callback conductor_events deja en events.jsonl cada play, tarea y resultado por host
+    const mounted = (name) => (dockerAvailable ? `/workspace/${name}` : path.join(workDir, name));
+    await fs.cp(CALLBACK_PLUGINS_DIR, path.join(workDir, 'callback_plugins'), { recursive: true });
+    credentials.env = {
+      ...credentials.env,
+      ANSIBLE_CALLBACK_PLUGINS: mounted('callback_plugins'),
+      ANSIBLE_CALLBACKS_ENABLED: 'conductor_events',
+      CONDUCTOR_EVENTS_FILE: mounted('events.jsonl')
+    };
+
+    // Roles y colecciones de requirements.yml (instalados o de la caché) antes del playbook
+    const requirementsDir = hasSource
+      ? await installRequirements(job, workDir, sourceDir, dockerAvailable)
+      : null;
+    if (requirementsDir) {
+      const requirementsPath = (name) => (dockerAvailable ? `/requirements/${name}` : path.join(requirementsDir, name));
+      credentials.env = {
+        ...credentials.env,
+        ANSIBLE_ROLES_PATH: [mounted(`${SOURCE_DIR}/roles`), requirementsPath('roles')].join(':'),
+        ANSIBLE_COLLECTIONS_PATH: requirementsPath('collections')
+      };
+    }
+
+    // Dry run: --check --diff, y el callback conductor_diff deja en diff.json lo que
+    // cambiaría cada tarea en cada host
+    if (checkMode) {
+      credentials.args.push('--check', '--diff');
+      credentials.env = {
+        ...credentials.env,
+        ANSIBLE_CALLBACKS_ENABLED: 'conductor_events,conductor_diff',
+        CONDUCTOR_DIFF_FILE: mounted('diff.json')
+      };
+    }
+
+    try {
+      const result = dockerAvailable
+        ? await runWithDocker(workDir, inventoryPath, playbookPath, extraVarsArg, credentials, job, { hasSource, requirementsDir })
+        : await runWithLocalAnsible(workDir, inventoryPath, playbookPath, extraVarsArg, credentials, job, { hasSource });
+      const events = await captureEvents(job, workDir);
+      result.recap = buildRecap(events);
+      result.outputs = customStats(events);
+      if (checkMode) {
+        return { ...result, checkMode: true, changes: await readCheckChanges(workDir) };
+      }
+      await recordHostResults(job, result.output, factsDir, events);
+      return result;
+    } catch (error) {
+      // Un playbook fallido también deja sus eventos y el estado de cada host (failed / unreachable);
+      // un dry run no cambia nada, así que no cuenta como ejecución en el registro de hosts
+      const events = await captureEvents(job, workDir);
+      if (!checkMode) {
+        await recordHostResults(job, error.output, factsDir, events);
+      }
+      throw error;
     }
 
   } finally {
@@ -161,128 +391,390 @@ const runAnsiblePlaybook = async (job) => {
   }
 };
 
-const checkDockerAvailable = async () => {
-  return new Promise((resolve) => {
-    const docker = spawn('docker', ['--version'], { stdio: 'ignore' });
-    docker.on('close', (code) => {
-      resolve(code === 0);
+// El inventario del job se escribe en workDir, no en la raíz del proyecto o workspace: sus
+// group_vars/ y host_vars/ se enlazan junto a él para que Ansible los cargue aunque el
+// playbook esté en un subdirectorio
+const linkInventoryVars = async (workDir) => {
+  for (const name of ['group_vars', 'host_vars']) {
+    const stat = await fs.lstat(path.join(workDir, SOURCE_DIR, name)).catch(() => null);
+    if (stat && stat.isDirectory()) {
+      await fs.symlink(path.join(SOURCE_DIR, name), path.join(workDir, name));
+    }
+  }
+};
+
+// Instala los requirements.yml de la raíz del proyecto o workspace (o los toma de la caché si
+// ya se instalaron con el mismo hash) y devuelve el directorio con roles/ y collections/
+const installRequirements = async (job, workDir, sourceDir, dockerAvailable) => {
+  const requirements = await readRequirements(sourceDir);
+  if (!requirements) {
+    return null;
+  }
+
+  const { hash, files } = requirements;
+  const names = files.map(entry => entry.file).join(', ');
+  if (await isCached(hash)) {
+    emitLog(job, `[conductor] Requirements (${names}) en caché: ${hash.slice(0, 12)}\n`, 'system');
+    return requirementsCachePath(hash);
+  }
+
+  emitLog(job, `[conductor] Instalando requirements (${names}): ${hash.slice(0, 12)}\n`, 'system');
+  const installDir = await createInstallDir(hash);
+  try {
+    for (const { file, roles, collections } of files) {
+      if (roles) {
+        await runGalaxy(job, workDir, installDir, dockerAvailable, ['role', 'install', '-r', file], 'roles');
+      }
+      if (collections) {
+        await runGalaxy(job, workDir, installDir, dockerAvailable, ['collection', 'install', '-r', file], 'collections');
+      }
+    }
+    await commitInstallDir(installDir, hash);
+  } catch (error) {
+    await fs.rm(installDir, { recursive: true, force: true });
+    throw error;
+  }
+  return requirementsCachePath(hash);
+};
+
+// ansible-galaxy desde la raíz del proyecto o workspace (las rutas locales de los
+// requirements son relativas a ella), instalando en installDir/<target>
+const runGalaxy = (job, workDir, installDir, dockerAvailable, args, target) => {
+  if (!dockerAvailable) {
+    return executeCommand('ansible-galaxy', [...args, '-p', path.join(installDir, target)], job, {
+      cwd: path.join(workDir, SOURCE_DIR)
     });
-    docker.on('error', () => {
-      resolve(false);
+  }
+
+  const containerName = containerNameFor(job);
+  return executeCommand('docker', [
+    'run', '--rm',
+    '--name', containerName,
+    ...sandboxArgs(job.data.limits),
+    '-v', `${workDir}:/workspace`,
+    '-v', `${installDir}:/requirements`,
+    '-w', `/workspace/${SOURCE_DIR}`,
+    ANSIBLE_IMAGE,
+    'ansible-galaxy', ...args, '-p', `/requirements/${target}`
+  ], job, { containerName });
+};
+
+// Cambios del dry run escritos por el callback conductor_diff:
+// [{ host, play, task, action, status, diffs: [{ beforeHeader, afterHeader, unified, prepared }] }]
+const readCheckChanges = async (workDir) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(workDir, 'diff.json'), 'utf8'));
+  } catch (error) {
+    console.log('⚠️  No se pudieron leer los cambios del dry run:', error.message);
+    return [];
+  }
+};
+
+// Guarda los eventos del callback conductor_events (sin los valores de las credenciales);
+// nunca hace fallar el job
+const captureEvents = async (job, workDir) => {
+  try {
+    const events = maskSecrets(await readEventsFile(path.join(workDir, 'events.jsonl')), job.secrets);
+    await saveJobEvents(job.data.dbJobId, events);
+    return events;
+  } catch (error) {
+    console.log('⚠️  No se pudieron guardar los eventos del job:', error.message);
+    return [];
+  }
+};
+
+// Actualiza el registro de hosts con los eventos (o el PLAY RECAP) y los facts del job;
+// nunca hace fallar el job
+const recordHostResults = async (job, output, factsDir, events = []) => {
+  if (!output && events.length === 0) {
+    return;
+  }
+  try {
+    const facts = maskSecrets(await readFactsCache(factsDir), job.secrets);
+    await recordJobHosts({
+      jobId: job.data.dbJobId,
+      jobName: job.data.jobName,
+      inventoryId: job.data.inventoryId || null,
+      inventoryRevision: job.data.inventoryRevision || null,
+      output: maskSecrets(output, job.secrets),
+      results: events.length > 0 ? summarizeHosts(events) : undefined,
+      facts
     });
-  });
+  } catch (error) {
+    console.log('⚠️  No se pudo actualizar el registro de hosts:', error.message);
+  }
 };
 
-const runWithDocker = async (workDir, inventoryPath, playbookPath, extraVarsArg, job) => {
+// Los playbooks de un proyecto o workspace se ejecutan desde su raíz (workDir/source); los
+// requirements instalados se montan en /requirements
+const runWithDocker = async (workDir, inventoryPath, playbookPath, extraVarsArg, credentials, job, { hasSource, requirementsDir } = {}) => {
+  const containerName = containerNameFor(job);
   const dockerArgs = [
     'run', '--rm',
+    '--name', containerName,
+    ...sandboxArgs(job.data.limits),
     '-v', `${workDir}:/workspace`,
-    'quay.io/ansible/ansible-runner:latest',
+    ...(requirementsDir ? ['-v', `${requirementsDir}:/requirements:ro`] : []),
+    '-w', hasSource ? `/workspace/${SOURCE_DIR}` : '/workspace',
+    // Solo el nombre: docker toma el valor de su entorno y no aparece en `ps`
+    ...Object.keys(credentials.env).flatMap(key => ['-e', key]),
+    ANSIBLE_IMAGE,
     'ansible-playbook',
-    '-i', '/workspace/inventory.ini',
-    '/workspace/playbook.yml'
+    '-i', `/workspace/${path.basename(inventoryPath)}`,
+    `/workspace/${path.relative(workDir, playbookPath).split(path.sep).join('/')}`,
+    ...credentials.args
   ];
 
   if (extraVarsArg) {
     dockerArgs.push('--extra-vars', `@/workspace/vars.yml`);
   }
 
-  return executeCommand('docker', dockerArgs, job);
+  return executeCommand('docker', dockerArgs, job, { containerName, env: credentials.env });
 };
 
-const runWithLocalAnsible = async (workDir, inventoryPath, playbookPath, extraVarsArg, job) => {
+const runWithLocalAnsible = async (workDir, inventoryPath, playbookPath, extraVarsArg, credentials, job, { hasSource } = {}) => {
   const ansibleArgs = [
     '-i', inventoryPath,
-    playbookPath
+    playbookPath,
+    ...credentials.args
   ];
 
   if (extraVarsArg) {
     ansibleArgs.push('--extra-vars', `@${path.join(workDir, 'vars.yml')}`);
   }
 
-  return executeCommand('ansible-playbook', ansibleArgs, job);
+  return executeCommand('ansible-playbook', ansibleArgs, job, {
+    env: credentials.env,
+    cwd: hasSource ? path.join(workDir, SOURCE_DIR) : undefined
+  });
 };
 
-const executeCommand = (command, args, job) => {
-  return new Promise((resolve, reject) => {
-    console.log(`🔧 Ejecutando: ${command} ${args.join(' ')}`);
-    
-    const process = spawn(command, args);
-    let output = '';
-    let error = '';
-
-    process.stdout.on('data', (data) => {
-      const chunk = data.toString();
-      output += chunk;
-      
-      // Emitir logs en tiempo real si WebSocket está disponible
-      if (global.io && job.data.dbJobId) {
-        global.io.to(`job-${job.data.dbJobId}`).emit('job-log', {
-          jobId: job.data.dbJobId,
-          log: chunk,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      console.log(chunk);
-    });
+const runTerraformPlan = async (job) => {
+  const { workingDir, workspace, variables = {}, refresh = true } = job.data;
+  const tf = await createTerraformContext(job, workingDir, workspace);
 
-    process.stderr.on('data', (data) => {
-      const chunk = data.toString();
-      error += chunk;
-      console.error(chunk);
-    });
+  try {
+    const init = await tf.init();
+
+    const planArgs = [
+      'plan', '-input=false', '-no-color', `-out=${tf.scratchPath('plan.tfplan')}`,
+      ...await writeTerraformVars(tf, variables)
+    ];
+    if (!refresh) {
+      planArgs.push('-refresh=false');
+    }
+    const plan = await tf.run(planArgs);
+
+    // El plan binario y su representación JSON quedan como artefactos del job
+    const show = await tf.run(['show', '-json', '-no-color', tf.scratchPath('plan.tfplan')], { quiet: true });
+    const planFile = await fs.readFile(path.join(tf.scratchDir, 'plan.tfplan'));
+    const planArtifact = await saveArtifact(job.data.dbJobId, 'plan.tfplan', planFile);
+    await saveArtifact(job.data.dbJobId, 'plan.json', show.output, 'application/json');
+
+    const summary = summarizePlan(JSON.parse(show.output));
+
+    return {
+      output: init.output + plan.output,
+      plan: `Plan: ${summary.add} to add, ${summary.change} to change, ${summary.destroy} to destroy`,
+      summary,
+      planSha256: planArtifact.sha256,
+      exitCode: 0,
+      duration: Date.now() - job.processedOn
+    };
+  } finally {
+    await tf.cleanup();
+  }
+};
 
-    process.on('close', (code) => {
-      if (code === 0) {
-        resolve({ 
-          output, 
-          exitCode: code,
-          duration: Date.now() - job.processedOn
-        });
-      } else {
-        reject(new Error(`${command} falló con código ${code}:\n${error}`));
-      }
-    });
+const runTerraformApply = async (job) => {
+  const { workingDir, workspace, variables = {}, planJobId, planSha256, autoApprove } = job.data;
 
-    process.on('error', (err) => {
-      if (err.code === 'ENOENT') {
-        reject(new Error(`${command} no está instalado o no está en el PATH`));
-      } else {
-        reject(err);
+  if (!planJobId && !autoApprove) {
+    throw new Error('terraform apply requiere el planJobId de un plan revisado o autoApprove');
+  }
+
+  const tf = await createTerraformContext(job, workingDir, workspace);
+
+  try {
+    const init = await tf.init();
+
+    let applyArgs;
+    let appliedPlanSha256 = null;
+
+    if (planJobId) {
+      // Aplicar exactamente el plan revisado: mismo archivo y mismo hash
+      const artifact = await getArtifact(planJobId, 'plan.tfplan');
+      if (!artifact) {
+        throw new Error(`El job ${planJobId} no tiene un plan guardado`);
       }
-    });
-  });
+      if (planSha256 && artifact.sha256 !== planSha256) {
+        throw new Error(`El plan del job ${planJobId} no coincide con el plan revisado`);
+      }
+
+      await fs.writeFile(path.join(tf.scratchDir, 'plan.tfplan'), artifact.content);
+      appliedPlanSha256 = artifact.sha256;
+      applyArgs = ['apply', '-input=false', '-no-color', tf.scratchPath('plan.tfplan')];
+    } else {
+      applyArgs = [
+        'apply', '-input=false', '-no-color', '-auto-approve',
+        ...await writeTerraformVars(tf, variables)
+      ];
+    }
+
+    const apply = await tf.run(applyArgs);
+
+    const outputs = await tf.run(['output', '-json', '-no-color'], { quiet: true })
+      .then(result => JSON.parse(result.output || '{}'))
+      .catch(() => ({}));
+
+    const appliedLine = apply.output.split('\n').find(line => line.startsWith('Apply complete!'));
+
+    return {
+      output: init.output + apply.output,
+      applied: appliedLine ? appliedLine.replace(/\.$/, '') : null,
+      outputs,
+      planJobId: planJobId || null,
+      planSha256: appliedPlanSha256,
+      exitCode: 0,
+      duration: Date.now() - job.processedOn
+    };
+  } finally {
+    await tf.cleanup();
+  }
 };
 
-const runTerraformPlan = async (job) => {
-  const { workingDir, variables = {} } = job.data;
-  
-  // Simulación por ahora
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve({
-        output: 'Terraform plan ejecutado exitosamente (simulación)',
-        plan: 'Plan: 1 to add, 0 to change, 0 to destroy',
-        exitCode: 0
-      });
-    }, 3000);
-  });
+const writeTerraformVars = async (tf, variables) => {
+  if (Object.keys(variables).length === 0) {
+    return [];
+  }
+
+  await fs.writeFile(
+    path.join(tf.scratchDir, 'conductor.tfvars.json'),
+    JSON.stringify(variables, null, 2)
+  );
+  return [`-var-file=${tf.scratchPath('conductor.tfvars.json')}`];
 };
 
-const runTerraformApply = async (job) => {
-  const { workingDir, variables = {} } = job.data;
-  
-  // Simulación por ahora
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve({
-        output: 'Terraform apply ejecutado exitosamente (simulación)',
-        applied: 'Apply complete! Resources: 1 added, 0 changed, 0 destroyed',
-        exitCode: 0
-      });
-    }, 5000);
-  });
+const runTerraformDestroy = async (job) => {
+  const { workingDir, workspace, variables = {} } = job.data;
+  const tf = await createTerraformContext(job, workingDir, workspace);
+
+  try {
+    const init = await tf.init();
+    const varArgs = await writeTerraformVars(tf, variables);
+    const destroy = await tf.run(['destroy', '-input=false', '-no-color', '-auto-approve', ...varArgs]);
+
+    const destroyedLine = destroy.output.split('\n').find(line => line.startsWith('Destroy complete!'));
+
+    return {
+      output: init.output + destroy.output,
+      destroyed: destroyedLine ? destroyedLine.replace(/\.$/, '') : null,
+      workspace: tf.workspace,
+      exitCode: 0,
+      duration: Date.now() - job.processedOn
+    };
+  } finally {
+    await tf.cleanup();
+  }
+};
+
+const runTerraformInit = async (job) => {
+  const { workingDir, workspace, upgrade = false } = job.data;
+  const tf = await createTerraformContext(job, workingDir, workspace);
+
+  try {
+    const init = await tf.init(upgrade ? ['-upgrade'] : []);
+
+    return {
+      output: init.output,
+      workspace: tf.workspace,
+      exitCode: 0,
+      duration: Date.now() - job.processedOn
+    };
+  } finally {
+    await tf.cleanup();
+  }
+};
+
+const runTerraformState = async (job) => {
+  const { workingDir, workspace, operation, address, destination } = job.data;
+  const tf = await createTerraformContext(job, workingDir, workspace);
+
+  const argsByOperation = {
+    list: ['state', 'list'],
+    show: ['state', 'show', '-no-color', address],
+    mv: ['state', 'mv', address, destination],
+    rm: ['state', 'rm', address]
+  };
+
+  try {
+    const args = argsByOperation[operation];
+    if (!args) {
+      throw new Error(`Operación de state desconocida: ${operation}`);
+    }
+    if (operation !== 'list' && !isValidAddress(address)) {
+      throw new Error(`Dirección de recurso inválida: ${address}`);
+    }
+    if (operation === 'mv' && !isValidAddress(destination)) {
+      throw new Error(`Dirección de destino inválida: ${destination}`);
+    }
+
+    const init = await tf.init();
+    const state = await tf.run(args);
+
+    const result = {
+      output: init.output + state.output,
+      operation,
+      workspace: tf.workspace,
+      exitCode: 0,
+      duration: Date.now() - job.processedOn
+    };
+    if (operation === 'list') {
+      result.resources = state.output.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+    return result;
+  } finally {
+    await tf.cleanup();
+  }
+};
+
+const runTerraformWorkspace = async (job) => {
+  const { workingDir, action, workspace = 'default' } = job.data;
+  // Los comandos de workspace no deben ir con TF_WORKSPACE
+  const tf = await createTerraformContext(job, workingDir, workspace);
+
+  const argsByAction = {
+    list: ['workspace', 'list'],
+    select: ['workspace', 'select', '-no-color', workspace],
+    new: ['workspace', 'new', '-no-color', workspace]
+  };
+
+  try {
+    const args = argsByAction[action];
+    if (!args) {
+      throw new Error(`Acción de workspace desconocida: ${action}`);
+    }
+
+    const init = await tf.run(['init', '-input=false', '-no-color'], { workspace: false });
+    const command = await tf.run(args, { workspace: false });
+
+    const result = {
+      output: init.output + command.output,
+      action,
+      workspace,
+      exitCode: 0,
+      duration: Date.now() - job.processedOn
+    };
+    if (action === 'list') {
+      const lines = command.output.split('\n').filter(line => line.trim());
+      result.workspaces = lines.map(line => line.replace('*', '').trim());
+      const current = lines.find(line => line.trim().startsWith('*'));
+      result.current = current ? current.replace('*', '').trim() : null;
+    }
+    return result;
+  } finally {
+    await tf.cleanup();
+  }
 };
 
 // Event listeners
@@ -298,11 +790,27 @@ worker.on('error', (error) => {
   console.error('❌ Error en worker:', error);
 });
 
+// Cancelaciones pedidas por la API (POST /api/jobs/:id/cancel)
+let cancelSubscriber = null;
+worker.client.then(async (client) => {
+  cancelSubscriber = client.duplicate();
+  await cancelSubscriber.subscribe(CANCEL_CHANNEL);
+  cancelSubscriber.on('message', (channel, message) => {
+    const { jobId } = JSON.parse(message);
+    if (worker.cancelJob(jobId, 'cancelled')) {
+      console.log(`🛑 Cancelando job ${jobId}`);
+    }
+  });
+}).catch(err => console.error('❌ No se pudo suscribir a cancelaciones:', err.message));
+
 console.log('🔧 Worker iniciado y esperando jobs...');
 
 // Manejar cierre graceful
 process.on('SIGINT', async () => {
   console.log('\n🛑 Cerrando worker...');
+  if (cancelSubscriber) {
+    await cancelSubscriber.quit();
+  }
   await worker.close();
   process.exit(0);
 });
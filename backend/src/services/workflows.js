@@ -0,0 +1,673 @@
+// Workflows: un grafo (DAG) de nodos, cada uno un template de la biblioteca con sus cambios
+// de lanzamiento, unidos por aristas on success, failure o always. Cada ejecución es un job
+// de tipo workflow (el padre, que no pasa por la cola) y cada nodo que se ejecuta, un job hijo
+// con parent_job_id. Un nodo puede recibir como variables las salidas, artefactos o estado de
+// los nodos anteriores (inputs) y un template de Terraform puede aplicar el plan de un nodo
+// anterior (planFrom).
+const config = require('../config');
+const jobService = require('./jobService');
+const { buildJob, sealDefinition } = require('./jobDefinitions');
+const { getTemplate } = require('./templates');
+const { listArtifacts } = require('./artifacts');
+const { appendLog, finalizeLogs } = require('./jobLogs');
+const { onJobFinished, notifyJobFinished } = require('./jobLifecycle');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const { pool, ready } = config.demoMode ? {} : require('../models/database');
+
+const EDGE_TYPES = ['success', 'failure', 'always'];
+const MAX_NODES = 50;
+const NODE_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// Cambios de lanzamiento que admite un nodo (los de POST /api/templates/:id/launch)
+const NODE_OVERRIDES = [
+  'inventory', 'inventoryRevision', 'checkMode', 'workspace', 'operation', 'projectRef',
+  'variables', 'credentialIds', 'limits', 'answers', 'secretAnswers'
+];
+
+// Lo que una entrada puede leer de un nodo anterior: "<nodo>.<campo>[.<ruta>]"
+const INPUT_FIELDS = ['jobId', 'status', 'outputs', 'artifacts'];
+
+// Estados finales de un nodo que cuentan como fallo ('error': no se pudo lanzar su job;
+// 'rejected' y 'expired': su job no se aprobó)
+const FAILED_STATUSES = ['failed', 'timed_out', 'cancelled', 'rejected', 'expired', 'error'];
+
+// Cada cuánto se revisan las ejecuciones activas, por si se perdió el aviso de algún hijo
+const MONITOR_INTERVAL_MS = 60 * 1000;
+
+// En modo demo los workflows viven en memoria
+const memoryWorkflows = [];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toWorkflow = (row) => row && {
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  nodes: row.nodes,
+  edges: row.edges,
+  variables: row.variables || {},
+  created_by: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+// Nodos desde los que se llega a `nodeId` siguiendo las aristas
+const upstreamNodes = (nodeId, edges) => {
+  const found = new Set();
+  const pending = [nodeId];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    edges.filter(edge => edge.to === current && !found.has(edge.from)).forEach(edge => {
+      found.add(edge.from);
+      pending.push(edge.from);
+    });
+  }
+  return found;
+};
+
+const normalizeNode = async (node, index) => {
+  const where = `nodes[${index}]`;
+  if (!isPlainObject(node)) {
+    throw new ValidationError(`${where} debe ser un objeto { id, templateId, overrides, inputs, planFrom }`);
+  }
+  if (typeof node.id !== 'string' || !NODE_ID_PATTERN.test(node.id)) {
+    throw new ValidationError(`${where}.id debe tener de 1 a 50 letras, números, - o _`);
+  }
+  const template = await getTemplate(parseInt(node.templateId, 10) || 0);
+  if (!template) {
+    throw new ValidationError(`Nodo ${node.id}: el template ${node.templateId} no existe`);
+  }
+
+  const overrides = node.overrides === undefined || node.overrides === null ? {} : node.overrides;
+  if (!isPlainObject(overrides)) {
+    throw new ValidationError(`Nodo ${node.id}: overrides debe ser un objeto`);
+  }
+  const unknown = Object.keys(overrides).filter(key => !NODE_OVERRIDES.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Nodo ${node.id}: overrides no admite ${unknown.join(', ')} (sí: ${NODE_OVERRIDES.join(', ')})`);
+  }
+
+  const inputs = node.inputs === undefined || node.inputs === null ? {} : node.inputs;
+  if (!isPlainObject(inputs) || Object.values(inputs).some(source => typeof source !== 'string')) {
+    throw new ValidationError(`Nodo ${node.id}: inputs debe ser un objeto { variable: "<nodo>.<campo>" }`);
+  }
+
+  const planFrom = node.planFrom || null;
+  if (planFrom && template.kind !== 'terraform') {
+    throw new ValidationError(`Nodo ${node.id}: planFrom solo se admite con templates de Terraform`);
+  }
+
+  // Las respuestas password de la encuesta se guardan cifradas, como en las programaciones
+  const { params } = await sealDefinition({ type: 'template', params: { ...overrides, templateId: template.id } });
+  delete params.templateId;
+
+  return { id: node.id, templateId: template.id, overrides: params, inputs, planFrom };
+};
+
+const normalizeEdges = (edges, nodeIds) => {
+  if (edges === undefined || edges === null) {
+    return [];
+  }
+  if (!Array.isArray(edges)) {
+    throw new ValidationError('edges debe ser una lista de { from, to, on }');
+  }
+
+  const seen = new Set();
+  return edges.map((edge, index) => {
+    const where = `edges[${index}]`;
+    if (!isPlainObject(edge)) {
+      throw new ValidationError(`${where} debe ser un objeto { from, to, on }`);
+    }
+    const on = edge.on === undefined ? 'success' : edge.on;
+    if (!EDGE_TYPES.includes(on)) {
+      throw new ValidationError(`${where}.on debe ser uno de: ${EDGE_TYPES.join(', ')}`);
+    }
+    if (!nodeIds.includes(edge.from) || !nodeIds.includes(edge.to)) {
+      throw new ValidationError(`${where} une nodos que no existen: ${edge.from} -> ${edge.to}`);
+    }
+    if (edge.from === edge.to) {
+      throw new ValidationError(`${where} une el nodo ${edge.from} consigo mismo`);
+    }
+    const key = `${edge.from}\0${edge.to}`;
+    if (seen.has(key)) {
+      throw new ValidationError(`${where} repite la arista ${edge.from} -> ${edge.to}`);
+    }
+    seen.add(key);
+    return { from: edge.from, to: edge.to, on };
+  });
+};
+
+// Orden topológico (Kahn): si quedan nodos sin ordenar, forman un ciclo
+const assertAcyclic = (nodeIds, edges) => {
+  const incoming = new Map(nodeIds.map(id => [id, 0]));
+  edges.forEach(edge => incoming.set(edge.to, incoming.get(edge.to) + 1));
+  const pending = nodeIds.filter(id => incoming.get(id) === 0);
+  let sorted = 0;
+  while (pending.length > 0) {
+    const current = pending.pop();
+    sorted++;
+    edges.filter(edge => edge.from === current).forEach(edge => {
+      incoming.set(edge.to, incoming.get(edge.to) - 1);
+      if (incoming.get(edge.to) === 0) {
+        pending.push(edge.to);
+      }
+    });
+  }
+  if (sorted < nodeIds.length) {
+    const cycle = nodeIds.filter(id => incoming.get(id) > 0);
+    throw new ValidationError(`Los nodos ${cycle.join(', ')} forman un ciclo`);
+  }
+};
+
+// { name, description, nodes, edges, variables } -> definición validada
+const normalizeWorkflow = async (input) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new ValidationError('Falta el nombre del workflow');
+  }
+  if (!Array.isArray(input.nodes) || input.nodes.length === 0) {
+    throw new ValidationError('nodes debe ser una lista con al menos un nodo');
+  }
+  if (input.nodes.length > MAX_NODES) {
+    throw new ValidationError(`Un workflow admite como máximo ${MAX_NODES} nodos`);
+  }
+  const variables = input.variables === undefined || input.variables === null ? {} : input.variables;
+  if (!isPlainObject(variables)) {
+    throw new ValidationError('variables debe ser un objeto');
+  }
+
+  const nodes = [];
+  for (const [index, node] of input.nodes.entries()) {
+    const normalized = await normalizeNode(node, index);
+    if (nodes.some(existing => existing.id === normalized.id)) {
+      throw new ValidationError(`El nodo ${normalized.id} está repetido`);
+    }
+    nodes.push(normalized);
+  }
+  const nodeIds = nodes.map(node => node.id);
+  const edges = normalizeEdges(input.edges, nodeIds);
+  assertAcyclic(nodeIds, edges);
+
+  // Las entradas y el plan solo pueden venir de nodos que terminan antes
+  nodes.forEach(node => {
+    const upstream = upstreamNodes(node.id, edges);
+    Object.entries(node.inputs).forEach(([variable, source]) => {
+      const [from, field] = source.split('.');
+      if (!upstream.has(from)) {
+        throw new ValidationError(`Nodo ${node.id}: la entrada ${variable} lee "${from}", que no es un nodo anterior`);
+      }
+      if (!INPUT_FIELDS.includes(field)) {
+        throw new ValidationError(`Nodo ${node.id}: la entrada ${variable} debe leer ${INPUT_FIELDS.map(f => `${from}.${f}`).join(', ')}`);
+      }
+    });
+    if (node.planFrom && !upstream.has(node.planFrom)) {
+      throw new ValidationError(`Nodo ${node.id}: planFrom "${node.planFrom}" no es un nodo anterior`);
+    }
+  });
+
+  return {
+    name,
+    description: input.description ? String(input.description) : null,
+    nodes,
+    edges,
+    variables
+  };
+};
+
+const listWorkflows = async () => {
+  if (!pool) {
+    return memoryWorkflows.map(toWorkflow);
+  }
+  const { rows } = await pool.query('SELECT * FROM workflows ORDER BY name');
+  return rows.map(toWorkflow);
+};
+
+const getWorkflow = async (id) => {
+  if (!pool) {
+    return toWorkflow(memoryWorkflows.find(row => row.id === id));
+  }
+  const { rows } = await pool.query('SELECT * FROM workflows WHERE id = $1', [id]);
+  return toWorkflow(rows[0]);
+};
+
+// Nombres de los workflows con algún nodo del template (no se puede borrar mientras tanto)
+const workflowsUsingTemplate = async (templateId) => (await listWorkflows())
+  .filter(workflow => workflow.nodes.some(node => node.templateId === templateId))
+  .map(workflow => workflow.name);
+
+const conflict = (name) => new ConflictError(`Ya existe un workflow llamado "${name}"`);
+
+const createWorkflow = async (input, userId = null) => {
+  const workflow = await normalizeWorkflow(input);
+
+  if (!pool) {
+    if (memoryWorkflows.some(row => row.name === workflow.name)) {
+      throw conflict(workflow.name);
+    }
+    const now = new Date().toISOString();
+    const row = {
+      ...workflow,
+      id: memoryWorkflows.reduce((max, w) => Math.max(max, w.id), 0) + 1,
+      created_by: userId,
+      created_at: now,
+      updated_at: now
+    };
+    memoryWorkflows.push(row);
+    return toWorkflow(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO workflows (name, description, nodes, edges, variables, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        workflow.name, workflow.description, JSON.stringify(workflow.nodes),
+        JSON.stringify(workflow.edges), JSON.stringify(workflow.variables), userId
+      ]
+    );
+    return toWorkflow(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw conflict(workflow.name);
+    }
+    throw error;
+  }
+};
+
+// Las ejecuciones ya lanzadas conservan la definición con la que empezaron
+const replaceWorkflow = async (id, input) => {
+  const workflow = await normalizeWorkflow(input);
+
+  if (!pool) {
+    const row = memoryWorkflows.find(existing => existing.id === id);
+    if (!row) {
+      throw new NotFoundError('Workflow no encontrado');
+    }
+    if (memoryWorkflows.some(existing => existing.id !== id && existing.name === workflow.name)) {
+      throw conflict(workflow.name);
+    }
+    Object.assign(row, workflow, { updated_at: new Date().toISOString() });
+    return toWorkflow(row);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE workflows SET name = $1, description = $2, nodes = $3, edges = $4, variables = $5,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 RETURNING *`,
+      [
+        workflow.name, workflow.description, JSON.stringify(workflow.nodes),
+        JSON.stringify(workflow.edges), JSON.stringify(workflow.variables), id
+      ]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError('Workflow no encontrado');
+    }
+    return toWorkflow(rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw conflict(workflow.name);
+    }
+    throw error;
+  }
+};
+
+const deleteWorkflow = async (id) => {
+  if (!pool) {
+    const index = memoryWorkflows.findIndex(row => row.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Workflow no encontrado');
+    }
+    memoryWorkflows.splice(index, 1);
+    return;
+  }
+
+  const { rowCount } = await pool.query('DELETE FROM workflows WHERE id = $1', [id]);
+  if (rowCount === 0) {
+    throw new NotFoundError('Workflow no encontrado');
+  }
+};
+
+// Cada ejecución avanza de una en una: los avisos de dos hijos que terminan a la vez
+// no lanzan dos veces el mismo nodo
+const locks = new Map();
+
+const withRunLock = (runId, fn) => {
+  const run = (locks.get(runId) || Promise.resolve()).catch(() => {}).then(fn);
+  locks.set(runId, run);
+  run.catch(() => {}).then(() => {
+    if (locks.get(runId) === run) {
+      locks.delete(runId);
+    }
+  });
+  return run;
+};
+
+const isFinished = (state) => state.status === 'completed' || state.status === 'skipped' ||
+  FAILED_STATUSES.includes(state.status);
+
+// Una arista se sigue si su nodo de origen terminó como indica (uno saltado no sigue ninguna)
+const edgeFires = (edge, states) => {
+  const { status } = states[edge.from];
+  if (status === 'skipped' || !isFinished(states[edge.from])) {
+    return false;
+  }
+  return edge.on === 'always' ||
+    (edge.on === 'success' ? status === 'completed' : FAILED_STATUSES.includes(status));
+};
+
+// Estado de cada nodo: el de su job hijo o, si no tiene, el guardado en el padre (saltado
+// o no se pudo lanzar) o pending. { nodo: { status, jobId, error } }
+const nodeStates = (run, children) => {
+  const saved = (run.result && run.result.nodes) || {};
+  return Object.fromEntries(run.payload.nodes.map(node => {
+    const child = children.find(job => job.workflow_node === node.id);
+    if (child) {
+      return [node.id, { status: child.status, jobId: child.id, error: null }];
+    }
+    const state = saved[node.id];
+    return [node.id, state && ['skipped', 'error'].includes(state.status)
+      ? state
+      : { status: 'pending', jobId: null, error: null }];
+  }));
+};
+
+// Salidas de un job para los nodos siguientes: los outputs de un apply (sin los sensitive),
+// el resumen de un plan y los datos de set_stats de un playbook
+const jobOutputs = (job) => {
+  const result = job.result || {};
+  if (job.type === 'terraform-apply') {
+    return Object.fromEntries(Object.entries(result.outputs || {})
+      .filter(([, output]) => !output.sensitive)
+      .map(([name, output]) => [name, output.value]));
+  }
+  if (job.type === 'terraform-plan') {
+    return { ...(result.summary || {}), planSha256: result.planSha256 || null };
+  }
+  return result.outputs || {};
+};
+
+const nodeContext = async (jobId) => {
+  const job = await jobService.getJob(jobId);
+  const artifacts = await listArtifacts(job.id);
+  return {
+    jobId: job.id,
+    status: job.status,
+    outputs: jobOutputs(job),
+    artifacts: Object.fromEntries(artifacts.map(artifact => [artifact.name, {
+      sha256: artifact.sha256,
+      size: artifact.size,
+      url: `/api/jobs/${job.id}/artifacts/${encodeURIComponent(artifact.name)}`
+    }]))
+  };
+};
+
+// Variables de las entradas del nodo: "plan.outputs.add", "apply.outputs.instance_ip",
+// "plan.artifacts.plan.json.url"... (los nombres de artefacto pueden llevar puntos)
+const resolveInputs = async (node, states) => {
+  const contexts = {};
+  const values = {};
+  for (const [variable, source] of Object.entries(node.inputs || {})) {
+    const [from, field, ...rest] = source.split('.');
+    if (!states[from] || !states[from].jobId) {
+      throw new ValidationError(`La entrada ${variable} lee el nodo ${from}, que no se ejecutó`);
+    }
+    contexts[from] = contexts[from] || await nodeContext(states[from].jobId);
+
+    let value = contexts[from][field];
+    let path = rest;
+    while (path.length > 0 && value !== null && value !== undefined) {
+      // El nombre más largo que exista: "plan.json" antes que "plan"
+      const length = path.findLastIndex((_, index) => path.slice(0, index + 1).join('.') in Object(value)) + 1;
+      if (length === 0) {
+        value = undefined;
+        break;
+      }
+      value = value[path.slice(0, length).join('.')];
+      path = path.slice(length);
+    }
+    if (value === undefined) {
+      throw new ValidationError(`La entrada ${variable} (${source}) no tiene valor`);
+    }
+    values[variable] = value;
+  }
+  return values;
+};
+
+// Lanza el job hijo de un nodo; si no se puede (template borrado, entrada sin valor, sin
+// permiso...) el nodo queda en error, que cuenta como fallo
+const launchNode = async (run, node, states) => {
+  try {
+    const overrides = node.overrides || {};
+    const params = {
+      ...overrides,
+      templateId: node.templateId,
+      variables: { ...run.payload.variables, ...(overrides.variables || {}), ...await resolveInputs(node, states) }
+    };
+    if (node.planFrom) {
+      params.planJobId = states[node.planFrom].jobId;
+    }
+
+    const job = await jobService.submitJob({
+      ...(await buildJob({ type: 'template', params })),
+      userId: run.user_id,
+      parentJobId: run.id,
+      workflowNode: node.id
+    });
+    appendLog(run.id, 'system', `[workflow] ${node.id}: job ${job.id} "${job.name}"\n`);
+    return { status: job.status, jobId: job.id, error: null };
+  } catch (error) {
+    appendLog(run.id, 'system', `[workflow] ${node.id}: no se pudo lanzar: ${error.message}\n`);
+    return { status: 'error', jobId: null, error: error.message };
+  }
+};
+
+const emit = (event, data) => {
+  if (global.io) {
+    global.io.emit(event, data);
+  }
+};
+
+// Lanza los nodos que ya se pueden decidir y, cuando no queda ninguno activo, termina la
+// ejecución: failed si algún nodo falló sin una arista failure o always que lo recoja
+const advanceRun = (runId) => withRunLock(runId, async () => {
+  const run = await jobService.getJob(runId);
+  if (!run || run.type !== 'workflow' || !jobService.isActive(run)) {
+    return;
+  }
+
+  const { nodes, edges } = run.payload;
+  const states = nodeStates(run, await jobService.listChildJobs(run.id));
+  const cancelling = run.status === 'cancelling';
+
+  // Un nodo se decide cuando terminaron todos sus anteriores: se lanza si se cumple alguna
+  // arista de entrada y se salta si ninguna. Los nodos sin entradas se lanzan al empezar.
+  let decided = true;
+  while (decided) {
+    decided = false;
+    for (const node of nodes) {
+      const incoming = edges.filter(edge => edge.to === node.id);
+      if (states[node.id].status !== 'pending' || !incoming.every(edge => isFinished(states[edge.from]))) {
+        continue;
+      }
+      decided = true;
+      if (cancelling || (incoming.length > 0 && !incoming.some(edge => edgeFires(edge, states)))) {
+        states[node.id] = { status: 'skipped', jobId: null, error: null };
+        appendLog(run.id, 'system', `[workflow] ${node.id}: saltado\n`);
+      } else {
+        states[node.id] = await launchNode(run, node, states);
+      }
+    }
+  }
+
+  if (Object.values(states).some(state => !isFinished(state))) {
+    await jobService.updateJob(run.id, { status: run.status, result: { nodes: states } });
+    emit('job-update', { jobId: run.id, status: run.status });
+    return;
+  }
+
+  const unhandled = nodes.filter(node => FAILED_STATUSES.includes(states[node.id].status) &&
+    !edges.some(edge => edge.from === node.id && edgeFires(edge, states)));
+  const status = cancelling ? 'cancelled' : unhandled.length > 0 ? 'failed' : 'completed';
+  const result = { nodes: states };
+  if (status === 'failed') {
+    result.error = `Nodos fallidos: ${unhandled.map(node => node.id).join(', ')}`;
+  }
+
+  await jobService.updateJob(run.id, { status, result });
+  appendLog(run.id, 'system', `[workflow] Terminado: ${status}${result.error ? ` (${result.error})` : ''}\n`);
+  await finalizeLogs(run.id);
+
+  if (status === 'completed') {
+    emit('job-completed', { jobId: run.id, name: run.name, status, result });
+  } else if (status === 'failed') {
+    emit('job-failed', { jobId: run.id, name: run.name, error: result.error });
+  } else {
+    emit('job-cancelled', { jobId: run.id, name: run.name });
+  }
+  notifyJobFinished(run.id, status);
+});
+
+// Crea la ejecución (job padre) con la definición actual y lanza los nodos iniciales.
+// variables se pasan a todos los nodos, por debajo de las de cada nodo y sus entradas.
+const launchWorkflow = async (id, { variables = {} } = {}, userId = null) => {
+  const workflow = await getWorkflow(id);
+  if (!workflow) {
+    throw new NotFoundError('Workflow no encontrado');
+  }
+  if (!isPlainObject(variables)) {
+    throw new ValidationError('variables debe ser un objeto');
+  }
+
+  const run = await jobService.createParentJob({
+    name: workflow.name,
+    type: 'workflow',
+    payload: {
+      workflowId: workflow.id,
+      nodes: workflow.nodes,
+      edges: workflow.edges,
+      variables: { ...workflow.variables, ...variables }
+    },
+    userId
+  });
+  appendLog(run.id, 'system', `Iniciando workflow "${workflow.name}" (${workflow.nodes.length} nodos)\n`);
+  emit('job-update', { jobId: run.id, status: run.status });
+
+  await advanceRun(run.id);
+  return jobService.getJob(run.id);
+};
+
+// No lanza más nodos y cancela los hijos activos; la ejecución queda cancelled cuando
+// terminan. Devuelve { outcome, job } como jobService.cancelJob
+const cancelRun = async (runId) => {
+  const run = await jobService.getJob(runId);
+  if (!run) {
+    return { outcome: 'not_found', job: null };
+  }
+  if (!jobService.isActive(run)) {
+    return { outcome: 'finished', job: run };
+  }
+
+  await withRunLock(run.id, async () => {
+    const current = await jobService.getJob(run.id);
+    await jobService.updateJob(run.id, { status: 'cancelling', result: current.result });
+  });
+  appendLog(run.id, 'system', '[workflow] Cancelando por petición del usuario...\n');
+
+  for (const child of await jobService.listChildJobs(run.id)) {
+    if (jobService.isActive(child)) {
+      await jobService.cancelJob(child.id);
+    }
+  }
+  await advanceRun(run.id);
+
+  const job = await jobService.getJob(run.id);
+  return { outcome: jobService.isActive(job) ? 'cancelling' : 'cancelled', job };
+};
+
+// Grafo de una ejecución para la vista de jobs: nodos con su template y estado, y aristas
+const getRunGraph = async (runId) => {
+  const run = await jobService.getJob(runId);
+  if (!run || run.type !== 'workflow') {
+    throw new NotFoundError('Ejecución de workflow no encontrada');
+  }
+
+  const states = nodeStates(run, await jobService.listChildJobs(run.id));
+  const nodes = [];
+  for (const node of run.payload.nodes) {
+    const template = await getTemplate(node.templateId);
+    nodes.push({
+      id: node.id,
+      templateId: node.templateId,
+      templateName: template ? template.name : null,
+      kind: template ? template.kind : null,
+      planFrom: node.planFrom,
+      inputs: node.inputs,
+      ...states[node.id]
+    });
+  }
+
+  return {
+    jobId: run.id,
+    workflowId: run.payload.workflowId,
+    name: run.name,
+    status: run.status,
+    finished: !jobService.isActive(run),
+    nodes,
+    edges: run.payload.edges
+  };
+};
+
+const listActiveRuns = async () => {
+  if (!pool) {
+    return (await jobService.listJobs()).filter(job => job.type === 'workflow' && jobService.isActive(job));
+  }
+  const { rows } = await pool.query(
+    "SELECT id FROM jobs WHERE type = 'workflow' AND status IN ('running', 'cancelling') ORDER BY id"
+  );
+  return rows;
+};
+
+const resumeActiveRuns = async () => {
+  for (const run of await listActiveRuns()) {
+    await advanceRun(run.id).catch(error => {
+      console.error(`❌ Error avanzando el workflow ${run.id}:`, error.message);
+    });
+  }
+};
+
+let monitorTimer = null;
+
+// Avanza cada ejecución cuando termina uno de sus hijos, y al arrancar y cada minuto
+// revisa las activas (recupera lo que terminó con el servidor parado)
+const startWorkflowEngine = () => {
+  if (monitorTimer) {
+    return;
+  }
+  onJobFinished(({ jobId }) => {
+    jobService.getJob(jobId)
+      .then(job => job && job.parent_job_id && advanceRun(job.parent_job_id))
+      .catch(error => console.error(`❌ Error avanzando el workflow del job ${jobId}:`, error.message));
+  });
+
+  const tick = () => resumeActiveRuns().catch(error => {
+    console.error('❌ Error revisando los workflows en ejecución:', error.message);
+  });
+  (ready || Promise.resolve()).then(tick);
+  monitorTimer = setInterval(tick, MONITOR_INTERVAL_MS);
+};
+
+module.exports = {
+  EDGE_TYPES,
+  listWorkflows,
+  getWorkflow,
+  createWorkflow,
+  replaceWorkflow,
+  deleteWorkflow,
+  workflowsUsingTemplate,
+  launchWorkflow,
+  cancelRun,
+  getRunGraph,
+  startWorkflowEngine
+};
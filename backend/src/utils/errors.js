@@ -0,0 +1,42 @@
+// Errores con código HTTP asociado, para que las rutas respondan con el status adecuado
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+  }
+}
+
+class AuthenticationError extends Error {
+  constructor(message = 'No autenticado') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = 401;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message = 'No tienes permiso para esta operación') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+  }
+}
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.status = 404;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+module.exports = { ValidationError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError };
@@ -4,7 +4,12 @@ class ConductorApp {
         this.socket = null;
         this.jobs = [];
         this.inventories = [];
+        this.hosts = [];
         this.templates = [];
+        this.projects = [];
+        this.ansibleWorkspaces = [];
+        this.workflows = [];
+        this.approvalPolicies = [];
         this.schedules = [];
         this.logs = [];
         this.currentSection = 'dashboard';
@@ -17,6 +22,14 @@ class ConductorApp {
 
     // Inicialización principal
     init() {
+        api.onSessionExpired = () => this.handleSessionExpired();
+
+        // Sin sesión se muestra el login; init() se vuelve a llamar al autenticarse
+        if (!api.hasSession()) {
+            this.showLoginScreen();
+            return;
+        }
+
         try {
             console.log('🚀 Inicializando Conductor App...');
             
@@ -32,6 +45,9 @@ class ConductorApp {
             
             // Cargar sección inicial desde URL
             this.loadInitialSection();
+            this.showCurrentUser();
+            this.loadPermissions();
+            this.initialized = true;
             
             console.log('✅ Conductor App inicializada correctamente');
             
@@ -41,6 +57,170 @@ class ConductorApp {
         }
     }
 
+    // Sesión
+    showLoginScreen() {
+        const loginScreen = document.getElementById('login-screen');
+        const loginForm = document.getElementById('login-form');
+        if (!loginScreen || !loginForm) return;
+
+        if (!this.eventHandlers.has(loginForm)) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.login();
+            };
+            loginForm.addEventListener('submit', handler);
+            this.eventHandlers.set(loginForm, handler);
+        }
+
+        loginScreen.style.display = 'flex';
+        document.getElementById('login-username').focus();
+    }
+
+    async login() {
+        const username = document.getElementById('login-username').value.trim();
+        const password = document.getElementById('login-password').value;
+        const errorBox = document.getElementById('login-error');
+
+        try {
+            await api.login(username, password);
+        } catch (error) {
+            errorBox.textContent = error.message;
+            return;
+        }
+
+        errorBox.textContent = '';
+        document.getElementById('login-password').value = '';
+        document.getElementById('login-screen').style.display = 'none';
+
+        if (this.initialized) {
+            // Sesión renovada tras caducar: reconectar y recargar la sección actual
+            this.showCurrentUser();
+            this.loadPermissions();
+            if (this.socket) {
+                this.socket.connect();
+            }
+            this.loadSectionData(this.currentSection);
+        } else {
+            this.init();
+        }
+    }
+
+    async logout() {
+        await api.logout();
+        this.handleSessionExpired();
+    }
+
+    handleSessionExpired() {
+        if (this.socket) {
+            this.socket.disconnect();
+        }
+        this.showLoginScreen();
+    }
+
+    showCurrentUser() {
+        const userName = document.querySelector('.user-name');
+        if (userName && api.user) {
+            userName.textContent = api.user.username;
+        }
+    }
+
+    // Permisos: capacidades del rol y permisos por inventario/workspace (/api/auth/me)
+    async loadPermissions() {
+        try {
+            const me = await api.get('/auth/me');
+            this.currentRole = me.role;
+            this.permissions = me.permissions;
+        } catch (error) {
+            console.warn('No se pudieron cargar los permisos:', error);
+            this.permissions = { capabilities: [], grants: [] };
+        }
+        this.applyPermissions();
+    }
+
+    hasCapability(capability) {
+        return Boolean(this.permissions && this.permissions.capabilities.includes(capability));
+    }
+
+    // Ámbito y acción que exige cada tipo de job (igual que JOB_SCOPES en el backend)
+    getJobScope(type, payload = {}) {
+        const workspace = payload.workspace || 'default';
+        const scopes = {
+            'ansible-playbook': { scopeType: 'inventory', action: 'run', target: payload.inventoryId ? String(payload.inventoryId) : '*' },
+            'terraform-plan': { scopeType: 'workspace', action: 'plan', target: workspace },
+            'terraform-apply': { scopeType: 'workspace', action: 'apply', target: workspace },
+            'terraform-destroy': { scopeType: 'workspace', action: 'destroy', target: workspace },
+            'terraform-init': { scopeType: 'workspace', action: 'manage', target: workspace },
+            'terraform-state': { scopeType: 'workspace', action: 'manage', target: workspace },
+            'terraform-workspace': { scopeType: 'workspace', action: 'manage', target: workspace }
+        };
+        return scopes[type] || null;
+    }
+
+    canRunJob(type, payload = {}) {
+        if (!this.hasCapability('jobs:run')) return false;
+        if (this.currentRole === 'admin') return true;
+
+        const scope = this.getJobScope(type, payload);
+        if (!scope) return true;
+
+        return this.hasGrant(scope.scopeType, scope.target, scope.action);
+    }
+
+    hasGrant(scopeType, target, action) {
+        return this.permissions.grants.some(grant =>
+            grant.scope_type === scopeType &&
+            (grant.scope === '*' || grant.scope === target) &&
+            grant.actions.includes(action)
+        );
+    }
+
+    // Cambiar un inventario guardado exige además el permiso manage sobre él; crear uno (sin id), sobre "*"
+    canManageInventory(id = null) {
+        if (!this.hasCapability('inventories:write')) return false;
+        if (this.currentRole === 'admin') return true;
+        return this.hasGrant('inventory', id ? String(id) : '*', 'manage');
+    }
+
+    // Ocultar las acciones que el usuario no puede realizar
+    applyPermissions() {
+        document.querySelectorAll('[data-capability]').forEach(element => {
+            const capability = element.dataset.capability;
+            // Crear o importar inventarios también exige manage sobre "*"
+            const allowed = capability === 'inventories:write' ? this.canManageInventory() : this.hasCapability(capability);
+            element.style.display = allowed ? '' : 'none';
+        });
+        this.updateJobActions();
+        this.renderJobsList();
+    }
+
+    // Botones de ejecución según el inventario o workspace seleccionado
+    updateJobActions() {
+        if (!this.permissions) return;
+
+        const workspaceSelect = document.getElementById('terraform-workspace');
+        const payloads = {
+            inventory: { inventoryId: this.getSelectedInventoryId() },
+            workspace: { workspace: workspaceSelect ? workspaceSelect.value : 'default' }
+        };
+
+        document.querySelectorAll('[data-job-type]').forEach(element => {
+            const type = element.dataset.jobType;
+            const scope = this.getJobScope(type);
+            const payload = scope ? payloads[scope.scopeType] : {};
+            element.style.display = this.canRunJob(type, payload) ? '' : 'none';
+        });
+    }
+
+    // Id del inventario guardado seleccionado, o null si se usa uno escrito a mano
+    getSelectedInventoryId() {
+        const select = document.getElementById('inventory-select');
+        const content = document.getElementById('inventory-content');
+        if (!select || (content && content.style.display !== 'none')) return null;
+
+        const inventory = this.inventories.find(inv => String(inv.id) === select.value);
+        return inventory ? inventory.id : null;
+    }
+
     // Cargar sección inicial desde URL
     loadInitialSection() {
         const urlParams = new URLSearchParams(window.location.search);
@@ -53,6 +233,8 @@ class ConductorApp {
         try {
             if (typeof io !== 'undefined') {
                 this.socket = io({
+                    // Se evalúa en cada intento de conexión, así usa siempre el token vigente
+                    auth: (cb) => cb({ token: api.accessToken }),
                     transports: ['websocket', 'polling'],
                     upgrade: true,
                     rememberUpgrade: true,
@@ -93,6 +275,15 @@ class ConductorApp {
 
         this.socket.on('connect_error', (error) => {
             console.error('Error de conexión:', error);
+
+            // Rechazo del handshake por token: renovar la sesión y reconectar
+            if (error.message === 'Token expirado' || error.message === 'Token inválido') {
+                api.refreshSession()
+                    .then(() => this.socket.connect())
+                    .catch(() => api.expireSession());
+                return;
+            }
+
             this.attemptReconnect();
         });
 
@@ -104,14 +295,75 @@ class ConductorApp {
         this.socket.on('job-completed', (data) => {
             console.log('🎉 Job completado:', data);
             this.showToast(`Job ${data.name} completado`, 'success');
-            this.refreshJobs();
+            // El evento no trae el resultado; la lista de workspaces se lee del job
+            this.refreshJobs().then(() => {
+                const job = this.jobs.find(j => j.id === data.jobId);
+                if (job && job.result && job.result.workspaces) {
+                    this.updateWorkspaceSelect(job.result.workspaces);
+                }
+            });
             this.updateDashboardStats();
+            this.reloadJobEvents(data.jobId);
+            this.reloadWorkflowGraph(data.jobId);
         });
 
         this.socket.on('job-failed', (data) => {
             console.log('❌ Job falló:', data);
             this.showToast(`Job ${data.name} falló`, 'error');
             this.refreshJobs();
+            this.reloadJobEvents(data.jobId);
+            this.reloadWorkflowGraph(data.jobId);
+        });
+
+        this.socket.on('job-cancelled', (data) => {
+            console.log('🛑 Job cancelado:', data);
+            this.showToast(`Job ${data.name} cancelado`, 'warning');
+            this.refreshJobs();
+            this.reloadWorkflowGraph(data.jobId);
+        });
+
+        this.socket.on('job-timed-out', (data) => {
+            console.log('⏱️ Job sin tiempo:', data);
+            this.showToast(`Job ${data.name} superó su timeout (${data.timeoutMinutes} min)`, 'error');
+            this.refreshJobs();
+        });
+
+        this.socket.on('job-awaiting-approval', (data) => {
+            this.showToast(`Job ${data.name} espera aprobación (política "${data.policyName}")`, 'warning');
+            this.refreshJobs();
+        });
+
+        this.socket.on('job-approval', (data) => {
+            if (data.status === 'queued') {
+                this.showToast(`Job ${data.name} aprobado`, 'success');
+            } else if (data.status === 'rejected') {
+                this.showToast(`Job ${data.name} rechazado`, 'error');
+            } else if (data.status === 'expired') {
+                this.showToast(`La aprobación del job ${data.name} caducó`, 'warning');
+            }
+            this.refreshJobs().then(() => this.reloadJobApproval(data.jobId));
+        });
+
+        this.socket.on('hosts-updated', () => {
+            if (this.currentSection === 'hosts') {
+                this.loadHosts();
+            }
+        });
+
+        this.socket.on('inventory-synced', (data) => {
+            if (data.status === 'failed') {
+                this.showToast(`Error sincronizando "${data.name}": ${data.error}`, 'error');
+            }
+            this.loadInventories();
+        });
+
+        this.socket.on('schedule-run', (data) => {
+            if (data.status === 'failed') {
+                this.showToast(`La programación "${data.name}" no pudo lanzarse: ${data.reason}`, 'error');
+            }
+            if (this.currentSection === 'schedules') {
+                this.loadSchedules();
+            }
         });
 
         this.socket.on('job-log', (data) => {
@@ -257,7 +509,9 @@ class ConductorApp {
             ansible: 'Ansible',
             terraform: 'Terraform', 
             inventories: 'Inventarios',
+            hosts: 'Hosts',
             templates: 'Templates',
+            projects: 'Proyectos',
             schedules: 'Programación',
             logs: 'Logs',
             settings: 'Configuración'
@@ -306,6 +560,153 @@ class ConductorApp {
         this.setupTerraformFormListener();
         this.setupInventoryFormListener();
         this.setupSettingsFormListener();
+        this.setupScheduleFormListener();
+        this.setupTemplateFormListener();
+        this.setupProjectFormListener();
+        this.setupWorkflowFormListener();
+    }
+
+    setupTemplateFormListener() {
+        const templateForm = document.getElementById('template-form');
+        if (templateForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.saveTemplate();
+            };
+            templateForm.addEventListener('submit', handler);
+            this.eventHandlers.set(templateForm, handler);
+        }
+
+        const kindSelect = document.getElementById('template-kind');
+        if (kindSelect) {
+            const handler = () => this.toggleTemplateKind(kindSelect.value);
+            kindSelect.addEventListener('change', handler);
+            this.eventHandlers.set(kindSelect, handler);
+        }
+
+        const launchForm = document.getElementById('template-launch-form');
+        if (launchForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.submitTemplateLaunch();
+            };
+            launchForm.addEventListener('submit', handler);
+            this.eventHandlers.set(launchForm, handler);
+        }
+
+        const webhookForm = document.getElementById('webhook-form');
+        if (webhookForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.saveWebhook();
+            };
+            webhookForm.addEventListener('submit', handler);
+            this.eventHandlers.set(webhookForm, handler);
+        }
+
+        const importForm = document.getElementById('template-import-form');
+        if (importForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.importTemplates();
+            };
+            importForm.addEventListener('submit', handler);
+            this.eventHandlers.set(importForm, handler);
+        }
+
+        const importFile = document.getElementById('template-import-file');
+        if (importFile) {
+            const handler = () => this.readTemplateImportFile(importFile.files[0]);
+            importFile.addEventListener('change', handler);
+            this.eventHandlers.set(importFile, handler);
+        }
+    }
+
+    setupProjectFormListener() {
+        const projectForm = document.getElementById('project-form');
+        if (projectForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.saveProject();
+            };
+            projectForm.addEventListener('submit', handler);
+            this.eventHandlers.set(projectForm, handler);
+        }
+
+        // En el modal de templates: el proyecto elegido y su ref deciden los playbooks o directorios
+        const projectSelect = document.getElementById('template-project');
+        if (projectSelect) {
+            const handler = () => this.toggleTemplateSource();
+            projectSelect.addEventListener('change', handler);
+            this.eventHandlers.set(projectSelect, handler);
+        }
+
+        const workspaceFile = document.getElementById('workspace-upload-file');
+        if (workspaceFile) {
+            const handler = () => {
+                this.readAnsibleWorkspaceFile(workspaceFile.files[0]);
+                workspaceFile.value = '';
+            };
+            workspaceFile.addEventListener('change', handler);
+            this.eventHandlers.set(workspaceFile, handler);
+        }
+
+        const playbookSource = document.getElementById('playbook-source');
+        if (playbookSource) {
+            const handler = () => this.togglePlaybookSource();
+            playbookSource.addEventListener('change', handler);
+            this.eventHandlers.set(playbookSource, handler);
+        }
+
+        const refInput = document.getElementById('template-project-ref');
+        if (refInput) {
+            const handler = () => this.loadTemplateProjectPaths(document.getElementById('template-project-path').value);
+            refInput.addEventListener('change', handler);
+            this.eventHandlers.set(refInput, handler);
+        }
+    }
+
+    setupWorkflowFormListener() {
+        const workflowForm = document.getElementById('workflow-form');
+        if (workflowForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.saveWorkflow();
+            };
+            workflowForm.addEventListener('submit', handler);
+            this.eventHandlers.set(workflowForm, handler);
+        }
+    }
+
+    setupScheduleFormListener() {
+        const scheduleForm = document.getElementById('schedule-form');
+        if (scheduleForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.saveSchedule();
+            };
+            scheduleForm.addEventListener('submit', handler);
+            this.eventHandlers.set(scheduleForm, handler);
+        }
+
+        const jobSelect = document.getElementById('schedule-job');
+        if (jobSelect) {
+            const handler = () => {
+                document.getElementById('schedule-definition').style.display = jobSelect.value ? 'none' : 'block';
+            };
+            jobSelect.addEventListener('change', handler);
+            this.eventHandlers.set(jobSelect, handler);
+        }
+
+        ['schedule-cron', 'schedule-timezone', 'schedule-start', 'schedule-end'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                const handler = this.debounce(() => this.previewSchedule(), 400);
+                element.addEventListener('change', handler);
+                element.addEventListener('input', handler);
+                this.eventHandlers.set(element, handler);
+            }
+        });
     }
 
     setupAnsibleFormListener() {
@@ -318,6 +719,13 @@ class ConductorApp {
             ansibleForm.addEventListener('submit', handler);
             this.eventHandlers.set(ansibleForm, handler);
         }
+
+        const inventorySelect = document.getElementById('inventory-select');
+        if (inventorySelect) {
+            const handler = () => this.updateJobActions();
+            inventorySelect.addEventListener('change', handler);
+            this.eventHandlers.set(inventorySelect, handler);
+        }
     }
 
     setupTerraformFormListener() {
@@ -325,11 +733,24 @@ class ConductorApp {
         if (terraformForm) {
             const handler = (e) => {
                 e.preventDefault();
-                console.log('Terraform form submitted');
+                this.executeTerraformPlan();
             };
             terraformForm.addEventListener('submit', handler);
             this.eventHandlers.set(terraformForm, handler);
         }
+
+        const workspaceSelect = document.getElementById('terraform-workspace');
+        if (workspaceSelect) {
+            const handler = () => this.updateJobActions();
+            workspaceSelect.addEventListener('change', handler);
+            this.eventHandlers.set(workspaceSelect, handler);
+        }
+
+        document.querySelectorAll('.terraform-tabs .tab').forEach(tab => {
+            const handler = () => this.switchTerraformTab(tab.dataset.tab);
+            tab.addEventListener('click', handler);
+            this.eventHandlers.set(tab, handler);
+        });
     }
 
     setupInventoryFormListener() {
@@ -342,6 +763,52 @@ class ConductorApp {
             inventoryForm.addEventListener('submit', handler);
             this.eventHandlers.set(inventoryForm, handler);
         }
+
+        const importForm = document.getElementById('inventory-import-form');
+        if (importForm) {
+            const handler = (e) => {
+                e.preventDefault();
+                this.importInventory();
+            };
+            importForm.addEventListener('submit', handler);
+            this.eventHandlers.set(importForm, handler);
+        }
+
+        const importFile = document.getElementById('inventory-import-file');
+        if (importFile) {
+            const handler = () => this.readImportFile(importFile.files[0]);
+            importFile.addEventListener('change', handler);
+            this.eventHandlers.set(importFile, handler);
+        }
+
+        const importTarget = document.getElementById('inventory-import-target');
+        if (importTarget) {
+            const handler = () => {
+                document.getElementById('inventory-import-name-group').style.display = importTarget.value ? 'none' : 'block';
+            };
+            importTarget.addEventListener('change', handler);
+            this.eventHandlers.set(importTarget, handler);
+        }
+
+        document.querySelectorAll('input[name="inventory-type"]').forEach(radio => {
+            const handler = () => this.toggleInventoryType(radio.value);
+            radio.addEventListener('change', handler);
+            this.eventHandlers.set(radio, handler);
+        });
+
+        const sourceType = document.getElementById('inventory-source-type');
+        if (sourceType) {
+            const handler = () => this.updateSourcePathField();
+            sourceType.addEventListener('change', handler);
+            this.eventHandlers.set(sourceType, handler);
+        }
+
+        const typeFilter = document.getElementById('inventory-type-filter');
+        if (typeFilter) {
+            const handler = () => this.filterInventories();
+            typeFilter.addEventListener('change', handler);
+            this.eventHandlers.set(typeFilter, handler);
+        }
     }
 
     setupSettingsFormListener() {
@@ -392,6 +859,7 @@ class ConductorApp {
         const searches = {
             'jobs-search': () => this.filterJobs(),
             'inventories-search': () => this.filterInventories(),
+            'hosts-search': () => this.loadHosts(),
             'logs-search': () => this.filterLogs()
         };
 
@@ -416,6 +884,22 @@ class ConductorApp {
             }
         });
 
+        ['host-inventory-filter', 'host-status-filter'].forEach(filterId => {
+            const filter = document.getElementById(filterId);
+            if (filter) {
+                const handler = () => this.loadHosts();
+                filter.addEventListener('change', handler);
+                this.eventHandlers.set(filter, handler);
+            }
+        });
+
+        const timelineRange = document.getElementById('host-timeline-range');
+        if (timelineRange) {
+            const handler = () => this.loadHostTimeline();
+            timelineRange.addEventListener('change', handler);
+            this.eventHandlers.set(timelineRange, handler);
+        }
+
         const logFilters = ['log-level-filter', 'log-date-filter'];
         logFilters.forEach(filterId => {
             const filter = document.getElementById(filterId);
@@ -549,10 +1033,12 @@ class ConductorApp {
         try {
             this.showProgressIndicator(true);
             
+            this.jobs = await this.fetchJobs();
+            await this.loadCredentials();
+            this.inventories = await this.fetchInventories();
+            this.templates = await this.fetchTemplates();
+            this.projects = await this.fetchProjects();
             // Usar datos mock mientras no hay backend
-            this.jobs = this.generateMockJobs();
-            this.inventories = this.generateMockInventories();
-            this.templates = this.generateMockTemplates();
             this.logs = this.generateMockLogs();
             
             console.log('✅ Datos iniciales cargados');
@@ -578,9 +1064,15 @@ class ConductorApp {
                 case 'inventories':
                     await this.loadInventories();
                     break;
+                case 'hosts':
+                    await this.loadHosts();
+                    break;
                 case 'templates':
                     await this.loadTemplates();
                     break;
+                case 'projects':
+                    await this.loadProjects();
+                    break;
                 case 'schedules':
                     await this.loadSchedules();
                     break;
@@ -594,7 +1086,7 @@ class ConductorApp {
                     await this.loadTerraformTemplates();
                     break;
                 case 'settings':
-                    console.log('Cargando configuración');
+                    await this.loadSettings();
                     break;
             }
         } catch (error) {
@@ -611,21 +1103,114 @@ class ConductorApp {
     }
 
     async loadJobs() {
+        this.jobs = await this.fetchJobs();
         this.renderJobsList();
-        this.updateJobsBadge();
+        this.updateBadge('active-jobs-badge', this.jobs.filter(job => job.status === 'running').length);
+    }
+
+    // Jobs desde la API; si no responde se usan los datos de ejemplo
+    async fetchJobs() {
+        try {
+            const jobs = await api.get('/jobs');
+            return jobs.map(job => this.normalizeJob(job));
+        } catch (error) {
+            console.warn('API de jobs no disponible, usando datos de ejemplo:', error.message);
+            return this.generateMockJobs();
+        }
+    }
+
+    normalizeJob(job) {
+        const result = job.result || {};
+        return {
+            ...job,
+            output: job.output || result.output || result.error || '',
+            recap: result.recap || null,
+            duration: job.duration || this.formatDuration(job.started_at, job.completed_at)
+        };
+    }
+
+    formatDuration(start, end) {
+        if (!start || !end) return null;
+
+        const seconds = Math.round((new Date(end) - new Date(start)) / 1000);
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
     }
 
     async loadInventories() {
+        this.inventories = await this.fetchInventories();
         this.renderInventoriesList();
         this.populateInventorySelect();
     }
 
+    async fetchInventories() {
+        try {
+            return await api.get('/inventories');
+        } catch (error) {
+            console.warn('No se pudieron cargar los inventarios:', error);
+            return [];
+        }
+    }
+
     async loadTemplates() {
+        [this.templates, this.projects, this.workflows] = await Promise.all([
+            this.fetchTemplates(), this.fetchProjects(), this.fetchWorkflows()
+        ]);
         this.renderTemplatesList();
+        this.renderWorkflowsList();
+    }
+
+    async fetchTemplates() {
+        try {
+            return await api.get('/templates');
+        } catch (error) {
+            console.warn('No se pudieron cargar los templates:', error);
+            return [];
+        }
+    }
+
+    async fetchWorkflows() {
+        try {
+            return await api.get('/workflows');
+        } catch (error) {
+            console.warn('No se pudieron cargar los workflows:', error);
+            return [];
+        }
+    }
+
+    async loadProjects() {
+        [this.projects, this.ansibleWorkspaces] = await Promise.all([this.fetchProjects(), this.fetchAnsibleWorkspaces()]);
+        this.renderProjectsList();
+        this.renderAnsibleWorkspacesList();
+    }
+
+    async fetchProjects() {
+        try {
+            return await api.get('/projects');
+        } catch (error) {
+            console.warn('No se pudieron cargar los proyectos:', error);
+            return [];
+        }
+    }
+
+    async fetchAnsibleWorkspaces() {
+        try {
+            return await api.get('/ansible/workspaces');
+        } catch (error) {
+            console.warn('No se pudieron cargar los workspaces de Ansible:', error);
+            return [];
+        }
     }
 
     async loadSchedules() {
+        try {
+            this.schedules = await api.get('/schedules');
+        } catch (error) {
+            console.warn('No se pudieron cargar las programaciones:', error);
+            this.schedules = [];
+        }
         this.renderSchedulesList();
+        await this.loadCalendar();
     }
 
     async loadLogs() {
@@ -634,11 +1219,13 @@ class ConductorApp {
 
     async loadPlaybookTemplates() {
         this.populateInventorySelect();
+        [this.templates, this.ansibleWorkspaces] = await Promise.all([this.fetchTemplates(), this.fetchAnsibleWorkspaces()]);
         this.renderTemplatesList();
+        this.populatePlaybookSourceSelect();
     }
 
     async loadTerraformTemplates() {
-        this.renderTemplatesList();
+        this.populatePlanSelect();
     }
 
     // Funciones de mock data
@@ -676,44 +1263,6 @@ class ConductorApp {
         ];
     }
 
-    generateMockInventories() {
-        return [
-            {
-                id: 1,
-                name: 'Producción Web',
-                description: 'Servidores web de producción',
-                type: 'static',
-                hosts: {
-                    webservers: {
-                        hosts: {
-                            web1: { ansible_host: '192.168.1.10', ansible_user: 'ubuntu' },
-                            web2: { ansible_host: '192.168.1.11', ansible_user: 'ubuntu' }
-                        }
-                    },
-                    databases: {
-                        hosts: {
-                            db1: { ansible_host: '192.168.1.20', ansible_user: 'postgres' }
-                        }
-                    }
-                },
-                created_at: new Date(Date.now() - 1000 * 60 * 60 * 24).toISOString()
-            }
-        ];
-    }
-
-    generateMockTemplates() {
-        return [
-            {
-                id: 1,
-                name: 'Basic Web Server Setup',
-                type: 'ansible',
-                description: 'Configuración básica de servidor web con Nginx',
-                content: '---\n- name: Basic web server setup\n  hosts: webservers\n  become: yes\n  tasks:\n    - name: Install nginx\n      package:\n        name: nginx\n        state: present\n    \n    - name: Start nginx\n      service:\n        name: nginx\n        state: started\n        enabled: yes',
-                created_at: new Date().toISOString()
-            }
-        ];
-    }
-
     generateMockLogs() {
         return [
             {
@@ -875,7 +1424,7 @@ class ConductorApp {
                         <button class="btn-icon" onclick="event.stopPropagation(); conductor.copyJobOutput(${job.id})" title="Copiar salida">
                             <i class="fas fa-copy"></i>
                         </button>
-                        ${job.status === 'running' ? `
+                        ${['awaiting_approval', 'queued', 'running'].includes(job.status) && this.canRunJob(job.type, job.payload || {}) ? `
                         <button class="btn-icon" onclick="event.stopPropagation(); conductor.stopJob(${job.id})" title="Detener job">
                             <i class="fas fa-stop"></i>
                         </button>
@@ -886,9 +1435,13 @@ class ConductorApp {
                     <div class="job-meta">
                         <span><i class="fas fa-clock"></i> ${this.formatTime(job.created_at)}</span>
                         ${job.duration ? `<span><i class="fas fa-hourglass-half"></i> ${job.duration}</span>` : ''}
+                        ${job.workflow_node ? `<span><i class="fas fa-project-diagram"></i> Nodo ${job.workflow_node} del workflow ${job.parent_job_id}</span>` : ''}
+                        ${job.status === 'awaiting_approval' ? `<span><i class="fas fa-user-check"></i> Política "${job.approval.policyName}": ${job.approval.requiredApprovals} aprobaciones</span>` : ''}
                     </div>
                     <div class="job-preview">
-                        <pre>${this.truncateOutput(job.output || '', 200)}</pre>
+                        ${job.recap && job.recap.length > 0
+                            ? this.renderRecapSummary(job.recap)
+                            : `<pre>${this.truncateOutput(job.output || '', 200)}</pre>`}
                     </div>
                 </div>
             </div>
@@ -899,7 +1452,13 @@ class ConductorApp {
         const inventoriesList = document.getElementById('inventories-list');
         if (!inventoriesList) return;
 
-        if (this.inventories.length === 0) {
+        const searchTerm = document.getElementById('inventories-search')?.value.toLowerCase() || '';
+        const typeFilter = document.getElementById('inventory-type-filter')?.value || '';
+        const inventories = this.inventories.filter(inv =>
+            inv.name.toLowerCase().includes(searchTerm) && (typeFilter === '' || inv.type === typeFilter)
+        );
+
+        if (inventories.length === 0) {
             inventoriesList.innerHTML = `
                 <div class="empty-state">
                     <i class="fas fa-list fa-3x"></i>
@@ -914,267 +1473,1658 @@ class ConductorApp {
             return;
         }
 
-        inventoriesList.innerHTML = this.inventories.map(inv => `
+        inventoriesList.innerHTML = inventories.map(inv => {
+            const canWrite = this.canManageInventory(inv.id);
+            return `
             <div class="inventory-card">
                 <div class="inventory-header">
-                    <h4>${inv.name}</h4>
+                    <h4>${this.escapeHtml(inv.name)}</h4>
                     <span class="badge ${inv.type}">${inv.type}</span>
+                    <span class="badge">r${inv.revision}</span>
                 </div>
                 <div class="inventory-body">
-                    <p>${inv.description || 'Sin descripción'}</p>
+                    <p>${inv.description ? this.escapeHtml(inv.description) : 'Sin descripción'}</p>
                     <div class="inventory-stats">
                         <span><i class="fas fa-server"></i> ${this.countHosts(inv.hosts || {})} hosts</span>
                         <span><i class="fas fa-calendar"></i> ${this.formatTime(inv.created_at)}</span>
                     </div>
+                    ${inv.source ? this.renderSyncStatus(inv) : ''}
                 </div>
                 <div class="inventory-actions">
+                    <button class="btn btn-sm" onclick="conductor.showInventoryHistory(${inv.id})">
+                        <i class="fas fa-history"></i> Historial
+                    </button>
+                    <select class="form-select form-select-sm" onchange="conductor.exportInventory(${inv.id}, this.value); this.value = ''">
+                        <option value="">Exportar...</option>
+                        <option value="ini">INI</option>
+                        <option value="yaml">YAML</option>
+                        <option value="json">JSON</option>
+                    </select>
+                    ${canWrite && inv.source ? `
+                    <button class="btn btn-sm" onclick="conductor.syncInventory(${inv.id})">
+                        <i class="fas fa-sync-alt"></i> Sincronizar
+                    </button>` : ''}
+                    ${canWrite ? `
                     <button class="btn btn-sm" onclick="conductor.editInventory(${inv.id})">
                         <i class="fas fa-edit"></i> Editar
                     </button>
                     <button class="btn btn-sm btn-danger" onclick="conductor.deleteInventory(${inv.id})">
                         <i class="fas fa-trash"></i> Eliminar
-                    </button>
+                    </button>` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
+    }
+
+    // Origen y resultado de la última sincronización de un inventario dinámico
+    renderSyncStatus(inv) {
+        const lastSync = inv.lastSync || {};
+        const status = lastSync.status || 'pending';
+        const interval = inv.source.intervalMinutes ? `cada ${inv.source.intervalMinutes} min` : 'bajo demanda';
+        return `
+            <div class="inventory-sync ${status}">
+                <span><i class="fas fa-sync-alt"></i> ${inv.source.type} · ${interval}</span>
+                <span class="status-badge ${status}">${status}</span>
+                ${lastSync.at ? `<span>${this.formatTime(lastSync.at)}</span>` : ''}
+                ${lastSync.error ? `<div class="sync-error">${this.escapeHtml(lastSync.error)}</div>` : ''}
+            </div>
+        `;
     }
 
     renderTemplatesList() {
-        const ansibleTemplates = document.getElementById('ansible-templates');
-        const terraformTemplates = document.getElementById('terraform-templates');
-        
-        if (ansibleTemplates) {
-            const ansibleTemplatesData = this.templates.filter(t => t.type === 'ansible');
-            ansibleTemplates.innerHTML = ansibleTemplatesData.map(t => `
-                <div class="template-item" onclick="conductor.loadTemplate(${t.id})">
-                    <i class="fas fa-file-code"></i>
-                    <span>${t.name}</span>
-                    <small>${t.description}</small>
+        const canWrite = this.hasCapability('templates:write');
+        const canRun = this.hasCapability('jobs:run');
+
+        ['ansible', 'terraform'].forEach(kind => {
+            const list = document.getElementById(`${kind}-templates`);
+            if (!list) return;
+
+            const templates = this.templates.filter(t => t.kind === kind);
+            if (templates.length === 0) {
+                list.innerHTML = '<p class="empty-state">No hay templates</p>';
+                return;
+            }
+
+            list.innerHTML = templates.map(t => `
+                <div class="inventory-card">
+                    <div class="inventory-header">
+                        <h4>${this.escapeHtml(t.name)}</h4>
+                        <span class="badge">${kind === 'ansible' ? 'playbook' : this.escapeHtml(t.options.operation)}</span>
+                    </div>
+                    <div class="inventory-body">
+                        <p>${this.escapeHtml(t.description)}</p>
+                        <div class="inventory-stats">
+                            <span><i class="fas fa-${kind === 'ansible' ? 'list' : 'layer-group'}"></i> ${kind === 'ansible'
+                                ? this.escapeHtml(this.getInventoryNames(t.inventoryId ? [t.inventoryId] : [])[0] || 'Sin inventario')
+                                : this.escapeHtml(`${t.projectId ? t.projectPath : t.workingDir} (${t.workspace})`)}</span>
+                            ${t.projectId ? `<span><i class="fas fa-code-branch"></i> ${this.escapeHtml(`${this.getProjectName(t.projectId)}${kind === 'ansible' ? `: ${t.projectPath}` : ''}${t.projectRef ? ` @ ${t.projectRef}` : ''}`)}</span>` : ''}
+                            <span><i class="fas fa-key"></i> ${t.credentialIds.length} credenciales</span>
+                        </div>
+                    </div>
+                    <div class="inventory-actions">
+                        ${canRun ? `
+                        <button class="btn btn-sm" onclick="conductor.launchTemplate(${t.id})">
+                            <i class="fas fa-play"></i> Lanzar
+                        </button>` : ''}
+                        ${kind === 'ansible' && !t.projectId ? `
+                        <button class="btn btn-sm" onclick="conductor.openTemplateInEditor(${t.id})">
+                            <i class="fas fa-code"></i> Abrir
+                        </button>` : ''}
+                        <select class="form-select form-select-sm" onchange="conductor.exportTemplates(this.value, ${t.id}); this.value = ''">
+                            <option value="">Exportar...</option>
+                            <option value="yaml">YAML</option>
+                            <option value="json">JSON</option>
+                        </select>
+                        ${canWrite ? `
+                        <button class="btn btn-sm" onclick="conductor.editTemplate(${t.id})">
+                            <i class="fas fa-edit"></i> Editar
+                        </button>
+                        ${canRun ? `
+                        <button class="btn btn-sm" onclick="conductor.showTemplateWebhook(${t.id})">
+                            <i class="fas fa-satellite-dish"></i> Webhook
+                        </button>` : ''}
+                        <button class="btn btn-sm btn-danger" onclick="conductor.deleteTemplate(${t.id})">
+                            <i class="fas fa-trash"></i> Eliminar
+                        </button>` : ''}
+                    </div>
                 </div>
             `).join('');
-        }
-        
-        if (terraformTemplates) {
-            const terraformTemplatesData = this.templates.filter(t => t.type === 'terraform');
-            terraformTemplates.innerHTML = terraformTemplatesData.map(t => `
-                <div class="template-item" onclick="conductor.loadTemplate(${t.id})">
-                    <i class="fas fa-cloud"></i>
-                    <span>${t.name}</span>
-                    <small>${t.description}</small>
+        });
+
+        // Barra lateral del editor de playbooks
+        const sidebar = document.getElementById('playbook-templates');
+        if (sidebar) {
+            sidebar.innerHTML = this.templates.filter(t => t.kind === 'ansible' && !t.projectId).map(t => `
+                <div class="template-item" onclick="loadTemplate(${t.id})">
+                    <i class="fas fa-file-code"></i>
+                    <span>${this.escapeHtml(t.name)}</span>
                 </div>
             `).join('');
         }
     }
 
-    renderLogsList() {
-        const logsList = document.getElementById('logs-list');
-        if (!logsList) return;
+    createNewTemplate() {
+        this.editingTemplateId = null;
+        document.getElementById('template-form').reset();
+        document.getElementById('template-modal-title').textContent = 'Nuevo Template';
+        document.getElementById('template-submit-label').textContent = 'Crear Template';
+        document.getElementById('template-kind').disabled = false;
+        this.populateTemplateInventorySelect();
+        this.populateTemplateProjectSelect();
+        this.populateCredentialSelects();
+        this.toggleTemplateKind('ansible');
+        this.showModal('template-modal');
+    }
 
-        const filteredLogs = this.filterLogsData();
-        
-        if (filteredLogs.length === 0) {
-            logsList.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-file-alt fa-3x"></i>
-                    <h3>No hay logs</h3>
-                    <p>Los logs aparecerán aquí cuando se ejecuten jobs</p>
-                </div>
-            `;
-            return;
+    editTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
+
+        this.editingTemplateId = id;
+        document.getElementById('template-modal-title').textContent = `Editar "${template.name}"`;
+        document.getElementById('template-submit-label').textContent = 'Guardar Cambios';
+        document.getElementById('template-name').value = template.name;
+        document.getElementById('template-description').value = template.description || '';
+        // El tipo de un template no cambia
+        document.getElementById('template-kind').value = template.kind;
+        document.getElementById('template-kind').disabled = true;
+        document.getElementById('template-playbook').value = template.playbook || '';
+        document.getElementById('template-working-dir').value = template.workingDir || '';
+        document.getElementById('template-workspace').value = template.workspace || '';
+        document.getElementById('template-operation').value = template.options.operation || 'plan';
+        document.getElementById('template-auto-approve').checked = template.options.autoApprove === true;
+        document.getElementById('template-variables').value = JSON.stringify(template.variables, null, 2);
+        document.getElementById('template-survey').value = template.survey.length > 0
+            ? JSON.stringify(template.survey, null, 2)
+            : '';
+        document.getElementById('template-project-ref').value = template.projectRef || '';
+        this.populateTemplateInventorySelect(template.inventoryId);
+        this.populateTemplateProjectSelect(template.projectId, template.projectPath);
+        this.populateCredentialSelects();
+        Array.from(document.getElementById('template-credentials').options).forEach(option => {
+            option.selected = template.credentialIds.includes(parseInt(option.value, 10));
+        });
+        this.toggleTemplateKind(template.kind);
+        this.showModal('template-modal');
+    }
+
+    populateTemplateInventorySelect(selected = null) {
+        const select = document.getElementById('template-inventory');
+        select.innerHTML = '<option value="">Sin inventario (se indica al lanzar)</option>' + this.inventories
+            .map(inv => `<option value="${inv.id}">${this.escapeHtml(inv.name)}</option>`)
+            .join('');
+        select.value = selected || '';
+    }
+
+    toggleTemplateKind(kind) {
+        document.getElementById('template-ansible-group').style.display = kind === 'ansible' ? 'block' : 'none';
+        document.getElementById('template-terraform-group').style.display = kind === 'terraform' ? 'block' : 'none';
+        this.toggleTemplateSource();
+    }
+
+    populateTemplateProjectSelect(selected = null, path = null) {
+        const select = document.getElementById('template-project');
+        select.innerHTML = '<option value="">Escrito en el template</option>' + this.projects
+            .map(project => `<option value="${project.id}">Proyecto ${this.escapeHtml(project.name)}</option>`)
+            .join('');
+        select.value = selected || '';
+        this.templateProjectPath = path;
+    }
+
+    // Con proyecto, el playbook o directorio sale del repositorio en lugar del editor
+    toggleTemplateSource() {
+        const fromProject = document.getElementById('template-project').value !== '';
+        const kind = document.getElementById('template-kind').value;
+        document.querySelectorAll('.template-project-field').forEach(field => {
+            field.style.display = fromProject ? 'block' : 'none';
+        });
+        document.querySelectorAll('.template-inline-field').forEach(field => {
+            field.style.display = fromProject ? 'none' : 'block';
+        });
+        document.getElementById('template-project-path-label').textContent = kind === 'ansible'
+            ? 'Playbook del proyecto'
+            : 'Directorio de Terraform del proyecto';
+        if (fromProject) {
+            this.loadTemplateProjectPaths(this.templateProjectPath);
+            this.templateProjectPath = null;
         }
+    }
 
-        logsList.innerHTML = filteredLogs.map(log => `
-            <div class="log-item ${log.level}">
-                <div class="log-level">
-                    <i class="fas ${this.getLogIcon(log.level)}"></i>
-                </div>
-                <div class="log-content">
-                    <div class="log-message">${log.message}</div>
-                    <div class="log-meta">
-                        <span class="log-time">${this.formatTime(log.timestamp)}</span>
-                        <span class="log-source">${log.source}</span>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+    // Playbooks o directorios con .tf del proyecto en la ref indicada
+    async loadTemplateProjectPaths(selected = null) {
+        const projectId = document.getElementById('template-project').value;
+        const ref = document.getElementById('template-project-ref').value.trim();
+        const kind = document.getElementById('template-kind').value;
+        const select = document.getElementById('template-project-path');
+        if (!projectId) return;
+
+        select.innerHTML = '<option value="">Cargando...</option>';
+        try {
+            const tree = await api.get(`/projects/${projectId}/tree${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`);
+            const paths = kind === 'ansible' ? tree.playbooks : tree.terraformDirs;
+            if (selected && !paths.includes(selected)) {
+                paths.unshift(selected);
+            }
+            select.innerHTML = paths.length > 0
+                ? paths.map(path => `<option value="${path}">${path}</option>`).join('')
+                : `<option value="">${kind === 'ansible' ? 'No hay playbooks' : 'No hay directorios con .tf'} en ${tree.commit.slice(0, 8)}</option>`;
+            select.value = selected || select.options[0].value;
+        } catch (error) {
+            select.innerHTML = `<option value="${selected || ''}">${selected || 'Sin rutas'}</option>`;
+            this.showToast(error.message, 'error');
+        }
     }
 
-    renderSchedulesList() {
-        const schedulesList = document.getElementById('schedules-list');
-        if (!schedulesList) return;
+    async saveTemplate() {
+        const kind = document.getElementById('template-kind').value;
+        const variablesText = document.getElementById('template-variables').value.trim();
 
-        if (this.schedules.length === 0) {
-            schedulesList.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-calendar fa-3x"></i>
-                    <h3>No hay programaciones</h3>
-                    <p>Crea tu primera programación para ejecutar jobs automáticamente</p>
-                    <button class="btn btn-primary" onclick="conductor.createSchedule()">
-                        <i class="fas fa-plus"></i>
-                        Crear Programación
-                    </button>
-                </div>
-            `;
+        let variables = {};
+        try {
+            variables = variablesText ? JSON.parse(variablesText) : {};
+        } catch (error) {
+            this.showToast(`Las variables no son JSON válido: ${error.message}`, 'error');
             return;
         }
 
-        // Implementar renderizado de programaciones
-    }
+        const surveyText = document.getElementById('template-survey').value.trim();
+        let survey = [];
+        try {
+            survey = surveyText ? JSON.parse(surveyText) : [];
+        } catch (error) {
+            this.showToast(`La encuesta no es JSON válido: ${error.message}`, 'error');
+            return;
+        }
 
-    // Funciones de filtrado
-    filterJobsData() {
-        const searchTerm = document.getElementById('jobs-search')?.value.toLowerCase() || '';
-        const statusFilter = document.getElementById('job-status-filter')?.value || '';
-        const typeFilter = document.getElementById('job-type-filter')?.value || '';
+        const data = {
+            name: document.getElementById('template-name').value.trim(),
+            description: document.getElementById('template-description').value.trim(),
+            kind,
+            variables,
+            survey,
+            credentialIds: this.getSelectedCredentialIds('template-credentials')
+        };
+        const projectId = document.getElementById('template-project').value;
+        if (projectId) {
+            data.projectId = parseInt(projectId, 10);
+            data.projectPath = document.getElementById('template-project-path').value;
+            data.projectRef = document.getElementById('template-project-ref').value.trim() || null;
+        } else {
+            data.projectId = null;
+        }
 
-        return this.jobs.filter(job => {
-            const matchesSearch = job.name.toLowerCase().includes(searchTerm) || 
-                                (job.output && job.output.toLowerCase().includes(searchTerm));
-            const matchesStatus = statusFilter === '' || job.status === statusFilter;
-            const matchesType = typeFilter === '' || job.type.includes(typeFilter);
-            
-            return matchesSearch && matchesStatus && matchesType;
-        });
+        if (kind === 'ansible') {
+            const inventoryId = document.getElementById('template-inventory').value;
+            data.playbook = projectId ? null : document.getElementById('template-playbook').value;
+            data.inventoryId = inventoryId ? parseInt(inventoryId, 10) : null;
+        } else {
+            const current = this.templates.find(t => t.id === this.editingTemplateId);
+            data.workingDir = projectId ? null : document.getElementById('template-working-dir').value.trim();
+            data.workspace = document.getElementById('template-workspace').value.trim() || 'default';
+            data.options = {
+                ...(current ? current.options : {}),
+                operation: document.getElementById('template-operation').value,
+                autoApprove: document.getElementById('template-auto-approve').checked
+            };
+        }
+
+        try {
+            if (this.editingTemplateId) {
+                await api.put(`/templates/${this.editingTemplateId}`, data);
+                this.showToast(`Template "${data.name}" actualizado`, 'success');
+            } else {
+                await api.post('/templates', data);
+                this.showToast(`Template "${data.name}" creado`, 'success');
+            }
+            this.closeTemplateModal();
+            await this.loadTemplates();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
-    filterLogsData() {
-        const searchTerm = document.getElementById('logs-search')?.value.toLowerCase() || '';
-        const levelFilter = document.getElementById('log-level-filter')?.value || '';
-        const dateFilter = document.getElementById('log-date-filter')?.value || '';
+    closeTemplateModal() {
+        this.editingTemplateId = null;
+        this.closeModal('template-modal');
+    }
 
-        return this.logs.filter(log => {
-            const matchesSearch = log.message.toLowerCase().includes(searchTerm) || 
-                                log.source.toLowerCase().includes(searchTerm);
-            const matchesLevel = levelFilter === '' || log.level === levelFilter;
-            
-            let matchesDate = true;
-            if (dateFilter) {
-                const logDate = new Date(log.timestamp).toLocaleDateString();
-                const filterDate = new Date(dateFilter).toLocaleDateString();
-                matchesDate = logDate === filterDate;
+    deleteTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar template',
+            message: `Se eliminará el template "${template.name}". Las programaciones que lo usen dejarán de poder lanzarse.`,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/templates/${id}`);
+                    await this.loadTemplates();
+                    this.showToast('Template eliminado', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
             }
-            
-            return matchesSearch && matchesLevel && matchesDate;
         });
     }
 
-    filterJobs() {
-        this.renderJobsList();
+    // Un template con encuesta abre el formulario de lanzamiento; un playbook sin
+    // inventario por defecto (y sin encuesta) se abre en el editor para elegirlo,
+    // salvo si viene de un proyecto, que solo admite elegirlo en el formulario
+    async launchTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
+
+        if (template.survey.length > 0 || (template.kind === 'ansible' && !template.inventoryId && template.projectId)) {
+            this.showTemplateLaunch(template);
+            return;
+        }
+
+        if (template.kind === 'ansible' && !template.inventoryId) {
+            this.openTemplateInEditor(id);
+            this.showToast('Elige el inventario y ejecuta el playbook', 'info');
+            return;
+        }
+
+        try {
+            const result = await api.post(`/templates/${id}/launch`, {});
+            this.showToast(`Job ${result.jobId} encolado desde "${template.name}"`, 'success');
+            this.refreshJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
-    filterLogs() {
-        this.renderLogsList();
+    showTemplateLaunch(template) {
+        this.launchingTemplateId = template.id;
+        document.getElementById('template-launch-form').reset();
+        document.getElementById('template-launch-title').textContent = `Lanzar "${template.name}"`;
+
+        // Sin inventario por defecto se elige aquí
+        const inventoryField = template.kind === 'ansible' && !template.inventoryId ? `
+            <div class="form-group">
+                <label class="form-label" for="template-launch-inventory">
+                    <i class="fas fa-list"></i>
+                    Inventario
+                </label>
+                <select id="template-launch-inventory" class="form-select" required>
+                    <option value="">Selecciona un inventario</option>
+                    ${this.inventories.map(inv => `<option value="${inv.id}">${this.escapeHtml(inv.name)}</option>`).join('')}
+                </select>
+            </div>` : '';
+
+        document.getElementById('template-launch-fields').innerHTML = inventoryField +
+            template.survey.map(field => this.renderSurveyField(field)).join('');
+        this.showModal('template-launch-modal');
     }
 
-    filterInventories() {
-        this.renderInventoriesList();
+    // Campo del formulario según el tipo de la pregunta (los límites se comprueban también en el servidor)
+    renderSurveyField(field) {
+        const id = `survey-${field.variable}`;
+        const required = field.required ? 'required' : '';
+        const value = field.default !== undefined ? field.default : '';
+        const escape = (text) => this.escapeHtml(text);
+        let input;
+
+        switch (field.type) {
+            case 'integer':
+                input = `<input type="number" id="${id}" class="form-input" step="1" value="${escape(value)}"
+                    ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''} ${required}>`;
+                break;
+            case 'choice':
+                input = `<select id="${id}" class="form-select" ${required}>
+                    <option value="">—</option>
+                    ${field.choices.map(choice => `<option value="${escape(choice)}" ${choice === value ? 'selected' : ''}>${escape(choice)}</option>`).join('')}
+                </select>`;
+                break;
+            case 'multiselect':
+                input = `<select id="${id}" class="form-select" multiple size="${Math.min(field.choices.length, 5)}">
+                    ${field.choices.map(choice => `<option value="${escape(choice)}" ${(value || []).includes(choice) ? 'selected' : ''}>${escape(choice)}</option>`).join('')}
+                </select>`;
+                break;
+            case 'boolean':
+                return `
+                    <div class="form-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="${id}" ${value === true ? 'checked' : ''}>
+                            <span class="checkmark"></span>
+                            ${escape(field.label)}
+                        </label>
+                        ${field.description ? `<small class="form-help">${escape(field.description)}</small>` : ''}
+                    </div>`;
+            case 'text':
+                input = `<textarea id="${id}" class="form-textarea" rows="4"
+                    ${field.max !== undefined ? `maxlength="${field.max}"` : ''} ${required}>${escape(value)}</textarea>`;
+                break;
+            default:
+                input = `<input type="${field.type === 'password' ? 'password' : 'text'}" id="${id}" class="form-input"
+                    value="${escape(value)}" ${field.pattern ? `pattern="${escape(field.pattern)}"` : ''}
+                    ${field.max !== undefined ? `maxlength="${field.max}"` : ''} ${required}
+                    ${field.type === 'password' ? 'autocomplete="new-password"' : ''}>`;
+        }
+
+        return `
+            <div class="form-group">
+                <label class="form-label" for="${id}">${escape(field.label)}${field.required ? ' *' : ''}</label>
+                ${input}
+                ${field.description ? `<small class="form-help">${escape(field.description)}</small>` : ''}
+            </div>`;
     }
 
-    // Funciones de utilidad
-    debounce(func, wait) {
-        return (...args) => {
-            clearTimeout(this.debounceTimers.get(func));
-            this.debounceTimers.set(func, setTimeout(() => func.apply(this, args), wait));
-        };
+    readSurveyAnswers(survey) {
+        const answers = {};
+        survey.forEach(field => {
+            const element = document.getElementById(`survey-${field.variable}`);
+            if (!element) return;
+
+            if (field.type === 'boolean') {
+                answers[field.variable] = element.checked;
+            } else if (field.type === 'multiselect') {
+                answers[field.variable] = Array.from(element.selectedOptions).map(option => option.value);
+            } else if (element.value !== '') {
+                answers[field.variable] = field.type === 'integer' ? Number(element.value) : element.value;
+            }
+        });
+        return answers;
     }
 
-    formatTime(timestamp) {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffMins = Math.floor(diffMs / 60000);
-        const diffHours = Math.floor(diffMs / 3600000);
-        const diffDays = Math.floor(diffMs / 86400000);
+    async submitTemplateLaunch() {
+        const template = this.templates.find(t => t.id === this.launchingTemplateId);
+        if (!template) return;
 
-        if (diffMins < 1) return 'Justo ahora';
-        if (diffMins < 60) return `Hace ${diffMins} min`;
-        if (diffHours < 24) return `Hace ${diffHours} h`;
-        if (diffDays < 7) return `Hace ${diffDays} d`;
-        
-        return date.toLocaleDateString();
+        const data = { answers: this.readSurveyAnswers(template.survey) };
+        const inventory = document.getElementById('template-launch-inventory');
+        if (inventory) {
+            data.inventory = parseInt(inventory.value, 10);
+        }
+
+        try {
+            const result = await api.post(`/templates/${template.id}/launch`, data);
+            this.showToast(`Job ${result.jobId} encolado desde "${template.name}"`, 'success');
+            this.closeTemplateLaunch();
+            this.refreshJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
-    getJobIcon(type) {
-        const icons = {
-            'ansible': 'fa-server',
-            'terraform-plan': 'fa-search',
-            'terraform-apply': 'fa-rocket',
-            'terraform-destroy': 'fa-trash'
-        };
-        return icons[type] || 'fa-tasks';
+    closeTemplateLaunch() {
+        this.launchingTemplateId = null;
+        this.closeModal('template-launch-modal');
     }
 
-    getStatusText(status) {
-        const statusText = {
-            'running': 'En ejecución',
-            'completed': 'Completado',
-            'failed': 'Fallido',
-            'pending': 'Pendiente'
-        };
-        return statusText[status] || status;
+    openTemplateInEditor(id) {
+        this.switchSection('ansible');
+        this.loadTemplate(id);
     }
 
-    getLogIcon(level) {
-        const icons = {
-            'info': 'fa-info-circle',
-            'warning': 'fa-exclamation-triangle',
-            'error': 'fa-exclamation-circle',
-            'debug': 'fa-bug'
-        };
-        return icons[level] || 'fa-info-circle';
+    showImportTemplateModal() {
+        document.getElementById('template-import-form').reset();
+        this.showModal('template-import-modal');
     }
 
-    truncateOutput(text, maxLength) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength) + '...';
+    readTemplateImportFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('template-import-content').value = reader.result;
+        };
+        reader.readAsText(file);
     }
 
-    countHosts(hostsObj) {
-        let count = 0;
-        for (const group in hostsObj) {
-            if (hostsObj[group].hosts) {
-                count += Object.keys(hostsObj[group].hosts).length;
-            }
+    async importTemplates() {
+        const content = document.getElementById('template-import-content').value;
+        const format = content.trim().startsWith('{') || content.trim().startsWith('[') ? 'json' : 'yaml';
+
+        try {
+            const result = await api.post('/templates/import', {
+                content,
+                format,
+                overwrite: document.getElementById('template-import-overwrite').checked
+            });
+            const summary = [
+                `${result.created.length} creados`,
+                `${result.updated.length} actualizados`,
+                `${result.skipped.length} omitidos`
+            ].join(', ');
+            this.showToast(`Templates importados: ${summary}`, 'success');
+            result.warnings.forEach(warning => this.showToast(warning, 'warning'));
+            this.closeTemplateImport();
+            await this.loadTemplates();
+        } catch (error) {
+            this.showToast(error.message, 'error');
         }
-        return count;
     }
 
-    // Funciones de UI
-    showProgressIndicator(show) {
-        const indicator = document.getElementById('progress-indicator');
-        if (indicator) {
-            indicator.style.display = show ? 'block' : 'none';
-        }
+    closeTemplateImport() {
+        this.closeModal('template-import-modal');
     }
 
-    showToast(message, type = 'info') {
-        const toastContainer = document.getElementById('toast-container');
-        if (!toastContainer) return;
+    // Bundle de un template (o de todos si no se indica)
+    async exportTemplates(format, id = null) {
+        if (!format) return;
 
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.innerHTML = `
-            <div class="toast-content">
-                <i class="fas ${this.getToastIcon(type)}"></i>
-                <span>${message}</span>
-            </div>
-            <button class="toast-close" onclick="this.parentElement.remove()">
-                <i class="fas fa-times"></i>
-            </button>
-        `;
+        const template = this.templates.find(t => t.id === id);
+        try {
+            const content = await api.getText(`/templates/export?format=${format}${id ? `&ids=${id}` : ''}`);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+            link.download = `${template ? template.name : 'templates'}.${format === 'yaml' ? 'yml' : 'json'}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-        toastContainer.appendChild(toast);
+    // Webhook de entrada del template: configuración, secreto y últimas entregas
+    async showTemplateWebhook(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
 
-        // Animar entrada
-        setTimeout(() => toast.classList.add('show'), 10);
+        this.webhookTemplateId = id;
+        document.getElementById('webhook-form').reset();
+        document.getElementById('webhook-title').textContent = `Webhook de "${template.name}"`;
 
-        // Auto-remover después de 5 segundos
-        setTimeout(() => {
-            if (toast.parentElement) {
-                toast.classList.remove('show');
-                setTimeout(() => toast.remove(), 300);
+        let webhook = null;
+        try {
+            webhook = await api.get(`/templates/${id}/webhook`);
+        } catch (error) {
+            if (error.status !== 404) {
+                this.showToast(error.message, 'error');
+                return;
             }
-        }, 5000);
+        }
+
+        if (webhook) {
+            document.getElementById('webhook-provider').value = webhook.provider;
+            document.getElementById('webhook-enabled').checked = webhook.enabled;
+            document.getElementById('webhook-events').value = (webhook.filters.events || []).join(', ');
+            document.getElementById('webhook-branches').value = (webhook.filters.branches || []).join(', ');
+            document.getElementById('webhook-mappings').value = Object.keys(webhook.mappings).length > 0
+                ? JSON.stringify(webhook.mappings, null, 2)
+                : '';
+        }
+        this.renderWebhookInfo(webhook);
+        this.showModal('webhook-modal');
+        this.loadWebhookDeliveries();
+    }
+
+    // El secreto solo llega al crear el webhook o al generar uno nuevo
+    renderWebhookInfo(webhook, secret = null) {
+        document.getElementById('webhook-delete').style.display = webhook ? '' : 'none';
+        document.getElementById('webhook-rotate').style.display = webhook ? '' : 'none';
+        document.getElementById('webhook-info').innerHTML = webhook ? `
+            <span><i class="fas fa-link"></i> <code>${window.location.origin}${webhook.url}</code></span>
+            <small class="form-help">Configúralo en el repositorio con Content type application/json. Los jobs se lanzan con los permisos de quien guardó el webhook por última vez.</small>
+            ${webhook.refused.count > 0 ? `
+            <small class="form-help">
+                <i class="fas fa-shield-alt"></i> ${webhook.refused.count} entregas rechazadas sin registrar (firma inválida o repetidas),
+                la última ${this.formatTime(webhook.refused.lastAt)}: ${webhook.refused.lastReason}
+            </small>` : ''}
+            ${secret ? `
+            <div class="webhook-secret">
+                <strong><i class="fas fa-key"></i> Secreto:</strong> <code>${secret}</code>
+                <small class="form-help">Cópialo ahora: no se vuelve a mostrar.</small>
+            </div>` : ''}
+        ` : '<p class="empty-state">El template no tiene webhook: guárdalo para generar la URL y el secreto</p>';
+    }
+
+    async loadWebhookDeliveries() {
+        const list = document.getElementById('webhook-deliveries');
+        try {
+            const deliveries = await api.get(`/templates/${this.webhookTemplateId}/webhook/deliveries`);
+            if (deliveries.length === 0) {
+                list.innerHTML = '<p class="empty-state">Sin entregas</p>';
+                return;
+            }
+            list.innerHTML = deliveries.map(d => `
+                <div class="revision-item">
+                    <span class="badge delivery-${d.status}">${d.status}</span>
+                    <span class="delivery-summary"></span>
+                    <span class="revision-time">${this.formatTime(d.created_at)}</span>
+                    ${d.jobId ? `
+                    <button class="btn btn-sm" onclick="conductor.closeWebhook(); conductor.showRelatedJob(${d.jobId})">
+                        <i class="fas fa-eye"></i> Job ${d.jobId}
+                    </button>` : ''}
+                </div>
+            `).join('');
+            // Evento, rama, commit y motivo los elige quien envía la entrega: solo como texto
+            list.querySelectorAll('.delivery-summary').forEach((summary, index) => {
+                const d = deliveries[index];
+                summary.textContent = [d.event, d.branch, d.commit && d.commit.slice(0, 8)].filter(Boolean).join(' · ') +
+                    (d.reason ? ` — ${d.reason}` : '');
+            });
+        } catch (error) {
+            list.innerHTML = `<p class="empty-state">${error.message}</p>`;
+        }
+    }
+
+    readWebhookList(id) {
+        const items = document.getElementById(id).value.split(',').map(item => item.trim()).filter(Boolean);
+        return items.length > 0 ? items : undefined;
+    }
+
+    async saveWebhook() {
+        let mappings = {};
+        const mappingsText = document.getElementById('webhook-mappings').value.trim();
+        if (mappingsText) {
+            try {
+                mappings = JSON.parse(mappingsText);
+            } catch (error) {
+                this.showToast(`Variables del job: JSON inválido (${error.message})`, 'error');
+                return;
+            }
+        }
+
+        try {
+            const webhook = await api.put(`/templates/${this.webhookTemplateId}/webhook`, {
+                provider: document.getElementById('webhook-provider').value,
+                enabled: document.getElementById('webhook-enabled').checked,
+                filters: {
+                    events: this.readWebhookList('webhook-events'),
+                    branches: this.readWebhookList('webhook-branches')
+                },
+                mappings
+            });
+            this.renderWebhookInfo(webhook, webhook.secret);
+            this.showToast('Webhook guardado', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    rotateWebhookSecret() {
+        this.showConfirmModal({
+            title: 'Nuevo secreto',
+            message: 'El secreto actual dejará de valer: habrá que actualizarlo en el repositorio.',
+            onConfirm: async () => {
+                try {
+                    const webhook = await api.post(`/templates/${this.webhookTemplateId}/webhook/secret`);
+                    this.renderWebhookInfo(webhook, webhook.secret);
+                    this.showToast('Secreto generado', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    deleteWebhook() {
+        this.showConfirmModal({
+            title: 'Eliminar webhook',
+            message: 'Las entregas a esta URL dejarán de lanzar el template.',
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/templates/${this.webhookTemplateId}/webhook`);
+                    this.showToast('Webhook eliminado', 'success');
+                    this.closeWebhook();
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    closeWebhook() {
+        this.webhookTemplateId = null;
+        this.closeModal('webhook-modal');
+    }
+
+    renderWorkflowsList() {
+        const list = document.getElementById('workflows-list');
+        if (!list) return;
+
+        if (this.workflows.length === 0) {
+            list.innerHTML = '<p class="empty-state">No hay workflows</p>';
+            return;
+        }
+
+        const canWrite = this.hasCapability('templates:write');
+        const canRun = this.hasCapability('jobs:run');
+        list.innerHTML = this.workflows.map(w => `
+            <div class="inventory-card">
+                <div class="inventory-header">
+                    <h4>${w.name}</h4>
+                    <span class="badge">${w.nodes.length} nodos</span>
+                </div>
+                <div class="inventory-body">
+                    <p>${w.description || ''}</p>
+                    <div class="inventory-stats">
+                        <span><i class="fas fa-file-code"></i> ${[...new Set(w.nodes.map(n => this.getTemplateName(n.templateId)))].join(', ')}</span>
+                        <span><i class="fas fa-share-alt"></i> ${w.edges.length} aristas</span>
+                    </div>
+                </div>
+                <div class="inventory-actions">
+                    ${canRun ? `
+                    <button class="btn btn-sm" onclick="conductor.launchWorkflow(${w.id})">
+                        <i class="fas fa-play"></i> Lanzar
+                    </button>` : ''}
+                    ${canWrite ? `
+                    <button class="btn btn-sm" onclick="conductor.editWorkflow(${w.id})">
+                        <i class="fas fa-edit"></i> Editar
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="conductor.deleteWorkflow(${w.id})">
+                        <i class="fas fa-trash"></i> Eliminar
+                    </button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    getTemplateName(id) {
+        const template = this.templates.find(t => t.id === id);
+        return template ? template.name : `#${id}`;
+    }
+
+    // La definición (nodos, aristas y variables) se edita como JSON; uno nuevo empieza con
+    // un nodo del primer template
+    fillWorkflowModal(workflow = null) {
+        this.editingWorkflowId = workflow ? workflow.id : null;
+        document.getElementById('workflow-form').reset();
+        document.getElementById('workflow-modal-title').textContent = workflow ? `Editar "${workflow.name}"` : 'Nuevo Workflow';
+        document.getElementById('workflow-submit-label').textContent = workflow ? 'Guardar Cambios' : 'Crear Workflow';
+        document.getElementById('workflow-templates-help').textContent = `Templates: ${this.templates
+            .map(t => `${t.id} = ${t.name} (${t.kind})`).join(', ') || 'ninguno'}`;
+
+        const definition = workflow
+            ? { nodes: workflow.nodes, edges: workflow.edges, variables: workflow.variables }
+            : { nodes: this.templates.length > 0 ? [{ id: 'inicio', templateId: this.templates[0].id }] : [], edges: [], variables: {} };
+        document.getElementById('workflow-definition').value = JSON.stringify(definition, null, 2);
+
+        if (workflow) {
+            document.getElementById('workflow-name').value = workflow.name;
+            document.getElementById('workflow-description').value = workflow.description || '';
+        }
+    }
+
+    createWorkflow() {
+        this.fillWorkflowModal();
+        this.showModal('workflow-modal');
+    }
+
+    editWorkflow(id) {
+        const workflow = this.workflows.find(w => w.id === id);
+        if (!workflow) return;
+
+        this.fillWorkflowModal(workflow);
+        this.showModal('workflow-modal');
+    }
+
+    async saveWorkflow() {
+        let definition;
+        try {
+            definition = JSON.parse(document.getElementById('workflow-definition').value);
+        } catch (error) {
+            this.showToast(`La definición no es JSON válido: ${error.message}`, 'error');
+            return;
+        }
+
+        const data = {
+            ...definition,
+            name: document.getElementById('workflow-name').value.trim(),
+            description: document.getElementById('workflow-description').value.trim()
+        };
+
+        try {
+            if (this.editingWorkflowId) {
+                await api.put(`/workflows/${this.editingWorkflowId}`, data);
+                this.showToast(`Workflow "${data.name}" actualizado`, 'success');
+            } else {
+                await api.post('/workflows', data);
+                this.showToast(`Workflow "${data.name}" creado`, 'success');
+            }
+            this.closeWorkflowModal();
+            await this.loadTemplates();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    closeWorkflowModal() {
+        this.editingWorkflowId = null;
+        this.closeModal('workflow-modal');
+    }
+
+    async launchWorkflow(id) {
+        const workflow = this.workflows.find(w => w.id === id);
+        if (!workflow) return;
+
+        try {
+            const result = await api.post(`/workflows/${id}/launch`, {});
+            this.showToast(`Workflow "${workflow.name}" lanzado (job ${result.jobId})`, 'success');
+            this.refreshJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteWorkflow(id) {
+        const workflow = this.workflows.find(w => w.id === id);
+        if (!workflow) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar workflow',
+            message: `Se eliminará el workflow "${workflow.name}". Sus ejecuciones se conservan en la lista de jobs.`,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/workflows/${id}`);
+                    await this.loadTemplates();
+                    this.showToast('Workflow eliminado', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    renderLogsList() {
+        const logsList = document.getElementById('logs-list');
+        if (!logsList) return;
+
+        const filteredLogs = this.filterLogsData();
+        
+        if (filteredLogs.length === 0) {
+            logsList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-file-alt fa-3x"></i>
+                    <h3>No hay logs</h3>
+                    <p>Los logs aparecerán aquí cuando se ejecuten jobs</p>
+                </div>
+            `;
+            return;
+        }
+
+        logsList.innerHTML = filteredLogs.map(log => `
+            <div class="log-item ${log.level}">
+                <div class="log-level">
+                    <i class="fas ${this.getLogIcon(log.level)}"></i>
+                </div>
+                <div class="log-content">
+                    <div class="log-message">${log.message}</div>
+                    <div class="log-meta">
+                        <span class="log-time">${this.formatTime(log.timestamp)}</span>
+                        <span class="log-source">${log.source}</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Proyectos Git: los playbooks y el código de Terraform salen del repositorio
+    renderProjectsList() {
+        const list = document.getElementById('projects-list');
+        if (!list) return;
+
+        if (this.projects.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-code-branch fa-3x"></i>
+                    <h3>No hay proyectos</h3>
+                    <p>Conecta un repositorio Git para lanzar sus playbooks y módulos de Terraform</p>
+                </div>
+            `;
+            return;
+        }
+
+        const canWrite = this.hasCapability('projects:write');
+        list.innerHTML = this.projects.map(project => {
+            const status = project.lastSyncError ? 'failed' : project.lastCommit ? 'success' : 'pending';
+            const credential = this.credentials.find(c => c.id === project.credentialId);
+            return `
+                <div class="inventory-card">
+                    <div class="inventory-header">
+                        <h4>${project.name}</h4>
+                        <span class="badge">${project.ref || 'HEAD'}</span>
+                    </div>
+                    <div class="inventory-body">
+                        <p>${project.description || 'Sin descripción'}</p>
+                        <div class="inventory-stats">
+                            <span><i class="fas fa-link"></i> ${project.url}</span>
+                            ${credential ? `<span><i class="fas fa-key"></i> ${credential.name}</span>` : ''}
+                        </div>
+                        <div class="inventory-sync ${status}">
+                            <span><i class="fas fa-code-commit"></i> ${project.lastCommit ? project.lastCommit.slice(0, 10) : 'Sin sincronizar'}</span>
+                            <span class="status-badge ${status}">${status}</span>
+                            ${project.lastSyncedAt ? `<span>${this.formatTime(project.lastSyncedAt)}</span>` : ''}
+                            ${project.lastSyncError ? `<div class="sync-error">${project.lastSyncError}</div>` : ''}
+                        </div>
+                    </div>
+                    ${canWrite ? `
+                    <div class="inventory-actions">
+                        <button class="btn btn-sm" onclick="conductor.syncProject(${project.id})">
+                            <i class="fas fa-sync-alt"></i> Sincronizar
+                        </button>
+                        <button class="btn btn-sm" onclick="conductor.editProject(${project.id})">
+                            <i class="fas fa-edit"></i> Editar
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="conductor.deleteProject(${project.id})">
+                            <i class="fas fa-trash"></i> Eliminar
+                        </button>
+                    </div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderAnsibleWorkspacesList() {
+        const list = document.getElementById('ansible-workspaces-list');
+        if (!list) return;
+
+        if (this.ansibleWorkspaces.length === 0) {
+            list.innerHTML = '<p class="empty-state">No hay workspaces</p>';
+            return;
+        }
+
+        const canWrite = this.hasCapability('projects:write');
+        list.innerHTML = this.ansibleWorkspaces.map(workspace => `
+            <div class="inventory-card">
+                <div class="inventory-header">
+                    <h4>${workspace.name}</h4>
+                    <span class="badge">${workspace.sha256.slice(0, 12)}</span>
+                </div>
+                <div class="inventory-body">
+                    <p>${workspace.description || `${workspace.files.length} archivos`}</p>
+                    <div class="inventory-stats">
+                        <span><i class="fas fa-file-code"></i> ${workspace.playbooks.length} playbooks</span>
+                        <span><i class="fas fa-box"></i> ${workspace.requirements.length > 0 ? workspace.requirements.join(', ') : 'Sin requirements'}</span>
+                        <span><i class="fas fa-calendar"></i> ${this.formatTime(workspace.created_at)}</span>
+                    </div>
+                </div>
+                ${canWrite ? `
+                <div class="inventory-actions">
+                    <button class="btn btn-sm btn-danger" onclick="conductor.deleteAnsibleWorkspace(${workspace.id})">
+                        <i class="fas fa-trash"></i> Eliminar
+                    </button>
+                </div>` : ''}
+            </div>
+        `).join('');
+    }
+
+    uploadAnsibleWorkspace() {
+        document.getElementById('workspace-upload-file').click();
+    }
+
+    // El .tar.gz viaja en base64; el nombre del workspace es el del archivo
+    readAnsibleWorkspaceFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async () => {
+            const name = file.name.replace(/\.(tar\.gz|tgz)$/, '');
+            try {
+                this.showProgressIndicator(true);
+                const workspace = await api.post('/ansible/workspaces', { name, content: reader.result.split(',')[1] });
+                this.showToast(`Workspace "${workspace.name}" subido: ${workspace.playbooks.length} playbooks`, 'success');
+                await this.loadProjects();
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.showProgressIndicator(false);
+            }
+        };
+        reader.readAsDataURL(file);
+    }
+
+    deleteAnsibleWorkspace(id) {
+        const workspace = this.ansibleWorkspaces.find(w => w.id === id);
+        if (!workspace) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar workspace',
+            message: `Se eliminará el workspace "${workspace.name}". Los jobs en cola que lo usen fallarán.`,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/ansible/workspaces/${id}`);
+                    await this.loadProjects();
+                    this.showToast('Workspace eliminado', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    getProjectName(id) {
+        const project = this.projects.find(p => p.id === id);
+        return project ? project.name : `#${id}`;
+    }
+
+    // Solo las credenciales ssh_key sirven para clonar
+    fillProjectModal(project = null) {
+        this.editingProjectId = project ? project.id : null;
+        document.getElementById('project-form').reset();
+        document.getElementById('project-modal-title').textContent = project ? `Editar "${project.name}"` : 'Nuevo Proyecto';
+        document.getElementById('project-submit-label').textContent = project ? 'Guardar Cambios' : 'Crear Proyecto';
+        document.getElementById('project-credential').innerHTML = '<option value="">Sin credencial (repositorio público)</option>' +
+            this.credentials.filter(c => c.type === 'ssh_key')
+                .map(c => `<option value="${c.id}">${c.name}</option>`)
+                .join('');
+
+        if (project) {
+            document.getElementById('project-name').value = project.name;
+            document.getElementById('project-description').value = project.description || '';
+            document.getElementById('project-url').value = project.url;
+            document.getElementById('project-ref').value = project.ref || '';
+            document.getElementById('project-credential').value = project.credentialId || '';
+        }
+    }
+
+    createProject() {
+        this.fillProjectModal();
+        this.showModal('project-modal');
+    }
+
+    editProject(id) {
+        const project = this.projects.find(p => p.id === id);
+        if (!project) return;
+
+        this.fillProjectModal(project);
+        this.showModal('project-modal');
+    }
+
+    async saveProject() {
+        const credentialId = document.getElementById('project-credential').value;
+        const data = {
+            name: document.getElementById('project-name').value.trim(),
+            description: document.getElementById('project-description').value.trim(),
+            url: document.getElementById('project-url').value.trim(),
+            ref: document.getElementById('project-ref').value.trim() || null,
+            credentialId: credentialId ? parseInt(credentialId, 10) : null
+        };
+
+        try {
+            if (this.editingProjectId) {
+                await api.put(`/projects/${this.editingProjectId}`, data);
+                this.showToast(`Proyecto "${data.name}" actualizado`, 'success');
+            } else {
+                await api.post('/projects', data);
+                this.showToast(`Proyecto "${data.name}" creado`, 'success');
+            }
+            this.closeProjectModal();
+            await this.loadProjects();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    closeProjectModal() {
+        this.editingProjectId = null;
+        this.closeModal('project-modal');
+    }
+
+    async syncProject(id) {
+        try {
+            this.showProgressIndicator(true);
+            const sync = await api.post(`/projects/${id}/sync`);
+            this.showToast(`Proyecto sincronizado: ${sync.ref || 'HEAD'} @ ${sync.commit.slice(0, 10)}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.showProgressIndicator(false);
+            await this.loadProjects();
+        }
+    }
+
+    deleteProject(id) {
+        const project = this.projects.find(p => p.id === id);
+        if (!project) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar proyecto',
+            message: `Se eliminará el proyecto "${project.name}" y su copia local. Los jobs ya ejecutados conservan el commit usado.`,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/projects/${id}`);
+                    await this.loadProjects();
+                    this.showToast('Proyecto eliminado', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    renderSchedulesList() {
+        const schedulesList = document.getElementById('schedules-list');
+        if (!schedulesList) return;
+
+        if (this.schedules.length === 0) {
+            schedulesList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar fa-3x"></i>
+                    <h3>No hay programaciones</h3>
+                    <p>Crea tu primera programación para ejecutar jobs automáticamente</p>
+                    <button class="btn btn-primary" onclick="conductor.createSchedule()">
+                        <i class="fas fa-plus"></i>
+                        Crear Programación
+                    </button>
+                </div>
+            `;
+            return;
+        }
+
+        const canRun = this.hasCapability('jobs:run');
+        schedulesList.innerHTML = this.schedules.map(schedule => `
+            <div class="inventory-card">
+                <div class="inventory-header">
+                    <h4>${schedule.name}</h4>
+                    <span class="status-badge ${schedule.enabled ? 'success' : 'cancelled'}">
+                        ${schedule.enabled ? 'activa' : 'pausada'}
+                    </span>
+                </div>
+                <div class="inventory-body">
+                    <p>${schedule.description || this.describeDefinition(schedule.definition)}</p>
+                    <div class="inventory-stats">
+                        <span><i class="fas fa-clock"></i> <code>${schedule.cron}</code> (${schedule.timezone})</span>
+                        <span><i class="fas fa-forward"></i> ${schedule.nextRunAt ? this.formatScheduleDate(schedule.nextRunAt, schedule.timezone) : 'Sin próximas ejecuciones'}</span>
+                        ${schedule.lastRunAt ? `<span><i class="fas fa-history"></i> ${this.formatTime(schedule.lastRunAt)}</span>` : ''}
+                    </div>
+                </div>
+                <div class="inventory-actions">
+                    ${canRun ? `
+                    <button class="btn btn-sm" onclick="conductor.runScheduleNow(${schedule.id})">
+                        <i class="fas fa-play"></i> Ejecutar ahora
+                    </button>
+                    <button class="btn btn-sm" onclick="conductor.toggleSchedule(${schedule.id})">
+                        <i class="fas fa-${schedule.enabled ? 'pause' : 'play-circle'}"></i> ${schedule.enabled ? 'Pausar' : 'Activar'}
+                    </button>
+                    <button class="btn btn-sm" onclick="conductor.editSchedule(${schedule.id})">
+                        <i class="fas fa-edit"></i> Editar
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="conductor.deleteSchedule(${schedule.id})">
+                        <i class="fas fa-trash"></i> Eliminar
+                    </button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    describeDefinition(definition) {
+        const params = (definition && definition.params) || {};
+        return `${definition ? definition.type : ''}${params.name ? `: ${params.name}` : ''}`;
+    }
+
+    // Fecha en la zona horaria de la programación (o la global)
+    formatScheduleDate(value, timezone = this.timezone) {
+        return new Date(value).toLocaleString(undefined, {
+            timeZone: timezone || undefined,
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    }
+
+    // Opciones de zona horaria: las que conoce el navegador, o las de ejemplo si no las expone
+    fillTimezoneSelect(select, value) {
+        if (!select) return;
+        if (select.options.length <= 3 && typeof Intl.supportedValuesOf === 'function') {
+            select.innerHTML = ['UTC', ...Intl.supportedValuesOf('timeZone')]
+                .map(zone => `<option value="${zone}">${zone}</option>`)
+                .join('');
+        }
+        if (value && ![...select.options].some(option => option.value === value)) {
+            select.insertAdjacentHTML('beforeend', `<option value="${value}">${value}</option>`);
+        }
+        select.value = value || 'UTC';
+    }
+
+    // Jobs anteriores que se pueden programar con los mismos parámetros
+    populateScheduleJobSelect(selected = '') {
+        const select = document.getElementById('schedule-job');
+        if (!select) return;
+
+        const schedulable = ['ansible-playbook', 'terraform-plan', 'terraform-apply', 'terraform-init', 'test-echo'];
+        select.innerHTML = `
+            <option value="">Definición JSON</option>
+            <optgroup label="Templates">
+                ${this.templates
+                    .map(t => `<option value="template:${t.id}">${this.escapeHtml(t.name)} (${t.kind})</option>`)
+                    .join('')}
+            </optgroup>
+            <optgroup label="Repetir un job anterior">
+            ${this.jobs
+                .filter(job => schedulable.includes(job.type) && Number.isInteger(job.id))
+                .map(job => `<option value="${job.id}">#${job.id} ${this.escapeHtml(job.name)} (${job.type})</option>`)
+                .join('')}
+            </optgroup>
+        `;
+        select.value = selected;
+        document.getElementById('schedule-definition').style.display = select.value ? 'none' : 'block';
+    }
+
+    async createSchedule() {
+        this.editingScheduleId = null;
+        document.getElementById('schedule-form').reset();
+        document.getElementById('schedule-modal-title').textContent = 'Nueva Programación';
+        document.getElementById('schedule-submit-label').textContent = 'Crear Programación';
+        document.getElementById('schedule-definition').value = '';
+        document.getElementById('schedule-preview').innerHTML = '';
+        this.populateScheduleJobSelect();
+        this.fillTimezoneSelect(document.getElementById('schedule-timezone'), this.timezone);
+        this.showModal('schedule-modal');
+    }
+
+    async editSchedule(id) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        this.editingScheduleId = id;
+        document.getElementById('schedule-modal-title').textContent = `Editar "${schedule.name}"`;
+        document.getElementById('schedule-submit-label').textContent = 'Guardar Cambios';
+        document.getElementById('schedule-name').value = schedule.name;
+        document.getElementById('schedule-description').value = schedule.description || '';
+        document.getElementById('schedule-definition').value = JSON.stringify(schedule.definition, null, 2);
+        document.getElementById('schedule-cron').value = schedule.cron;
+        document.getElementById('schedule-start').value = this.toLocalInput(schedule.startAt);
+        document.getElementById('schedule-end').value = this.toLocalInput(schedule.endAt);
+        document.getElementById('schedule-enabled').checked = schedule.enabled;
+        document.getElementById('schedule-skip-running').checked = schedule.skipIfRunning;
+        this.populateScheduleJobSelect();
+        this.fillTimezoneSelect(document.getElementById('schedule-timezone'), schedule.timezone);
+        await this.previewSchedule();
+        this.showModal('schedule-modal');
+    }
+
+    // Valor de un <input type="datetime-local"> (hora local del navegador)
+    toLocalInput(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    readScheduleForm() {
+        const start = document.getElementById('schedule-start').value;
+        const end = document.getElementById('schedule-end').value;
+        const data = {
+            name: document.getElementById('schedule-name').value.trim(),
+            description: document.getElementById('schedule-description').value.trim(),
+            cron: document.getElementById('schedule-cron').value.trim(),
+            timezone: document.getElementById('schedule-timezone').value,
+            startAt: start ? new Date(start).toISOString() : null,
+            endAt: end ? new Date(end).toISOString() : null,
+            enabled: document.getElementById('schedule-enabled').checked,
+            skipIfRunning: document.getElementById('schedule-skip-running').checked
+        };
+
+        const source = document.getElementById('schedule-job').value;
+        if (source.startsWith('template:')) {
+            data.definition = { type: 'template', params: { templateId: parseInt(source.split(':')[1], 10) } };
+        } else if (source) {
+            data.fromJobId = parseInt(source, 10);
+        } else {
+            try {
+                data.definition = JSON.parse(document.getElementById('schedule-definition').value);
+            } catch (error) {
+                throw new Error(`La definición no es JSON válido: ${error.message}`);
+            }
+        }
+        return data;
+    }
+
+    async saveSchedule() {
+        try {
+            const data = this.readScheduleForm();
+            if (this.editingScheduleId) {
+                await api.put(`/schedules/${this.editingScheduleId}`, data);
+                this.showToast(`Programación "${data.name}" actualizada`, 'success');
+            } else {
+                await api.post('/schedules', data);
+                this.showToast(`Programación "${data.name}" creada`, 'success');
+            }
+            this.closeScheduleModal();
+            await this.loadSchedules();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Próximas ejecuciones de la expresión escrita
+    async previewSchedule() {
+        const preview = document.getElementById('schedule-preview');
+        const cron = document.getElementById('schedule-cron').value.trim();
+        if (!preview) return;
+        if (!cron) {
+            preview.innerHTML = '';
+            return;
+        }
+
+        const timezone = document.getElementById('schedule-timezone').value;
+        const start = document.getElementById('schedule-start').value;
+        const end = document.getElementById('schedule-end').value;
+        try {
+            const result = await api.post('/schedules/preview', {
+                cron,
+                timezone,
+                startAt: start ? new Date(start).toISOString() : null,
+                endAt: end ? new Date(end).toISOString() : null,
+                count: 5
+            });
+            preview.innerHTML = result.runs.length === 0
+                ? '<span>Sin ejecuciones futuras</span>'
+                : `<span>Próximas: ${result.runs.map(run => this.formatScheduleDate(run, timezone)).join(' · ')}</span>`;
+        } catch (error) {
+            preview.innerHTML = `<span class="status-badge failed">${error.message}</span>`;
+        }
+    }
+
+    closeScheduleModal() {
+        this.editingScheduleId = null;
+        this.closeModal('schedule-modal');
+    }
+
+    async runScheduleNow(id) {
+        try {
+            const result = await api.post(`/schedules/${id}/run`);
+            this.showToast(`Job ${result.jobId} encolado`, 'success');
+            this.refreshJobs();
+            await this.loadSchedules();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async toggleSchedule(id) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        try {
+            await api.patch(`/schedules/${id}`, { enabled: !schedule.enabled });
+            await this.loadSchedules();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteSchedule(id) {
+        const schedule = this.schedules.find(s => s.id === id);
+        if (!schedule) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar programación',
+            message: `Se eliminará la programación "${schedule.name}" con su historial de ejecuciones.`,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/schedules/${id}`);
+                    this.showToast('Programación eliminada', 'success');
+                    await this.loadSchedules();
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    shiftCalendar(months) {
+        const current = this.calendarMonth || new Date();
+        this.calendarMonth = new Date(current.getFullYear(), current.getMonth() + months, 1);
+        this.loadCalendar();
+    }
+
+    // Día (YYYY-MM-DD) de una fecha en la zona horaria global
+    calendarDayKey(value) {
+        return new Date(value).toLocaleDateString('en-CA', { timeZone: this.timezone || undefined });
+    }
+
+    // Mes del calendario: disparos registrados y próximas ejecuciones agrupados por día
+    async loadCalendar() {
+        const calendar = document.getElementById('calendar');
+        if (!calendar) return;
+
+        const month = this.calendarMonth || new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+        const first = new Date(month.getFullYear(), month.getMonth(), 1);
+        const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+        // Un día de margen a cada lado cubre la diferencia entre la hora local y la zona global
+        const from = new Date(first.getTime() - 24 * 3600 * 1000);
+        const to = new Date(last.getTime() + 2 * 24 * 3600 * 1000);
+
+        let data;
+        try {
+            data = await api.get(`/schedules/calendar?from=${from.toISOString()}&to=${to.toISOString()}`);
+        } catch (error) {
+            calendar.innerHTML = `<p>${error.message}</p>`;
+            return;
+        }
+        this.timezone = data.timezone;
+
+        const byDay = new Map();
+        data.events.forEach(event => {
+            const key = this.calendarDayKey(event.at);
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(event);
+        });
+
+        document.getElementById('calendar-title').textContent =
+            `${first.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })} (${data.timezone})`;
+
+        const weekdays = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+        const offset = (first.getDay() + 6) % 7;
+        const today = this.calendarDayKey(new Date());
+        const cells = [];
+        for (let i = 0; i < offset; i++) {
+            cells.push('<div class="calendar-day empty"></div>');
+        }
+        for (let day = 1; day <= last.getDate(); day++) {
+            const key = `${first.getFullYear()}-${String(first.getMonth() + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            const events = byDay.get(key) || [];
+            cells.push(`
+                <div class="calendar-day${key === today ? ' today' : ''}">
+                    <span class="calendar-date">${day}</span>
+                    ${events.slice(0, 3).map(event => `
+                        <div class="calendar-event ${event.status}" title="${event.name || ''} · ${event.status}${event.reason ? `: ${event.reason}` : ''}">
+                            ${new Date(event.at).toLocaleTimeString(undefined, { timeZone: data.timezone, hour: '2-digit', minute: '2-digit' })}
+                            ${event.name || ''}
+                        </div>
+                    `).join('')}
+                    ${events.length > 3 ? `<div class="calendar-more">+${events.length - 3} más</div>` : ''}
+                </div>
+            `);
+        }
+
+        calendar.innerHTML = `
+            <div class="calendar-grid">
+                ${weekdays.map(day => `<div class="calendar-weekday">${day}</div>`).join('')}
+                ${cells.join('')}
+            </div>
+            ${data.truncated ? '<p class="calendar-more">Hay más ejecuciones de las que se muestran</p>' : ''}
+        `;
+    }
+
+    // Funciones de filtrado
+    filterJobsData() {
+        const searchTerm = document.getElementById('jobs-search')?.value.toLowerCase() || '';
+        const statusFilter = document.getElementById('job-status-filter')?.value || '';
+        const typeFilter = document.getElementById('job-type-filter')?.value || '';
+
+        return this.jobs.filter(job => {
+            const matchesSearch = job.name.toLowerCase().includes(searchTerm) || 
+                                (job.output && job.output.toLowerCase().includes(searchTerm));
+            const matchesStatus = statusFilter === '' || job.status === statusFilter;
+            const matchesType = typeFilter === '' || job.type.includes(typeFilter);
+            
+            return matchesSearch && matchesStatus && matchesType;
+        });
+    }
+
+    filterLogsData() {
+        const searchTerm = document.getElementById('logs-search')?.value.toLowerCase() || '';
+        const levelFilter = document.getElementById('log-level-filter')?.value || '';
+        const dateFilter = document.getElementById('log-date-filter')?.value || '';
+
+        return this.logs.filter(log => {
+            const matchesSearch = log.message.toLowerCase().includes(searchTerm) || 
+                                log.source.toLowerCase().includes(searchTerm);
+            const matchesLevel = levelFilter === '' || log.level === levelFilter;
+            
+            let matchesDate = true;
+            if (dateFilter) {
+                const logDate = new Date(log.timestamp).toLocaleDateString();
+                const filterDate = new Date(dateFilter).toLocaleDateString();
+                matchesDate = logDate === filterDate;
+            }
+            
+            return matchesSearch && matchesLevel && matchesDate;
+        });
+    }
+
+    filterJobs() {
+        this.renderJobsList();
+    }
+
+    filterLogs() {
+        this.renderLogsList();
+    }
+
+    filterInventories() {
+        this.renderInventoriesList();
+    }
+
+    // Funciones de utilidad
+    debounce(func, wait) {
+        return (...args) => {
+            clearTimeout(this.debounceTimers.get(func));
+            this.debounceTimers.set(func, setTimeout(() => func.apply(this, args), wait));
+        };
+    }
+
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const now = new Date();
+        const diffMs = now - date;
+        const diffMins = Math.floor(diffMs / 60000);
+        const diffHours = Math.floor(diffMs / 3600000);
+        const diffDays = Math.floor(diffMs / 86400000);
+
+        if (diffMins < 1) return 'Justo ahora';
+        if (diffMins < 60) return `Hace ${diffMins} min`;
+        if (diffHours < 24) return `Hace ${diffHours} h`;
+        if (diffDays < 7) return `Hace ${diffDays} d`;
+        
+        return date.toLocaleDateString();
+    }
+
+    getJobIcon(type) {
+        const icons = {
+            'ansible': 'fa-server',
+            'ansible-playbook': 'fa-server',
+            'terraform-plan': 'fa-search',
+            'terraform-apply': 'fa-rocket',
+            'terraform-destroy': 'fa-trash',
+            'terraform-init': 'fa-download',
+            'terraform-state': 'fa-list-alt',
+            'terraform-workspace': 'fa-layer-group',
+            'workflow': 'fa-project-diagram'
+        };
+        return icons[type] || 'fa-tasks';
+    }
+
+    getStatusText(status) {
+        const statusText = {
+            'queued': 'En cola',
+            'running': 'En ejecución',
+            'completed': 'Completado',
+            'failed': 'Fallido',
+            'cancelling': 'Cancelando',
+            'cancelled': 'Cancelado',
+            'timed_out': 'Tiempo agotado',
+            'pending': 'Pendiente',
+            'skipped': 'Saltado',
+            'error': 'Error',
+            'awaiting_approval': 'Esperando aprobación',
+            'rejected': 'Rechazado',
+            'expired': 'Caducado'
+        };
+        return statusText[status] || status;
+    }
+
+    getLogIcon(level) {
+        const icons = {
+            'info': 'fa-info-circle',
+            'warning': 'fa-exclamation-triangle',
+            'error': 'fa-exclamation-circle',
+            'debug': 'fa-bug'
+        };
+        return icons[level] || 'fa-info-circle';
+    }
+
+    // Hosts del job por estado final ("3 ok · 1 failed"), en lugar del inicio de la salida
+    renderRecapSummary(recap) {
+        const counts = {};
+        recap.forEach(host => {
+            counts[host.status] = (counts[host.status] || 0) + 1;
+        });
+        return `
+            <div class="recap-summary">
+                <span><i class="fas fa-server"></i> ${recap.length} hosts</span>
+                ${['ok', 'changed', 'failed', 'unreachable'].filter(status => counts[status]).map(status => `
+                    <span class="recap-count ${status}">${counts[status]} ${status}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    truncateOutput(text, maxLength) {
+        if (text.length <= maxLength) return text;
+        return text.substring(0, maxLength) + '...';
+    }
+
+    // Texto de usuario (nombres, descripciones, preguntas de encuesta...) dentro de HTML o
+    // de un atributo: sin escapar, quien puede guardarlo ejecutaría código en la sesión de otro
+    escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    countHosts(hostsObj) {
+        let count = 0;
+        for (const group in hostsObj) {
+            if (hostsObj[group] && hostsObj[group].hosts) {
+                count += Object.keys(hostsObj[group].hosts).length;
+            }
+        }
+        return count;
+    }
+
+    // Funciones de UI
+    showProgressIndicator(show) {
+        const indicator = document.getElementById('progress-indicator');
+        if (indicator) {
+            indicator.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    showToast(message, type = 'info') {
+        const toastContainer = document.getElementById('toast-container');
+        if (!toastContainer) return;
+
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.innerHTML = `
+            <div class="toast-content">
+                <i class="fas ${this.getToastIcon(type)}"></i>
+                <span>${message}</span>
+            </div>
+            <button class="toast-close" onclick="this.parentElement.remove()">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+
+        toastContainer.appendChild(toast);
+
+        // Animar entrada
+        setTimeout(() => toast.classList.add('show'), 10);
+
+        // Auto-remover después de 5 segundos
+        setTimeout(() => {
+            if (toast.parentElement) {
+                toast.classList.remove('show');
+                setTimeout(() => toast.remove(), 300);
+            }
+        }, 5000);
     }
 
     getToastIcon(type) {
@@ -1184,185 +3134,1080 @@ class ConductorApp {
             'warning': 'fa-exclamation-triangle',
             'info': 'fa-info-circle'
         };
-        return icons[type] || 'fa-info-circle';
+        return icons[type] || 'fa-info-circle';
+    }
+
+    updateConnectionStatus(online = true) {
+        const statusElement = document.getElementById('connection-status');
+        if (!statusElement) return;
+
+        const indicator = statusElement.querySelector('.status-indicator');
+        const text = statusElement.querySelector('.status-text');
+
+        if (online) {
+            indicator.className = 'status-indicator online';
+            text.textContent = 'Online';
+        } else {
+            indicator.className = 'status-indicator offline';
+            text.textContent = 'Offline';
+        }
+    }
+
+    updateSystemMetrics(data) {
+        const metrics = ['cpu', 'memory', 'disk'];
+        metrics.forEach(metric => {
+            const fill = document.querySelector(`.metric-fill[data-value="${data[metric]}"]`);
+            const value = document.querySelector(`.metric-value[data-value="${data[metric]}"]`);
+            
+            if (fill) {
+                fill.style.width = `${data[metric]}%`;
+                fill.className = `metric-fill ${this.getMetricClass(data[metric])}`;
+            }
+            
+            if (value) {
+                value.textContent = `${data[metric]}%`;
+            }
+        });
+    }
+
+    getMetricClass(value) {
+        if (value > 80) return 'critical';
+        if (value > 60) return 'warning';
+        return 'normal';
+    }
+
+    // Funciones de modal
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.style.display = 'block';
+        }
+    }
+
+    closeModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    showJobDetails(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job) return;
+
+        const modal = document.getElementById('job-modal');
+        if (!modal) return;
+
+        document.getElementById('job-modal-title').textContent = job.name;
+        document.getElementById('job-modal-status').textContent = this.getStatusText(job.status);
+        document.getElementById('job-modal-status').className = `status-badge ${job.status}`;
+        document.getElementById('job-modal-duration').textContent = job.duration || 'N/A';
+        document.getElementById('job-modal-start-time').textContent = this.formatTime(job.created_at);
+        document.getElementById('job-modal-end-time').textContent = job.completed_at ? this.formatTime(job.completed_at) : 'N/A';
+        document.getElementById('job-output').textContent = job.output || 'No hay salida disponible';
+        this.renderJobProject(job);
+        this.renderCheckChanges(job);
+        this.loadJobApproval(job);
+        this.loadJobEvents(job);
+        this.loadWorkflowGraph(job);
+
+        modal.style.display = 'block';
+        this.openJobLog(job);
+    }
+
+    // Proyecto y commit exacto con el que se ejecutó el job
+    renderJobProject(job) {
+        const project = (job.payload || {}).project;
+        document.getElementById('job-modal-project-item').style.display = project ? '' : 'none';
+        if (project) {
+            document.getElementById('job-modal-project').textContent =
+                `${project.name}: ${project.path} @ ${project.commit.slice(0, 10)}${project.ref ? ` (${project.ref})` : ''}`;
+        }
+    }
+
+    // Resumen por host (recap) de los eventos estructurados del job de Ansible
+    async loadJobEvents(job) {
+        const container = document.getElementById('job-host-recap');
+        container.style.display = 'none';
+        container.innerHTML = '';
+        this.jobEvents = null;
+        if (job.type !== 'ansible-playbook') return;
+
+        try {
+            const events = await api.get(`/jobs/${job.id}/events`);
+            if (this.openJobId !== job.id || !events.captured) return;
+            this.jobEvents = events;
+            this.renderHostRecap();
+        } catch (error) {
+            console.warn('No se pudieron cargar los eventos del job:', error);
+        }
+    }
+
+    // Aprobación de un job retenido por una política: votos, plan o dry run que se revisa y
+    // los botones si el usuario puede decidir
+    async loadJobApproval(job) {
+        const container = document.getElementById('job-approval');
+        container.style.display = 'none';
+        container.innerHTML = '';
+        if (!job.approval) return;
+
+        try {
+            const approval = await api.get(`/jobs/${job.id}/approval`);
+            if (this.openJobId !== job.id) return;
+            this.renderJobApproval(approval);
+        } catch (error) {
+            console.warn('No se pudo cargar la aprobación del job:', error);
+        }
+    }
+
+    reloadJobApproval(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (job && this.openJobId === jobId) {
+            this.loadJobApproval(job);
+            document.getElementById('job-modal-status').textContent = this.getStatusText(job.status);
+            document.getElementById('job-modal-status').className = `status-badge ${job.status}`;
+        }
+    }
+
+    renderJobApproval(approval) {
+        const container = document.getElementById('job-approval');
+        const previewLabel = approval.jobType === 'terraform-apply' ? 'Ver plan' : 'Ver dry run';
+        const canDecide = approval.canApprove || approval.canReject;
+
+        container.innerHTML = `
+            <div class="job-approval-header">
+                <span>
+                    <i class="fas fa-user-check"></i>
+                    Política "${this.escapeHtml(approval.policyName)}": ${approval.approvals} de ${approval.requiredApprovals} aprobaciones
+                    (${approval.approverRoles.join(', ')})${approval.status === 'awaiting_approval' ? ` · caduca el ${this.formatScheduleDate(approval.expiresAt)}` : ''}
+                </span>
+                ${approval.preview ? `
+                <button class="btn btn-sm btn-secondary" onclick="conductor.showRelatedJob(${approval.preview.jobId})">
+                    <i class="fas fa-eye"></i> ${previewLabel} #${approval.preview.jobId} (${this.getStatusText(approval.preview.status)})
+                </button>` : `<span class="text-muted">Sin vista previa: ${this.escapeHtml(approval.previewSkipped || 'el destroy no tiene plan')}</span>`}
+            </div>
+            <div class="approval-decisions">
+                ${approval.decisions.map(decision => `
+                    <div class="approval-decision ${decision.decision}">
+                        <i class="fas ${decision.decision === 'approve' ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                        <strong>${this.escapeHtml(decision.username)}</strong>
+                        <span class="text-muted">${this.formatTime(decision.created_at)}</span>
+                        ${decision.comment ? `<span>${this.escapeHtml(decision.comment)}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+            ${canDecide ? `
+            <textarea class="form-textarea" id="approval-comment" rows="2" placeholder="Comentario (obligatorio para rechazar)"></textarea>
+            <div class="approval-actions">
+                ${approval.canApprove ? `
+                <button class="btn btn-sm btn-success" onclick="conductor.decideApproval(${approval.jobId}, 'approve')">
+                    <i class="fas fa-check"></i> Aprobar
+                </button>` : ''}
+                <button class="btn btn-sm btn-danger" onclick="conductor.decideApproval(${approval.jobId}, 'reject')">
+                    <i class="fas fa-times"></i> Rechazar
+                </button>
+            </div>` : ''}
+        `;
+        container.style.display = 'block';
+    }
+
+    async decideApproval(jobId, decision) {
+        const comment = document.getElementById('approval-comment').value.trim();
+        if (decision === 'reject' && !comment) {
+            this.showToast('Indica el motivo del rechazo', 'warning');
+            return;
+        }
+
+        try {
+            const approval = await api.post(`/jobs/${jobId}/${decision}`, { comment });
+            this.renderJobApproval(approval);
+            await this.refreshJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Cambio de estado de un job; en un workflow, cada nodo que se lanza o termina
+    handleJobUpdate(data) {
+        this.refreshJobs();
+        this.reloadWorkflowGraph(data.jobId);
+    }
+
+    // Grafo de la ejecución de un workflow con el estado de cada nodo
+    async loadWorkflowGraph(job) {
+        const container = document.getElementById('job-workflow-graph');
+        container.style.display = 'none';
+        container.innerHTML = '';
+        if (job.type !== 'workflow') return;
+
+        try {
+            const graph = await api.get(`/jobs/${job.id}/workflow`);
+            if (this.openJobId !== job.id) return;
+            this.renderWorkflowGraph(graph);
+        } catch (error) {
+            console.warn('No se pudo cargar el grafo del workflow:', error);
+        }
+    }
+
+    reloadWorkflowGraph(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (job && job.type === 'workflow' && this.openJobId === jobId) {
+            this.loadWorkflowGraph(job);
+        }
+    }
+
+    // Columnas por profundidad (el camino más largo desde un nodo inicial), así todas las
+    // aristas van hacia la derecha. Un nodo con job abre su detalle.
+    renderWorkflowGraph(graph) {
+        const container = document.getElementById('job-workflow-graph');
+        const nodeWidth = 190;
+        const nodeHeight = 56;
+        const gapX = 70;
+        const gapY = 24;
+        const edgeLabels = { success: 'si tiene éxito', failure: 'si falla', always: 'siempre' };
+
+        const depths = {};
+        const depth = (id) => {
+            if (depths[id] === undefined) {
+                const incoming = graph.edges.filter(edge => edge.to === id);
+                depths[id] = incoming.length > 0 ? Math.max(...incoming.map(edge => depth(edge.from) + 1)) : 0;
+            }
+            return depths[id];
+        };
+
+        const rows = {};
+        const positions = {};
+        graph.nodes.forEach(node => {
+            const column = depth(node.id);
+            const row = rows[column] || 0;
+            rows[column] = row + 1;
+            positions[node.id] = { x: column * (nodeWidth + gapX), y: row * (nodeHeight + gapY) };
+        });
+        const width = (Math.max(...Object.keys(rows).map(Number)) + 1) * (nodeWidth + gapX) - gapX;
+        const height = Math.max(...Object.values(rows)) * (nodeHeight + gapY) - gapY;
+
+        const edges = graph.edges.map(edge => {
+            const from = positions[edge.from];
+            const to = positions[edge.to];
+            const x1 = from.x + nodeWidth;
+            const y1 = from.y + nodeHeight / 2;
+            const x2 = to.x - 6;
+            const y2 = to.y + nodeHeight / 2;
+            const middle = (x1 + x2) / 2;
+            return `
+                <path class="workflow-edge ${edge.on}" d="M${x1},${y1} C${middle},${y1} ${middle},${y2} ${x2},${y2}"
+                      marker-end="url(#workflow-arrow-${edge.on})">
+                    <title>${edge.from} → ${edge.to} (${edgeLabels[edge.on]})</title>
+                </path>
+            `;
+        }).join('');
+
+        const nodes = graph.nodes.map(node => {
+            const { x, y } = positions[node.id];
+            const template = node.templateName || `Template ${node.templateId} (eliminado)`;
+            return `
+                <g class="workflow-node ${node.status}${node.jobId ? ' has-job' : ''}" transform="translate(${x},${y})"
+                   ${node.jobId ? `onclick="conductor.showRelatedJob(${node.jobId})"` : ''}>
+                    <title>${node.error || `${template}${node.jobId ? ` · job ${node.jobId}` : ''}`}</title>
+                    <rect width="${nodeWidth}" height="${nodeHeight}" rx="8"></rect>
+                    <text x="12" y="22" class="workflow-node-id">${node.id}</text>
+                    <text x="12" y="42" class="workflow-node-status">${this.getStatusText(node.status)} · ${this.truncateOutput(template, 18)}</text>
+                </g>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="workflow-graph-header">
+                <h4><i class="fas fa-project-diagram"></i> Workflow</h4>
+                <div class="workflow-legend">
+                    ${Object.entries(edgeLabels).map(([on, label]) => `<span class="workflow-legend-item ${on}">${label}</span>`).join('')}
+                </div>
+            </div>
+            <div class="workflow-graph-canvas">
+                <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                    <defs>
+                        ${Object.keys(edgeLabels).map(on => `
+                        <marker id="workflow-arrow-${on}" class="workflow-arrow ${on}" viewBox="0 0 10 10" refX="4" refY="5"
+                                markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                        </marker>`).join('')}
+                    </defs>
+                    ${edges}
+                    ${nodes}
+                </svg>
+            </div>
+        `;
+        container.style.display = '';
     }
 
-    updateConnectionStatus(online = true) {
-        const statusElement = document.getElementById('connection-status');
-        if (!statusElement) return;
+    // Detalle de otro job desde el abierto, como el hijo de un nodo de workflow o el plan que
+    // se aprueba (puede no estar aún en la lista de jobs)
+    async showRelatedJob(jobId) {
+        if (!this.jobs.some(j => j.id === jobId)) {
+            await this.refreshJobs();
+        }
+        this.closeJobLog();
+        this.showJobDetails(jobId);
+    }
 
-        const indicator = statusElement.querySelector('.status-indicator');
-        const text = statusElement.querySelector('.status-text');
+    reloadJobEvents(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (job && this.openJobId === jobId) {
+            this.loadJobEvents(job);
+        }
+    }
 
-        if (online) {
-            indicator.className = 'status-indicator online';
-            text.textContent = 'Online';
-        } else {
-            indicator.className = 'status-indicator offline';
-            text.textContent = 'Offline';
+    renderHostRecap() {
+        const container = document.getElementById('job-host-recap');
+        const { recap, plays } = this.jobEvents;
+        const seconds = (ms) => `${((ms || 0) / 1000).toFixed(1)}s`;
+        const hostTasks = (host) => plays.flatMap(play => play.tasks.flatMap(task =>
+            task.results.filter(result => result.host === host).map(result => ({ play: play.name, task: task.name, ...result }))
+        ));
+
+        container.innerHTML = `
+            <table class="recap-table">
+                <thead>
+                    <tr>
+                        <th>Host</th><th>ok</th><th>changed</th><th>failed</th><th>unreachable</th>
+                        <th>skipped</th><th>rescued</th><th>ignored</th><th>Duración</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${recap.map(host => `
+                        <tr class="recap-row ${host.status}" onclick="conductor.toggleRecapHost('${host.host}')">
+                            <td><i class="fas fa-server"></i> ${host.host}</td>
+                            <td>${host.ok}</td>
+                            <td class="${host.changed ? 'changed' : ''}">${host.changed}</td>
+                            <td class="${host.failed ? 'failed' : ''}">${host.failed}</td>
+                            <td class="${host.unreachable ? 'unreachable' : ''}">${host.unreachable}</td>
+                            <td>${host.skipped}</td>
+                            <td>${host.rescued}</td>
+                            <td>${host.ignored}</td>
+                            <td>${seconds(host.durationMs)}</td>
+                        </tr>
+                        <tr class="recap-tasks" data-host="${host.host}" style="display: none;">
+                            <td colspan="9">
+                                ${hostTasks(host.host).map(result => `
+                                    <div class="recap-task">
+                                        <span class="recap-count ${result.status}">${result.status}${result.ignored ? ' (ignored)' : ''}</span>
+                                        <span>${result.task}</span>
+                                        <span class="text-muted">${seconds(result.durationMs)}</span>
+                                        ${result.result && result.result.msg ? `<span class="recap-msg">${typeof result.result.msg === 'string' ? result.result.msg : JSON.stringify(result.result.msg)}</span>` : ''}
+                                    </div>
+                                `).join('')}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        container.style.display = 'block';
+    }
+
+    toggleRecapHost(host) {
+        const row = document.querySelector(`#job-host-recap .recap-tasks[data-host="${host}"]`);
+        if (row) {
+            row.style.display = row.style.display === 'none' ? 'table-row' : 'none';
         }
     }
 
-    updateSystemMetrics(data) {
-        const metrics = ['cpu', 'memory', 'disk'];
-        metrics.forEach(metric => {
-            const fill = document.querySelector(`.metric-fill[data-value="${data[metric]}"]`);
-            const value = document.querySelector(`.metric-value[data-value="${data[metric]}"]`);
-            
-            if (fill) {
-                fill.style.width = `${data[metric]}%`;
-                fill.className = `metric-fill ${this.getMetricClass(data[metric])}`;
+    // Log completo del job abierto: lo guardado hasta ahora y después en vivo por WebSocket
+    async openJobLog(job) {
+        this.closeJobLog();
+        this.openJobId = job.id;
+        this.jobLogSeq = 0;
+
+        try {
+            const response = await api.get(`/jobs/${job.id}/logs`);
+            if (this.openJobId !== job.id) return;
+
+            if (response.logs.length > 0) {
+                document.getElementById('job-output').textContent = '';
+                response.logs.forEach(entry => this.appendJobOutput(entry.seq, entry.chunk));
             }
-            
-            if (value) {
-                value.textContent = `${data[metric]}%`;
+
+            if (!response.finished && this.socket && this.socket.connected) {
+                this.socket.emit('subscribe-job', { jobId: job.id, since: this.jobLogSeq });
+            }
+        } catch (error) {
+            console.warn('No se pudo cargar el log del job:', error);
+        }
+    }
+
+    closeJobLog() {
+        if (this.openJobId && this.socket) {
+            this.socket.emit('unsubscribe-job', this.openJobId);
+        }
+        this.openJobId = null;
+    }
+
+    appendJobOutput(seq, chunk) {
+        // Los fragmentos reenviados al suscribirse pueden llegar repetidos
+        if (seq <= this.jobLogSeq) return;
+
+        const output = document.getElementById('job-output');
+        if (this.jobLogSeq === 0) {
+            output.textContent = '';
+        }
+        output.textContent += chunk;
+        output.scrollTop = output.scrollHeight;
+        this.jobLogSeq = seq;
+    }
+
+    handleJobLog(data) {
+        if (data.jobId === this.openJobId) {
+            this.appendJobOutput(data.seq, data.log);
+        }
+    }
+
+    closeJobModal() {
+        this.closeJobLog();
+        this.closeModal('job-modal');
+    }
+
+    showCreateInventoryModal() {
+        this.fillInventoryModal(null);
+        this.showModal('inventory-modal');
+    }
+
+    // Muestra los hosts (estático) o la configuración del origen (dinámico)
+    toggleInventoryType(type) {
+        document.getElementById('static-inventory-group').style.display = type === 'dynamic' ? 'none' : 'block';
+        document.getElementById('dynamic-inventory-group').style.display = type === 'dynamic' ? 'block' : 'none';
+        this.updateSourcePathField();
+    }
+
+    updateSourcePathField() {
+        const type = document.getElementById('inventory-source-type').value;
+        const placeholders = {
+            script: '/path/to/dynamic/inventory/script.py',
+            file: '/path/to/inventory.yml',
+            tfstate: '/terraform/aws/terraform.tfstate'
+        };
+        const pathInput = document.getElementById('inventory-script');
+        pathInput.style.display = type === 'docker' ? 'none' : 'block';
+        pathInput.placeholder = placeholders[type] || '';
+    }
+
+    // Origen dinámico del modal, o null si el inventario es estático
+    getInventorySource() {
+        const type = document.querySelector('input[name="inventory-type"]:checked').value;
+        if (type !== 'dynamic') return null;
+
+        const sourceType = document.getElementById('inventory-source-type').value;
+        const interval = document.getElementById('inventory-sync-interval').value;
+        const source = { type: sourceType, intervalMinutes: interval ? parseFloat(interval) : null };
+        if (sourceType !== 'docker') {
+            source.path = document.getElementById('inventory-script').value.trim();
+        }
+        return source;
+    }
+
+    // Modal de inventario en modo alta (inventory = null) o edición
+    fillInventoryModal(inventory) {
+        this.editingInventoryId = inventory ? inventory.id : null;
+        document.getElementById('inventory-modal-title').textContent = inventory ? `Editar "${inventory.name}"` : 'Crear Nuevo Inventario';
+        document.getElementById('inventory-submit-label').textContent = inventory ? 'Guardar Cambios' : 'Crear Inventario';
+        document.getElementById('inventory-name').value = inventory ? inventory.name : '';
+        document.getElementById('inventory-description').value = inventory ? inventory.description : '';
+        document.getElementById('inventory-hosts').value = inventory ? JSON.stringify(inventory.hosts, null, 2) : '';
+
+        const source = inventory ? inventory.source : null;
+        document.querySelector(`input[name="inventory-type"][value="${source ? 'dynamic' : 'static'}"]`).checked = true;
+        document.getElementById('inventory-source-type').value = source ? source.type : 'script';
+        document.getElementById('inventory-script').value = source && source.path ? source.path : '';
+        document.getElementById('inventory-sync-interval').value = source && source.intervalMinutes ? source.intervalMinutes : '';
+        this.toggleInventoryType(source ? 'dynamic' : 'static');
+    }
+
+    closeInventoryModal() {
+        this.closeModal('inventory-modal');
+    }
+
+    showQuickJobModal() {
+        this.showModal('quick-job-modal');
+    }
+
+    closeQuickJobModal() {
+        this.closeModal('quick-job-modal');
+    }
+
+    // Funciones de negocio
+    refreshDashboard() {
+        this.updateDashboardStats();
+        this.loadRecentActivity();
+        this.showToast('Dashboard actualizado', 'success');
+    }
+
+    async refreshJobs() {
+        await this.loadJobs();
+        this.populatePlanSelect();
+    }
+
+    stopJob(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job) return;
+
+        this.showConfirmModal({
+            title: 'Detener job',
+            message: `¿Cancelar el job "${job.name}"? Si está en ejecución se detendrá su proceso.`,
+            onConfirm: async () => {
+                try {
+                    const response = await api.post(`/jobs/${jobId}/cancel`);
+                    this.showToast(response.message, 'warning');
+                    await this.refreshJobs();
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    refreshCurrentSection() {
+        this.loadSectionData(this.currentSection);
+        this.showToast(`${this.getSectionTitle(this.currentSection)} actualizado`, 'success');
+    }
+
+    // Ejecuta el playbook del editor; con checkMode es un dry run (--check --diff) cuyos
+    // cambios se revisan en el detalle del job antes de ejecutarlo de verdad
+    async executePlaybook(checkMode = false) {
+        const name = document.getElementById('playbook-name').value.trim();
+        const workspaceId = document.getElementById('playbook-source').value;
+        const source = workspaceId
+            ? { workspaceId: parseInt(workspaceId, 10), workspacePath: document.getElementById('playbook-workspace-path').value }
+            : { playbook: document.getElementById('playbook-content').value };
+        const inventory = this.getPlaybookInventory();
+        const variablesText = document.getElementById('ansible-variables').value.trim();
+
+        if (!name || !(source.playbook || source.workspacePath) || !inventory) {
+            this.showToast('Nombre, playbook e inventario son requeridos', 'error');
+            return;
+        }
+
+        let variables = {};
+        try {
+            variables = variablesText ? JSON.parse(variablesText) : {};
+        } catch (error) {
+            this.showToast(`Las variables no son JSON válido: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            this.showProgressIndicator(true);
+            const result = await api.post('/ansible/playbook', { name, ...source, inventory, variables, checkMode });
+            this.showToast(`${result.message} (job ${result.jobId})`, 'success');
+            await this.refreshJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.showProgressIndicator(false);
+        }
+    }
+
+    dryRunPlaybook() {
+        this.executePlaybook(true);
+    }
+
+    // Origen del playbook: el editor o un workspace subido (con sus roles, group_vars...)
+    populatePlaybookSourceSelect() {
+        const select = document.getElementById('playbook-source');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">Playbook del editor</option>' + this.ansibleWorkspaces
+            .map(workspace => `<option value="${workspace.id}">Workspace ${workspace.name}</option>`)
+            .join('');
+        select.value = this.ansibleWorkspaces.some(w => String(w.id) === selected) ? selected : '';
+        this.togglePlaybookSource();
+    }
+
+    togglePlaybookSource() {
+        const workspace = this.ansibleWorkspaces.find(w => String(w.id) === document.getElementById('playbook-source').value);
+        const editor = document.getElementById('playbook-content');
+        document.getElementById('playbook-editor-group').style.display = workspace ? 'none' : 'block';
+        document.getElementById('playbook-workspace-group').style.display = workspace ? 'block' : 'none';
+        // El editor oculto no puede bloquear el envío del formulario
+        editor.required = !workspace;
+        if (workspace) {
+            document.getElementById('playbook-workspace-path').innerHTML = workspace.playbooks
+                .map(playbook => `<option value="${playbook}">${playbook}</option>`)
+                .join('');
+        }
+    }
+
+    // Cambios de un dry run agrupados por host, con el diff de cada archivo
+    renderCheckChanges(job) {
+        const container = document.getElementById('job-check-changes');
+        const result = job.result || {};
+        if (!result.checkMode) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const escape = (text) => this.escapeHtml(text);
+        const diffLine = (line) => {
+            const kind = line.startsWith('@@') ? 'hunk'
+                : line.startsWith('+') ? 'added'
+                : line.startsWith('-') ? 'removed' : '';
+            return `<span class="diff-line ${kind}">${escape(line)}</span>`;
+        };
+
+        const changes = result.changes || [];
+        const byHost = {};
+        changes.forEach(change => {
+            (byHost[change.host] = byHost[change.host] || []).push(change);
+        });
+        const canRun = job.status === 'completed' &&
+            this.canRunJob(job.type, { inventoryId: job.payload && job.payload.inventoryId });
+
+        container.innerHTML = `
+            <div class="check-changes-header">
+                <span><i class="fas fa-eye"></i> Dry run: ${changes.length} tareas con cambios en ${Object.keys(byHost).length} hosts</span>
+                ${canRun ? `
+                <button class="btn btn-sm btn-primary" onclick="conductor.runCheckedPlaybook(${job.id})">
+                    <i class="fas fa-play"></i> Ejecutar de verdad con los mismos parámetros
+                </button>` : ''}
+            </div>
+            ${changes.length === 0 ? '<p class="empty-state">El playbook no cambiaría nada</p>' : ''}
+            ${Object.entries(byHost).map(([host, hostChanges]) => `
+                <details class="check-host" open>
+                    <summary><i class="fas fa-server"></i> ${escape(host)} (${hostChanges.length})</summary>
+                    ${hostChanges.map(change => `
+                        <div class="check-task">
+                            <div class="check-task-header">
+                                <span class="status-badge ${change.status === 'failed' ? 'failed' : 'running'}">${change.status}</span>
+                                <strong>${escape(change.task)}</strong>
+                                <span class="text-muted">${escape(change.action)}</span>
+                            </div>
+                            ${change.diffs.map(diff => `
+                                <pre class="diff">${diff.unified.split('\n').filter(Boolean).map(diffLine).join('')}${diff.prepared ? escape(diff.prepared) : ''}</pre>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </details>
+            `).join('')}
+        `;
+        container.style.display = 'block';
+    }
+
+    async runCheckedPlaybook(checkJobId) {
+        try {
+            const result = await api.post('/ansible/playbook', { checkJobId });
+            this.showToast(`${result.message} (job ${result.jobId})`, 'success');
+            this.closeJobModal();
+            await this.refreshJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Alta o edición según editingInventoryId; cada guardado crea una revisión en el servidor
+    async createInventory() {
+        const name = document.getElementById('inventory-name').value.trim();
+        const description = document.getElementById('inventory-description').value;
+        const source = this.getInventorySource();
+        // Los hosts de un inventario dinámico los escribe la sincronización
+        const current = this.inventories.find(inv => inv.id === this.editingInventoryId);
+        const hosts = source
+            ? (current ? current.hosts : {})
+            : this.parseInventoryHosts(document.getElementById('inventory-hosts').value);
+
+        if (!name) {
+            this.showToast('Nombre del inventario es requerido', 'error');
+            return;
+        }
+
+        try {
+            if (this.editingInventoryId) {
+                await api.put(`/inventories/${this.editingInventoryId}`, {
+                    name,
+                    description,
+                    hosts,
+                    source,
+                    variables: current ? current.variables : {},
+                    credentialIds: current ? current.credentialIds : []
+                });
+                this.showToast('Inventario actualizado', 'success');
+            } else {
+                await api.post('/inventories', { name, description, hosts, source });
+                this.showToast('Inventario creado', 'success');
+            }
+
+            await this.loadInventories();
+            this.closeInventoryModal();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Validar los hosts del modal con ansible-inventory (o solo la estructura si no está disponible)
+    async validateInventory() {
+        const hosts = this.parseInventoryHosts(document.getElementById('inventory-hosts').value);
+        const current = this.inventories.find(inv => inv.id === this.editingInventoryId);
+
+        try {
+            const report = await api.post('/inventories/validate', {
+                hosts,
+                variables: current ? current.variables : {}
+            });
+
+            if (!report.valid) {
+                this.showToast(`Inventario inválido: ${report.errors.join('; ')}`, 'error');
+                return;
+            }
+
+            this.showToast(`Inventario válido: ${report.hosts.length} hosts en ${report.groups.length} grupos`, 'success');
+            report.warnings.forEach(warning => this.showToast(warning, 'warning'));
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async syncInventory(id) {
+        try {
+            this.showProgressIndicator(true);
+            const sync = await api.post(`/inventories/${id}/sync`);
+            if (sync.status === 'success') {
+                this.showToast(`Inventario sincronizado: ${sync.hostCount} hosts (r${sync.revision})`, 'success');
+            }
+            await this.loadInventories();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.showProgressIndicator(false);
+        }
+    }
+
+    editInventory(id) {
+        const inventory = this.inventories.find(inv => inv.id === id);
+        if (!inventory) return;
+
+        this.fillInventoryModal(inventory);
+        this.showModal('inventory-modal');
+    }
+
+    deleteInventory(id) {
+        const inventory = this.inventories.find(inv => inv.id === id);
+        if (!inventory) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar inventario',
+            message: `Se eliminará "${inventory.name}" con todo su historial de revisiones. Escribe su nombre para confirmar.`,
+            expected: inventory.name,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/inventories/${id}`);
+                    await this.loadInventories();
+                    this.showToast('Inventario eliminado', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    // Historial de revisiones de un inventario, con diff y rollback
+    async showInventoryHistory(id) {
+        const inventory = this.inventories.find(inv => inv.id === id);
+        if (!inventory) return;
+
+        try {
+            const revisions = await api.get(`/inventories/${id}/revisions`);
+            const canWrite = this.canManageInventory(id);
+
+            document.getElementById('inventory-history-title').textContent = `Historial de "${inventory.name}"`;
+            document.getElementById('inventory-diff').textContent = '';
+            document.getElementById('inventory-revisions').innerHTML = revisions.map(rev => `
+                <div class="revision-item">
+                    <span class="badge">r${rev.revision}</span>
+                    <span>${this.escapeHtml(rev.message)}</span>
+                    <span class="revision-time">${this.formatTime(rev.created_at)}</span>
+                    ${rev.revision > 1 ? `
+                    <button class="btn btn-sm" onclick="conductor.showInventoryDiff(${id}, ${rev.revision - 1}, ${rev.revision})">
+                        <i class="fas fa-exchange-alt"></i> Cambios
+                    </button>` : ''}
+                    ${canWrite && rev.revision !== inventory.revision ? `
+                    <button class="btn btn-sm btn-outline" onclick="conductor.rollbackInventory(${id}, ${rev.revision})">
+                        <i class="fas fa-undo"></i> Restaurar
+                    </button>` : ''}
+                </div>
+            `).join('');
+
+            this.showModal('inventory-history-modal');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async showInventoryDiff(id, from, to) {
+        try {
+            const diff = await api.get(`/inventories/${id}/diff?from=${from}&to=${to}`);
+            const symbols = { added: '+', removed: '-', changed: '~' };
+            const lines = diff.changes.map(change => {
+                const value = change.type === 'changed'
+                    ? `${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`
+                    : JSON.stringify(change.type === 'added' ? change.to : change.from);
+                return `${symbols[change.type]} ${change.path}: ${value}`;
+            });
+
+            document.getElementById('inventory-diff').textContent =
+                `r${from} -> r${to}\n${lines.join('\n') || 'Sin cambios'}`;
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    rollbackInventory(id, revision) {
+        this.showConfirmModal({
+            title: 'Restaurar revisión',
+            message: `Se creará una revisión nueva con el contenido de r${revision}. ¿Continuar?`,
+            onConfirm: async () => {
+                try {
+                    await api.post(`/inventories/${id}/rollback`, { revision });
+                    await this.loadInventories();
+                    this.closeInventoryHistory();
+                    this.showToast(`Inventario restaurado a r${revision}`, 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
             }
         });
     }
 
-    getMetricClass(value) {
-        if (value > 80) return 'critical';
-        if (value > 60) return 'warning';
-        return 'normal';
-    }
+    // Registro de hosts: filtros en el servidor (búsqueda, inventario y último estado)
+    async loadHosts() {
+        const params = new URLSearchParams();
+        const search = document.getElementById('hosts-search')?.value.trim();
+        const inventoryId = document.getElementById('host-inventory-filter')?.value;
+        const status = document.getElementById('host-status-filter')?.value;
+        if (search) params.set('search', search);
+        if (inventoryId) params.set('inventoryId', inventoryId);
+        if (status) params.set('status', status);
 
-    // Funciones de modal
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.style.display = 'block';
+        try {
+            if (this.inventories.length === 0) {
+                this.inventories = await this.fetchInventories();
+            }
+            this.populateHostInventoryFilter();
+            this.hosts = await api.get(`/hosts?${params}`);
+        } catch (error) {
+            this.hosts = [];
+            this.showToast(error.message, 'error');
         }
+        this.renderHostsList();
     }
 
-    closeModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.style.display = 'none';
-        }
+    populateHostInventoryFilter() {
+        const filter = document.getElementById('host-inventory-filter');
+        if (!filter) return;
+
+        const selected = filter.value;
+        filter.innerHTML = '<option value="">Todos los inventarios</option>' + this.inventories
+            .map(inv => `<option value="${inv.id}">${this.escapeHtml(inv.name)}</option>`)
+            .join('');
+        filter.value = selected;
     }
 
-    showJobDetails(jobId) {
-        const job = this.jobs.find(j => j.id === jobId);
-        if (!job) return;
+    getInventoryNames(ids) {
+        return ids
+            .map(id => this.inventories.find(inv => inv.id === id))
+            .filter(Boolean)
+            .map(inv => inv.name);
+    }
 
-        const modal = document.getElementById('job-modal');
-        if (!modal) return;
+    renderHostsList() {
+        const hostsList = document.getElementById('hosts-list');
+        if (!hostsList) return;
 
-        document.getElementById('job-modal-title').textContent = job.name;
-        document.getElementById('job-modal-status').textContent = this.getStatusText(job.status);
-        document.getElementById('job-modal-status').className = `status-badge ${job.status}`;
-        document.getElementById('job-modal-duration').textContent = job.duration || 'N/A';
-        document.getElementById('job-modal-start-time').textContent = this.formatTime(job.created_at);
-        document.getElementById('job-modal-end-time').textContent = job.completed_at ? this.formatTime(job.completed_at) : 'N/A';
-        document.getElementById('job-output').textContent = job.output || 'No hay salida disponible';
+        if (this.hosts.length === 0) {
+            hostsList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-desktop fa-3x"></i>
+                    <h3>No hay hosts</h3>
+                    <p>Los hosts se registran al guardar inventarios y al ejecutar playbooks</p>
+                </div>
+            `;
+            return;
+        }
 
-        modal.style.display = 'block';
+        hostsList.innerHTML = this.hosts.map(host => {
+            const summary = host.summary || {};
+            const inventories = this.getInventoryNames(host.inventoryIds);
+            return `
+            <div class="inventory-card" onclick="conductor.showHostDetails(${host.id})">
+                <div class="inventory-header">
+                    <h4>${host.name}</h4>
+                    <span class="status-badge ${host.lastStatus || 'pending'}">${host.lastStatus || 'sin jobs'}</span>
+                </div>
+                <div class="inventory-body">
+                    <p>${[summary.os, summary.ip].filter(Boolean).join(' · ') || 'Sin facts'}</p>
+                    <div class="inventory-stats">
+                        <span><i class="fas fa-list"></i> ${inventories.length > 0 ? inventories.join(', ') : 'Sin inventario'}</span>
+                        <span><i class="fas fa-eye"></i> ${host.lastSeenAt ? this.formatTime(host.lastSeenAt) : 'Nunca visto'}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+        }).join('');
     }
 
-    closeJobModal() {
-        this.closeModal('job-modal');
-    }
+    async showHostDetails(id) {
+        try {
+            const host = await api.get(`/hosts/${id}`);
+            this.currentHostId = host.id;
+            const summary = host.summary || {};
+
+            document.getElementById('host-modal-title').textContent = host.name;
+            document.getElementById('host-summary').innerHTML = [
+                ['Estado', `<span class="status-badge ${host.lastStatus || 'pending'}">${host.lastStatus || 'sin jobs'}</span>`],
+                ['Último contacto', host.lastSeenAt ? this.formatTime(host.lastSeenAt) : 'Nunca'],
+                ['Sistema', summary.os || '-'],
+                ['IP', summary.ip || '-'],
+                ['CPUs / Memoria', summary.cpus ? `${summary.cpus} / ${summary.memoryMb} MB` : '-'],
+                ['Inventarios', this.getInventoryNames(host.inventoryIds).join(', ') || '-']
+            ].map(([label, value]) => `
+                <div class="job-info-item">
+                    <span class="info-label">${label}:</span>
+                    <span>${value}</span>
+                </div>
+            `).join('');
 
-    showCreateInventoryModal() {
-        this.showModal('inventory-modal');
-    }
+            document.getElementById('host-facts').textContent = host.facts
+                ? JSON.stringify(host.facts, null, 2)
+                : 'Todavía no se han recogido facts (se guardan al ejecutar un playbook con gather_facts)';
+            document.getElementById('host-facts-updated').textContent = host.factsUpdatedAt
+                ? `Actualizados ${this.formatTime(host.factsUpdatedAt)}`
+                : '';
 
-    closeInventoryModal() {
-        this.closeModal('inventory-modal');
+            await this.loadHostTimeline();
+            this.showModal('host-modal');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
-    showQuickJobModal() {
-        this.showModal('quick-job-modal');
-    }
+    // Jobs que tocaron el host en el rango elegido, con las tareas que cambiaron o fallaron
+    async loadHostTimeline() {
+        const timeline = document.getElementById('host-timeline');
+        if (!timeline || !this.currentHostId) return;
 
-    closeQuickJobModal() {
-        this.closeModal('quick-job-modal');
+        const days = document.getElementById('host-timeline-range').value;
+        const since = days ? `?since=${new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()}` : '';
+
+        try {
+            const entries = await api.get(`/hosts/${this.currentHostId}/jobs${since}`);
+            timeline.innerHTML = entries.length === 0
+                ? '<p class="empty-state">Ningún job tocó este host en el periodo</p>'
+                : entries.map(entry => `
+                    <div class="revision-item">
+                        <span class="status-badge ${entry.status}">${entry.status}</span>
+                        <span>
+                            <strong>${entry.jobName || `Job ${entry.jobId}`}</strong>
+                            ok=${entry.stats.ok} changed=${entry.stats.changed} failed=${entry.stats.failed}
+                            ${entry.changedTasks.length > 0 ? `<br>Cambios: ${entry.changedTasks.join(', ')}` : ''}
+                            ${entry.failedTasks.length > 0 ? `<br>Fallos: ${entry.failedTasks.join(', ')}` : ''}
+                        </span>
+                        <span class="revision-time">${this.formatTime(entry.created_at)}</span>
+                    </div>
+                `).join('');
+        } catch (error) {
+            timeline.innerHTML = '';
+            this.showToast(error.message, 'error');
+        }
     }
 
-    // Funciones de negocio
-    refreshDashboard() {
-        this.updateDashboardStats();
-        this.loadRecentActivity();
-        this.showToast('Dashboard actualizado', 'success');
+    closeHostModal() {
+        this.currentHostId = null;
+        this.closeModal('host-modal');
     }
 
-    refreshJobs() {
-        this.renderJobsList();
-        this.showToast('Jobs actualizados', 'success');
+    // Importar INI, YAML o JSON de ansible-inventory a un inventario nuevo o a uno estático existente
+    showImportInventoryModal() {
+        const target = document.getElementById('inventory-import-target');
+        target.innerHTML = '<option value="">Nuevo inventario</option>' + this.inventories
+            .filter(inv => !inv.source)
+            .map(inv => `<option value="${inv.id}">Reemplazar "${this.escapeHtml(inv.name)}"</option>`)
+            .join('');
+        document.getElementById('inventory-import-form').reset();
+        document.getElementById('inventory-import-name-group').style.display = 'block';
+        this.showModal('inventory-import-modal');
     }
 
-    refreshCurrentSection() {
-        this.loadSectionData(this.currentSection);
-        this.showToast(`${this.getSectionTitle(this.currentSection)} actualizado`, 'success');
+    // El formato se deduce de la extensión del archivo; el contenido se puede revisar antes de importar
+    readImportFile(file) {
+        if (!file) return;
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        const formats = { ini: 'ini', cfg: 'ini', yml: 'yaml', yaml: 'yaml', json: 'json' };
+        document.getElementById('inventory-import-format').value = formats[extension] || '';
+
+        const nameInput = document.getElementById('inventory-import-name');
+        if (!nameInput.value) {
+            nameInput.value = file.name.replace(/\.[^.]+$/, '');
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('inventory-import-content').value = reader.result;
+        };
+        reader.readAsText(file);
     }
 
-    executePlaybook() {
-        const name = document.getElementById('playbook-name').value;
-        const content = document.getElementById('playbook-content').value;
-        
-        if (!name || !content) {
-            this.showToast('Nombre y contenido del playbook son requeridos', 'error');
+    async importInventory() {
+        const targetId = document.getElementById('inventory-import-target').value;
+        const name = document.getElementById('inventory-import-name').value.trim();
+        const format = document.getElementById('inventory-import-format').value || undefined;
+        const content = document.getElementById('inventory-import-content').value;
+
+        if (!targetId && !name) {
+            this.showToast('Nombre del inventario es requerido', 'error');
+            return;
+        }
+        if (!content.trim()) {
+            this.showToast('Selecciona un archivo o pega el inventario', 'error');
             return;
         }
 
-        this.showProgressIndicator(true);
-        
-        // Simular ejecución
-        setTimeout(() => {
+        try {
+            this.showProgressIndicator(true);
+            const inventory = targetId
+                ? await api.post(`/inventories/${targetId}/import`, { content, format })
+                : await api.post('/inventories/import', { name, content, format });
+            this.closeInventoryImport();
+            await this.loadInventories();
+            this.showToast(`Inventario "${inventory.name}" importado: ${this.countHosts(inventory.hosts)} hosts`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
             this.showProgressIndicator(false);
-            
-            // Crear un job simulado
-            const newJob = {
-                id: Date.now(),
-                name: name,
-                type: 'ansible',
-                status: 'running',
-                created_at: new Date().toISOString(),
-                output: 'Iniciando ejecución del playbook...'
-            };
-            
-            this.jobs.unshift(newJob);
-            this.updateDashboardStats();
-            this.showToast('Playbook ejecutándose', 'success');
-            
-            // Simular finalización después de 5 segundos
-            setTimeout(() => {
-                newJob.status = 'completed';
-                newJob.completed_at = new Date().toISOString();
-                newJob.duration = '5s';
-                newJob.output = 'PLAY [all] ***********************************************************\n\nTASK [Gathering Facts] *****************************************************\nok: [localhost]\n\nPLAY RECAP ****************************************************************\nlocalhost                  : ok=1    changed=0    unreachable=0    failed=0    skipped=0    rescued=0    ignored=0';
-                
-                this.updateDashboardStats();
-                this.showToast('Playbook completado', 'success');
-            }, 5000);
-        }, 1000);
-    }
-
-    createInventory() {
-        const name = document.getElementById('inventory-name').value;
-        const description = document.getElementById('inventory-description').value;
-        const type = document.querySelector('input[name="inventory-type"]:checked').value;
-        const hosts = document.getElementById('inventory-hosts').value;
-        
-        if (!name) {
-            this.showToast('Nombre del inventario es requerido', 'error');
-            return;
         }
+    }
 
-        const newInventory = {
-            id: Date.now(),
-            name,
-            description,
-            type,
-            hosts: type === 'static' ? this.parseInventoryHosts(hosts) : {},
-            created_at: new Date().toISOString()
-        };
+    closeInventoryImport() {
+        this.closeModal('inventory-import-modal');
+    }
 
-        this.inventories.push(newInventory);
-        this.renderInventoriesList();
-        this.populateInventorySelect();
-        this.closeInventoryModal();
-        this.showToast('Inventario creado', 'success');
+    async exportInventory(id, format) {
+        if (!format) return;
+
+        const inventory = this.inventories.find(inv => inv.id === id);
+        try {
+            const content = await api.getText(`/inventories/${id}/export?format=${format}`);
+            const extensions = { ini: 'ini', yaml: 'yml', json: 'json' };
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+            link.download = `${inventory ? inventory.name : `inventario-${id}`}.${extensions[format]}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    closeInventoryHistory() {
+        this.closeModal('inventory-history-modal');
     }
 
     parseInventoryHosts(hostsText) {
@@ -1396,6 +4241,220 @@ class ConductorApp {
             option.textContent = inv.name;
             select.appendChild(option);
         });
+        this.updateJobActions();
+    }
+
+    // Modal de confirmación; con `expected` exige escribir ese texto para confirmar
+    showConfirmModal({ title, message, expected = null, onConfirm }) {
+        const input = document.getElementById('confirm-input');
+
+        document.getElementById('confirm-title').textContent = title;
+        document.getElementById('confirm-message').textContent = message;
+        input.value = '';
+        input.placeholder = expected || '';
+        input.style.display = expected ? 'block' : 'none';
+
+        this.pendingConfirm = { expected, onConfirm };
+        this.showModal('confirm-modal');
+    }
+
+    closeConfirmModal() {
+        this.pendingConfirm = null;
+        this.closeModal('confirm-modal');
+    }
+
+    confirmAction() {
+        if (!this.pendingConfirm) return;
+
+        const { expected, onConfirm } = this.pendingConfirm;
+        const typed = document.getElementById('confirm-input').value;
+
+        if (expected && typed !== expected) {
+            this.showToast(`Escribe "${expected}" para confirmar`, 'error');
+            return;
+        }
+
+        this.closeConfirmModal();
+        onConfirm(typed);
+    }
+
+    // Terraform
+    switchTerraformTab(tabName) {
+        document.querySelectorAll('.terraform-tabs .tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === tabName);
+        });
+
+        document.getElementById('terraform-plan-group').style.display = tabName === 'apply' ? 'block' : 'none';
+        document.getElementById('terraform-state-panel').style.display = tabName === 'state' ? 'block' : 'none';
+
+        if (tabName === 'apply') {
+            this.populatePlanSelect();
+        }
+    }
+
+    getTerraformFormData() {
+        const name = document.getElementById('terraform-name').value.trim();
+        const workingDir = document.getElementById('terraform-dir').value.trim();
+        const workspace = document.getElementById('terraform-workspace').value;
+        const variablesText = document.getElementById('terraform-variables').value.trim();
+
+        if (!name || !workingDir) {
+            this.showToast('Nombre y directorio de trabajo son requeridos', 'error');
+            return null;
+        }
+
+        let variables = {};
+        if (variablesText) {
+            try {
+                variables = JSON.parse(variablesText);
+            } catch (error) {
+                this.showToast('Variables inválidas: deben ser JSON', 'error');
+                return null;
+            }
+        }
+
+        return { name, workingDir, workspace, variables, credentialIds: this.getSelectedCredentialIds('terraform-credentials') };
+    }
+
+    async submitTerraformJob(endpoint, body) {
+        try {
+            this.showProgressIndicator(true);
+            const response = await api.post(`/terraform/${endpoint}`, body);
+            this.showToast(response.message, 'success');
+            await this.refreshJobs();
+            return response;
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return null;
+        } finally {
+            this.showProgressIndicator(false);
+        }
+    }
+
+    populatePlanSelect() {
+        const select = document.getElementById('terraform-plan-select');
+        if (!select) return;
+
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+
+        this.jobs
+            .filter(job => job.type === 'terraform-plan' && job.status === 'completed')
+            .forEach(job => {
+                const option = document.createElement('option');
+                option.value = job.id;
+                const summary = job.result && job.result.plan ? ` — ${job.result.plan}` : '';
+                option.textContent = `#${job.id} ${job.name}${summary}`;
+                select.appendChild(option);
+            });
+    }
+
+    executeTerraformPlan() {
+        const data = this.getTerraformFormData();
+        if (!data) return;
+
+        const refresh = document.getElementById('terraform-refresh');
+        this.submitTerraformJob('plan', { ...data, refresh: refresh ? refresh.checked : true });
+    }
+
+    executeTerraformApply() {
+        const planJobId = document.getElementById('terraform-plan-select').value;
+        const autoApprove = document.getElementById('terraform-auto-approve').checked;
+
+        if (planJobId) {
+            const name = document.getElementById('terraform-name').value.trim() || `Plan ${planJobId}`;
+            this.submitTerraformJob('apply', { name, planJobId: parseInt(planJobId, 10) });
+            return;
+        }
+
+        if (!autoApprove) {
+            this.switchTerraformTab('apply');
+            this.showToast('Selecciona un plan revisado o activa Auto-approve', 'warning');
+            return;
+        }
+
+        const data = this.getTerraformFormData();
+        if (!data) return;
+        this.submitTerraformJob('apply', { ...data, autoApprove: true });
+    }
+
+    executeTerraformDestroy() {
+        const data = this.getTerraformFormData();
+        if (!data) return;
+
+        this.showConfirmModal({
+            title: 'Destruir infraestructura',
+            message: `Se destruirán todos los recursos del workspace "${data.workspace}" en ${data.workingDir}. Escribe el nombre del workspace para confirmar.`,
+            expected: data.workspace,
+            onConfirm: (confirm) => this.submitTerraformJob('destroy', { ...data, confirm })
+        });
+    }
+
+    initTerraform() {
+        const data = this.getTerraformFormData();
+        if (!data) return;
+
+        const { variables, ...body } = data;
+        this.submitTerraformJob('init', body);
+    }
+
+    executeTerraformState() {
+        const data = this.getTerraformFormData();
+        if (!data) return;
+
+        const operation = document.getElementById('terraform-state-operation').value;
+        const address = document.getElementById('terraform-state-address').value.trim();
+        const destination = document.getElementById('terraform-state-destination').value.trim();
+        const { variables, ...body } = data;
+
+        const submit = () => this.submitTerraformJob('state', { ...body, operation, address, destination });
+
+        if (operation === 'mv' || operation === 'rm') {
+            this.showConfirmModal({
+                title: `terraform state ${operation}`,
+                message: `Se modificará el state del workspace "${data.workspace}". ¿Continuar?`,
+                onConfirm: submit
+            });
+            return;
+        }
+
+        submit();
+    }
+
+    listTerraformWorkspaces() {
+        const data = this.getTerraformFormData();
+        if (!data) return;
+
+        this.submitTerraformJob('workspaces/list', { name: data.name, workingDir: data.workingDir });
+    }
+
+    createTerraformWorkspace() {
+        const data = this.getTerraformFormData();
+        if (!data) return;
+
+        const workspace = window.prompt('Nombre del nuevo workspace:');
+        if (!workspace) return;
+
+        this.submitTerraformJob('workspaces/new', { name: data.name, workingDir: data.workingDir, workspace });
+        this.updateWorkspaceSelect([...this.getWorkspaceOptions(), workspace], workspace);
+    }
+
+    getWorkspaceOptions() {
+        const select = document.getElementById('terraform-workspace');
+        return select ? Array.from(select.options).map(option => option.value) : [];
+    }
+
+    updateWorkspaceSelect(workspaces, selected = null) {
+        const select = document.getElementById('terraform-workspace');
+        if (!select) return;
+
+        const current = selected || select.value;
+        select.innerHTML = [...new Set(workspaces)]
+            .map(ws => `<option value="${ws}">${ws}</option>`)
+            .join('');
+        select.value = workspaces.includes(current) ? current : workspaces[0];
+        this.updateJobActions();
     }
 
     toggleCustomInventory() {
@@ -1409,99 +4468,24 @@ class ConductorApp {
             inventoryContent.style.display = 'none';
             inventorySelect.style.display = 'block';
         }
+        this.updateJobActions();
     }
 
-    // Funciones de utilidad para templates
-    loadTemplate(templateName) {
-        const templates = {
-            'basic-setup': `---
-- name: Basic server setup
-  hosts: all
-  become: yes
-  tasks:
-    - name: Update package cache
-      apt:
-        update_cache: yes
-        cache_valid_time: 3600
-
-    - name: Install basic packages
-      package:
-        name:
-          - curl
-          - wget
-          - git
-          - unzip
-        state: present
-
-    - name: Create admin user
-      user:
-        name: admin
-        groups: sudo
-        append: yes
-        shell: /bin/bash`,
-
-            'web-server': `---
-- name: Web server setup
-  hosts: webservers
-  become: yes
-  tasks:
-    - name: Install nginx
-      package:
-        name: nginx
-        state: present
-
-    - name: Start nginx service
-      service:
-        name: nginx
-        state: started
-        enabled: yes
-
-    - name: Ensure web directory exists
-      file:
-        path: /var/www/html
-        state: directory
-        mode: '0755'
-
-    - name: Deploy index.html
-      copy:
-        content: "<h1>Welcome to {{ inventory_hostname }}</h1>"
-        dest: /var/www/html/index.html
-        mode: '0644'`,
-
-            'database': `---
-- name: Database server setup
-  hosts: databases
-  become: yes
-  tasks:
-    - name: Install PostgreSQL
-      package:
-        name: postgresql
-        state: present
-
-    - name: Ensure PostgreSQL is running
-      service:
-        name: postgresql
-        state: started
-        enabled: yes
-
-    - name: Create database user
-      postgresql_user:
-        name: myuser
-        password: mypassword
-        state: present
-
-    - name: Create database
-      postgresql_db:
-        name: mydb
-        owner: myuser
-        state: present`
-        };
-
-        const content = templates[templateName];
-        if (content) {
-            document.getElementById('playbook-content').value = content;
-            this.showToast(`Template "${templateName}" cargado`, 'success');
+    // Cargar un template de la biblioteca en el editor de playbooks
+    loadTemplate(id) {
+        const template = this.templates.find(t => t.id === Number(id));
+        if (!template || template.kind !== 'ansible') return;
+
+        document.getElementById('playbook-name').value = template.name;
+        document.getElementById('playbook-content').value = template.playbook;
+        document.getElementById('ansible-variables').value = Object.keys(template.variables).length > 0
+            ? JSON.stringify(template.variables, null, 2)
+            : '';
+        if (template.inventoryId) {
+            document.getElementById('inventory-select').value = template.inventoryId;
+            this.updateJobActions();
         }
+        this.showToast(`Template "${template.name}" cargado`, 'success');
     }
 
     // Funciones de usuario y preferencias
@@ -1634,23 +4618,108 @@ class ConductorApp {
             (inv.description && inv.description.toLowerCase().includes(query.toLowerCase()))
         );
 
-        // Buscar en templates
-        const templateResults = this.templates.filter(template => 
-            template.name.toLowerCase().includes(query.toLowerCase()) ||
-            (template.description && template.description.toLowerCase().includes(query.toLowerCase()))
-        );
+        // Buscar en templates
+        const templateResults = this.templates.filter(template => 
+            template.name.toLowerCase().includes(query.toLowerCase()) ||
+            (template.description && template.description.toLowerCase().includes(query.toLowerCase()))
+        );
+
+        // Mostrar resultados (podría implementarse un modal de resultados de búsqueda)
+        const totalResults = jobResults.length + inventoryResults.length + templateResults.length;
+        
+        if (totalResults > 0) {
+            this.showToast(`Encontrados ${totalResults} resultados para "${query}"`, 'info');
+        } else {
+            this.showToast(`No se encontraron resultados para "${query}"`, 'warning');
+        }
+    }
+
+    // Funciones de utilidad para el editor
+    // Inventario del editor de playbooks como lo espera la API: id del guardado o el texto escrito a mano
+    getPlaybookInventory() {
+        const content = document.getElementById('inventory-content');
+        if (content && content.style.display !== 'none') {
+            return content.value.trim() || null;
+        }
+        const select = document.getElementById('inventory-select');
+        return select && select.value ? parseInt(select.value, 10) : null;
+    }
+
+    // Estructura, --syntax-check, patrones de hosts y variables sin definir; los diagnósticos
+    // se listan bajo el editor y el primer error queda seleccionado
+    async validatePlaybook() {
+        if (document.getElementById('playbook-source').value) {
+            this.showToast('La validación revisa el playbook del editor; elige "Playbook del editor"', 'info');
+            return;
+        }
+        const playbook = document.getElementById('playbook-content').value;
+        const variablesText = document.getElementById('ansible-variables').value.trim();
+
+        let variables = {};
+        try {
+            variables = variablesText ? JSON.parse(variablesText) : {};
+        } catch (error) {
+            this.showToast(`Las variables no son JSON válido: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            this.showProgressIndicator(true);
+            const report = await api.post('/ansible/validate', {
+                playbook,
+                inventory: this.getPlaybookInventory(),
+                variables
+            });
+            this.renderPlaybookDiagnostics(report.diagnostics);
+
+            const errors = report.diagnostics.filter(d => d.severity === 'error');
+            const warnings = report.diagnostics.length - errors.length;
+            const checkedWith = report.checkedWith === 'ansible-playbook' ? ' (--syntax-check)' : '';
+            document.getElementById('playbook-validation-status').textContent =
+                `${errors.length} errores • ${warnings} avisos${checkedWith}`;
+
+            if (report.valid) {
+                this.showToast(`Playbook válido${warnings > 0 ? ` con ${warnings} avisos` : ''}`, warnings > 0 ? 'warning' : 'success');
+            } else {
+                this.showToast(`El playbook tiene ${errors.length} errores`, 'error');
+                const first = errors.find(d => d.line);
+                if (first) this.highlightPlaybookLine(first.line);
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.showProgressIndicator(false);
+        }
+    }
+
+    renderPlaybookDiagnostics(diagnostics) {
+        const container = document.getElementById('playbook-diagnostics');
+        container.style.display = diagnostics.length > 0 ? 'block' : 'none';
+        container.innerHTML = diagnostics.map(d => `
+            <div class="diagnostic ${d.severity}" onclick="conductor.highlightPlaybookLine(${d.line || 0})">
+                <i class="fas fa-${d.severity === 'error' ? 'times-circle' : 'exclamation-triangle'}"></i>
+                <span class="diagnostic-line">${d.line ? `L${d.line}${d.column ? `:${d.column}` : ''}` : '—'}</span>
+                <span>${d.message}</span>
+                <span class="diagnostic-source">${d.source}</span>
+            </div>
+        `).join('');
+    }
+
+    // Selecciona la línea en el editor y la desplaza a la vista
+    highlightPlaybookLine(line) {
+        const editor = document.getElementById('playbook-content');
+        if (!editor || !line) return;
 
-        // Mostrar resultados (podría implementarse un modal de resultados de búsqueda)
-        const totalResults = jobResults.length + inventoryResults.length + templateResults.length;
-        
-        if (totalResults > 0) {
-            this.showToast(`Encontrados ${totalResults} resultados para "${query}"`, 'info');
-        } else {
-            this.showToast(`No se encontraron resultados para "${query}"`, 'warning');
-        }
+        const lines = editor.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+        const end = start + (lines[line - 1] || '').length;
+        editor.focus();
+        editor.setSelectionRange(start, end);
+
+        const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+        editor.scrollTop = Math.max(0, (line - 1) * lineHeight - editor.clientHeight / 3);
     }
 
-    // Funciones de utilidad para el editor
     formatYaml() {
         const editor = document.getElementById('playbook-content');
         if (!editor) return;
@@ -1721,6 +4790,278 @@ class ConductorApp {
         this.updateDashboardStats();
     }
 
+    // Configuración: límites por defecto de los jobs (/api/settings)
+    async loadSettings() {
+        try {
+            const [settings, user] = await Promise.all([api.get('/settings'), api.get('/auth/me')]);
+            this.fillSettingsForm(settings.jobDefaults);
+            this.timezone = settings.timezone;
+            this.fillTimezoneSelect(document.getElementById('timezone'), settings.timezone);
+            document.getElementById('username').value = user.username;
+            document.getElementById('email').value = user.email;
+            this.settingsChanged = false;
+        } catch (error) {
+            console.warn('No se pudo cargar la configuración:', error);
+        }
+        if (this.hasCapability('settings:write')) {
+            await this.loadApprovalPolicies();
+        }
+    }
+
+    fillSettingsForm(jobDefaults) {
+        document.getElementById('default-timeout').value = jobDefaults.timeoutMinutes;
+        document.getElementById('default-cpus').value = jobDefaults.cpus;
+        document.getElementById('default-memory').value = jobDefaults.memory;
+        document.getElementById('default-network').value = jobDefaults.network;
+    }
+
+    markSettingsChanged() {
+        this.settingsChanged = true;
+    }
+
+    async saveSettings() {
+        const jobDefaults = {
+            timeoutMinutes: parseFloat(document.getElementById('default-timeout').value),
+            cpus: document.getElementById('default-cpus').value,
+            memory: document.getElementById('default-memory').value.trim(),
+            network: document.getElementById('default-network').value
+        };
+
+        try {
+            const user = await api.put('/auth/me', {
+                username: document.getElementById('username').value.trim(),
+                email: document.getElementById('email').value.trim()
+            });
+            api.setSession({ ...api.session, user });
+            this.showCurrentUser();
+
+            // Los límites globales solo los puede cambiar un administrador
+            if (user.role === 'admin') {
+                const settings = await api.put('/settings', {
+                    jobDefaults,
+                    timezone: document.getElementById('timezone').value
+                });
+                this.fillSettingsForm(settings.jobDefaults);
+                this.timezone = settings.timezone;
+            }
+
+            this.settingsChanged = false;
+            this.showToast('Configuración guardada', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async changePassword() {
+        const currentPassword = document.getElementById('current-password').value;
+        const newPassword = document.getElementById('new-password').value;
+        const confirmPassword = document.getElementById('confirm-password').value;
+
+        if (!currentPassword || !newPassword) {
+            this.showToast('Indica la contraseña actual y la nueva', 'error');
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            this.showToast('La nueva contraseña y su confirmación no coinciden', 'error');
+            return;
+        }
+
+        try {
+            // El servidor cierra las demás sesiones y devuelve una nueva para este navegador
+            const session = await api.put('/auth/password', { currentPassword, newPassword });
+            api.setSession(session);
+            ['current-password', 'new-password', 'confirm-password'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.showToast('Contraseña actualizada', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Credenciales: la API solo devuelve nombre, tipo y campos públicos, nunca los secretos
+    async loadCredentials() {
+        try {
+            const [credentials, types] = await Promise.all([api.get('/credentials'), api.get('/credentials/types')]);
+            this.credentials = credentials;
+            this.credentialTypes = types;
+        } catch (error) {
+            console.warn('No se pudieron cargar las credenciales:', error);
+            this.credentials = [];
+        }
+        this.renderCredentialsList();
+        this.populateCredentialSelects();
+    }
+
+    renderCredentialsList() {
+        const list = document.getElementById('credentials-list');
+        const typeSelect = document.getElementById('credential-type');
+        if (!list) return;
+
+        if (typeSelect && typeSelect.options.length === 0 && this.credentialTypes) {
+            typeSelect.innerHTML = Object.keys(this.credentialTypes)
+                .map(type => `<option value="${type}">${type}</option>`)
+                .join('');
+        }
+
+        if (this.credentials.length === 0) {
+            list.innerHTML = '<p class="form-help">No hay credenciales guardadas</p>';
+            return;
+        }
+
+        list.innerHTML = this.credentials.map(credential => `
+            <div class="credential-item">
+                <i class="fas fa-lock"></i>
+                <span>${credential.name}</span>
+                <span class="badge">${credential.type}</span>
+                <button type="button" class="btn btn-sm btn-danger" onclick="conductor.deleteCredential(${credential.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    populateCredentialSelects() {
+        document.querySelectorAll('.credential-select').forEach(select => {
+            const selected = this.getSelectedCredentialIds(select.id);
+            select.innerHTML = this.credentials.map(credential => `
+                <option value="${credential.id}" ${selected.includes(credential.id) ? 'selected' : ''}>
+                    ${credential.name} (${credential.type})
+                </option>
+            `).join('');
+        });
+    }
+
+    getSelectedCredentialIds(selectId) {
+        const select = document.getElementById(selectId);
+        if (!select) return [];
+        return Array.from(select.selectedOptions).map(option => parseInt(option.value, 10));
+    }
+
+    async createCredential() {
+        const name = document.getElementById('credential-name').value.trim();
+        const type = document.getElementById('credential-type').value;
+        const fieldsText = document.getElementById('credential-fields').value.trim();
+
+        let fields;
+        try {
+            fields = JSON.parse(fieldsText || '{}');
+        } catch (error) {
+            this.showToast('Campos inválidos: deben ser JSON', 'error');
+            return;
+        }
+
+        try {
+            await api.post('/credentials', { name, type, fields });
+            document.getElementById('credential-name').value = '';
+            document.getElementById('credential-fields').value = '';
+            await this.loadCredentials();
+            this.showToast('Credencial guardada', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteCredential(id) {
+        try {
+            await api.delete(`/credentials/${id}`);
+            await this.loadCredentials();
+            this.showToast('Credencial eliminada', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Políticas de aprobación (solo admin)
+    async loadApprovalPolicies() {
+        try {
+            this.approvalPolicies = await api.get('/approvals/policies');
+        } catch (error) {
+            console.warn('No se pudieron cargar las políticas de aprobación:', error);
+            this.approvalPolicies = [];
+        }
+        this.renderApprovalPoliciesList();
+    }
+
+    renderApprovalPoliciesList() {
+        const list = document.getElementById('approval-policies-list');
+        if (!list) return;
+
+        if (this.approvalPolicies.length === 0) {
+            list.innerHTML = '<p class="form-help">No hay políticas de aprobación</p>';
+            return;
+        }
+
+        const scopeLabels = { template: 'template', workspace: 'workspace', inventory: 'inventario' };
+        // Los templates e inventarios se guardan por id
+        const scopeName = (policy) => {
+            if (policy.scope === '*' || policy.scopeType === 'workspace') return policy.scope;
+            const id = parseInt(policy.scope, 10);
+            return policy.scopeType === 'template'
+                ? this.getTemplateName(id)
+                : this.getInventoryNames([id])[0] || `#${id}`;
+        };
+        list.innerHTML = this.approvalPolicies.map(policy => `
+            <div class="credential-item">
+                <i class="fas fa-user-check"></i>
+                <span>${this.escapeHtml(policy.name)}</span>
+                <span class="badge">${scopeLabels[policy.scopeType]} ${this.escapeHtml(scopeName(policy))}</span>
+                <span class="badge">${policy.requiredApprovals} × ${policy.approverRoles.join('/')}</span>
+                <span class="badge">${policy.expiryHours} h</span>
+                <button type="button" class="btn btn-sm btn-danger" onclick="conductor.deleteApprovalPolicy(${policy.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    async createApprovalPolicy() {
+        const expiry = document.getElementById('policy-expiry').value;
+        const body = {
+            name: document.getElementById('policy-name').value.trim(),
+            scopeType: document.getElementById('policy-scope-type').value,
+            scope: document.getElementById('policy-scope').value.trim(),
+            requiredApprovals: parseInt(document.getElementById('policy-required').value, 10) || 1,
+            approverRoles: Array.from(document.getElementById('policy-roles').selectedOptions).map(option => option.value),
+            expiryHours: expiry ? parseFloat(expiry) : undefined
+        };
+
+        try {
+            await api.post('/approvals/policies', body);
+            document.getElementById('policy-name').value = '';
+            document.getElementById('policy-scope').value = '';
+            await this.loadApprovalPolicies();
+            this.showToast('Política de aprobación guardada', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    deleteApprovalPolicy(id) {
+        const policy = this.approvalPolicies.find(p => p.id === id);
+        if (!policy) return;
+
+        this.showConfirmModal({
+            title: 'Eliminar política',
+            message: `¿Eliminar la política "${policy.name}"? Los jobs de su ámbito dejarán de esperar aprobación.`,
+            onConfirm: async () => {
+                try {
+                    await api.delete(`/approvals/policies/${id}`);
+                    await this.loadApprovalPolicies();
+                    this.showToast('Política eliminada', 'success');
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    resetSettings() {
+        this.fillSettingsForm({ timeoutMinutes: 30, cpus: '1', memory: '1g', network: 'bridge' });
+        this.markSettingsChanged();
+        this.showToast('Valores por defecto restaurados; guarda para aplicarlos', 'info');
+    }
+
     // Limpieza
     destroy() {
         // Limpiar event listeners
@@ -1794,6 +5135,36 @@ function closeJobModal() {
     }
 }
 
+function validateInventory() {
+    if (window.conductor) {
+        window.conductor.validateInventory();
+    }
+}
+
+function closeHostModal() {
+    if (window.conductor) {
+        window.conductor.closeHostModal();
+    }
+}
+
+function importInventory() {
+    if (window.conductor) {
+        window.conductor.showImportInventoryModal();
+    }
+}
+
+function closeInventoryImport() {
+    if (window.conductor) {
+        window.conductor.closeInventoryImport();
+    }
+}
+
+function closeInventoryHistory() {
+    if (window.conductor) {
+        window.conductor.closeInventoryHistory();
+    }
+}
+
 function closeInventoryModal() {
     if (window.conductor) {
         window.conductor.closeInventoryModal();
@@ -1812,6 +5183,18 @@ function toggleCustomInventory() {
     }
 }
 
+function dryRunPlaybook() {
+    if (window.conductor) {
+        window.conductor.dryRunPlaybook();
+    }
+}
+
+function validatePlaybook() {
+    if (window.conductor) {
+        window.conductor.validatePlaybook();
+    }
+}
+
 function formatYaml() {
     if (window.conductor) {
         window.conductor.formatYaml();
@@ -1824,9 +5207,177 @@ function fullscreenEditor() {
     }
 }
 
-function loadTemplate(templateName) {
+function executeTerraformPlan() {
+    if (window.conductor) {
+        window.conductor.executeTerraformPlan();
+    }
+}
+
+function executeTerraformApply() {
+    if (window.conductor) {
+        window.conductor.executeTerraformApply();
+    }
+}
+
+function executeTerraformDestroy() {
+    if (window.conductor) {
+        window.conductor.executeTerraformDestroy();
+    }
+}
+
+function initTerraform() {
+    if (window.conductor) {
+        window.conductor.initTerraform();
+    }
+}
+
+function executeTerraformState() {
+    if (window.conductor) {
+        window.conductor.executeTerraformState();
+    }
+}
+
+function listTerraformWorkspaces() {
+    if (window.conductor) {
+        window.conductor.listTerraformWorkspaces();
+    }
+}
+
+function createTerraformWorkspace() {
+    if (window.conductor) {
+        window.conductor.createTerraformWorkspace();
+    }
+}
+
+function closeConfirmModal() {
+    if (window.conductor) {
+        window.conductor.closeConfirmModal();
+    }
+}
+
+function confirmAction() {
+    if (window.conductor) {
+        window.conductor.confirmAction();
+    }
+}
+
+function createCredential() {
+    if (window.conductor) {
+        window.conductor.createCredential();
+    }
+}
+
+function createApprovalPolicy() {
+    if (window.conductor) {
+        window.conductor.createApprovalPolicy();
+    }
+}
+
+function changePassword() {
+    if (window.conductor) {
+        window.conductor.changePassword();
+    }
+}
+
+function logout() {
+    if (window.conductor) {
+        window.conductor.logout();
+    }
+}
+
+function saveSettings() {
+    if (window.conductor) {
+        window.conductor.saveSettings();
+    }
+}
+
+function resetSettings() {
+    if (window.conductor) {
+        window.conductor.resetSettings();
+    }
+}
+
+function loadTemplate(templateId) {
+    if (window.conductor) {
+        window.conductor.loadTemplate(templateId);
+    }
+}
+
+function createNewTemplate() {
+    if (window.conductor) {
+        window.conductor.createNewTemplate();
+    }
+}
+
+function closeTemplateLaunch() {
+    if (window.conductor) {
+        window.conductor.closeTemplateLaunch();
+    }
+}
+
+function closeTemplateModal() {
+    if (window.conductor) {
+        window.conductor.closeTemplateModal();
+    }
+}
+
+function importTemplate() {
+    if (window.conductor) {
+        window.conductor.showImportTemplateModal();
+    }
+}
+
+function closeTemplateImport() {
+    if (window.conductor) {
+        window.conductor.closeTemplateImport();
+    }
+}
+
+function closeWebhook() {
+    if (window.conductor) {
+        window.conductor.closeWebhook();
+    }
+}
+
+function uploadAnsibleWorkspace() {
+    if (window.conductor) {
+        window.conductor.uploadAnsibleWorkspace();
+    }
+}
+
+function createProject() {
+    if (window.conductor) {
+        window.conductor.createProject();
+    }
+}
+
+function closeProjectModal() {
+    if (window.conductor) {
+        window.conductor.closeProjectModal();
+    }
+}
+
+function createWorkflow() {
+    if (window.conductor) {
+        window.conductor.createWorkflow();
+    }
+}
+
+function closeWorkflowModal() {
+    if (window.conductor) {
+        window.conductor.closeWorkflowModal();
+    }
+}
+
+function createSchedule() {
+    if (window.conductor) {
+        window.conductor.createSchedule();
+    }
+}
+
+function closeScheduleModal() {
     if (window.conductor) {
-        window.conductor.loadTemplate(templateName);
+        window.conductor.closeScheduleModal();
     }
 }
 
@@ -0,0 +1,141 @@
+// Cliente HTTP para la API de Conductor
+const SESSION_KEY = 'conductor_session';
+
+class ConductorAPI {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl;
+        this.session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        this.refreshPromise = null;
+        // Se llama cuando la sesión caduca y no se puede renovar
+        this.onSessionExpired = null;
+    }
+
+    // Sesión: { accessToken, refreshToken, user }
+    get accessToken() {
+        return this.session ? this.session.accessToken : null;
+    }
+
+    get user() {
+        return this.session ? this.session.user : null;
+    }
+
+    hasSession() {
+        return Boolean(this.session);
+    }
+
+    setSession(session) {
+        this.session = session;
+        if (session) {
+            localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        } else {
+            localStorage.removeItem(SESSION_KEY);
+        }
+    }
+
+    async login(username, password) {
+        const session = await this.request('POST', '/auth/login', { username, password }, { auth: false });
+        this.setSession(session);
+        return session.user;
+    }
+
+    async logout() {
+        const refreshToken = this.session && this.session.refreshToken;
+        this.setSession(null);
+        if (refreshToken) {
+            await this.request('POST', '/auth/logout', { refreshToken }, { auth: false }).catch(() => {});
+        }
+    }
+
+    // Renovar el access token; las peticiones concurrentes comparten la misma renovación
+    refreshSession() {
+        if (!this.refreshPromise) {
+            const refreshToken = this.session && this.session.refreshToken;
+            this.refreshPromise = this.request('POST', '/auth/refresh', { refreshToken }, { auth: false })
+                .then(session => {
+                    this.setSession(session);
+                    return session;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    expireSession() {
+        this.setSession(null);
+        if (this.onSessionExpired) {
+            this.onSessionExpired();
+        }
+    }
+
+    // responseType 'text' devuelve el cuerpo tal cual (descargas); los errores siguen siendo JSON
+    async request(method, endpoint, body, { auth = true, retry = true, responseType = 'json' } = {}) {
+        const options = {
+            method,
+            headers: { 'Content-Type': 'application/json' }
+        };
+
+        if (auth && this.accessToken) {
+            options.headers.Authorization = `Bearer ${this.accessToken}`;
+        }
+
+        if (body !== undefined) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${this.baseUrl}${endpoint}`, options);
+        const data = responseType === 'text' && response.ok
+            ? await response.text()
+            : await response.json().catch(() => ({}));
+
+        // Access token caducado: renovar una vez y repetir la petición
+        if (response.status === 401 && auth) {
+            if (retry && this.session) {
+                try {
+                    await this.refreshSession();
+                } catch (error) {
+                    this.expireSession();
+                    throw error;
+                }
+                return this.request(method, endpoint, body, { auth, retry: false, responseType });
+            }
+            this.expireSession();
+        }
+
+        if (!response.ok) {
+            const error = new Error(data.error || `Error HTTP ${response.status}`);
+            error.status = response.status;
+            error.data = data;
+            throw error;
+        }
+
+        return data;
+    }
+
+    get(endpoint) {
+        return this.request('GET', endpoint);
+    }
+
+    getText(endpoint) {
+        return this.request('GET', endpoint, undefined, { responseType: 'text' });
+    }
+
+    post(endpoint, body = {}) {
+        return this.request('POST', endpoint, body);
+    }
+
+    put(endpoint, body = {}) {
+        return this.request('PUT', endpoint, body);
+    }
+
+    patch(endpoint, body = {}) {
+        return this.request('PATCH', endpoint, body);
+    }
+
+    delete(endpoint) {
+        return this.request('DELETE', endpoint);
+    }
+}
+
+window.api = new ConductorAPI();